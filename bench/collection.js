@@ -0,0 +1,86 @@
+/*!
+ * Compare a plain `.subset` against `.find` of a
+ * collection with indexes.
+ *
+ *     $ make bench
+ */
+
+var filter = require('..');
+
+/*!
+ * Settings
+ */
+
+var ROWS = +process.env.ROWS || 200000
+  , RUNS = +process.env.RUNS || 5;
+
+/*!
+ * Generate records with a few indexed fields.
+ */
+
+var cities = [ 'paris', 'rome', 'oslo', 'lima', 'kyiv', 'baku', 'doha', 'suva' ]
+  , data = [];
+
+for (var i = 0; i < ROWS; i++) {
+  data.push({
+      id: i
+    , city: cities[i % cities.length]
+    , age: i % 90
+    , tags: [ 'tag' + (i % 100), 'tag' + (i % 7) ]
+  });
+}
+
+var start = Date.now()
+  , coll = new filter.Collection(data)
+      .createIndex('id')
+      .createIndex('city')
+      .createIndex('tags')
+      .createIndex('age', { type: 'sorted' });
+
+/*!
+ * Queries to compare
+ */
+
+var queries = {
+    id: { id: ROWS >> 1 }
+  , list: { id: { $in: [ 1, 10, 100, 1000, 10000 ] } }
+  , array: { tags: 'tag42', city: 'oslo' }
+  , range: { age: { $gte: 30, $lt: 32 }, city: { $in: [ 'oslo', 'lima' ] } }
+  , or: { $or: [ { city: 'suva', age: 1 }, { tags: 'tag99' } ] }
+};
+
+/*!
+ * Time the best of `RUNS` calls to `fn`.
+ */
+
+function time (fn) {
+  var best = Infinity
+    , start, res;
+
+  for (var i = 0; i < RUNS; i++) {
+    start = Date.now();
+    res = fn();
+    best = Math.min(best, Date.now() - start);
+  }
+
+  return { ms: best, length: res.length };
+}
+
+/*!
+ * Run
+ */
+
+console.log('\n  find in %d rows (best of %d), indexed in %dms\n', ROWS, RUNS, Date.now() - start);
+
+for (var name in queries) {
+  var q = filter(queries[name], { compile: true })
+    , a = time(function () { return q.subset(data); })
+    , b = time(function () { return coll.find(q); });
+
+  if (a.length !== b.length) throw new Error(name + ': results differ');
+
+  console.log('  %s: subset %dms, collection %dms (%sx) - %d matches'
+    , name, a.ms, b.ms, (a.ms / Math.max(b.ms, 1)).toFixed(1), a.length);
+}
+
+console.log();
@@ -0,0 +1,79 @@
+/*!
+ * Compare the interpreter against compiled queries
+ * when filtering a large array with `.subset`.
+ *
+ *     $ make bench
+ */
+
+var filter = require('..');
+
+/*!
+ * Settings
+ */
+
+var ROWS = +process.env.ROWS || 200000
+  , RUNS = +process.env.RUNS || 5;
+
+/*!
+ * Generate data shaped like the `dataComplex`
+ * example used in the docs.
+ */
+
+var words = [ 'world', 'universe', 'galaxy', 'planet' ]
+  , data = [];
+
+for (var i = 0; i < ROWS; i++) {
+  data.push({
+      a: { b: i % 150 }
+    , c: i % 3 ? 'testC' : 'testD'
+    , d: [ { e: words[i % 4] }, { e: words[(i + 1) % 4] } ]
+  });
+}
+
+/*!
+ * Queries to compare
+ */
+
+var queries = {
+    range: { 'a.b': { $gt: 25, $lt: 75 } }
+  , logical: { $or: [ { c: 'testD' }, { 'a.b': { $and: [ { $gt: 75 }, { $lt: 125 } ] } } ] }
+  , mixed: { c: 'testC', 'a.b': { $in: [ 1, 2, 3, 50, 100 ] }, 'd[0].e': { $ne: 'planet' } }
+  , arrays: { 'd.e': 'galaxy', 'a.b': { $gte: 10 } }
+};
+
+/*!
+ * Time the best of `RUNS` calls to `fn`.
+ */
+
+function time (fn) {
+  var best = Infinity
+    , start, res;
+
+  for (var i = 0; i < RUNS; i++) {
+    start = Date.now();
+    res = fn();
+    best = Math.min(best, Date.now() - start);
+  }
+
+  return { ms: best, length: res.length };
+}
+
+/*!
+ * Run
+ */
+
+console.log('\n  subset of %d rows (best of %d)\n', ROWS, RUNS);
+
+for (var name in queries) {
+  var interpreted = filter(queries[name])
+    , compiled = filter(queries[name], { compile: true })
+    , a = time(function () { return interpreted.subset(data); })
+    , b = time(function () { return compiled.subset(data); });
+
+  if (a.length !== b.length) throw new Error(name + ': results differ');
+
+  console.log('  %s: interpreted %dms, compiled %dms (%sx) - %d matches'
+    , name, a.ms, b.ms, (a.ms / Math.max(b.ms, 1)).toFixed(1), a.length);
+}
+
+console.log();
@@ -8,17 +8,52 @@
  * Module dependancies
  */
 
-var properties = require('tea-properties');
+var errors = require('./filter/errors')
+  , path = require('./filter/path')
+  , equal = require('./filter/equal')
+  , compare = require('./filter/compare')
+  , compile = require('./filter/compile')
+  , Operators = require('./filter/operators')
+  , projection = require('./filter/projection')
+  , sort = require('./filter/sort')
+  , update = require('./filter/update')
+  , aggregate = require('./filter/aggregate')
+  , expression = require('./filter/expr')
+  , text = require('./filter/text')
+  , geo = require('./filter/geo')
+  , Collection = require('./filter/collection')
+  , explain = require('./filter/explain')
+  , iterate = require('./filter/iterable')
+  , ejson = require('./filter/ejson')
+  , sql = require('./filter/sql')
+  , Builder = require('./filter/builder')
+  , algebra = require('./filter/algebra')
+  , collation = require('./filter/collation')
+  , LiveView = require('./filter/live');
 
 /*!
- * Constants
+ * Error constructors
  */
 
-var TRAVERSABLE = {
-    $and: true
-  , $or: true
-  , $nor: true
-};
+var FilterQueryError = errors.FilterQueryError;
+
+/*!
+ * Type names accepted by `$type`
+ */
+
+var TYPES = [ 'null', 'number', 'string', 'object', 'array', 'boolean', 'date', 'regex' ];
+
+/*!
+ * The order of results for a query with `$near`
+ */
+
+var NEAREST = { distance: { $meta: 'geoNearDistance' } };
+
+/*!
+ * Distances beside a legacy `$near` or `$nearSphere`
+ */
+
+var NEAR_DISTANCES = [ '$maxDistance', '$minDistance' ];
 
 /*!
  * Primary Exports
@@ -27,7 +62,7 @@ var TRAVERSABLE = {
 module.exports = Filter;
 
 /**
- * ### filter (query)
+ * ### filter (query, options)
  *
  * The primary export is a function that will memoize a query
  * so that it can be used to filter many arrays. Furthermore,
@@ -66,11 +101,16 @@ module.exports = Filter;
  * based on sane defaults.
  *
  * When a comparator is omitted when comparing a value, it assumes `$eq`.
+ * Objects without any comparators are compared as values.
  *
  * ```js
  * // the following are the same.
  * filter({ hello: { $eq: 'universe' } });
  * filter({ hello: 'universe' });
+ *
+ * // so are these.
+ * filter({ loc: { $eq: { x: 1 } } });
+ * filter({ loc: { x: 1 } });
  * ```
  *
  * When multiple statements are listed, it assumes `$and`.
@@ -82,20 +122,487 @@ module.exports = Filter;
  * filter({ hello: { $gt: 42, $lt: 84 } });
  * ```
  *
+ * When a path crosses an array, the rest of the path is followed
+ * into each element. When it lands on an array, conditions are
+ * tested against the array itself and each of its elements. The
+ * statement passes if any of these pass. Numeric segments
+ * index into the array.
+ *
+ * ```js
+ * // both will match the second item of `dataComplex`.
+ * filter({ 'd.e': 'galaxy' });
+ * filter({ 'd.1.e': 'galaxy' });
+ *
+ * // will match `{ tags: [ 'a', 'b' ] }`.
+ * filter({ tags: 'a' });
+ * ```
+ *
+ * The following options are accepted.
+ *
+ * - `compile`: compile the query when it is constructed. See `.compile()`.
+ * - `reorder`: test cheaper statements first, such as equality before
+ *   regular expressions or deep paths. Results are the same, but fewer
+ *   comparators are called when a statement fails early.
+ * - `where`: allow `$where`, which runs a function from the query.
+ * - `collation`: compare strings as a language does for `$eq`, `$ne`,
+ *   `$in`, `$nin`, `$all`, the range comparators and the `sort` option,
+ *   using `Intl.Collator`. It is a MongoDB style collation with a `locale`
+ *   and optionally a `strength` (`1` ignores case and accents, `2` only
+ *   case), `caseLevel`, `caseFirst`, `numericOrdering` and `alternate`.
+ *
+ * ```js
+ * filter({ name: 'jose' }, { collation: { locale: 'es', strength: 1 } })
+ *   .test({ name: 'José' }); // true
+ * ```
+ *
  * @param {Object} query
+ * @param {Object} options (optional)
  * @return filter
  * @api public
  */
 
-function Filter (query) {
+function Filter (query, opts) {
   if (!(this instanceof Filter)) {
-    return new Filter(query);
+    return new Filter(query, opts);
   }
 
+  opts = opts || {};
+  this.operators = opts.operators
+    ? toOperators(opts.operators)
+    : operators;
+  this.base = this.operators;
+  this.where = !!opts.where;
+  this.collation = opts.collation || null;
+  this.collator = this.collation ? collation.collator(this.collation) : null;
+
+  if (this.collator) {
+    this.operators = collation.operators(this.operators, this.collator, runtime.builtins);
+  }
+
+  var ctx = { errors: [], operators: this.operators, where: this.where };
+
   this.query = query;
-  this.stack = parseQuery(query);
+  this.stack = parseQuery(query, ctx, []);
+
+  if (ctx.errors.length) {
+    var err = ctx.errors[0];
+    throw new FilterQueryError(err.message, err.path, ctx.errors);
+  }
+
+  if (opts.reorder) reorder(this.stack);
+  if (opts.compile) this.compile();
 }
 
+/*!
+ * Expose error constructors
+ */
+
+Filter.FilterQueryError = FilterQueryError;
+
+/*!
+ * Expose the equality routine used by comparators
+ */
+
+Filter.equal = equal;
+
+/*!
+ * Expose the ordering routine used for sorting
+ */
+
+Filter.compare = compare;
+
+/**
+ * ### filter.validate (query[, options])
+ *
+ * Check a query without constructing a filter. Will
+ * return an array of problems, each with the `path`
+ * within the query and a `message`. The array will be
+ * empty if the query is valid. The `where` option allows
+ * `$where` as it does for `filter`.
+ *
+ * ```js
+ * var problems = filter.validate({ age: { $gtt: 5 }, tags: { $in: 'a' } });
+ *
+ * problems.should.deep.equal([
+ *     { path: 'age.$gtt', message: 'unknown operator "$gtt"' }
+ *   , { path: 'tags.$in', message: 'expected an array' }
+ * ]);
+ * ```
+ *
+ * Constructing a filter from an invalid query will throw
+ * a `filter.FilterQueryError` describing the same problems.
+ *
+ * @param {Object} query
+ * @param {Object} options (optional)
+ * @return {Array} problems
+ * @api public
+ */
+
+Filter.validate = function (query, opts) {
+  return validate(query, operators, opts);
+};
+
+/**
+ * ### filter.operator (name, fn, options)
+ *
+ * Register a comparator for use in all queries. The
+ * `kind` option declares how the comparator is called.
+ *
+ * - `value` (default): called with the value found in the
+ *   data and the operand from the query, `fn(value, params)`.
+ * - `logical`: the operand is an array of queries which are
+ *   each tested against the value. Called with the array of
+ *   boolean results, `fn(results)`.
+ * - `query`: the operand is a single query. Called with the
+ *   value and a function that tests its argument against
+ *   that query, `fn(value, match)`.
+ *
+ * When a path in a query lands on an array, the comparator
+ * is tested against the array and each of its elements. The
+ * `branches` option declares how those results are combined.
+ *
+ * - `any` (default): passes if any of the values pass.
+ * - `all`: passes only if every value passes, as with `$ne`.
+ * - `self`: only tests the array itself, as with `$size`.
+ *
+ * Logical comparators may declare a `circuit`, the result of
+ * a single query that decides the outcome (`true` for `$or`,
+ * `false` for `$and`). Evaluation stops at the first query
+ * with that result and `fn` is called with the results so far.
+ * The `cost` option (default `1`) estimates how expensive the
+ * comparator is for the `reorder` option.
+ *
+ * The `validate` option is called with the operand when
+ * a query is constructed and should return a message
+ * describing the problem, if any. The `prepare` option of
+ * a value comparator is then called with the operand and
+ * the comparator is given its result instead, so that work
+ * such as compiling the operand is only done once. It may
+ * throw a `filter.FilterQueryError` with a path within
+ * the operand.
+ *
+ * ```js
+ * filter.operator('$startsWith', function (a, b) {
+ *   return 'string' == typeof a && a.indexOf(b) === 0;
+ * }, {
+ *   validate: function (params) {
+ *     if ('string' != typeof params) return 'expected a string';
+ *   }
+ * });
+ *
+ * filter.operator('$xor', function (res) {
+ *   return res.filter(Boolean).length === 1;
+ * }, { kind: 'logical' });
+ *
+ * filter({ $xor: [ { a: 1 }, { name: { $startsWith: 'he' } } ] });
+ * ```
+ *
+ * @param {String} name starting with `$`
+ * @param {Function} comparator
+ * @param {Object} options
+ * @return {filter} for chaining
+ * @api public
+ */
+
+Filter.operator = function (name, fn, opts) {
+  operators.define(name, fn, opts);
+  return Filter;
+};
+
+/**
+ * ### filter.aggregate (data, pipeline)
+ *
+ * Run data through a pipeline of MongoDB style stages, each
+ * an object with a single key. Will return a new array of
+ * results; `data` is not modified.
+ *
+ * ```js
+ * var res = filter.aggregate(orders, [
+ *     { $match: { status: 'shipped' } }
+ *   , { $unwind: '$items' }
+ *   , { $group: {
+ *         _id: '$items.sku'
+ *       , qty: { $sum: '$items.qty' }
+ *       , orders: { $count: {} }
+ *     } }
+ *   , { $sort: { qty: -1 } }
+ *   , { $limit: 5 }
+ * ]);
+ * ```
+ *
+ * The following stages are supported.
+ *
+ * - `$match` keeps the data points that pass a query.
+ * - `$project` includes (`1`) or excludes (`0`) fields, as with
+ *   the `projection` option of `.subset`, and computes new fields
+ *   from expressions when including.
+ * - `$group` groups data points by the value of its `_id`
+ *   expression. Each other field is an accumulator: `$sum`, `$avg`,
+ *   `$min`, `$max`, `$push`, `$first`, `$last` or `$count`.
+ * - `$sort`, `$skip` and `$limit` work as the options of `.subset`.
+ * - `$unwind` outputs a data point for each element of an array,
+ *   given its path or an object of `path`, `includeArrayIndex` and
+ *   `preserveNullAndEmptyArrays`. As in MongoDB, a path through
+ *   an array is missing, so `'$a.b'` drops a data point whose `a`
+ *   is an array.
+ * - `$count` outputs a single data point with the number of
+ *   data points in a field of the given name.
+ *
+ * Expressions are strings that start with `$`, such as `'$a.b'`,
+ * which get the value at a path, objects of expressions, and
+ * the operators of `$expr`, such as `{ $add: [ '$a', 1 ] }`.
+ * Any other value is a constant. When a path crosses an array,
+ * the values of each element are returned as an array.
+ *
+ * An invalid pipeline throws a `filter.FilterQueryError` with
+ * a path such as `pipeline[1].$group.total`.
+ *
+ * @param {Array} data
+ * @param {Array} pipeline
+ * @return {Array} results
+ * @api public
+ */
+
+Filter.aggregate = function (data, pipeline) {
+  return aggregate(data, pipeline, matcher({ operators: operators }));
+};
+
+/**
+ * ### filter.and (filter, ...)
+ *
+ * Combine filters, or queries, into a filter that
+ * passes when all of them pass.
+ *
+ * ```js
+ * var facets = filter({ color: 'red' })
+ *   , allowed = filter({ owner: { $in: [ 'me', 'team' ] } });
+ *
+ * filter.and(facets, allowed, { archived: false }).query;
+ * // { $and: [ { color: 'red' }, { owner: { $in: [ 'me', 'team' ] } }, { archived: false } ] }
+ * ```
+ *
+ * The result keeps the `where` and `collation` options of
+ * the filters, which must all have the same options and the
+ * operators of `filter`, or a `filter.FilterQueryError`
+ * is thrown.
+ *
+ * @param {Filter|Object} filters or queries
+ * @return {Filter} filter
+ * @api public
+ */
+
+Filter.and = function () {
+  return combine(Filter, operators, '$and', arguments);
+};
+
+/**
+ * ### filter.or (filter, ...)
+ *
+ * Combine filters, or queries, into a filter that
+ * passes when any of them pass.
+ *
+ * @param {Filter|Object} filters or queries
+ * @return {Filter} filter
+ * @api public
+ */
+
+Filter.or = function () {
+  return combine(Filter, operators, '$or', arguments);
+};
+
+/**
+ * ### filter.where ([path][, options])
+ *
+ * Start building a query with a chain of conditions, as
+ * an alternative to writing the query by hand. Each operator
+ * method adds a condition on the path given to the last
+ * `where`, and is validated as it is added so mistakes throw
+ * a `filter.FilterQueryError` straight away.
+ *
+ * ```js
+ * var q = filter.where('a.b').gt(75).lt(125)
+ *   .or(function (q) { return q.where('c').in([ 'x', 'y' ]); }
+ *     , function (q) { return q.where('d').exists(false); })
+ *   .build();
+ *
+ * q.query;
+ * // { 'a.b': { $gt: 75, $lt: 125 }
+ * // , $or: [ { c: { $in: [ 'x', 'y' ] } }, { d: { $exists: false } } ] }
+ * ```
+ *
+ * The operator methods are `eq`, `ne`, `gt`, `gte`, `lt`, `lte`,
+ * `in`, `nin`, `all`, `size`, `exists` (which defaults to `true`),
+ * `mod(divisor, remainder)`, `regex(pattern[, options])` and
+ * `elemMatch(query)`. Any other operator, such as one added with
+ * `filter.operator`, can be used with `op(name, value)`. Calling
+ * `not()` negates the next operator with `$not`.
+ *
+ * The logical methods `and`, `or` and `nor` take queries, or
+ * functions that are given a new builder, and add a statement
+ * alongside those of the paths. `elemMatch` accepts the same.
+ *
+ * Conditions always use explicit operators, such as `$eq`,
+ * so objects are never mistaken for operator expressions.
+ * Conditions that would replace one another, such as two `gt`
+ * on a path, are kept in an `$and`. `toQuery()` returns the
+ * plain query and `build([options])` constructs the filter.
+ *
+ * The `options` are those of `filter`. They are used to
+ * validate each condition, so `{ where: true }` allows `$where`,
+ * and are passed to `build` along with any given there.
+ *
+ * ```js
+ * filter.where(null, { where: true })
+ *   .and({ $where: function () { return this.a > this.b; } })
+ *   .build();
+ * ```
+ *
+ * @param {String} path (optional)
+ * @param {Object} options (optional)
+ * @return {Builder} builder
+ * @api public
+ */
+
+Filter.where = function (path, opts) {
+  return new Builder(Filter, opts).where(path);
+};
+
+/**
+ * ### filter.fromJSON (json[, options])
+ *
+ * Rehydrate a filter from the Extended JSON written by
+ * `.toJSON()`, given as a string or as parsed JSON. The
+ * options are those of `filter`. The decoded query is
+ * validated, so operators that are not registered and
+ * malformed wrappers throw a `filter.FilterQueryError`.
+ *
+ * ```js
+ * var json = JSON.stringify(filter({ at: { $gt: new Date(0) }, name: /^a/i }));
+ * // '{"at":{"$gt":{"$date":"1970-01-01T00:00:00.000Z"}},"name":{"$regex":"^a","$options":"i"}}'
+ *
+ * filter.fromJSON(json).test({ at: new Date(), name: 'Alice' }); // true
+ * ```
+ *
+ * @param {String|Object} json
+ * @param {Object} options (optional)
+ * @return {Filter} filter
+ * @api public
+ */
+
+Filter.fromJSON = function (json, opts) {
+  return new Filter(parseJSON(json), opts);
+};
+
+/**
+ * ### filter.ndjson ()
+ *
+ * Create a Node.js Transform stream that parses newline
+ * delimited JSON into objects, ready to be piped into
+ * `.stream()`. Blank lines and lines of `null` are skipped.
+ * A line that cannot be parsed emits a `SyntaxError` with
+ * its line number.
+ *
+ * ```js
+ * fs.createReadStream('events.ndjson')
+ *   .pipe(filter.ndjson())
+ *   .pipe(filter({ type: 'click' }).stream({ limit: 10 }))
+ *   .on('data', console.log);
+ * ```
+ *
+ * Not available in the browser.
+ *
+ * @return {Transform} stream
+ * @api public
+ */
+
+Filter.ndjson = function () {
+  return require('./filter/stream').ndjson();
+};
+
+/**
+ * ### filter.create (options)
+ *
+ * Create a filter function with its own set of operators,
+ * extending those registered globally. Operators added
+ * to the new set are not visible to `filter` or to
+ * other sets. The `operators` option maps names to
+ * either a comparator or an object of `fn` and the
+ * options accepted by `filter.operator`.
+ *
+ * ```js
+ * var dialect = filter.create({
+ *   operators: {
+ *     $startsWith: function (a, b) { return a.indexOf(b) === 0; }
+ *   , $xor: { fn: xor, kind: 'logical' }
+ *   }
+ * });
+ *
+ * dialect.operator('$endsWith', endsWith);
+ * dialect({ name: { $startsWith: 'he' } }).test({ name: 'hello' });
+ * ```
+ *
+ * The returned function has its own `operator`, `validate`,
+ * `aggregate`, `and`, `or`, `where`, `fromJSON`, `ndjson`,
+ * `Collection`, `comparators` and `create`.
+ *
+ * @param {Object} options
+ * @return {Function} filter
+ * @api public
+ */
+
+Filter.create = function (opts) {
+  var set = toOperators(opts && opts.operators);
+
+  function dialect (query, opts) {
+    var o = {};
+    for (var key in opts) o[key] = opts[key];
+    o.operators = set;
+    return new Filter(query, o);
+  }
+
+  dialect.comparators = set.comparators;
+  dialect.FilterQueryError = FilterQueryError;
+
+  dialect.operator = function (name, fn, opts) {
+    set.define(name, fn, opts);
+    return dialect;
+  };
+
+  dialect.validate = function (query, opts) {
+    return validate(query, set, opts);
+  };
+
+  dialect.aggregate = function (data, pipeline) {
+    return aggregate(data, pipeline, matcher({ operators: set }));
+  };
+
+  dialect.and = function () {
+    return combine(dialect, set, '$and', arguments);
+  };
+
+  dialect.or = function () {
+    return combine(dialect, set, '$or', arguments);
+  };
+
+  dialect.where = function (path, opts) {
+    return new Builder(dialect, opts).where(path);
+  };
+
+  dialect.fromJSON = function (json, opts) {
+    return dialect(parseJSON(json), opts);
+  };
+
+  dialect.Collection = Collection.extend(dialect, runtime.builtins);
+  dialect.ndjson = Filter.ndjson;
+
+  dialect.create = function (opts) {
+    var child = toOperators(opts && opts.operators, set);
+    return Filter.create({ operators: child });
+  };
+
+  return dialect;
+};
+
 /**
  * ### .test (data)
  *
@@ -114,11 +621,13 @@ function Filter (query) {
  */
 
 Filter.prototype.test = function (data, opts) {
-  return testFilter(data, this.stack);
+  return this.compiled
+    ? this.compiled(data)
+    : testFilter([ data ], this.stack, false);
 };
 
 /**
- * ### .subset (data)
+ * ### .subset (data[, options])
  *
  * Test an array of data points against the query. Will return
  * an array of all data points that pass the query criteria.
@@ -142,17 +651,76 @@ Filter.prototype.test = function (data, opts) {
  *   ]);
  * ```
  *
+ * The `projection` option will return a copy of each data
+ * point with only some of its fields, in the style of MongoDB.
+ * Listing paths with `1` includes only those paths, while `0`
+ * includes everything else. `$slice` limits an array to
+ * `n` elements (negative counts from the end) or to
+ * `[ skip, limit ]`, and `$elemMatch` keeps only the
+ * first element of an array matching a query.
+ *
+ * ```js
+ * filter({ 'a.b': 50 }).subset(dataComplex, {
+ *   projection: { 'a.b': 1, d: { $elemMatch: { e: 'galaxy' } } }
+ * });
+ * // [ { a: { b: 50 }, d: [ { e: 'galaxy' } ] } ]
+ *
+ * filter({}).subset(dataComplex, { projection: { a: 0, d: { $slice: -1 } } });
+ * ```
+ *
+ * Inclusion and exclusion cannot be mixed and the same path
+ * cannot be listed twice. Objects along the projected paths are
+ * copied but the included values are not cloned.
+ *
+ * The `sort`, `skip` and `limit` options page through the
+ * results. `sort` lists paths with `1` for ascending or `-1`
+ * for descending order and is stable. Values of different
+ * types are ordered as by `filter.compare`. A `limit` of `0`
+ * is the same as no limit. Without `sort`, testing stops
+ * once `skip + limit` data points have passed.
+ *
+ * ```js
+ * filter({ c: 'testC' }).subset(dataComplex, {
+ *     sort: { 'a.b': 1 }
+ *   , skip: 0
+ *   , limit: 1
+ * });
+ * // [ dataComplex[1] ]
+ * ```
+ *
+ * A query with `$text` may sort by the relevance of each data
+ * point, highest first, with `{ $meta: 'textScore' }` in place
+ * of the direction. Without a `sort`, a query with `$near` or
+ * `$nearSphere` returns data points nearest first, as it would
+ * with `{ $meta: 'geoNearDistance' }`. The `textIndex` option
+ * takes a `filter.TextIndex` of the same data, so that only
+ * the data points with the words searched for are tested. It is
+ * only used when the search is part of every match and has the
+ * same `$fields` and `$language` as the index.
+ *
+ * ```js
+ * var index = new filter.TextIndex(products, { fields: [ 'description' ] });
+ *
+ * filter({ $text: { $search: 'running shoe', $fields: [ 'description' ] } })
+ *   .subset(products, { sort: { score: { $meta: 'textScore' } }, textIndex: index });
+ * ```
+ *
  * @param {Array} data
+ * @param {Object} options (optional)
  * @return {Array} result
  */
 
-Filter.prototype.subset = function (data) {
-  var res = []
+Filter.prototype.subset = function (data, opts) {
+  var project = opts && opts.projection
+      ? projection(opts.projection, matcher(derive(this)))
+      : null
+    , index = select(this, data, opts)
+    , res = []
     , datum;
 
-  for (var di = 0; di < data.length; di++) {
-    datum = data[di];
-    if (testFilter(datum, this.stack)) res.push(datum);
+  for (var i = 0; i < index.length; i++) {
+    datum = data[index[i]];
+    res.push(project ? project(datum) : datum);
   }
 
   return res;
@@ -191,19 +759,20 @@ Filter.prototype.subset = function (data) {
  */
 
 Filter.prototype.pass = function (data) {
-  var res = []
+  var test = predicate(this)
+    , res = []
     , datum;
 
   for (var di = 0; di < data.length; di++) {
     datum = data[di];
-    res.push(testFilter(datum, this.stack));
+    res.push(test(datum));
   }
 
   return res;
 };
 
 /**
- * ### .index (data)
+ * ### .index (data[, options])
  *
  * Test an array of data points against the query. Will return
  * an array of numbers indicating the indexes of the original
@@ -225,97 +794,562 @@ Filter.prototype.pass = function (data) {
  *   .and.deep.equal([ 0, 2 ]);
  * ```
  *
+ * The `sort`, `skip`, `limit` and `textIndex` options
+ * are accepted as for `.subset`.
+ *
  * @param {Array} data
+ * @param {Object} options (optional)
  * @return {Array} result
  */
 
-Filter.prototype.index = function (data) {
-  var res = []
-    , datum;
+Filter.prototype.index = function (data, opts) {
+  return select(this, data, opts);
+};
 
-  for (var di = 0; di < data.length; di++) {
-    datum = data[di];
-    if (testFilter(datum, this.stack)) res.push(di);
+/**
+ * ### .score (data)
+ *
+ * Get the relevance of a data point to the `$text` searches
+ * of the query, which are not under a path or a negation.
+ * Data points that do not match a search score `0`.
+ *
+ * ```js
+ * var q = filter({ $text: { $search: 'red shoe' } });
+ * q.score({ title: 'red shoe' }); // 1
+ * q.score({ title: 'red running shoe' }); // 0.6666666666666666
+ * ```
+ *
+ * @param {Mixed} data
+ * @return {Number} score
+ * @api public
+ */
+
+Filter.prototype.score = function (data) {
+  var list = searches(this.stack, [])
+    , res = 0;
+
+  for (var i = 0; i < list.length; i++) {
+    res += list[i].score(data);
   }
 
   return res;
 };
 
 /**
- * ### .comparators
+ * ### .distance (data)
  *
- * The following are the comparators implemented
- * for use as part of a query. They can also be used
- * for simple comparation, such as `filter.comparators.$eq(2,2)`,
- * which would return `true`.
+ * Get the distance of a data point from the point of
+ * the first `$near` or `$nearSphere` of the query, in
+ * its units, from the nearest point at its path. Will
+ * return `null` if there is no such comparator or no
+ * point at the path.
+ *
+ * ```js
+ * filter({ at: { $near: [ 0, 0 ] } }).distance({ at: [ 3, 4 ] }); // 5
+ * ```
+ *
+ * @param {Mixed} data
+ * @return {Number} distance
+ * @api public
  */
 
-Filter.comparators = {
-
-    /**
-     * ##### $gt (a, b)
-     *
-     * Assert `a` is greater than `b`.
-     *
-     * @param {Number} a
-     * @param {Number} b
-     * @return {Boolean}
-     * @api public
-     */
+Filter.prototype.distance = function (data) {
+  var found = nearest(this.stack)
+    , res = null
+    , vals, d;
 
-    $gt: function (a, b) {
-      return a > b;
-    }
+  if (!found) return null;
+  vals = found.segs ? path.expand(resolve([ data ], found.segs)) : [ data ];
 
-    /**
-     * ##### $gte (a, b)
-     *
-     * Assert `a` is greater than or equal to `b`.
-     *
-     * @param {Number} a
-     * @param {Number} b
-     * @return {Boolean}
-     * @api public
-     */
+  for (var i = 0; i < vals.length; i++) {
+    d = found.near.distance(vals[i]);
+    if (null !== d && (null === res || d < res)) res = d;
+  }
 
-  , $gte: function (a, b) {
-      return a >= b;
-    }
+  return res;
+};
 
-    /**
-     * ##### $lt (a, b)
-     *
-     * Assert `a` is less than `b`.
-     *
-     * @param {Number} a
-     * @param {Number} b
+/**
+ * ### .explain ([data])
+ *
+ * Describe how the query was parsed, as a tree in which
+ * implicit comparators are explicit. Each node has the `op`
+ * of its comparator and, if it applies to a path, the `path`.
+ * Value comparators have their `operand`, and logical
+ * comparators, or those that take a query such as `$elemMatch`,
+ * have `children`. Statements that must all pass are grouped
+ * under an `$and` node.
+ *
+ * ```js
+ * filter({ a: { b: 1 }, c: { $gt: 2, $lt: 5 } }).explain();
+ * // { op: '$and', children: [
+ * //     { path: 'a', op: '$eq', operand: { b: 1 } }
+ * //   , { path: 'c', op: '$gt', operand: 2 }
+ * //   , { path: 'c', op: '$lt', operand: 5 } ] }
+ * ```
+ *
+ * Given a data point, each node also has the `values` its
+ * comparator was tested against, after following the path, and
+ * its `result`. Queries of logical comparators that were not
+ * needed for the result are marked as `skipped`.
+ *
+ * ```js
+ * filter({ 'd.e': 'galaxy' }).explain(dataComplex[0]);
+ * // { path: 'd.e', op: '$eq', operand: 'galaxy'
+ * // , values: [ 'world' ], result: false }
+ * ```
+ *
+ * @param {Mixed} data (optional)
+ * @return {Object} tree
+ * @api public
+ */
+
+Filter.prototype.explain = function (data) {
+  return arguments.length
+    ? explain.trace(this.stack, data)
+    : explain(this.stack);
+};
+
+/**
+ * ### .stream ([options])
+ *
+ * Create a Node.js Transform stream in object mode that
+ * passes through the data points written to it that pass
+ * the query criteria.
+ *
+ * ```js
+ * var q = filter({ 'a.b': { $gt: 75 } });
+ *
+ * source
+ *   .pipe(q.stream({ projection: { c: 1 }, limit: 100 }))
+ *   .on('data', function (doc) { ... });
+ * ```
+ *
+ * The `projection`, `skip` and `limit` options are accepted
+ * as for `.subset`. Once `skip + limit` data points have passed
+ * the stream ends and any stream piped into it is unpiped, so
+ * that it is not read further. Sources are left open unless the
+ * `destroy` option is set, in which case they are destroyed too.
+ * Anything written after is ignored without being tested. A
+ * stream cannot be sorted.
+ *
+ * Not available in the browser.
+ *
+ * @param {Object} options (optional)
+ * @return {Transform} stream
+ * @api public
+ */
+
+Filter.prototype.stream = function (opts) {
+  return require('./filter/stream').filter(sieve(this, opts), !!(opts && opts.destroy));
+};
+
+/**
+ * ### .filterIterable (iterable[, options])
+ *
+ * Lazily test the data points of an iterable, such as an
+ * array or a generator, against the query. Returns an iterator
+ * of those that pass, which only pulls from the source as it
+ * is itself consumed. An async iterable, such as a Node.js
+ * readable stream, gives an async iterator.
+ *
+ * ```js
+ * var it = filter({ hello: true }).filterIterable(docs, { limit: 2 });
+ * for (var doc of it) console.log(doc);
+ *
+ * for await (var doc of q.filterIterable(readable)) { ... }
+ * ```
+ *
+ * The `projection`, `skip` and `limit` options are accepted as
+ * for `.stream`. Once `skip + limit` data points have passed, or
+ * the iterator is ended early with `break` or `return`, the
+ * source is closed with its own `return`.
+ *
+ * @param {Iterable} iterable or async iterable
+ * @param {Object} options (optional)
+ * @return {Iterator} iterator
+ * @api public
+ */
+
+Filter.prototype.filterIterable = function (iterable, opts) {
+  return iterate(iterable, sieve(this, opts));
+};
+
+/**
+ * ### .update (data, update[, options])
+ *
+ * Apply MongoDB style update operators, in place, to the
+ * first data point that passes the query, or to all of them
+ * with the `multi` option. Will return the number of data
+ * points that `matched` and the number that were `modified`.
+ *
+ * ```js
+ * var data = [ { name: 'a', n: 1, tags: [] }, { name: 'b', n: 2, tags: [] } ]
+ *   , res = filter({ n: { $gte: 1 } }).update(data, {
+ *         $inc: { n: 10 }
+ *       , $push: { tags: 'seen' }
+ *     }, { multi: true });
+ *
+ * res.should.deep.equal({ matched: 2, modified: 2, upserted: null });
+ * data[1].should.deep.equal({ name: 'b', n: 12, tags: [ 'seen' ] });
+ * ```
+ *
+ * The following update operators are supported, each taking
+ * an object of paths. Objects along a path are created when
+ * they do not exist.
+ *
+ * - `$set` and `$unset` set or remove a field.
+ * - `$inc` and `$mul` add to or multiply a number.
+ * - `$min` and `$max` set a field if the value is smaller or
+ *   larger, as ordered by `filter.compare`.
+ * - `$push` appends to an array. `{ $each: [ ... ] }` appends
+ *   several values and may be combined with `$position`, `$sort`
+ *   and `$slice`.
+ * - `$addToSet` appends values that are not already present.
+ *   `$each` is also accepted.
+ * - `$pull` removes the elements of an array that pass a query,
+ *   such as `{ $pull: { scores: { $lt: 50 } } }`, or that are
+ *   equal to a value.
+ * - `$rename` moves a field to a new path.
+ *
+ * The positional `$` segment, as in `{ $set: { 'grades.$': 82 } }`,
+ * refers to the first element of the array that passes the
+ * conditions the query places on that array.
+ *
+ * With the `upsert` option, if nothing matched, a new data point
+ * is built from the equality conditions of the query, updated and
+ * pushed onto `data`. It is returned as `upserted`.
+ *
+ * ```js
+ * var res = filter({ name: 'c' }).update(data, { $set: { n: 0 } }, { upsert: true });
+ * res.upserted.should.deep.equal({ name: 'c', n: 0 });
+ * ```
+ *
+ * A `filter.FilterQueryError` is thrown for an invalid update,
+ * and for an operator that cannot be applied to a data point,
+ * such as `$inc` of a string. Either way no data point is
+ * modified, as every update is applied to a copy before any
+ * is written back.
+ *
+ * @param {Array} data
+ * @param {Object} update
+ * @param {Object} options (optional)
+ * @return {Object} result
+ * @api public
+ */
+
+Filter.prototype.update = function (data, spec, opts) {
+  opts = opts || {};
+
+  var test = predicate(this)
+    , apply = update(spec, this.query, matcher(derive(this)))
+    , res = { matched: 0, modified: 0, upserted: null }
+    , docs = []
+    , copies = []
+    , doc, copy;
+
+  for (var di = 0; di < data.length; di++) {
+    if (!test(data[di])) continue;
+    res.matched++;
+    if ((copy = apply(data[di]))) {
+      docs.push(data[di]);
+      copies.push(copy);
+    }
+    if (!opts.multi) break;
+  }
+
+  for (var ci = 0; ci < docs.length; ci++) update.commit(docs[ci], copies[ci]);
+  res.modified = docs.length;
+
+  if (!res.matched && opts.upsert) {
+    doc = update.seed(this.query);
+    doc = apply(doc, true) || doc;
+    data.push(doc);
+    res.upserted = doc;
+  }
+
+  return res;
+};
+
+/**
+ * ### .not ()
+ *
+ * Get a filter that passes when this one does not.
+ *
+ * ```js
+ * filter({ a: { $gt: 5 } }).not().query;
+ * // { $nor: [ { a: { $gt: 5 } } ] }
+ * ```
+ *
+ * @return {Filter} filter
+ * @api public
+ */
+
+Filter.prototype.not = function () {
+  return new Filter({ $nor: [ this.query ] }, derive(this));
+};
+
+/**
+ * ### .simplify ([options])
+ *
+ * Get an equivalent filter with a simpler query. Nested
+ * logical comparators are flattened, duplicate conditions
+ * are removed and range bounds on the same path are merged.
+ * Conditions are made explicit, with paths pushed down
+ * through `$and` and `$or` and `$not` written as `$nor`.
+ *
+ * ```js
+ * filter.and({ a: { $gt: 5 } }, { $and: [ { a: { $gt: 7, $lte: 9 } }, { b: 1 } ] })
+ *   .simplify().query;
+ * // { a: { $gt: 7, $lte: 9 }, b: { $eq: 1 } }
+ * ```
+ *
+ * Conditions that contradict each other, such as `$eq: 1` and
+ * `$ne: 1`, are replaced by a query that never matches,
+ * `{ $nor: [ {} ] }`. As an array may hold both `1` and `2`,
+ * conditions such as `$eq: 1` and `$eq: 2`, or `$gt: 5` and
+ * `$lt: 3`, only contradict each other with the `arrays` option
+ * set to `false`, promising that no path holds an array.
+ *
+ * ```js
+ * filter({ $and: [ { a: 1 }, { a: 2 } ] }).simplify({ arrays: false }).query;
+ * // { $nor: [ {} ] }
+ * ```
+ *
+ * Only the built-in comparators are simplified. Others, and
+ * those replaced in a set with `filter.create`, are kept as
+ * they are.
+ *
+ * @param {Object} options (optional)
+ * @return {Filter} filter
+ * @api public
+ */
+
+Filter.prototype.simplify = function (opts) {
+  var query = algebra.simplify(this.stack, runtime.builtins, opts);
+  return new Filter(query, derive(this));
+};
+
+/**
+ * ### .equals (filter)
+ *
+ * Determine if another filter, or query, has the same
+ * conditions once both are simplified, in any order, and
+ * the same collation. Filters of dialects that define an
+ * operator differently are never equal.
+ *
+ * ```js
+ * filter({ a: 1, b: { $gt: 2 } })
+ *   .equals({ $and: [ { b: { $gt: 2 } }, { a: { $eq: 1 } } ] }); // true
+ * ```
+ *
+ * @param {Filter|Object} filter or query
+ * @return {Boolean} equal
+ * @api public
+ */
+
+Filter.prototype.equals = function (other) {
+  if (!(other instanceof Filter)) other = new Filter(other, derive(this));
+  if (!equal(collatorOptions(this), collatorOptions(other))) return false;
+  if (!sameOperators(this, other)) return false;
+  return algebra.key(this.stack, runtime.builtins) === algebra.key(other.stack, runtime.builtins);
+};
+
+/**
+ * ### .toJSON ()
+ *
+ * Get the query as Extended JSON, so that it can be sent
+ * with `JSON.stringify` and rehydrated with `filter.fromJSON`.
+ * Values that JSON cannot hold are wrapped: dates as
+ * `{ $date: iso }`, regular expressions as `{ $regex, $options }`,
+ * `undefined` as `{ $undefined: true }` and numbers that are not
+ * finite as `{ $numberDouble: 'Infinity' }`. Queries holding
+ * functions cannot be encoded.
+ *
+ * ```js
+ * filter({ a: { $in: [ /x/, undefined ] } }).toJSON();
+ * // { a: { $in: [ { $regex: 'x', $options: '' }, { $undefined: true } ] } }
+ * ```
+ *
+ * @return {Object} json
+ * @api public
+ */
+
+Filter.prototype.toJSON = function () {
+  return ejson.encode(this.query);
+};
+
+/**
+ * ### .toSQL (options)
+ *
+ * Translate the query into a SQL `WHERE` clause with bound
+ * parameters, returning `{ where, params }`. The `dialect`
+ * option is either `sqlite`, with `?` placeholders, or
+ * `postgres`, with `$1` placeholders.
+ *
+ * ```js
+ * filter({ age: { $gte: 18 }, $or: [ { role: { $in: [ 'admin', 'owner' ] } }, { 'meta.vip': true } ] })
+ *   .toSQL({ dialect: 'sqlite', columnMap: { role: 'users.role' } });
+ * // where: "age" >= ? AND ("users"."role" IN (?, ?) OR json_extract("meta", '$.vip') = ?)
+ * // params: [ 18, 'admin', 'owner', 1 ]
+ * ```
+ *
+ * The first segment of a path is the column and the rest is
+ * a path into its JSON, read with `json_extract` for sqlite
+ * and `#>>` for postgres, where the text is cast to the type
+ * of the operand. The `columnMap` option maps paths to column
+ * names, which may name their table. Paths into JSON do not
+ * look through arrays, except by index. As in memory, `$gt`,
+ * `$gte`, `$lt` and `$lte` only match JSON values of the type
+ * of their operand, with dates as strings, by checking the
+ * type with `json_type` or `json_typeof` first. Columns are
+ * compared as their declared types.
+ *
+ * The comparisons, `$in`, `$nin`, `$exists`, `$and`, `$or`,
+ * `$nor` and `$not` are translated, along with `$regex` for
+ * postgres, with the `i` flag at most. Missing values are
+ * `NULL`, so `$exists: true` and `$ne: null` are `IS NOT NULL`,
+ * and negations match them as they do in memory. Operands must
+ * be strings, numbers, booleans or dates, and a `null` operand
+ * matches `NULL`. For sqlite, booleans are bound as `1` or `0`
+ * and dates as ISO strings.
+ *
+ * Any other comparator, including those that are added or
+ * replaced, throws a `filter.FilterQueryError`.
+ *
+ * @param {Object} options
+ * @return {Object} `{ where, params }`
+ * @api public
+ */
+
+Filter.prototype.toSQL = function (opts) {
+  if (this.collator) throw new FilterQueryError('cannot translate a collation to SQL', 'collation');
+  return sql(this.stack, runtime.builtins, opts);
+};
+
+/**
+ * ### .compile ()
+ *
+ * Generate a single JavaScript function for the query,
+ * with path lookups, comparisons and logical operators
+ * inlined. Once compiled, `.test`, `.subset`, `.pass` and
+ * `.index` will use the generated function, which gives
+ * the same results as the default interpreter but is much
+ * faster when filtering large arrays. The `compile` option
+ * will compile the query when it is constructed.
+ *
+ * ```js
+ * var q = filter({ 'a.b': { $gt: 25, $lt: 75 }, c: 'testC' })
+ *   , fn = q.compile();
+ *
+ * fn({ a: { b: 50 }, c: 'testC' }).should.be.true;
+ * q.subset(dataComplex); // uses `fn`
+ *
+ * filter(query, { compile: true });
+ * ```
+ *
+ * Compiling uses `new Function`, which may be unavailable
+ * in environments with a strict content security policy.
+ *
+ * @return {Function} predicate
+ * @api public
+ */
+
+Filter.prototype.compile = function () {
+  if (!this.compiled) this.compiled = compile(this.stack, runtime);
+  return this.compiled;
+};
+
+/**
+ * ### .comparators
+ *
+ * The following are the comparators implemented
+ * for use as part of a query. They can also be used
+ * for simple comparation, such as `filter.comparators.$eq(2,2)`,
+ * which would return `true`.
+ */
+
+Filter.comparators = {
+
+    /**
+     * ##### $gt (a, b)
+     *
+     * Assert `a` is greater than `b`. Only values of the
+     * same type, as named by `filter.compare.type`, are
+     * compared, so `'10'` is not greater than `9` and `null`
+     * is neither greater nor less than `0`. Values are ordered
+     * as by `filter.compare`, with dates by their time, and
+     * `NaN` only compares with `NaN`.
+     *
+     * ```js
+     * filter({ age: { $gt: 9 } }).test({ age: '10' }); // false
+     * filter({ at: { $gt: new Date(2012, 0) } });
+     * ```
+     *
+     * @param {Mixed} a
+     * @param {Mixed} b
+     * @return {Boolean}
+     * @api public
+     */
+
+    $gt: function (a, b) {
+      return compare.ordered(a, b) > 0;
+    }
+
+    /**
+     * ##### $gte (a, b)
+     *
+     * Assert `a` is greater than or equal to `b`, when both are
+     * of the same type as with `$gt`.
+     *
+     * @param {Mixed} a
+     * @param {Mixed} b
+     * @return {Boolean}
+     * @api public
+     */
+
+  , $gte: function (a, b) {
+      return compare.ordered(a, b) >= 0;
+    }
+
+    /**
+     * ##### $lt (a, b)
+     *
+     * Assert `a` is less than `b`, when both are
+     * of the same type as with `$gt`.
+     *
+     * @param {Mixed} a
+     * @param {Mixed} b
      * @return {Boolean}
      * @api public
      */
 
   , $lt: function (a, b) {
-      return a < b;
+      return compare.ordered(a, b) < 0;
     }
 
     /**
      * ##### $lte (a, b)
      *
-     * Assert `a` is less than or equal to `b`.
+     * Assert `a` is less than or equal to `b`, when both are
+     * of the same type as with `$gt`.
      *
-     * @param {Number} a
-     * @param {Number} b
+     * @param {Mixed} a
+     * @param {Mixed} b
      * @return {Boolean}
      * @api public
      */
 
   , $lte: function (a, b) {
-      return a <= b;
+      return compare.ordered(a, b) <= 0;
     }
 
     /**
      * ##### $all (a, b)
      *
-     * Assert `a` contains at least all items in `b`.
+     * Assert `a` contains at least all items in `b`,
+     * using `filter.equal`. A value that is not an array
+     * is treated as an array of one item.
      *
      * @param {Array} a
      * @param {Array} b
@@ -324,8 +1358,9 @@ Filter.comparators = {
      */
 
   , $all: function (a, b) {
+      if (!Array.isArray(a)) a = [ a ];
       for (var i = 0; i < b.length; i++) {
-        if (!~a.indexOf(b[i])) return false;
+        if (!contains(a, b[i])) return false;
       }
       return true;
     }
@@ -333,7 +1368,15 @@ Filter.comparators = {
     /**
      * ##### $exists (a, b)
      *
-     * Assert truthiness of `a` equals `b`.
+     * Assert whether `a` is defined matches the truthiness
+     * of `b`. In a query, this tests whether the path is
+     * present in the data, so falsey values such as `0`,
+     * `''` and `null` exist.
+     *
+     * ```js
+     * filter({ count: { $exists: true } }).test({ count: 0 }); // true
+     * filter({ 'd.e': { $exists: false } }).test({ d: [ {} ] }); // true
+     * ```
      *
      * @param {Mixed} a
      * @param {Boolean} b
@@ -342,7 +1385,34 @@ Filter.comparators = {
      */
 
   , $exists: function (a, b) {
-      return !!a == b;
+      return (undefined !== a) === !!b;
+    }
+
+    /**
+     * ##### $type (a, b)
+     *
+     * Assert `a` is of the type `b`, or one of the list of
+     * types `b`, as named by `filter.compare.type`: `number`,
+     * `string`, `object`, `array`, `boolean`, `date`, `regex`
+     * or `null`. Missing values have no type. As with other
+     * comparators, an array also passes if one of its elements
+     * is of the type.
+     *
+     * ```js
+     * filter({ zip: { $type: 'string' } });
+     * filter({ at: { $type: [ 'date', 'null' ] } });
+     * ```
+     *
+     * @param {Mixed} a
+     * @param {String|Array} b
+     * @return {Boolean}
+     * @api public
+     */
+
+  , $type: function (a, b) {
+      var type = undefined === a ? null : compare.type(a);
+      if (!type) return false;
+      return Array.isArray(b) ? b.indexOf(type) != -1 : type === b;
     }
 
     /**
@@ -363,7 +1433,7 @@ Filter.comparators = {
     /**
      * ##### $eq (a, b)
      *
-     * Assert `a` equals (`===`) `b`.
+     * Assert `a` equals `b` using `filter.equal`.
      *
      * @param {Mixed} a
      * @param {Mixed} b
@@ -372,13 +1442,13 @@ Filter.comparators = {
      */
 
   , $eq: function (a, b) {
-      return a === b;
+      return equal(a, b);
     }
 
     /**
-     * ##### $eq (a, b)
+     * ##### $ne (a, b)
      *
-     * Assert `a` does not equal (`!==`) `b`.
+     * Assert `a` does not equal `b` using `filter.equal`.
      *
      * @param {Mixed} a
      * @param {Mixed} b
@@ -387,13 +1457,14 @@ Filter.comparators = {
      */
 
   , $ne: function (a, b) {
-      return a !== b;
+      return !equal(a, b);
     }
 
     /**
      * ##### $in (a, b)
      *
-     * Assert `a` is in `b` using `indexOf`.
+     * Assert `a` is in `b` using `filter.equal`. A string
+     * also passes if it matches a regular expression in `b`.
      *
      * @param {Mixed} a
      * @param {Array} b
@@ -402,13 +1473,14 @@ Filter.comparators = {
      */
 
   , $in: function (a, b) {
-      return ~b.indexOf(a) ? true : false;
+      return member(b, a);
     }
 
     /**
      * ##### $nin (a, b)
      *
-     * Assert `a` is not in `b` using `indexOf`.
+     * Assert `a` is not in `b` using `filter.equal`, nor
+     * a string that matches a regular expression in `b`.
      *
      * @param {Mixed} a
      * @param {Array} b
@@ -417,15 +1489,15 @@ Filter.comparators = {
      */
 
   , $nin: function (a, b) {
-      return ~b.indexOf(a) ? false : true;
+      return !member(b, a);
     }
 
     /**
      * ##### $size (a, b)
      *
-     * Assert `a` has length of `b`. Returns
-     * `false` if `a` does not have a length.
-     * property.
+     * Assert `a` is an array of exactly `b` elements,
+     * including zero. Returns `false` for any other value,
+     * even one with a length property.
      *
      * @param {Mixed} a
      * @param {Number} b
@@ -434,202 +1506,1606 @@ Filter.comparators = {
      */
 
   , $size: function (a, b) {
-      return (a && a.length && b) ? a.length == b : false;
+      return Array.isArray(a)
+        ? a.length === b
+        : false;
     }
 
     /**
-     * ##### $or (a)
+     * ##### $regex (a, b)
      *
-     * Assert `a` has at least one truthy value.
+     * Assert `a` is a string that matches the regular
+     * expression `b`. Options can be provided in a query
+     * alongside a string pattern using `$options`.
      *
-     * @param {Array} a
+     * ```js
+     * filter({ name: { $regex: '^foo', $options: 'i' } });
+     * filter({ name: /^foo/i });
+     * ```
+     *
+     * @param {String} a
+     * @param {RegExp|String} b
      * @return {Boolean}
      * @api public
      */
 
-  , $or: function (a) {
-      var res = false;
-      for (var i = 0; i < a.length; i++) {
-        var fn = a[i];
-        if (fn) res = true;
-      }
-      return res;
+  , $regex: function (a, b) {
+      if ('string' != typeof a) return false;
+      if (!isRegExp(b)) b = new RegExp(b);
+      if (b.global || b.sticky) b.lastIndex = 0;
+      return b.test(a);
     }
 
     /**
-     * ##### $nor (a)
+     * ##### $elemMatch (a, b)
      *
-     * Assert `a` has zero truthy values.
+     * Assert `a` is an array with at least one element
+     * that passes `b`. In a query, `b` is a subquery for
+     * each element, which may be field conditions or
+     * an operator expression.
+     *
+     * ```js
+     * filter({ d: { $elemMatch: { e: 'world', count: { $gt: 3 } } } });
+     * filter({ scores: { $elemMatch: { $gte: 80, $lt: 85 } } });
+     * ```
      *
      * @param {Array} a
+     * @param {Function} b test for each element
      * @return {Boolean}
      * @api public
      */
 
-  , $nor: function (a) {
-      var res = true;
+  , $elemMatch: function (a, b) {
+      if (!Array.isArray(a)) return false;
       for (var i = 0; i < a.length; i++) {
-        var fn = a[i];
-        if (fn) res = false;
+        if (b(a[i])) return true;
       }
-      return res;
+      return false;
     }
 
     /**
-     * ##### $and (a)
+     * ##### $expr (a, b)
      *
-     * Assert `a` has all truthy values.
+     * Assert the expression `b` is true for `a`, so that
+     * fields of the same document can be compared. Strings
+     * starting with `$` are paths within `a`, as in the
+     * expressions of `filter.aggregate`. The comparison
+     * operators `$eq`, `$ne`, `$gt`, `$gte`, `$lt` and `$lte`
+     * take two arguments and order values as `filter.compare`
+     * does. Expressions may also use `$and`, `$or`, `$not`,
+     * `$add`, `$subtract`, `$multiply`, `$divide`, `$cond`,
+     * `$concat`, `$toLower`, `$size` and `$literal`. Arithmetic
+     * and string operators result in `null` when an argument
+     * is missing or of the wrong type. Only `false`, `null`,
+     * `undefined`, `0` and `NaN` are not true.
      *
-     * @param {Array} a
+     * ```js
+     * filter({ $expr: { $gt: [ '$spent', '$budget' ] } });
+     * filter({ $expr: {
+     *   $lt: [ { $multiply: [ '$price', { $cond: [ '$member', 0.9, 1 ] } ] }, 10 ]
+     * } });
+     * ```
+     *
+     * @param {Mixed} a
+     * @param {Object|Function} b expression, or compiled expression
      * @return {Boolean}
      * @api public
      */
 
-  , $and: function (a) {
-      var res = true;
-      for (var i = 0; i < a.length; i++) {
-        var fn = a[i];
-        if (!fn) res = false;
-      }
-      return res;
+  , $expr: function (a, b) {
+      if ('function' != typeof b) b = expression(b, []);
+      return expression.truthy(b(a));
     }
-};
-
-/*!
- * Given the query input, create a re-usable definition
- * for how to test data again the query.
- *
- * @param {Object} query
- * @returns {Array} stack to be used with `Filtr.prototype.test`
- */
-
-function parseQuery (query) {
-  var stack = []
-    , params, qry;
 
-  for (var cmd in query) {
-    params = query[cmd];
-    qry = {};
+    /**
+     * ##### $where (a, b)
+     *
+     * Assert the function `b` returns a truthy value when
+     * called with `a`, which is also `this`. As queries may
+     * come from untrusted input, `$where` is only allowed
+     * when a filter is constructed with the `where` option.
+     *
+     * ```js
+     * filter({ $where: function () {
+     *   return this.items.length > this.limit;
+     * } }, { where: true });
+     * ```
+     *
+     * @param {Mixed} a
+     * @param {Function} b
+     * @return {Boolean}
+     * @api public
+     */
+
+  , $where: function (a, b) {
+      return !!b.call(a, a);
+    }
+
+    /**
+     * ##### $text (a, b)
+     *
+     * Assert `a` matches the words of the search `b.$search`.
+     * Words are found in lower case, without punctuation, and
+     * reduced to their English stem, so that `shoes` matches
+     * `shoe` and `running` matches `run`. Common words such as
+     * `the` are not searched for. A document matches when it has
+     * any of the words, but none of those with a leading `-`.
+     * Words in quotes are a phrase that must be found in order,
+     * and when there are phrases each of them must be found.
+     *
+     * The strings within `a`, at any depth, are searched, or only
+     * those at the paths of `$fields`, given as an array or as an
+     * object of paths and weights. `$language` is `english` (the
+     * default) or `none`, to not stem or skip any words.
+     *
+     * ```js
+     * filter({ $text: { $search: 'red -wool "running shoe"' } });
+     * filter({ $text: {
+     *     $search: 'leather boots'
+     *   , $fields: { title: 10, description: 1 }
+     * } });
+     * ```
+     *
+     * Matching documents have a relevance score, given by
+     * `.score`, which `.subset` and `.index` may sort by.
+     *
+     * @param {Mixed} a
+     * @param {Object} b search
+     * @return {Boolean}
+     * @api public
+     */
+
+  , $text: function (a, b) {
+      return text.search(b).score(a) > 0;
+    }
+
+    /**
+     * ##### $geoWithin (a, b)
+     *
+     * Assert the geometry `a` lies within the region `b`. A
+     * geometry is a GeoJSON object, such as `{ type: 'Point',
+     * coordinates: [ lng, lat ] }`, or a legacy `[ x, y ]` point.
+     * The region is one of the following, including its edges.
+     *
+     * - `$box`: the lower left and upper right corners.
+     * - `$polygon`: an array of at least three points.
+     * - `$center`: a center point and a radius.
+     * - `$centerSphere`: a center `[ lng, lat ]` and a radius
+     *   in radians, the distance in meters over `6378100`.
+     * - `$geometry`: a GeoJSON `Polygon` or `MultiPolygon`,
+     *   which may have holes.
+     *
+     * ```js
+     * filter({ position: { $geoWithin: { $box: [ [ 0, 0 ], [ 10, 10 ] ] } } });
+     * filter({ position: { $geoWithin: { $centerSphere: [ [ 2.35, 48.85 ], 10 / 6378.1 ] } } });
+     * ```
+     *
+     * Lines and polygons are within the region when each of
+     * their points is and none of their edges cross those
+     * of a polygon. Edges are straight lines of longitude
+     * and latitude, rather than paths over a sphere.
+     *
+     * @param {Mixed} a
+     * @param {Object} b region
+     * @return {Boolean}
+     * @api public
+     */
+
+  , $geoWithin: function (a, b) {
+      return geo.within(b).test(a);
+    }
+
+    /**
+     * ##### $geoIntersects (a, b)
+     *
+     * Assert the geometry `a` shares a point with the GeoJSON
+     * geometry `b.$geometry`, as `$geoWithin` treats them.
+     *
+     * ```js
+     * filter({ route: { $geoIntersects: { $geometry: {
+     *     type: 'Polygon'
+     *   , coordinates: [ [ [ 0, 0 ], [ 4, 0 ], [ 4, 4 ], [ 0, 4 ], [ 0, 0 ] ] ]
+     * } } } });
+     * ```
+     *
+     * @param {Mixed} a
+     * @param {Object} b geometry
+     * @return {Boolean}
+     * @api public
+     */
+
+  , $geoIntersects: function (a, b) {
+      return geo.intersects(b).test(a);
+    }
+
+    /**
+     * ##### $near (a, b)
+     *
+     * Assert `a` is a point near the point `b`, a GeoJSON
+     * `Point` as `b.$geometry` or a legacy `[ x, y ]` point.
+     * With `$geometry`, distances are in meters over the surface
+     * of the earth and `b.$maxDistance` and `b.$minDistance`
+     * limit the distance. A legacy point measures flat distances
+     * in its own units, limited by `$maxDistance` and `$minDistance`
+     * beside `$near`, and otherwise matches any point.
+     *
+     * ```js
+     * filter({ position: { $near: {
+     *     $geometry: { type: 'Point', coordinates: [ 2.35, 48.85 ] }
+     *   , $maxDistance: 5000
+     * } } });
+     *
+     * filter({ position: { $near: [ 0, 0 ], $maxDistance: 2 } });
+     * ```
+     *
+     * `.subset` and `.index` return the data points that pass
+     * in order of distance, nearest first, unless given a `sort`.
+     *
+     * @param {Mixed} a
+     * @param {Object|Array} b point
+     * @return {Boolean}
+     * @api public
+     */
+
+  , $near: function (a, b) {
+      return geo.near(b, false).test(a);
+    }
+
+    /**
+     * ##### $nearSphere (a, b)
+     *
+     * Assert `a` is a point near the point `b`, as for `$near`,
+     * but distances from a legacy `[ lng, lat ]` point are
+     * measured over a sphere, in radians, as are `$maxDistance`
+     * and `$minDistance` beside it.
+     *
+     * ```js
+     * filter({ position: { $nearSphere: [ 2.35, 48.85 ], $maxDistance: 0.01 } });
+     * ```
+     *
+     * @param {Mixed} a
+     * @param {Object|Array} b point
+     * @return {Boolean}
+     * @api public
+     */
+
+  , $nearSphere: function (a, b) {
+      return geo.near(b, true).test(a);
+    }
+
+    /**
+     * ##### $or (a)
+     *
+     * Assert `a` has at least one truthy value.
+     *
+     * @param {Array} a
+     * @return {Boolean}
+     * @api public
+     */
+
+  , $or: function (a) {
+      var res = false;
+      for (var i = 0; i < a.length; i++) {
+        var fn = a[i];
+        if (fn) res = true;
+      }
+      return res;
+    }
+
+    /**
+     * ##### $nor (a)
+     *
+     * Assert `a` has zero truthy values.
+     *
+     * @param {Array} a
+     * @return {Boolean}
+     * @api public
+     */
+
+  , $nor: function (a) {
+      var res = true;
+      for (var i = 0; i < a.length; i++) {
+        var fn = a[i];
+        if (fn) res = false;
+      }
+      return res;
+    }
+
+    /**
+     * ##### $and (a)
+     *
+     * Assert `a` has all truthy values.
+     *
+     * @param {Array} a
+     * @return {Boolean}
+     * @api public
+     */
+
+  , $and: function (a) {
+      var res = true;
+      for (var i = 0; i < a.length; i++) {
+        var fn = a[i];
+        if (!fn) res = false;
+      }
+      return res;
+    }
+
+    /**
+     * ##### $not (a)
+     *
+     * Assert the first value of `a` is falsey. In a query,
+     * the operand is a single operator expression or
+     * regular expression to negate.
+     *
+     * ```js
+     * filter({ tags: { $not: { $in: [ 'x' ] } } });
+     * filter({ name: { $not: /^foo/ } });
+     * ```
+     *
+     * @param {Array} a
+     * @return {Boolean}
+     * @api public
+     */
+
+  , $not: function (a) {
+      return !a[0];
+    }
+};
+
+/*!
+ * The global operator set, describing how each of the
+ * built-in comparators is parsed.
+ */
+
+var operators = new Operators(Filter.comparators, {
+    $gt: { kind: 'value' }
+  , $gte: { kind: 'value' }
+  , $lt: { kind: 'value' }
+  , $lte: { kind: 'value' }
+  , $all: { kind: 'value', branches: 'self', cost: 2, validate: Operators.expectArray }
+  , $exists: { kind: 'value', presence: true }
+
+  , $type: {
+        kind: 'value'
+      , validate: function (params) {
+          var list = Array.isArray(params) ? params : [ params ];
+          if (!list.length) return 'expected a type or a non-empty array of types';
+          for (var i = 0; i < list.length; i++) {
+            if ('string' != typeof list[i] || TYPES.indexOf(list[i]) == -1) {
+              return 'unknown type "' + list[i] + '"';
+            }
+          }
+        }
+    }
+
+  , $mod: {
+        kind: 'value'
+      , validate: function (params) {
+          if (!Array.isArray(params) || params.length !== 2
+          || 'number' != typeof params[0] || 'number' != typeof params[1]) {
+            return 'expected an array of [ divisor, remainder ]';
+          } else if (params[0] === 0) {
+            return 'divisor cannot be zero';
+          }
+        }
+    }
+
+  , $eq: { kind: 'value' }
+  , $ne: { kind: 'value', branches: 'all' }
+  , $in: { kind: 'value', cost: 2, validate: Operators.expectArray }
+  , $nin: { kind: 'value', branches: 'all', cost: 2, validate: Operators.expectArray }
+
+  , $size: {
+        kind: 'value'
+      , branches: 'self'
+      , validate: function (params) {
+          if ('number' != typeof params || params < 0 || params % 1) {
+            return 'expected a non-negative integer';
+          }
+        }
+    }
+
+  , $regex: {
+        kind: 'value'
+      , cost: 5
+      , validate: function (params) {
+          if (!isRegExp(params)) return 'expected a string or regular expression';
+        }
+    }
+
+  , $elemMatch: { kind: 'query', branches: 'self', cost: 3 }
+
+  , $expr: {
+        kind: 'value'
+      , branches: 'self'
+      , cost: 4
+      , prepare: function (params) {
+          return expression(params, []);
+        }
+    }
+
+  , $where: {
+        kind: 'value'
+      , branches: 'self'
+      , cost: 5
+      , validate: function (params) {
+          if ('function' != typeof params) return 'expected a function';
+        }
+    }
+
+  , $text: {
+        kind: 'value'
+      , branches: 'self'
+      , cost: 5
+      , prepare: function (params) {
+          return text.search(params);
+        }
+    }
+
+  , $geoWithin: {
+        kind: 'value'
+      , cost: 4
+      , prepare: function (params) {
+          return geo.within(params);
+        }
+    }
+
+  , $geoIntersects: {
+        kind: 'value'
+      , cost: 4
+      , prepare: function (params) {
+          return geo.intersects(params);
+        }
+    }
+
+  , $near: {
+        kind: 'value'
+      , cost: 3
+      , prepare: function (params) {
+          return geo.near(params, false);
+        }
+    }
+
+  , $nearSphere: {
+        kind: 'value'
+      , cost: 3
+      , prepare: function (params) {
+          return geo.near(params, true);
+        }
+    }
+  , $or: { kind: 'logical', circuit: true, validate: Operators.expectQueries }
+  , $nor: { kind: 'logical', circuit: true, validate: Operators.expectQueries }
+  , $and: { kind: 'logical', circuit: false, validate: Operators.expectQueries }
+
+  , $not: {
+        kind: 'logical'
+      , validate: function (params) {
+          if (isRegExp(params)) return;
+          if (!isObject(params) || !Object.keys(params).length) {
+            return 'expected an operator expression';
+          }
+          for (var key in params) {
+            if (key[0] != '$') return 'expected an operator expression';
+          }
+        }
+    }
+});
+
+/*!
+ * Interpreter internals available to compiled queries.
+ */
+
+var runtime = {
+    test: testFilter
+  , has: path.has
+  , builtins: {}
+};
+
+for (var name in Filter.comparators) {
+  runtime.builtins[name] = Filter.comparators[name];
+}
+
+/**
+ * ### filter.Collection (docs)
+ *
+ * An in-memory collection of documents with indexes
+ * that queries are planned against. Each query first uses
+ * an index, if it can, to find the candidate documents and
+ * then tests them as `.subset` would, so results are always
+ * the same as those of a plain `.subset`.
+ *
+ * ```js
+ * var people = new filter.Collection(docs);
+ *
+ * people
+ *   .createIndex('address.city')
+ *   .createIndex('age', { type: 'sorted' });
+ *
+ * people.find({ 'address.city': 'Paris', age: { $gte: 18 } }, { sort: { age: 1 } });
+ * people.plan({ 'address.city': 'Paris' }); // { indexes: [ 'address.city' ], candidates: 120 }
+ * ```
+ *
+ * A `hash` index, the default, is used for `$eq` and `$in`
+ * conditions, and a `sorted` index is also used for `$gt`, `$gte`,
+ * `$lt` and `$lte` conditions with a number. The candidates of
+ * each indexed condition that must pass are intersected, while `$or`
+ * only uses indexes if each of its queries can.
+ *
+ * A collection has the following methods, each taking a query
+ * or a filter.
+ *
+ * - `.insert(docs)` adds a document or an array of documents.
+ * - `.find(query[, options])` returns documents as `.subset` does.
+ * - `.count(query)` returns the number of documents that pass.
+ * - `.update(query, update[, options])` updates documents as
+ *   `.update` does.
+ * - `.remove(query)` removes documents that pass, returning
+ *   the number removed.
+ * - `.createIndex(path[, options])` and `.dropIndex(path)`.
+ * - `.plan(query)` returns the `indexes` a query would use and
+ *   the number of `candidates` it would test.
+ * - `.toArray()` returns the documents in the order inserted.
+ *
+ * Documents are held by reference. Changing an indexed field
+ * other than through `.update` leaves its index out of date.
+ *
+ * @param {Array} documents (optional)
+ * @api public
+ */
+
+Filter.Collection = Collection.extend(Filter, runtime.builtins);
+
+/**
+ * ### filter.LiveView (filter, source[, options])
+ *
+ * Keep the results of a filter up to date as a source of
+ * documents changes, testing only the document that changed
+ * rather than the whole source. The source is anything with an
+ * `on` method, such as an event emitter, that emits `insert`,
+ * `update` and `remove` with a document. An `update` of a
+ * document replaced by another, rather than changed in place,
+ * also gives the `previous` document. Its starting documents
+ * are the `docs` option, or `source.toArray()` if it has one.
+ *
+ * ```js
+ * var view = new filter.LiveView(filter({ done: false }), todos, {
+ *   sort: { due: 1 }
+ * });
+ *
+ * view.on('added', function (doc, index) { ... });
+ * view.on('removed', function (doc, index) { ... });
+ * view.on('changed', function (doc, index, from) { ... });
+ *
+ * todos.emit('insert', { title: 'write docs', done: false, due: 3 });
+ * view.results; // [ ..., { title: 'write docs', ... }, ... ]
+ * ```
+ *
+ * `results` holds the documents that pass, in the order they
+ * were added, or kept in the order of the `sort` option as by
+ * `.subset`. Each event gives the document and its index in
+ * `results`, and `changed` also gives the index it had before
+ * the change. Documents are tracked by reference. Call
+ * `destroy()` to stop listening to the source, with its `off`
+ * or `removeListener` method.
+ *
+ * @param {Filter} filter
+ * @param {Object} source
+ * @param {Object} options (optional)
+ * @api public
+ */
+
+Filter.LiveView = LiveView;
+
+/**
+ * ### filter.TextIndex (data[, options])
+ *
+ * An inverted index of the words in an array of data points,
+ * for the `textIndex` option of `.subset` and `.index`, which
+ * only tests the data points that have the words of a `$text`
+ * search. The `fields` and `language` options must be the same
+ * as the `$fields` and `$language` of the search for the index
+ * to be used.
+ *
+ * ```js
+ * var index = new filter.TextIndex(products, { fields: { title: 10, description: 1 } });
+ *
+ * filter({ $text: { $search: 'boots', $fields: { title: 10, description: 1 } } })
+ *   .subset(products, { textIndex: index });
+ * ```
+ *
+ * The index is of the data as it was when the index was built,
+ * so it must be built again once the data changes.
+ *
+ * @param {Array} data
+ * @param {Object} options (optional)
+ * @api public
+ */
+
+Filter.TextIndex = text.TextIndex;
+
+/*!
+ * Given operator definitions, as accepted by `filter.create`,
+ * return a set extending `parent` (or the global set).
+ *
+ * @param {Object|Operators} definitions
+ * @param {Operators} parent
+ * @return {Operators} set
+ * @api private
+ */
+
+function toOperators (defs, parent) {
+  if (defs instanceof Operators) return defs;
+
+  var set = (parent || operators).extend()
+    , def;
+
+  for (var name in defs) {
+    def = defs[name];
+    if ('function' == typeof def) set.define(name, def);
+    else set.define(name, def && def.fn, def);
+  }
+
+  return set;
+}
+
+/*!
+ * Parse a query against a set of operators and
+ * return all problems found.
+ *
+ * @param {Object} query
+ * @param {Operators} set
+ * @param {Object} options (optional)
+ * @return {Array} problems
+ * @api private
+ */
+
+function validate (query, set, opts) {
+  var ctx = { errors: [], operators: set, where: !!(opts && opts.where) };
+  parseQuery(query, ctx, []);
+  return ctx.errors;
+}
+
+/*!
+ * Given the query input, create a re-usable definition
+ * for how to test data again the query. Problems found
+ * are added to `ctx.errors`.
+ *
+ * @param {Object} query
+ * @param {Object} parse context
+ * @param {Array} location of query for error reporting
+ * @returns {Array} stack to be used with `Filtr.prototype.test`
+ */
+
+function parseQuery (query, ctx, loc) {
+  var stack = []
+    , ops = null
+    , params, qry, opsQry;
+
+  if (null == query && !loc.length) return stack;
+  if (isRegExp(query)) query = { $regex: query };
+  if (!isObject(query)) {
+    problem(ctx, loc, 'expected a query object');
+    return stack;
+  }
+
+  for (var cmd in query) {
+    params = query[cmd];
+    qry = {};
 
     if (cmd[0] == '$') {
-      qry.test = parseFilter(query);
-    } else if ('string' == typeof params
-    || 'number' == typeof params
-    || 'boolean' == typeof params) {
-      qry.test = parseFilter({ $eq: params });
-      qry.path = cmd;
+      if (!ops) {
+        ops = {};
+        stack.push(opsQry = qry);
+      }
+      ops[cmd] = params;
+      continue;
+    } else if (isRegExp(params)) {
+      qry.test = [ parseOperator('$regex', params, ctx, loc.concat(cmd)) ];
+    } else if (isOperators(params)) {
+      qry.test = parseFilter(params, ctx, loc.concat(cmd));
     } else {
-      qry.test = parseFilter(params);
-      qry.path = cmd;
+      qry.test = [ parseOperator('$eq', params, ctx, loc.concat(cmd)) ];
+    }
+
+    qry.path = cmd;
+    qry.segments = path.parse(cmd);
+
+    stack.push(qry);
+  }
+
+  if (ops) opsQry.test = parseFilter(ops, ctx, loc);
+  return stack;
+};
+
+/*!
+ * Given that the root object passed is a comparator definition,
+ * return a consumable test definition.
+ *
+ * @param {Object} query
+ * @param {Object} parse context
+ * @param {Array} location of query for error reporting
+ * @returns {Array} stack for use as input with `testFilter`
+ */
+
+function parseFilter (query, ctx, loc) {
+  var stack = []
+    , params;
+
+  for (var test in query) {
+    params = query[test];
+
+    if (test == '$options') {
+      if (!('$regex' in query)) {
+        problem(ctx, loc.concat(test), '$options requires $regex');
+      }
+      continue;
+    } else if (test == '$regex') {
+      params = parseRegExp(params, query.$options, ctx, loc.concat(test));
+      if (!params) continue;
+    } else if (test == '$maxDistance' || test == '$minDistance') {
+      if (!Array.isArray(query.$near) && !Array.isArray(query.$nearSphere)) {
+        problem(ctx, loc.concat(test), test + ' requires $near or $nearSphere with a legacy point');
+      }
+      continue;
+    } else if ((test == '$near' || test == '$nearSphere') && Array.isArray(params)) {
+      params = parseNear(params, query, ctx, loc);
+      if (!params) continue;
+    }
+
+    stack.push(parseOperator(test, params, ctx, loc));
+  }
+
+  return stack;
+};
+
+/*!
+ * Combine a legacy point of `$near` or `$nearSphere`
+ * with the `$maxDistance` and `$minDistance` operands
+ * beside it, which are in the units of the point.
+ *
+ * @param {Array} point
+ * @param {Object} operator expression
+ * @param {Object} parse context
+ * @param {Array} location of the expression
+ * @returns {Array|Object} operand or `null` if invalid
+ */
+
+function parseNear (point, query, ctx, loc) {
+  var res = { $geometry: point }
+    , merged = false
+    , valid = true
+    , name;
+
+  for (var i = 0; i < NEAR_DISTANCES.length; i++) {
+    name = NEAR_DISTANCES[i];
+    if (!(name in query)) continue;
+
+    if ('number' != typeof query[name] || !(query[name] >= 0)) {
+      problem(ctx, loc.concat(name), 'expected a non-negative number');
+      valid = false;
+    }
+
+    res[name] = query[name];
+    merged = true;
+  }
+
+  if (!valid) return null;
+  return merged ? res : point;
+}
+
+/*!
+ * Combine the `$regex` and `$options` operands of an
+ * operator expression into a regular expression.
+ *
+ * @param {String|RegExp} pattern
+ * @param {String} options
+ * @param {Object} parse context
+ * @param {Array} location of `$regex`
+ * @returns {RegExp} or `null` if invalid
+ */
+
+function parseRegExp (pattern, options, ctx, loc) {
+  if (isRegExp(pattern) && undefined === options) return pattern;
+
+  if (isRegExp(pattern)) {
+    pattern = pattern.source;
+  } else if ('string' != typeof pattern) {
+    problem(ctx, loc, 'expected a string or regular expression');
+    return null;
+  }
+
+  if (undefined !== options
+  && ('string' != typeof options || !/^[imsu]*$/.test(options))) {
+    problem(ctx, loc, 'invalid $options "' + options + '"');
+    return null;
+  }
+
+  try {
+    return new RegExp(pattern, options);
+  } catch (ex) {
+    problem(ctx, loc, 'invalid regular expression: ' + ex.message);
+    return null;
+  }
+}
+
+/*!
+ * Parse a single comparator and its parameters into
+ * a test definition, validating the parameters.
+ *
+ * @param {String} comparator name
+ * @param {Mixed} params
+ * @param {Object} parse context
+ * @param {Array} location of comparator's parent
+ * @returns {Object} test definition
+ */
+
+function parseOperator (test, params, ctx, loc) {
+  var def = ctx.operators.lookup(test)
+    , at = loc.concat(test)
+    , st = []
+    , prepared, msg;
+
+  if (test[0] != '$') {
+    problem(ctx, at, 'unexpected field "' + test + '" in operator expression');
+  } else if (!def) {
+    problem(ctx, at, 'unknown operator "' + test + '"');
+  } else if (test == '$where' && !ctx.where) {
+    problem(ctx, at, 'only allowed with the where option');
+  } else if (def.validate && (msg = def.validate(params))) {
+    problem(ctx, at, msg);
+  } else if (def.prepare) {
+    try {
+      prepared = def.prepare(params);
+    } catch (err) {
+      if (!(err instanceof FilterQueryError)) throw err;
+      ctx.errors.push.apply(ctx.errors, errors.nest(at, err.errors));
+    }
+  } else if (def.kind == 'logical') {
+    if (!Array.isArray(params)) {
+      st.push(parseQuery(params, ctx, at));
+    } else {
+      for (var i = 0; i < params.length; i++) {
+        st.push(parseQuery(params[i], ctx, at.concat(i)));
+      }
+    }
+  } else if (def.kind == 'query') {
+    st = parseQuery(params, ctx, at);
+  }
+
+  var kind = def && def.kind
+    , node = {
+          op: test
+        , fn: def && def.fn
+        , kind: kind
+        , branches: def && def.branches
+        , presence: def && def.presence
+        , circuit: def && def.circuit
+        , cost: def && def.cost
+        , params: kind == 'logical' || kind == 'query' ? st : params
+      };
+
+  if (kind == 'query') {
+    node.match = function (val) {
+      return testFilter([ val ], st, false);
+    };
+  } else if (def && def.prepare) {
+    node.match = prepared;
+  }
+
+  return node;
+};
+
+/*!
+ * Sort the statements of a parsed query, and the comparators
+ * of each statement, by their estimated cost so that cheaper
+ * tests are made first. The queries of logical comparators are
+ * only sorted if they have a `circuit`, as the results of
+ * others may depend on order.
+ *
+ * @param {Array} stack from `parseQuery`
+ * @return {Number} total cost
+ * @api private
+ */
+
+function reorder (stack) {
+  var costs = []
+    , total = 0
+    , entry, cost;
+
+  for (var i = 0; i < stack.length; i++) {
+    entry = stack[i];
+    cost = reorderTests(entry.test);
+    if (entry.path) cost += entry.segments.length - 1;
+    costs.push(cost);
+    total += cost;
+  }
+
+  sortByCost(stack, costs);
+  return total;
+}
+
+/*!
+ * Sort a list of comparators by their estimated cost,
+ * sorting their queries along the way.
+ *
+ * @param {Array} tests from `parseFilter`
+ * @return {Number} total cost
+ * @api private
+ */
+
+function reorderTests (tests) {
+  var costs = []
+    , total = 0
+    , test, cost, subs;
+
+  for (var i = 0; i < tests.length; i++) {
+    test = tests[i];
+    cost = test.cost || 1;
+
+    if (test.kind == 'logical') {
+      subs = [];
+      for (var ii = 0; ii < test.params.length; ii++) {
+        subs.push(reorder(test.params[ii]));
+        cost += subs[ii];
+      }
+      if ('boolean' == typeof test.circuit) sortByCost(test.params, subs);
+    } else if (test.kind == 'query') {
+      cost += reorder(test.params);
     }
 
-    stack.push(qry);
+    costs.push(cost);
+    total += cost;
   }
 
-  return stack;
-};
+  sortByCost(tests, costs);
+  return total;
+}
 
 /*!
- * Given that the root object passed is a comparator definition,
- * return a consumable test definition.
+ * Stable sort of a list, in place, by a parallel
+ * list of costs.
  *
- * @param {Object} query
- * @returns {Array} stack for use as input with `testFilter`
+ * @param {Array} list
+ * @param {Array} costs
+ * @api private
  */
 
-function parseFilter (query) {
-  var stack = [];
+function sortByCost (list, costs) {
+  var order = [];
 
-  for (var test in query) {
-    var fn = Filter.comparators[test]
-      , params = query[test]
-      , traverse = false
-      , st = []
-      , p, nq;
-
-    if (TRAVERSABLE[test]) {
-      traverse = true;
-      for (var i = 0; i < params.length; i++) {
-        p = params[i];
-        if ('string' == typeof p
-        ||  'number' == typeof p
-        ||  'boolean' == typeof p) {
-          traverse = false;
-        } else {
-          nq = parseQuery(p);
-        }
-        st.push(nq);
-      }
-    }
+  for (var i = 0; i < list.length; i++) {
+    order.push({ item: list[i], cost: costs[i], i: i });
+  }
+
+  order.sort(function (a, b) {
+    return a.cost - b.cost || a.i - b.i;
+  });
 
-    stack.push({
-        fn: fn
-      , params: traverse ? st : params
-      , traverse: traverse
-    });
+  for (var j = 0; j < order.length; j++) {
+    list[j] = order[j].item;
   }
+}
 
-  return stack;
-};
+/*!
+ * Record a problem found while parsing a query.
+ *
+ * @param {Object} parse context
+ * @param {Array} location
+ * @param {String} message
+ * @api private
+ */
+
+function problem (ctx, loc, msg) {
+  ctx.errors.push({ path: errors.formatPath(loc), message: msg });
+}
+
+/*!
+ * Determine if a value is a plain object, and thus
+ * a query or operator expression.
+ *
+ * @param {Mixed} value
+ * @return {Boolean}
+ * @api private
+ */
+
+function isObject (val) {
+  return '[object Object]' == Object.prototype.toString.call(val);
+}
+
+/*!
+ * Determine if a value is an operator expression, being
+ * a plain object with at least one key starting with `$`.
+ * Other objects are compared as values.
+ *
+ * @param {Mixed} value
+ * @return {Boolean}
+ * @api private
+ */
+
+function isOperators (val) {
+  if (!isObject(val)) return false;
+  for (var key in val) {
+    if (key[0] == '$') return true;
+  }
+  return false;
+}
+
+/*!
+ * Determine if an array contains a value using `equal`.
+ *
+ * @param {Array} list
+ * @param {Mixed} value
+ * @return {Boolean}
+ * @api private
+ */
+
+function contains (list, val) {
+  for (var i = 0; i < list.length; i++) {
+    if (equal(list[i], val)) return true;
+  }
+  return false;
+}
+
+/*!
+ * Determine if a value is in the list of `$in` or
+ * `$nin`, where a regular expression matches strings.
+ *
+ * @param {Array} list
+ * @param {Mixed} value
+ * @return {Boolean}
+ * @api private
+ */
+
+function member (list, val) {
+  for (var i = 0; i < list.length; i++) {
+    if (isRegExp(list[i]) && 'string' == typeof val) {
+      list[i].lastIndex = 0;
+      if (list[i].test(val)) return true;
+    } else if (equal(list[i], val)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/*!
+ * Determine if a value is a regular expression.
+ *
+ * @param {Mixed} value
+ * @return {Boolean}
+ * @api private
+ */
+
+function isRegExp (val) {
+  return '[object RegExp]' == Object.prototype.toString.call(val);
+}
 
 /*!
- * Given a well-formed stack from `parseFilter`, test
- * a given value again the stack.
+ * Given a well-formed stack from `parseQuery`, test
+ * the values against the stack. Each stack entry with a
+ * path resolves that path against every value, fanning
+ * out into arrays along the way.
  *
  * As the value is passed to a comparator, if that comparator
  * cannot interpret the value, false will be return. IE $gt: 'hello'
  *
- * @param {Object} value for consumption by comparator test
- * @param {Array} stack from `parseFilter`
+ * @param {Array} values for consumption by comparator tests
+ * @param {Array} stack from `parseQuery`
+ * @param {Boolean} expand arrays into their elements
+ * @param {Array} values the current path was resolved from
+ * @param {Array} current path segments
  * @return {Boolean} result
  * @api private
  */
 
-function testFilter (val, stack) {
-  var pass = true;
-
+function testFilter (vals, stack, expand, parent, segs) {
   for (var si = 0, sl = stack.length; si < sl; si++) {
     var filter = stack[si]
-      , el = filter.path
-        ? properties.get(val, filter.path)
-        : val
-      , res = _testFilter(el, filter.test);
+      , res = filter.path
+        ? _testFilter(resolve(vals, filter.segments), filter.test, true, vals, filter.segments)
+        : _testFilter(vals, filter.test, expand, parent, segs);
 
-    if (!res) pass = false;
+    if (!res) return false;
   }
 
-  return pass;
+  return true;
 };
 
 /*!
  * Proxy the testing to the comparator or back to `testFilter`
- * if we traversing.
+ * if we traversing. A comparator passes if it passes for any
+ * of the values, or for all of the values when it is defined
+ * with `branches: 'all'`. Comparators that test for presence
+ * are given `true` if the current path is present, and
+ * `undefined` if not. Testing stops at the first comparator
+ * that fails.
  *
- * @param {Mixed} value to test
+ * Logical comparators defined with a `circuit` value stop
+ * evaluating their queries as soon as one returns that value.
+ *
+ * @param {Array} values to test
  * @param {Array} stack to iterate
+ * @param {Boolean} expand arrays into their elements
+ * @param {Array} values the current path was resolved from
+ * @param {Array} current path segments
  * @return {Boolean} result
  * @api private
  */
 
-function _testFilter (val, stack) {
-  var res = true;
+function _testFilter (vals, stack, expand, parent, segs) {
+  var expanded = null;
 
   for (var i = 0; i < stack.length; i++) {
     var test = stack[i]
       , params = test.params
-      , p = [];
+      , list = vals
+      , p, r;
+
+    if (test.kind == 'logical') {
+      p = [];
 
-    if (test.traverse) {
       for (var ii = 0; ii < params.length; ii++) {
-        p.push(testFilter(val, params[ii]));
+        r = testFilter(vals, params[ii], expand, parent, segs);
+        p.push(r);
+        if (r === test.circuit) break;
       }
 
-      params = p;
+      if (!test.fn(p)) return false;
+      continue;
+    } else if (test.presence && segs) {
+      if (!test.fn(hasPath(parent, segs) ? true : undefined, params)) return false;
+      continue;
     }
 
-    if (test.fn.length === 1 && !test.fn(params)) res = false;
-    else if (test.fn.length > 1 && !test.fn(val, params)) res = false;
+    if (expand && test.branches != 'self') {
+      list = expanded || (expanded = path.expand(vals));
+    }
+
+    if ('match' in test) params = test.match;
+    if (!testBranches(test, list, params)) return false;
   }
 
-  return res;
+  return true;
 };
+
+/*!
+ * Test a comparator against each of the values.
+ *
+ * @param {Object} test definition
+ * @param {Array} values
+ * @param {Mixed} params for comparator
+ * @return {Boolean} result
+ * @api private
+ */
+
+function testBranches (test, vals, params) {
+  var every = test.branches == 'all';
+
+  for (var i = 0; i < vals.length; i++) {
+    if (!!test.fn(vals[i], params) !== every) return !every;
+  }
+
+  return every;
+}
+
+/*!
+ * Get the function used to test each data point
+ * against a filter.
+ *
+ * @param {Filter} filter
+ * @return {Function} predicate
+ * @api private
+ */
+
+function predicate (filter) {
+  if (filter.compiled) return filter.compiled;
+
+  var stack = filter.stack;
+  return function (datum) {
+    return testFilter([ datum ], stack, false);
+  };
+}
+
+/*!
+ * Get the indexes of the data points that pass a filter,
+ * applying the `sort`, `skip` and `limit` options. Without
+ * a sort, testing stops once enough data points have passed.
+ *
+ * @param {Filter} filter
+ * @param {Array} data
+ * @param {Object} options
+ * @return {Array} indexes
+ * @api private
+ */
+
+function select (filter, data, opts) {
+  opts = opts || {};
+
+  var test = predicate(filter)
+    , order = opts.sort ? sort.sorter(opts.sort, null, filter.collator, sort.meta(filter))
+      : nearest(filter.stack) ? sort.sorter(NEAREST, null, null, sort.meta(filter))
+      : null
+    , skip = count(opts.skip, 'skip')
+    , limit = count(opts.limit, 'limit')
+    , end = limit && !order ? skip + limit : Infinity
+    , scan = opts.textIndex ? candidates(filter, data, opts.textIndex) : null
+    , res = []
+    , matched = []
+    , di;
+
+  if (scan) {
+    for (var ci = 0; ci < scan.length && res.length < end; ci++) {
+      di = scan[ci];
+      if (test(data[di])) res.push(di);
+    }
+  } else {
+    for (di = 0; di < data.length && res.length < end; di++) {
+      if (test(data[di])) res.push(di);
+    }
+  }
+
+  if (order) {
+    for (var i = 0; i < res.length; i++) matched.push(data[res[i]]);
+    res = order(matched).map(function (n) { return res[n]; });
+  }
+
+  return skip || limit
+    ? res.slice(skip, limit ? skip + limit : res.length)
+    : res;
+}
+
+/*!
+ * Get the first `$near` or `$nearSphere` of a parsed
+ * query that is not under a negation, following `$and`,
+ * with the segments of its path.
+ *
+ * @param {Array} stack from `parseQuery`
+ * @return {Object} `{ segs, near }` or `null`
+ * @api private
+ */
+
+function nearest (stack) {
+  var tests, test, res;
+
+  for (var si = 0; si < stack.length; si++) {
+    tests = stack[si].test;
+
+    for (var i = 0; i < tests.length; i++) {
+      test = tests[i];
+
+      if (test.fn === runtime.builtins.$near || test.fn === runtime.builtins.$nearSphere) {
+        return { segs: stack[si].segments || null, near: test.match };
+      } else if (test.fn === runtime.builtins.$and && !stack[si].path) {
+        for (var qi = 0; qi < test.params.length; qi++) {
+          if ((res = nearest(test.params[qi]))) return res;
+        }
+      }
+    }
+  }
+
+  return null;
+}
+
+/*!
+ * Get the `$text` searches of a parsed query that are
+ * not under a path, following `$and` and `$or`.
+ *
+ * @param {Array} stack from `parseQuery`
+ * @param {Array} searches found so far
+ * @return {Array} searches
+ * @api private
+ */
+
+function searches (stack, list) {
+  var tests, test;
+
+  for (var si = 0; si < stack.length; si++) {
+    if (stack[si].path) continue;
+    tests = stack[si].test;
+
+    for (var i = 0; i < tests.length; i++) {
+      test = tests[i];
+
+      if (test.fn === runtime.builtins.$text) {
+        list.push(test.match);
+      } else if (test.fn === runtime.builtins.$and || test.fn === runtime.builtins.$or) {
+        for (var qi = 0; qi < test.params.length; qi++) searches(test.params[qi], list);
+      }
+    }
+  }
+
+  return list;
+}
+
+/*!
+ * Get the indexes of the data points that may pass a
+ * filter from a text index, or `null` if the index
+ * cannot be used. Only a `$text` search at the top of
+ * the query, which every data point must match, is used.
+ *
+ * @param {Filter} filter
+ * @param {Array} data
+ * @param {TextIndex} index
+ * @return {Array} indexes
+ * @api private
+ */
+
+function candidates (filter, data, index) {
+  var stack = filter.stack
+    , tests, res;
+
+  if (!(index instanceof text.TextIndex)) {
+    throw new FilterQueryError('expected a filter.TextIndex', 'textIndex');
+  } else if (index.data !== data) {
+    throw new FilterQueryError('expected an index of the same data', 'textIndex');
+  }
+
+  for (var si = 0; si < stack.length; si++) {
+    if (stack[si].path) continue;
+    tests = stack[si].test;
+
+    for (var i = 0; i < tests.length; i++) {
+      if (tests[i].fn !== runtime.builtins.$text) continue;
+      res = index.candidates(tests[i].match);
+      if (res) return res;
+    }
+  }
+
+  return null;
+}
+
+/*!
+ * Get the options for a filter derived from another,
+ * with the same operators, collation and `where` option.
+ *
+ * @param {Filter} filter
+ * @return {Object} options
+ * @api private
+ */
+
+function derive (filter) {
+  return {
+      operators: filter.base
+    , where: filter.where
+    , collation: filter.collation
+  };
+}
+
+/*!
+ * Determine if two filters define each operator
+ * either of their queries uses in the same way,
+ * before any collation.
+ *
+ * @param {Filter} filter
+ * @param {Filter} other filter
+ * @return {Boolean} same
+ * @api private
+ */
+
+function sameOperators (a, b) {
+  var names = operatorNames(b.stack, operatorNames(a.stack, {}))
+    , x, y;
+
+  for (var name in names) {
+    x = a.base.lookup(name);
+    y = b.base.lookup(name);
+    if (!x || !y || x.fn !== y.fn) return false;
+  }
+
+  return true;
+}
+
+/*!
+ * Get the names of the operators used by a parsed
+ * query, including those of its subqueries.
+ *
+ * @param {Array} stack from `parseQuery`
+ * @param {Object} names found so far
+ * @return {Object} names
+ * @api private
+ */
+
+function operatorNames (stack, names) {
+  var tests, test;
+
+  for (var si = 0; si < stack.length; si++) {
+    tests = stack[si].test;
+
+    for (var i = 0; i < tests.length; i++) {
+      test = tests[i];
+      names[test.op] = true;
+
+      if (test.kind == 'logical') {
+        for (var qi = 0; qi < test.params.length; qi++) operatorNames(test.params[qi], names);
+      } else if (test.kind == 'query') {
+        operatorNames(test.params, names);
+      }
+    }
+  }
+
+  return names;
+}
+
+/*!
+ * Get the resolved options of the collator of a
+ * filter, if it has one.
+ *
+ * @param {Filter} filter
+ * @return {Object} options or `null`
+ * @api private
+ */
+
+function collatorOptions (filter) {
+  return filter.collator ? filter.collator.resolvedOptions() : null;
+}
+
+/*!
+ * Create a sieve for data points arriving one at a
+ * time, applying the `projection`, `skip` and `limit`
+ * options. `take` calls back with the data point to emit,
+ * if any, and `done` is set once the limit is reached.
+ *
+ * @param {Filter} filter
+ * @param {Object} options
+ * @return {Object} sieve
+ * @api private
+ */
+
+function sieve (filter, opts) {
+  opts = opts || {};
+
+  if (opts.sort) {
+    throw new FilterQueryError('cannot sort data points one at a time', 'sort');
+  }
+
+  var test = predicate(filter)
+    , project = opts.projection
+      ? projection(opts.projection, matcher(derive(filter)))
+      : null
+    , skip = count(opts.skip, 'skip')
+    , limit = count(opts.limit, 'limit')
+    , passed = 0
+    , self = { done: false };
+
+  self.take = function (datum, emit) {
+    if (self.done || !test(datum)) return;
+    passed++;
+    if (limit && passed >= skip + limit) self.done = true;
+    if (passed > skip) emit(project ? project(datum) : datum);
+  };
+
+  return self;
+}
+
+/*!
+ * Validate a `skip` or `limit` option.
+ *
+ * @param {Number} value
+ * @param {String} name of option
+ * @return {Number} count
+ * @api private
+ */
+
+function count (val, name) {
+  if (undefined === val || null === val) return 0;
+  if ('number' != typeof val || val < 0 || val % 1 !== 0) {
+    throw new FilterQueryError('expected a non-negative integer', name);
+  }
+  return val;
+}
+
+/*!
+ * Combine filters or queries with a logical
+ * comparator, using a filter function. The result
+ * keeps the options of the filters, which must have
+ * those of one another and the operators of `set`.
+ *
+ * @param {Function} filter
+ * @param {Operators} set
+ * @param {String} comparator name
+ * @param {Arguments} filters or queries
+ * @return {Filter} filter
+ * @api private
+ */
+
+function combine (filter, set, op, args) {
+  var query = {}
+    , list = []
+    , first = null
+    , arg;
+
+  for (var i = 0; i < args.length; i++) {
+    arg = args[i];
+
+    if (!(arg instanceof Filter)) {
+      list.push(arg);
+      continue;
+    }
+
+    if (arg.base !== set || (first && (arg.where !== first.where
+    || !equal(collatorOptions(arg), collatorOptions(first))))) {
+      throw new FilterQueryError('cannot combine filters with different options', errors.formatPath([ op, i ]));
+    }
+
+    first = first || arg;
+    list.push(arg.query);
+  }
+
+  query[op] = list;
+  return filter(query, first ? derive(first) : null);
+}
+
+/*!
+ * Decode a query from Extended JSON, given as a
+ * string or as parsed JSON.
+ *
+ * @param {String|Object} json
+ * @return {Object} query
+ * @api private
+ */
+
+function parseJSON (json) {
+  if ('string' == typeof json) {
+    try {
+      json = JSON.parse(json);
+    } catch (ex) {
+      throw new FilterQueryError('invalid JSON: ' + ex.message);
+    }
+  }
+
+  return ejson.decode(json);
+}
+
+/*!
+ * Get a function that builds a predicate for a query
+ * with the options of a filter, such as those of
+ * `derive`. Used by projections, updates and `$match`
+ * stages.
+ *
+ * @param {Object} options
+ * @return {Function} matcher
+ * @api private
+ */
+
+function matcher (opts) {
+  return function (query) {
+    return predicate(new Filter(query, opts));
+  };
+}
+
+/*!
+ * Determine if a path is present in any of the values.
+ *
+ * @param {Array} values
+ * @param {Array} path segments
+ * @return {Boolean} present
+ * @api private
+ */
+
+function hasPath (vals, segs) {
+  for (var i = 0; i < vals.length; i++) {
+    if (path.has(vals[i], segs)) return true;
+  }
+
+  return false;
+}
+
+/*!
+ * Resolve a path against each of the values.
+ *
+ * @param {Array} values
+ * @param {Array} path segments
+ * @return {Array} resolved values
+ * @api private
+ */
+
+function resolve (vals, segs) {
+  if (vals.length === 1) return path.resolve(vals[0], segs);
+
+  var res = [];
+  for (var i = 0; i < vals.length; i++) {
+    res.push.apply(res, path.resolve(vals[i], segs));
+  }
+
+  return res;
+}
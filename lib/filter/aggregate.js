@@ -0,0 +1,606 @@
+/*!
+ * gaia-filter - aggregate
+ * Copyright(c) 2012 Jake Luer <jake@alogicalparadox.com>
+ * MIT Licensed
+ */
+
+/*!
+ * Module dependancies
+ */
+
+var compare = require('./compare')
+  , errors = require('./errors')
+  , expression = require('./expr')
+  , path = require('./path')
+  , projection = require('./projection')
+  , sort = require('./sort');
+
+/*!
+ * Error constructors
+ */
+
+var FilterQueryError = errors.FilterQueryError;
+
+/*!
+ * Primary exports
+ */
+
+module.exports = aggregate;
+
+/**
+ * ### aggregate (data, pipeline, matcher)
+ *
+ * Run each data point through a pipeline of MongoDB style
+ * stages and return the resulting documents. The pipeline is
+ * checked before any stage runs. `matcher` is called with the
+ * query of each `$match` stage and should return a function
+ * that tests a data point against it.
+ *
+ * @param {Array} data
+ * @param {Array} pipeline
+ * @param {Function} matcher
+ * @return {Array} results
+ * @api private
+ */
+
+function aggregate (data, pipeline, matcher) {
+  var fns = parse(pipeline, matcher)
+    , docs = data;
+
+  for (var i = 0; i < fns.length; i++) {
+    docs = fns[i](docs);
+  }
+
+  return docs === data ? data.slice() : docs;
+}
+
+/*!
+ * Pipeline stages. Each is called with the stage
+ * specification, its location, and the matcher, and
+ * returns a function that transforms a list of documents.
+ */
+
+var stages = {
+
+    $match: function (query, loc, matcher) {
+      var test = within(loc, function () { return matcher(query); });
+
+      return function (docs) {
+        return docs.filter(function (doc) { return test(doc); });
+      };
+    }
+
+  , $project: function (spec, loc, matcher) {
+      var project = parseProject(spec, loc, matcher);
+      return function (docs) { return docs.map(project); };
+    }
+
+  , $group: function (spec, loc) {
+      var group = parseGroup(spec, loc);
+      return function (docs) { return group(docs); };
+    }
+
+  , $sort: function (spec, loc) {
+      var order = sort.sorter(spec, loc);
+
+      if (!Object.keys(spec).length) {
+        throw new FilterQueryError('expected at least one sort key', errors.formatPath(loc));
+      }
+
+      return function (docs) {
+        return order(docs).map(function (n) { return docs[n]; });
+      };
+    }
+
+  , $skip: function (n, loc) {
+      count(n, loc, 0);
+      return function (docs) { return docs.slice(n); };
+    }
+
+  , $limit: function (n, loc) {
+      count(n, loc, 1);
+      return function (docs) { return docs.slice(0, n); };
+    }
+
+  , $unwind: function (spec, loc) {
+      var unwind = parseUnwind(spec, loc);
+
+      return function (docs) {
+        var res = [];
+        for (var i = 0; i < docs.length; i++) unwind(docs[i], res);
+        return res;
+      };
+    }
+
+  , $count: function (name, loc) {
+      if ('string' != typeof name || !name || name.charAt(0) == '$' || ~name.indexOf('.')) {
+        throw new FilterQueryError('expected a field name', errors.formatPath(loc));
+      }
+
+      guard([ name ], loc);
+
+      return function (docs) {
+        var doc = {};
+        if (!docs.length) return [];
+        doc[name] = docs.length;
+        return [ doc ];
+      };
+    }
+
+};
+
+/*!
+ * Group accumulators. Each has an initial state `init`,
+ * a `step` called with the state and the value of its
+ * expression for each document in the group, and a `done`
+ * that returns the result.
+ */
+
+var accumulators = {
+
+    $sum: {
+        init: function () { return 0; }
+      , step: function (s, v) { return 'number' == typeof v ? s + v : s; }
+    }
+
+  , $avg: {
+        init: function () { return { sum: 0, n: 0 }; }
+      , step: function (s, v) {
+          if ('number' == typeof v) {
+            s.sum += v;
+            s.n++;
+          }
+          return s;
+        }
+      , done: function (s) { return s.n ? s.sum / s.n : null; }
+    }
+
+  , $min: {
+        init: function () { return null; }
+      , step: function (s, v) {
+          return null != v && (null == s || compare(v, s) < 0) ? v : s;
+        }
+    }
+
+  , $max: {
+        init: function () { return null; }
+      , step: function (s, v) {
+          return null != v && (null == s || compare(v, s) > 0) ? v : s;
+        }
+    }
+
+  , $push: {
+        init: function () { return []; }
+      , step: function (s, v) {
+          if (undefined !== v) s.push(v);
+          return s;
+        }
+    }
+
+  , $first: {
+        init: function () { return { seen: false, v: null }; }
+      , step: function (s, v) {
+          if (!s.seen) {
+            s.seen = true;
+            s.v = undefined === v ? null : v;
+          }
+          return s;
+        }
+      , done: function (s) { return s.v; }
+    }
+
+  , $last: {
+        init: function () { return null; }
+      , step: function (s, v) { return undefined === v ? null : v; }
+    }
+
+  , $count: {
+        init: function () { return 0; }
+      , step: function (s) { return s + 1; }
+    }
+
+};
+
+/*!
+ * Parse and validate a pipeline into a list of
+ * stage functions.
+ *
+ * @param {Array} pipeline
+ * @param {Function} matcher
+ * @return {Array} stages
+ * @api private
+ */
+
+function parse (pipeline, matcher) {
+  var fns = []
+    , stage, keys, loc;
+
+  if (!Array.isArray(pipeline)) {
+    throw new FilterQueryError('expected an array of stages', 'pipeline');
+  }
+
+  for (var i = 0; i < pipeline.length; i++) {
+    stage = pipeline[i];
+    keys = isObject(stage) ? Object.keys(stage) : [];
+    loc = [ 'pipeline', i ];
+
+    if (keys.length !== 1) {
+      throw new FilterQueryError('expected an object with one stage', errors.formatPath(loc));
+    }
+
+    if (!stages.hasOwnProperty(keys[0])) {
+      throw new FilterQueryError('unknown stage "' + keys[0] + '"', errors.formatPath(loc.concat(keys[0])));
+    }
+
+    fns.push(stages[keys[0]](stage[keys[0]], loc.concat(keys[0]), matcher));
+  }
+
+  return fns;
+}
+
+/*!
+ * Parse the specification of a `$project` stage. Fields
+ * set to `1` or `0` are included or excluded as with the
+ * `projection` option of `.subset`, and any other value
+ * is an expression computing a new field.
+ *
+ * @param {Object} specification
+ * @param {Array} location
+ * @param {Function} matcher
+ * @return {Function} project
+ * @api private
+ */
+
+function parseProject (spec, loc, matcher) {
+  var flags = {}
+    , fields = []
+    , excluded = false
+    , flat, val, project;
+
+  if (!isObject(spec)) {
+    throw new FilterQueryError('expected an object', errors.formatPath(loc));
+  }
+
+  flat = flatten(spec, '', {});
+
+  for (var key in flat) {
+    val = flat[key];
+    guard(path.parse(key), loc.concat(key));
+
+    if (1 === val || true === val || 0 === val || false === val) {
+      if (!val) excluded = true;
+      flags[key] = val;
+    } else {
+      fields.push({ segs: path.parse(key), fn: expression(val, loc.concat(key)) });
+    }
+  }
+
+  if (excluded && fields.length) {
+    throw new FilterQueryError('cannot compute fields when excluding', errors.formatPath(loc));
+  }
+
+  project = projection(flags, matcher, loc);
+  if (!fields.length) return project;
+
+  return function (doc) {
+    var res = Object.keys(flags).length ? project(doc) : {}
+      , val;
+
+    for (var i = 0; i < fields.length; i++) {
+      val = fields[i].fn(doc);
+      if (undefined !== val) set(res, fields[i].segs, val);
+    }
+
+    return res;
+  };
+}
+
+/*!
+ * Parse the specification of a `$group` stage into
+ * a function that groups a list of documents.
+ *
+ * @param {Object} specification
+ * @param {Array} location
+ * @return {Function} group
+ * @api private
+ */
+
+function parseGroup (spec, loc) {
+  var fields = []
+    , id, keys, acc;
+
+  if (!isObject(spec) || !spec.hasOwnProperty('_id')) {
+    throw new FilterQueryError('expected an object with an _id', errors.formatPath(loc));
+  }
+
+  id = expression(spec._id, loc.concat('_id'));
+
+  for (var name in spec) {
+    if (name == '_id') continue;
+    guard([ name ], loc.concat(name));
+    keys = isObject(spec[name]) ? Object.keys(spec[name]) : [];
+
+    if (keys.length !== 1 || !accumulators.hasOwnProperty(keys[0])) {
+      throw new FilterQueryError('expected an accumulator', errors.formatPath(loc.concat(name)));
+    }
+
+    acc = accumulators[keys[0]];
+    fields.push({
+        name: name
+      , acc: acc
+      , fn: keys[0] == '$count'
+        ? function () {}
+        : expression(spec[name][keys[0]], loc.concat(name, keys[0]))
+    });
+  }
+
+  return function (docs) {
+    var groups = {}
+      , order = []
+      , res = []
+      , doc, key, grp, f;
+
+    for (var i = 0; i < docs.length; i++) {
+      doc = docs[i];
+      key = id(doc);
+      if (undefined === key) key = null;
+
+      grp = groups[hash(key)];
+      if (!grp) {
+        grp = groups[hash(key)] = { _id: key, states: [] };
+        for (var j = 0; j < fields.length; j++) grp.states.push(fields[j].acc.init());
+        order.push(grp);
+      }
+
+      for (var k = 0; k < fields.length; k++) {
+        f = fields[k];
+        grp.states[k] = f.acc.step(grp.states[k], f.fn(doc));
+      }
+    }
+
+    for (var g = 0; g < order.length; g++) {
+      doc = { _id: order[g]._id };
+      for (var m = 0; m < fields.length; m++) {
+        f = fields[m];
+        doc[f.name] = f.acc.done ? f.acc.done(order[g].states[m]) : order[g].states[m];
+      }
+      res.push(doc);
+    }
+
+    return res;
+  };
+}
+
+/*!
+ * Parse the specification of an `$unwind` stage into
+ * a function that adds a copy of a document for each
+ * element of one of its arrays to a list.
+ *
+ * @param {String|Object} specification
+ * @param {Array} location
+ * @return {Function} unwind
+ * @api private
+ */
+
+function parseUnwind (spec, loc) {
+  var opts = 'string' == typeof spec ? { path: spec } : spec
+    , segs, index, keep;
+
+  if (!isObject(opts) || 'string' != typeof opts.path || opts.path.charAt(0) != '$') {
+    throw new FilterQueryError('expected a field path starting with "$"', errors.formatPath(loc));
+  }
+
+  segs = guard(path.parse(opts.path.slice(1)), loc);
+  index = opts.includeArrayIndex;
+  if (index) guard([ index ], loc.concat('includeArrayIndex'));
+  keep = !!opts.preserveNullAndEmptyArrays;
+
+  return function (doc, res) {
+    var list = field(doc, segs)
+      , copy;
+
+    if (null == list || (Array.isArray(list) && !list.length)) {
+      if (!keep) return;
+      copy = undefined === list ? doc : replace(doc, segs, list, Array.isArray(list));
+      if (index) copy = replace(copy, [ index ], null);
+      res.push(copy);
+      return;
+    }
+
+    if (!Array.isArray(list)) list = [ list ];
+
+    for (var i = 0; i < list.length; i++) {
+      copy = replace(doc, segs, list[i]);
+      if (index) copy[index] = i;
+      res.push(copy);
+    }
+  };
+}
+
+/*!
+ * Get the value of a field path without traversing
+ * arrays, as `$unwind` does: a path through an array
+ * is missing.
+ *
+ * @param {Object} document
+ * @param {Array} segments
+ * @return {Mixed} value or `undefined`
+ * @api private
+ */
+
+function field (doc, segs) {
+  var val = doc;
+
+  for (var i = 0; i < segs.length; i++) {
+    if (!isObject(val)) return undefined;
+    val = val[segs[i]];
+  }
+
+  return val;
+}
+
+/*!
+ * Run a function, adding a location to the paths of
+ * any `FilterQueryError` it throws.
+ *
+ * @param {Array} location
+ * @param {Function} fn
+ * @return {Mixed} result
+ * @api private
+ */
+
+function within (loc, fn) {
+  var list;
+
+  try {
+    return fn();
+  } catch (err) {
+    if (!(err instanceof FilterQueryError)) throw err;
+    list = errors.nest(loc, err.errors);
+    throw new FilterQueryError(list[0].message, list[0].path, list);
+  }
+}
+
+/*!
+ * Refuse a path that would write to a prototype of
+ * an output document.
+ *
+ * @param {Array} segments
+ * @param {Array} location
+ * @return {Array} segments
+ * @api private
+ */
+
+function guard (segs, loc) {
+  var seg = path.unsafe(segs);
+
+  if (seg) throw new FilterQueryError('cannot set field "' + seg + '"', errors.formatPath(loc));
+  return segs;
+}
+
+/*!
+ * Flatten nested objects of a `$project` stage into
+ * dotted paths, stopping at values that are not plain
+ * objects or that are expressions.
+ *
+ * @param {Object} specification
+ * @param {String} prefix
+ * @param {Object} result
+ * @return {Object} result
+ * @api private
+ */
+
+function flatten (spec, prefix, res) {
+  var val;
+
+  for (var key in spec) {
+    val = spec[key];
+
+    if (isObject(val) && Object.keys(val).length && !isExpression(val)) {
+      flatten(val, prefix + key + '.', res);
+    } else {
+      res[prefix + key] = val;
+    }
+  }
+
+  return res;
+}
+
+/*!
+ * Set a value at a path, creating objects as needed.
+ *
+ * @param {Object} object
+ * @param {Array} segments
+ * @param {Mixed} value
+ * @api private
+ */
+
+function set (obj, segs, val) {
+  for (var i = 0; i < segs.length - 1; i++) {
+    if (!obj.hasOwnProperty(segs[i]) || !isObject(obj[segs[i]])) obj[segs[i]] = {};
+    obj = obj[segs[i]];
+  }
+
+  obj[segs[segs.length - 1]] = val;
+}
+
+/*!
+ * Copy a document with the value at a path replaced,
+ * or removed, copying each object along the path.
+ *
+ * @param {Object} document
+ * @param {Array} segments
+ * @param {Mixed} value
+ * @param {Boolean} remove
+ * @return {Object} copy
+ * @api private
+ */
+
+function replace (doc, segs, val, remove) {
+  var res = {}
+    , key = segs[0];
+
+  for (var k in doc) {
+    if (doc.hasOwnProperty(k)) res[k] = doc[k];
+  }
+
+  if (segs.length > 1) res[key] = replace(isObject(doc[key]) ? doc[key] : {}, segs.slice(1), val, remove);
+  else if (remove) delete res[key];
+  else res[key] = val;
+
+  return res;
+}
+
+/*!
+ * Get a string that is the same for equal group keys.
+ *
+ * @param {Mixed} value
+ * @return {String} hash
+ * @api private
+ */
+
+function hash (val) {
+  if (null == val) return 'null';
+  if (val instanceof Date) return 'date:' + val.getTime();
+  if (val instanceof RegExp) return 'regexp:' + String(val);
+
+  if (Array.isArray(val)) {
+    return '[' + val.map(hash).join(',') + ']';
+  }
+
+  if ('object' == typeof val) {
+    return '{' + Object.keys(val).map(function (k) {
+      return JSON.stringify(k) + ':' + hash(val[k]);
+    }).join(',') + '}';
+  }
+
+  return typeof val + ':' + String(val);
+}
+
+/*!
+ * Validate the count of a `$skip` or `$limit` stage.
+ *
+ * @param {Number} value
+ * @param {Array} location
+ * @param {Number} minimum
+ * @api private
+ */
+
+function count (val, loc, min) {
+  if ('number' != typeof val || val < min || val % 1 !== 0) {
+    throw new FilterQueryError('expected an integer of at least ' + min, errors.formatPath(loc));
+  }
+}
+
+/*!
+ * Type helpers
+ */
+
+function isObject (val) {
+  return '[object Object]' == Object.prototype.toString.call(val);
+}
+
+function isExpression (val) {
+  var keys = Object.keys(val);
+  return keys.length === 1 && keys[0].charAt(0) == '$';
+}
@@ -0,0 +1,480 @@
+/*!
+ * gaia-filter - algebra
+ * Copyright(c) 2012 Jake Luer <jake@alogicalparadox.com>
+ * MIT Licensed
+ */
+
+/*!
+ * Module dependancies
+ */
+
+var equal = require('./equal')
+  , errors = require('./errors');
+
+/*!
+ * Local references
+ */
+
+var FilterQueryError = errors.FilterQueryError;
+
+/*!
+ * Primary exports
+ */
+
+exports.simplify = simplify;
+exports.key = key;
+
+/**
+ * ### .simplify (stack, builtins[, options])
+ *
+ * Simplify a parsed query stack, returning an equivalent
+ * query. Logical operators are flattened, duplicates are
+ * removed, range bounds on the same path are merged and
+ * contradictions never match. Only the `builtins`, the
+ * original comparators, are simplified.
+ *
+ * Contradictions that only hold for single values, such as
+ * `$eq: 1` and `$eq: 2`, are only detected with the `arrays`
+ * option set to `false`, as an array may hold both.
+ *
+ * @param {Array} stack from `parseQuery`
+ * @param {Object} builtins
+ * @param {Object} options (optional)
+ * @return {Object} query
+ * @api private
+ */
+
+function simplify (stack, builtins, opts) {
+  opts = opts || {};
+
+  if (undefined !== opts.arrays && 'boolean' != typeof opts.arrays) {
+    throw new FilterQueryError('expected a boolean', 'arrays');
+  }
+
+  var st = { builtins: builtins, scalar: opts.arrays === false };
+  return toQuery(reduce(normalize(stack, [], st), st));
+}
+
+/**
+ * ### .key (stack, builtins)
+ *
+ * Get a string that is the same for parsed query stacks
+ * that simplify to the same conditions, in any order.
+ *
+ * @param {Array} stack from `parseQuery`
+ * @param {Object} builtins
+ * @return {String} key
+ * @api private
+ */
+
+function key (stack, builtins) {
+  var st = { builtins: builtins, scalar: false };
+  return nodeKey(reduce(normalize(stack, [], st), st));
+}
+
+/*!
+ * Convert a parsed stack into a tree of `and`, `or`,
+ * `nor` and `custom` logical nodes and `leaf` comparators,
+ * with the paths of each statement pushed down into its
+ * comparators. An `and` without children always matches
+ * and an `or` without children never does.
+ *
+ * @param {Array} stack
+ * @param {Array} path segments
+ * @param {Object} state
+ * @return {Object} node
+ * @api private
+ */
+
+function normalize (stack, segs, st) {
+  var builtins = st.builtins
+    , children = []
+    , entry, at, test, subs;
+
+  for (var i = 0; i < stack.length; i++) {
+    entry = stack[i];
+    at = entry.path ? segs.concat(entry.segments) : segs;
+
+    for (var j = 0; j < entry.test.length; j++) {
+      test = entry.test[j];
+
+      if (test.kind == 'logical') {
+        subs = test.params.map(function (sub) { return normalize(sub, at, st); });
+        if (test.fn === builtins.$and) children.push(node('and', subs));
+        else if (test.fn === builtins.$or) children.push(node('or', subs));
+        else if (test.fn === builtins.$nor || test.fn === builtins.$not) children.push(node('nor', subs));
+        else children.push({ type: 'custom', op: test.op, children: subs });
+      } else if (test.kind == 'query') {
+        children.push({ type: 'leaf', path: at.join('.'), op: test.op, fn: test.fn, sub: normalize(test.params, [], st) });
+      } else {
+        children.push({ type: 'leaf', path: at.join('.'), op: test.op, fn: test.fn, params: test.params });
+      }
+    }
+  }
+
+  return node('and', children);
+}
+
+/*!
+ * Simplify a node.
+ *
+ * @param {Object} node
+ * @param {Object} state
+ * @return {Object} node
+ * @api private
+ */
+
+function reduce (n, st) {
+  var kids = []
+    , inner;
+
+  if (n.type == 'leaf') {
+    if (n.sub) return { type: 'leaf', path: n.path, op: n.op, fn: n.fn, sub: reduce(n.sub, st) };
+    if (n.fn === st.builtins.$in && !n.params.length) return node('or', []);
+    return n;
+  }
+
+  if (n.type == 'custom') {
+    return { type: 'custom', op: n.op, children: n.children.map(function (c) { return reduce(c, st); }) };
+  }
+
+  if (n.type == 'nor') {
+    inner = reduce(node('or', n.children), st);
+    if (isTrue(inner)) return node('or', []);
+    if (isFalse(inner)) return node('and', []);
+    if (inner.type == 'nor') return reduce(node('or', inner.children), st);
+    return node('nor', inner.type == 'or' ? inner.children : [ inner ]);
+  }
+
+  for (var i = 0; i < n.children.length; i++) {
+    var child = reduce(n.children[i], st);
+    if (child.type == n.type) kids.push.apply(kids, child.children);
+    else kids.push(child);
+  }
+
+  if (n.type == 'and') {
+    kids = kids.filter(function (k) { return !isTrue(k); });
+    if (kids.some(isFalse)) return node('or', []);
+    kids = merge(kids, st);
+    if (!kids) return node('or', []);
+  } else {
+    kids = kids.filter(function (k) { return !isFalse(k); });
+    if (kids.some(isTrue)) return node('and', []);
+  }
+
+  kids = unique(kids);
+  return kids.length == 1 ? kids[0] : node(n.type, kids);
+}
+
+/*!
+ * Merge the comparators of an `and` on the same path,
+ * returning nothing if they contradict each other.
+ *
+ * @param {Array} nodes
+ * @param {Object} state
+ * @return {Array} nodes
+ * @api private
+ */
+
+function merge (kids, st) {
+  var groups = {}
+    , res = []
+    , done = {}
+    , k, merged;
+
+  for (var i = 0; i < kids.length; i++) {
+    k = kids[i];
+    if (k.type == 'leaf' && !k.sub) (groups[k.path] = groups[k.path] || []).push(k);
+  }
+
+  for (var j = 0; j < kids.length; j++) {
+    k = kids[j];
+
+    if (k.type != 'leaf' || k.sub) {
+      res.push(k);
+    } else if (!done[k.path]) {
+      done[k.path] = true;
+      merged = mergePath(groups[k.path], st);
+      if (!merged) return null;
+      res.push.apply(res, merged);
+    }
+  }
+
+  return res;
+}
+
+/*!
+ * Merge the comparators on a single path.
+ *
+ * @param {Array} leaves
+ * @param {Object} state
+ * @return {Array} leaves
+ * @api private
+ */
+
+function mergePath (leaves, st) {
+  var b = st.builtins
+    , lows = []
+    , highs = []
+    , eqs = []
+    , rest = []
+    , bounds = []
+    , all, leaf, e, r, implied, unmet;
+
+  for (var i = 0; i < leaves.length; i++) {
+    leaf = leaves[i];
+    if ((leaf.fn === b.$gt || leaf.fn === b.$gte) && rangeType(leaf.params)) tighten(lows, leaf, 1, b);
+    else if ((leaf.fn === b.$lt || leaf.fn === b.$lte) && rangeType(leaf.params)) tighten(highs, leaf, -1, b);
+    else if (leaf.fn === b.$eq) eqs.push(leaf);
+    else rest.push(leaf);
+  }
+
+  for (i = 0; i < rest.length; i++) {
+    r = rest[i];
+
+    if (r.fn === b.$exists && !r.params) {
+      if (lows.length || highs.length) return null;
+      for (var x = 0; x < rest.length; x++) {
+        if (rest[x].fn === b.$exists && rest[x].params) return null;
+      }
+    }
+
+    for (var j = 0; j < eqs.length; j++) {
+      e = eqs[j];
+      if (r.fn === b.$ne && equal(e.params, r.params)) return null;
+      if (r.fn === b.$nin && member(r.params, e.params)) return null;
+      if (r.fn === b.$exists && !r.params && null != e.params) return null;
+      if (st.scalar && r.fn === b.$in && !member(r.params, e.params)) return null;
+    }
+  }
+
+  if (st.scalar) {
+    for (i = 1; i < eqs.length; i++) {
+      if (!equal(eqs[0].params, eqs[i].params)) return null;
+    }
+
+    all = lows.concat(highs);
+    for (i = 1; i < all.length; i++) {
+      if (rangeType(all[i].params) != rangeType(all[0].params)) return null;
+    }
+
+    for (i = 0; i < lows.length; i++) {
+      for (j = 0; j < highs.length; j++) {
+        if (!within(lows[i], highs[j], b)) return null;
+      }
+    }
+  }
+
+  all = lows.concat(highs);
+
+  for (i = 0; i < all.length; i++) {
+    implied = false;
+    unmet = false;
+
+    for (j = 0; j < eqs.length; j++) {
+      if (rangeType(eqs[j].params) != rangeType(all[i].params)) unmet = true;
+      else if (satisfies(eqs[j].params, all[i], b)) implied = true;
+      else unmet = true;
+    }
+
+    if (implied) continue;
+    if (unmet && st.scalar) return null;
+    bounds.push(all[i]);
+  }
+
+  return eqs.concat(bounds, rest);
+}
+
+/*!
+ * Keep the tighter of two bounds of the same type.
+ *
+ * @param {Array} bounds
+ * @param {Object} leaf
+ * @param {Number} direction (`1` for lower, `-1` for upper)
+ * @param {Object} builtins
+ * @api private
+ */
+
+function tighten (list, leaf, dir, b) {
+  var type = rangeType(leaf.params)
+    , other, c;
+
+  for (var i = 0; i < list.length; i++) {
+    other = list[i];
+    if (rangeType(other.params) != type) continue;
+
+    c = cmp(leaf.params, other.params) * dir;
+    if (c > 0 || (c === 0 && strict(leaf, b) && !strict(other, b))) list[i] = leaf;
+    return;
+  }
+
+  list.push(leaf);
+}
+
+/*!
+ * Range helpers
+ */
+
+function rangeType (val) {
+  if ('number' == typeof val && val === val) return 'number';
+  if ('string' == typeof val) return 'string';
+  if (val instanceof Date && !isNaN(val.getTime())) return 'date';
+  return null;
+}
+
+function cmp (a, b) {
+  if (a instanceof Date) a = a.getTime();
+  if (b instanceof Date) b = b.getTime();
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+function strict (leaf, b) {
+  return leaf.fn === b.$gt || leaf.fn === b.$lt;
+}
+
+function satisfies (val, bound, b) {
+  var c = cmp(val, bound.params);
+  if (bound.fn === b.$gt) return c > 0;
+  if (bound.fn === b.$gte) return c >= 0;
+  if (bound.fn === b.$lt) return c < 0;
+  return c <= 0;
+}
+
+function within (low, high, b) {
+  var c = cmp(low.params, high.params);
+  return c < 0 || (c === 0 && !strict(low, b) && !strict(high, b));
+}
+
+function member (list, val) {
+  for (var i = 0; i < list.length; i++) {
+    if ('[object RegExp]' == Object.prototype.toString.call(list[i]) && 'string' == typeof val) {
+      list[i].lastIndex = 0;
+      if (list[i].test(val)) return true;
+    } else if (equal(list[i], val)) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+/*!
+ * Node helpers
+ */
+
+function node (type, children) {
+  return { type: type, children: children };
+}
+
+function isTrue (n) {
+  return n.type == 'and' && !n.children.length;
+}
+
+function isFalse (n) {
+  return n.type == 'or' && !n.children.length;
+}
+
+function unique (nodes) {
+  var seen = {}
+    , res = []
+    , k;
+
+  for (var i = 0; i < nodes.length; i++) {
+    k = nodeKey(nodes[i]);
+    if (seen[k]) continue;
+    seen[k] = true;
+    res.push(nodes[i]);
+  }
+
+  return res;
+}
+
+/*!
+ * Get a string describing a node, in which the
+ * children of `and`, `or` and `nor` are sorted.
+ *
+ * @param {Object} node
+ * @return {String} key
+ * @api private
+ */
+
+function nodeKey (n) {
+  var kids;
+
+  if (n.type == 'leaf') {
+    return JSON.stringify(n.path) + n.op + (n.sub ? '(' + nodeKey(n.sub) + ')' : repr(n.params));
+  }
+
+  kids = n.children.map(nodeKey);
+  if (n.type != 'custom') kids.sort();
+  return (n.type == 'custom' ? n.op : n.type) + '(' + kids.join(',') + ')';
+}
+
+function repr (val) {
+  var type = Object.prototype.toString.call(val)
+    , keys;
+
+  if (undefined === val) return 'undefined';
+  if ('number' == typeof val) return String(val);
+  if ('function' == typeof val) return 'function:' + String(val);
+  if ('[object Date]' == type) return 'date:' + val.getTime();
+  if ('[object RegExp]' == type) return 'regexp:' + String(val);
+  if ('[object Array]' == type) return '[' + val.map(repr).join(',') + ']';
+
+  if ('[object Object]' == type) {
+    keys = Object.keys(val).sort();
+    return '{' + keys.map(function (k) { return JSON.stringify(k) + ':' + repr(val[k]); }).join(',') + '}';
+  }
+
+  return JSON.stringify(val);
+}
+
+/*!
+ * Convert a node back into a query.
+ *
+ * @param {Object} node
+ * @return {Object} query
+ * @api private
+ */
+
+function toQuery (n) {
+  if (isFalse(n)) return { $nor: [ {} ] };
+  if (n.type != 'and') return build([ n ]);
+  return build(n.children);
+}
+
+function build (nodes) {
+  var query = {}
+    , rest = []
+    , n, target, name, val, single;
+
+  for (var i = 0; i < nodes.length; i++) {
+    n = nodes[i];
+
+    if (n.type == 'leaf') {
+      name = n.op;
+      val = n.sub ? toQuery(n.sub) : n.params;
+      target = n.path ? query[n.path] = query[n.path] || {} : query;
+    } else {
+      name = n.type == 'custom' ? n.op : '$' + n.type;
+      val = n.children.map(toQuery);
+      target = query;
+    }
+
+    if (Object.prototype.hasOwnProperty.call(target, name)) {
+      single = {};
+      single[name] = val;
+      if (n.type == 'leaf' && n.path) {
+        var wrap = {};
+        wrap[n.path] = single;
+        single = wrap;
+      }
+      rest.push(single);
+    } else {
+      target[name] = val;
+    }
+  }
+
+  if (rest.length) query.$and = (query.$and || []).concat(rest);
+  return query;
+}
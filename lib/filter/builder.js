@@ -0,0 +1,297 @@
+/*!
+ * gaia-filter - builder
+ * Copyright(c) 2012 Jake Luer <jake@alogicalparadox.com>
+ * MIT Licensed
+ */
+
+/*!
+ * Module dependancies
+ */
+
+var errors = require('./errors');
+
+/*!
+ * Local references
+ */
+
+var FilterQueryError = errors.FilterQueryError
+  , hasOwn = Object.prototype.hasOwnProperty;
+
+/*!
+ * Primary exports
+ */
+
+module.exports = Builder;
+
+/**
+ * ### Builder (filter[, options])
+ *
+ * Build a query one condition at a time. Each condition
+ * is validated as it is added, using the operators of
+ * `filter` and the `options` it is constructed with, which
+ * are also the defaults for `build`. Conditions always use
+ * explicit operators, and those that would overwrite one
+ * another are moved into an `$and`.
+ *
+ * @param {Function} filter
+ * @param {Object} options (optional)
+ * @api private
+ */
+
+function Builder (filter, opts) {
+  this.filter = filter;
+  this.options = opts || {};
+  this.clauses = [];
+  this.path = null;
+  this.negate = false;
+}
+
+/**
+ * ### .where ([path])
+ *
+ * Set the path that the following operators apply to.
+ * Without a path, or with `null`, only logical operators
+ * may follow.
+ *
+ * @param {String} path (optional)
+ * @return {this} for chaining
+ * @api public
+ */
+
+Builder.prototype.where = function (path) {
+  if (null != path && ('string' != typeof path || !path || path[0] == '$')) {
+    throw new FilterQueryError('expected a path', 'where');
+  }
+
+  this.path = null == path ? null : path;
+  this.negate = false;
+  return this;
+};
+
+/**
+ * ### .not ()
+ *
+ * Negate the next operator with `$not`.
+ *
+ * @return {this} for chaining
+ * @api public
+ */
+
+Builder.prototype.not = function () {
+  if (!this.path) throw new FilterQueryError('expected a path before not()', 'not');
+  this.negate = true;
+  return this;
+};
+
+/**
+ * ### .op (name, value)
+ *
+ * Add a condition with any operator registered for
+ * the filter, such as one added with `filter.operator`.
+ *
+ * @param {String} operator name
+ * @param {Mixed} value
+ * @return {this} for chaining
+ * @api public
+ */
+
+Builder.prototype.op = function (name, val) {
+  var cond = {};
+  cond[name] = val;
+  return this.cond(name, cond);
+};
+
+/*!
+ * Value operators
+ */
+
+[ 'eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in', 'nin', 'all', 'size' ].forEach(function (name) {
+  Builder.prototype[name] = function (val) {
+    return this.op('$' + name, val);
+  };
+});
+
+Builder.prototype.exists = function (val) {
+  return this.op('$exists', arguments.length ? val : true);
+};
+
+Builder.prototype.mod = function (divisor, remainder) {
+  return this.op('$mod', [ divisor, remainder ]);
+};
+
+Builder.prototype.regex = function (pattern, options) {
+  if (undefined === options) return this.op('$regex', pattern);
+  return this.cond('$regex', { $regex: pattern, $options: options });
+};
+
+Builder.prototype.elemMatch = function (query) {
+  return this.op('$elemMatch', subquery(this, query));
+};
+
+/*!
+ * Logical operators
+ */
+
+[ 'and', 'or', 'nor' ].forEach(function (name) {
+  Builder.prototype[name] = function () {
+    var list = Array.isArray(arguments[0]) ? arguments[0] : arguments
+      , queries = []
+      , cond = {};
+
+    if (this.negate) {
+      throw new FilterQueryError('expected an operator after not()', name);
+    }
+
+    for (var i = 0; i < list.length; i++) {
+      queries.push(subquery(this, list[i]));
+    }
+
+    cond['$' + name] = queries;
+    check(this, cond);
+    this.clauses.push({ path: null, cond: cond });
+    return this;
+  };
+});
+
+/**
+ * ### .toQuery ()
+ *
+ * Get the plain query object that has been built.
+ *
+ * @return {Object} query
+ * @api public
+ */
+
+Builder.prototype.toQuery = function () {
+  var query = {}
+    , rest = []
+    , clause, target, key, single;
+
+  for (var i = 0; i < this.clauses.length; i++) {
+    clause = this.clauses[i];
+    target = clause.path ? query[clause.path] || {} : query;
+
+    if (overlaps(target, clause.cond)) {
+      if (!clause.path && clause.cond.$and) {
+        rest.push.apply(rest, clause.cond.$and);
+        continue;
+      }
+
+      single = {};
+      if (clause.path) single[clause.path] = clause.cond;
+      else single = clause.cond;
+      rest.push(single);
+      continue;
+    }
+
+    for (key in clause.cond) target[key] = clause.cond[key];
+    if (clause.path) query[clause.path] = target;
+  }
+
+  if (rest.length) query.$and = (query.$and || []).concat(rest);
+  return query;
+};
+
+/**
+ * ### .build ([options])
+ *
+ * Construct the filter for the query that has been
+ * built, with the options accepted by `filter`, which
+ * override those the builder was constructed with.
+ *
+ * @param {Object} options (optional)
+ * @return {Filter} filter
+ * @api public
+ */
+
+Builder.prototype.build = function (opts) {
+  var res = {}
+    , key;
+
+  for (key in this.options) res[key] = this.options[key];
+  for (key in opts) res[key] = opts[key];
+  return this.filter(this.toQuery(), res);
+};
+
+/*!
+ * Add a condition on the current path, negated if
+ * `not` was called, once it has been validated.
+ *
+ * @param {String} operator name
+ * @param {Object} condition
+ * @return {this} for chaining
+ * @api private
+ */
+
+Builder.prototype.cond = function (name, cond) {
+  var query = {};
+
+  if (!this.path) {
+    throw new FilterQueryError('expected a path, call where() first', name);
+  }
+
+  if (this.negate) {
+    cond = { $not: cond };
+    this.negate = false;
+  }
+
+  query[this.path] = cond;
+  check(this, query);
+  this.clauses.push({ path: this.path, cond: cond });
+  return this;
+};
+
+/*!
+ * Get the query for a function called with a new
+ * builder, a builder or a plain query.
+ *
+ * @param {Builder} parent builder
+ * @param {Function|Builder|Object} query
+ * @return {Object} query
+ * @api private
+ */
+
+function subquery (parent, query) {
+  var builder, res;
+
+  if ('function' == typeof query) {
+    builder = new Builder(parent.filter, parent.options);
+    res = query(builder);
+    return (res instanceof Builder ? res : builder).toQuery();
+  }
+
+  return query instanceof Builder
+    ? query.toQuery()
+    : query;
+}
+
+/*!
+ * Throw the first problem with a query.
+ *
+ * @param {Builder} builder
+ * @param {Object} query
+ * @api private
+ */
+
+function check (builder, query) {
+  var errs = builder.filter.validate(query, builder.options);
+  if (errs.length) throw new FilterQueryError(errs[0].message, errs[0].path, errs);
+}
+
+/*!
+ * Determine if any of the keys of a condition
+ * are already set.
+ *
+ * @param {Object} target
+ * @param {Object} condition
+ * @return {Boolean} overlaps
+ * @api private
+ */
+
+function overlaps (target, cond) {
+  for (var key in cond) {
+    if (hasOwn.call(target, key)) return true;
+  }
+
+  return false;
+}
@@ -0,0 +1,237 @@
+/*!
+ * gaia-filter - collation
+ * Copyright(c) 2012 Jake Luer <jake@alogicalparadox.com>
+ * MIT Licensed
+ */
+
+/*!
+ * Module dependancies
+ */
+
+var compare = require('./compare')
+  , equal = require('./equal')
+  , errors = require('./errors');
+
+/*!
+ * Error constructors
+ */
+
+var FilterQueryError = errors.FilterQueryError;
+
+/*!
+ * Comparators that compare strings, given a collator
+ * and returning the collated comparator.
+ */
+
+var COLLATED = {
+    $eq: function (c) {
+      return function (a, b) { return equal(a, b, c); };
+    }
+  , $ne: function (c) {
+      return function (a, b) { return !equal(a, b, c); };
+    }
+  , $in: function (c) {
+      return function (a, b) { return member(b, a, c); };
+    }
+  , $nin: function (c) {
+      return function (a, b) { return !member(b, a, c); };
+    }
+  , $all: function (c) {
+      return function (a, b) {
+        if (!Array.isArray(a)) a = [ a ];
+        for (var i = 0; i < b.length; i++) {
+          if (!contains(a, b[i], c)) return false;
+        }
+        return true;
+      };
+    }
+  , $gt: function (c) {
+      return function (a, b) { return compare.ordered(a, b, c) > 0; };
+    }
+  , $gte: function (c) {
+      return function (a, b) { return compare.ordered(a, b, c) >= 0; };
+    }
+  , $lt: function (c) {
+      return function (a, b) { return compare.ordered(a, b, c) < 0; };
+    }
+  , $lte: function (c) {
+      return function (a, b) { return compare.ordered(a, b, c) <= 0; };
+    }
+};
+
+/*!
+ * The `Intl.Collator` sensitivity for each strength.
+ */
+
+var SENSITIVITY = [ null, 'base', 'accent', 'variant', 'variant', 'variant' ];
+
+/*!
+ * Option checks
+ */
+
+var CHECKS = {
+    locale: {
+        test: function (val) { return 'string' == typeof val && !!val; }
+      , message: 'expected a locale string'
+    }
+  , strength: {
+        test: function (val) { return 'number' == typeof val && val >= 1 && val <= 5 && val % 1 === 0; }
+      , message: 'expected a strength from 1 to 5'
+    }
+  , caseLevel: {
+        test: function (val) { return 'boolean' == typeof val; }
+      , message: 'expected a boolean'
+    }
+  , caseFirst: {
+        test: function (val) { return val == 'upper' || val == 'lower' || val == 'off'; }
+      , message: 'expected "upper", "lower" or "off"'
+    }
+  , numericOrdering: {
+        test: function (val) { return 'boolean' == typeof val; }
+      , message: 'expected a boolean'
+    }
+  , alternate: {
+        test: function (val) { return val == 'non-ignorable' || val == 'shifted'; }
+      , message: 'expected "non-ignorable" or "shifted"'
+    }
+};
+
+/*!
+ * Primary exports
+ */
+
+exports.collator = collator;
+exports.operators = operators;
+
+/**
+ * ### .collator (spec)
+ *
+ * Create an `Intl.Collator` from a MongoDB style collation,
+ * or return `null` for the `simple` locale, which compares
+ * strings by code unit. The `locale` is required and must
+ * be supported, so that results do not depend on the
+ * fallback of the environment. A `strength` of `1` ignores
+ * case and accents, `2` ignores case and `3` (the default)
+ * or more ignores neither. `caseLevel` considers case at a
+ * strength of `1`. `caseFirst` (`upper`, `lower` or `off`),
+ * `numericOrdering` and `alternate` (`shifted` ignores
+ * punctuation) are also accepted.
+ *
+ * @param {Object} specification
+ * @return {Intl.Collator} collator or `null`
+ * @api private
+ */
+
+function collator (spec) {
+  var opts = { usage: 'sort' }
+    , strength = 3;
+
+  if ('[object Object]' != Object.prototype.toString.call(spec)) {
+    throw new FilterQueryError('expected a collation object', 'collation');
+  }
+
+  for (var key in spec) {
+    if (!check(key, spec[key])) {
+      throw new FilterQueryError(hasOwn(CHECKS, key)
+        ? CHECKS[key].message
+        : 'unknown collation option', errors.formatPath([ 'collation', key ]));
+    }
+  }
+
+  if (!hasOwn(spec, 'locale')) {
+    throw new FilterQueryError('expected a locale', 'collation');
+  } else if (spec.locale == 'simple') {
+    return null;
+  } else if ('undefined' == typeof Intl || !Intl.Collator) {
+    throw new FilterQueryError('collation requires Intl.Collator', 'collation');
+  } else if (!supported(spec.locale)) {
+    throw new FilterQueryError('unsupported locale "' + spec.locale + '"', 'collation.locale');
+  }
+
+  if (undefined !== spec.strength) strength = spec.strength;
+  opts.sensitivity = strength === 1 && spec.caseLevel ? 'case' : SENSITIVITY[strength];
+  if (undefined !== spec.caseFirst) opts.caseFirst = spec.caseFirst == 'off' ? 'false' : spec.caseFirst;
+  if (undefined !== spec.numericOrdering) opts.numeric = spec.numericOrdering;
+  if (undefined !== spec.alternate) opts.ignorePunctuation = spec.alternate == 'shifted';
+
+  return new Intl.Collator(spec.locale, opts);
+}
+
+/**
+ * ### .operators (set, collator, builtins)
+ *
+ * Create a child of an operator set in which the built-in
+ * comparators that compare values use the collator for
+ * strings. Comparators that replace the built-ins are kept.
+ *
+ * @param {Operators} set
+ * @param {Intl.Collator} collator
+ * @param {Object} builtins
+ * @return {Operators} child
+ * @api private
+ */
+
+function operators (set, c, builtins) {
+  var child = set.extend()
+    , def;
+
+  for (var name in COLLATED) {
+    def = set.lookup(name);
+    if (!def || def.fn !== builtins[name]) continue;
+
+    child.define(name, COLLATED[name](c), {
+        kind: def.kind
+      , branches: def.branches
+      , circuit: def.circuit
+      , cost: def.cost
+      , validate: def.validate
+    });
+  }
+
+  return child;
+}
+
+/*!
+ * Helpers
+ */
+
+function check (key, val) {
+  return hasOwn(CHECKS, key) && CHECKS[key].test(val);
+}
+
+function supported (locale) {
+  try {
+    return Intl.Collator.supportedLocalesOf([ locale ]).length > 0;
+  } catch (ex) {
+    return false;
+  }
+}
+
+function contains (list, val, c) {
+  for (var i = 0; i < list.length; i++) {
+    if (equal(list[i], val, c)) return true;
+  }
+
+  return false;
+}
+
+function member (list, val, c) {
+  for (var i = 0; i < list.length; i++) {
+    if (isRegExp(list[i]) && 'string' == typeof val) {
+      list[i].lastIndex = 0;
+      if (list[i].test(val)) return true;
+    } else if (equal(list[i], val, c)) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+function isRegExp (val) {
+  return '[object RegExp]' == Object.prototype.toString.call(val);
+}
+
+function hasOwn (obj, key) {
+  return Object.prototype.hasOwnProperty.call(obj, key);
+}
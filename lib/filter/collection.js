@@ -0,0 +1,883 @@
+/*!
+ * gaia-filter - collection
+ * Copyright(c) 2012 Jake Luer <jake@alogicalparadox.com>
+ * MIT Licensed
+ */
+
+/*!
+ * Module dependancies
+ */
+
+var compare = require('./compare')
+  , errors = require('./errors')
+  , path = require('./path');
+
+/*!
+ * Error constructors
+ */
+
+var FilterQueryError = errors.FilterQueryError;
+
+/*!
+ * Primary exports
+ */
+
+module.exports = Collection;
+
+/**
+ * ### Collection (docs)
+ *
+ * An in-memory collection of documents with secondary
+ * indexes. Queries are planned against the indexes to
+ * find candidate documents, which are then tested with
+ * the full filter, so results are always the same as
+ * `.subset` of `.toArray()`.
+ *
+ * Created with `Collection.extend(filter, builtins)`, where
+ * `filter` builds queries and `builtins` are the original
+ * comparators, which the planner relies on.
+ *
+ * @param {Array} documents (optional)
+ * @api public
+ */
+
+function Collection (docs) {
+  this.slots = [];
+  this.holes = 0;
+  this.length = 0;
+  this.indexes = {};
+  if (docs) this.insert(docs);
+}
+
+/*!
+ * Number of removed slots above which the collection
+ * is compacted, if they are also more than half.
+ */
+
+Collection.COMPACT = 1024;
+
+/**
+ * ### Collection.extend (filter, builtins)
+ *
+ * Create a collection constructor that builds its
+ * queries with a `filter` function.
+ *
+ * @param {Function} filter
+ * @param {Object} builtins
+ * @return {Function} constructor
+ * @api private
+ */
+
+Collection.extend = function (filter, builtins) {
+  function Extended (docs) {
+    if (!(this instanceof Extended)) return new Extended(docs);
+    Collection.call(this, docs);
+  }
+
+  Extended.prototype = Object.create(Collection.prototype);
+  Extended.prototype.constructor = Extended;
+  Extended.prototype.filter = filter;
+  Extended.prototype.builtins = builtins;
+  return Extended;
+};
+
+/**
+ * ### .insert (docs)
+ *
+ * Add a document, or an array of documents, to the
+ * collection and to each of its indexes.
+ *
+ * @param {Object|Array} documents
+ * @return {Collection} this
+ * @api public
+ */
+
+Collection.prototype.insert = function (docs) {
+  var slot;
+
+  if (!Array.isArray(docs)) docs = [ docs ];
+
+  for (var i = 0; i < docs.length; i++) {
+    if (null == docs[i] || 'object' != typeof docs[i]) {
+      throw new TypeError('expected a document');
+    }
+
+    slot = this.slots.push(docs[i]) - 1;
+    this.length++;
+
+    for (var name in this.indexes) {
+      this.indexes[name].add(docs[i], slot);
+    }
+  }
+
+  return this;
+};
+
+/**
+ * ### .find (query[, options])
+ *
+ * Get the documents that pass a query, accepting the
+ * same options as `.subset` except `textIndex`, since
+ * an index positions the array it was built from.
+ *
+ * @param {Object|Filter} query
+ * @param {Object} options (optional)
+ * @return {Array} documents
+ * @api public
+ */
+
+Collection.prototype.find = function (query, opts) {
+  var q = this.query(query);
+  if (opts && undefined !== opts.textIndex) {
+    throw new FilterQueryError('not supported by collections', 'textIndex');
+  }
+  return q.subset(this.docs(this.candidates(q)), opts);
+};
+
+/**
+ * ### .count (query)
+ *
+ * Get the number of documents that pass a query.
+ *
+ * @param {Object|Filter} query
+ * @return {Number} count
+ * @api public
+ */
+
+Collection.prototype.count = function (query) {
+  return this.matches(this.query(query)).length;
+};
+
+/**
+ * ### .remove (query)
+ *
+ * Remove every document that passes a query. Will
+ * return the number of documents removed.
+ *
+ * @param {Object|Filter} query
+ * @return {Number} removed
+ * @api public
+ */
+
+Collection.prototype.remove = function (query) {
+  var slots = this.matches(this.query(query))
+    , slot;
+
+  for (var i = 0; i < slots.length; i++) {
+    slot = slots[i];
+    this.unindex(slot);
+    this.slots[slot] = undefined;
+  }
+
+  this.holes += slots.length;
+  this.length -= slots.length;
+  if (this.holes > Collection.COMPACT && this.holes * 2 > this.slots.length) this.compact();
+  return slots.length;
+};
+
+/**
+ * ### .update (query, update[, options])
+ *
+ * Apply update operators to the documents that pass a
+ * query, as `.update` of a filter does, keeping the
+ * indexes up to date. An upserted document is inserted
+ * into the collection.
+ *
+ * @param {Object|Filter} query
+ * @param {Object} update
+ * @param {Object} options (optional)
+ * @return {Object} result
+ * @api public
+ */
+
+Collection.prototype.update = function (query, spec, opts) {
+  var q = this.query(query)
+    , slots = this.matches(q)
+    , docs = []
+    , res;
+
+  opts = opts || {};
+  if (!opts.multi) slots = slots.slice(0, 1);
+
+  for (var i = 0; i < slots.length; i++) {
+    docs.push(this.slots[slots[i]]);
+    this.unindex(slots[i]);
+  }
+
+  try {
+    res = q.update(docs, spec, {
+        multi: true
+      , upsert: opts.upsert && !docs.length
+    });
+  } finally {
+    for (var j = 0; j < slots.length; j++) this.reindex(slots[j]);
+  }
+
+  if (res.upserted) this.insert(res.upserted);
+  return res;
+};
+
+/**
+ * ### .createIndex (path[, options])
+ *
+ * Index the values at a path. A `hash` index, the
+ * default, is used for `$eq` and `$in` conditions. A
+ * `sorted` index is also used for `$gt`, `$gte`, `$lt`
+ * and `$lte` conditions with a number.
+ *
+ * @param {String} path
+ * @param {Object} options (optional)
+ * @return {Collection} this
+ * @api public
+ */
+
+Collection.prototype.createIndex = function (name, opts) {
+  var type = (opts && opts.type) || 'hash'
+    , Index;
+
+  if ('string' != typeof name || !name) {
+    throw new FilterQueryError('expected a path', 'index');
+  }
+
+  if (type == 'hash') Index = HashIndex;
+  else if (type == 'sorted') Index = SortedIndex;
+  else throw new FilterQueryError('unknown index type "' + type + '"', 'index.type');
+
+  name = path.parse(name).join('.');
+  this.indexes[name] = new Index(name);
+  this.indexes[name].build(this.slots);
+  return this;
+};
+
+/**
+ * ### .dropIndex (path)
+ *
+ * Remove the index for a path.
+ *
+ * @param {String} path
+ * @return {Collection} this
+ * @api public
+ */
+
+Collection.prototype.dropIndex = function (name) {
+  delete this.indexes[path.parse(name).join('.')];
+  return this;
+};
+
+/**
+ * ### .plan (query)
+ *
+ * Describe how a query would be run: the `indexes` used
+ * to find candidates, and the number of `candidates` that
+ * would be tested. When no index can be used, `indexes`
+ * is empty and every document is a candidate.
+ *
+ * @param {Object|Filter} query
+ * @return {Object} plan
+ * @api public
+ */
+
+Collection.prototype.plan = function (query) {
+  var used = []
+    , slots = this.candidates(this.query(query), used);
+
+  return {
+      indexes: used.filter(function (name, i) { return used.indexOf(name) === i; })
+    , candidates: slots ? slots.length : this.length
+  };
+};
+
+/**
+ * ### .toArray ()
+ *
+ * Get the documents of the collection, in the
+ * order they were inserted.
+ *
+ * @return {Array} documents
+ * @api public
+ */
+
+Collection.prototype.toArray = function () {
+  return this.docs(null);
+};
+
+/*!
+ * Build a filter from a query, or use a filter as is.
+ *
+ * @param {Object|Filter} query
+ * @return {Filter} filter
+ * @api private
+ */
+
+Collection.prototype.query = function (query) {
+  return query && query.stack && 'function' == typeof query.subset
+    ? query
+    : this.filter(query);
+};
+
+/*!
+ * Get the documents in a list of slots, or all
+ * documents if `slots` is `null`.
+ *
+ * @param {Array} slots
+ * @return {Array} documents
+ * @api private
+ */
+
+Collection.prototype.docs = function (slots) {
+  var res = []
+    , doc;
+
+  if (!slots) {
+    for (var i = 0; i < this.slots.length; i++) {
+      doc = this.slots[i];
+      if (undefined !== doc) res.push(doc);
+    }
+    return res;
+  }
+
+  for (var j = 0; j < slots.length; j++) res.push(this.slots[slots[j]]);
+  return res;
+};
+
+/*!
+ * Get the slots of the documents that pass a filter.
+ *
+ * @param {Filter} filter
+ * @return {Array} slots
+ * @api private
+ */
+
+Collection.prototype.matches = function (q) {
+  var slots = this.candidates(q)
+    , res = []
+    , doc;
+
+  if (!slots) {
+    for (var i = 0; i < this.slots.length; i++) {
+      doc = this.slots[i];
+      if (undefined !== doc && q.test(doc)) res.push(i);
+    }
+    return res;
+  }
+
+  for (var j = 0; j < slots.length; j++) {
+    if (q.test(this.slots[slots[j]])) res.push(slots[j]);
+  }
+
+  return res;
+};
+
+/*!
+ * Plan a filter against the indexes. Will return the
+ * ordered slots of candidate documents, or `null` if
+ * every document must be tested.
+ *
+ * @param {Filter} filter
+ * @param {Array} indexes used (optional)
+ * @return {Array} slots
+ * @api private
+ */
+
+Collection.prototype.candidates = function (q, used) {
+  return planStack(q.stack, this, used || []);
+};
+
+/*!
+ * Index helpers
+ */
+
+Collection.prototype.unindex = function (slot) {
+  for (var name in this.indexes) this.indexes[name].remove(slot);
+};
+
+Collection.prototype.reindex = function (slot) {
+  for (var name in this.indexes) this.indexes[name].add(this.slots[slot], slot);
+};
+
+/*!
+ * Drop removed slots and rebuild the indexes.
+ *
+ * @api private
+ */
+
+Collection.prototype.compact = function () {
+  this.slots = this.docs(null);
+  this.holes = 0;
+
+  for (var name in this.indexes) {
+    this.indexes[name] = new this.indexes[name].constructor(name);
+    this.indexes[name].build(this.slots);
+  }
+};
+
+/*!
+ * Plan the statements of a query stack, which must all
+ * pass, keeping the candidates of every one that can
+ * use an index.
+ *
+ * @param {Array} stack
+ * @param {Collection} collection
+ * @param {Array} indexes used
+ * @return {Array} slots or `null`
+ * @api private
+ */
+
+function planStack (stack, coll, used) {
+  var res = null
+    , entry, slots;
+
+  for (var i = 0; i < stack.length; i++) {
+    entry = stack[i];
+    slots = entry.path
+      ? planEntry(entry, coll, used)
+      : planLogicals(entry.test, coll, used);
+
+    if (slots) res = res ? intersect(res, slots) : slots;
+  }
+
+  return res;
+}
+
+/*!
+ * Plan the comparators of a statement on an indexed
+ * path. Range comparators are combined into a single
+ * range of the index.
+ *
+ * @param {Object} entry
+ * @param {Collection} collection
+ * @param {Array} indexes used
+ * @return {Array} slots or `null`
+ * @api private
+ */
+
+function planEntry (entry, coll, used) {
+  var index = coll.indexes[entry.segments.join('.')]
+    , builtins = coll.builtins
+    , bounds = null
+    , res = null
+    , test, slots;
+
+  if (!index) return null;
+
+  for (var i = 0; i < entry.test.length; i++) {
+    test = entry.test[i];
+    slots = null;
+
+    switch (test.fn) {
+      case builtins.$eq:
+        slots = index.equal(test.params);
+        break;
+      case builtins.$in:
+        slots = [];
+        for (var j = 0; j < test.params.length; j++) {
+          if (isRegExp(test.params[j])) {
+            slots = null;
+            break;
+          }
+          slots = union(slots, index.equal(test.params[j]));
+        }
+        break;
+      case builtins.$gt:
+      case builtins.$gte:
+      case builtins.$lt:
+      case builtins.$lte:
+        if (index.range && 'number' == typeof test.params && test.params === test.params) {
+          bounds = bounds || {};
+          bounds[test.op] = test.params;
+        }
+        break;
+    }
+
+    if (slots) res = res ? intersect(res, slots) : slots;
+  }
+
+  if (bounds) {
+    slots = index.range(bounds);
+    res = res ? intersect(res, slots) : slots;
+  }
+
+  if (res) used.push(index.name);
+  return res;
+}
+
+/*!
+ * Plan the logical comparators of a statement
+ * without a path, all of which must pass.
+ *
+ * @param {Array} tests
+ * @param {Collection} collection
+ * @param {Array} indexes used
+ * @return {Array} slots or `null`
+ * @api private
+ */
+
+function planLogicals (tests, coll, used) {
+  var res = null
+    , slots;
+
+  for (var i = 0; i < tests.length; i++) {
+    slots = planLogical(tests[i], coll, used);
+    if (slots) res = res ? intersect(res, slots) : slots;
+  }
+
+  return res;
+}
+
+/*!
+ * Plan a logical comparator. Every query of `$and`
+ * must pass, so their candidates are intersected, while
+ * `$or` can only use indexes if every one of its queries can.
+ *
+ * @param {Object} test
+ * @param {Collection} collection
+ * @param {Array} indexes used
+ * @return {Array} slots or `null`
+ * @api private
+ */
+
+function planLogical (test, coll, used) {
+  var builtins = coll.builtins
+    , slots = null
+    , sub, names;
+
+  if (test.fn === builtins.$and) {
+    for (var i = 0; i < test.params.length; i++) {
+      sub = planStack(test.params[i], coll, used);
+      if (sub) slots = slots ? intersect(slots, sub) : sub;
+    }
+    return slots;
+  }
+
+  if (test.fn === builtins.$or) {
+    names = [];
+    slots = [];
+
+    for (var j = 0; j < test.params.length; j++) {
+      sub = planStack(test.params[j], coll, names);
+      if (!sub) return null;
+      slots = union(slots, sub);
+    }
+
+    used.push.apply(used, names);
+    return slots;
+  }
+
+  return null;
+}
+
+/*!
+ * Merge two ordered lists of slots.
+ *
+ * @param {Array} a
+ * @param {Array} b
+ * @return {Array} slots
+ * @api private
+ */
+
+function union (a, b) {
+  var res = []
+    , i = 0
+    , j = 0;
+
+  while (i < a.length || j < b.length) {
+    if (j >= b.length || (i < a.length && a[i] < b[j])) res.push(a[i++]);
+    else if (i >= a.length || b[j] < a[i]) res.push(b[j++]);
+    else {
+      res.push(a[i++]);
+      j++;
+    }
+  }
+
+  return res;
+}
+
+/*!
+ * Intersect two ordered lists of slots.
+ *
+ * @param {Array} a
+ * @param {Array} b
+ * @return {Array} slots
+ * @api private
+ */
+
+function intersect (a, b) {
+  var res = []
+    , i = 0
+    , j = 0;
+
+  while (i < a.length && j < b.length) {
+    if (a[i] < b[j]) i++;
+    else if (b[j] < a[i]) j++;
+    else {
+      res.push(a[i++]);
+      j++;
+    }
+  }
+
+  return res;
+}
+
+/*!
+ * Get the values of a document that are indexed for
+ * a path: each value at the path, and the elements of
+ * those that are arrays, as they are tested.
+ *
+ * @param {Object} document
+ * @param {Array} segments
+ * @return {Array} values
+ * @api private
+ */
+
+function values (doc, segs) {
+  return path.expand(path.resolve(doc, segs));
+}
+
+/*!
+ * Get a string that is the same for values that
+ * are `equal`.
+ *
+ * @param {Mixed} value
+ * @return {String} key
+ * @api private
+ */
+
+function hash (val) {
+  var type = Object.prototype.toString.call(val);
+
+  if (null == val) return 'null';
+  if ('number' == typeof val) return 'n' + (val === 0 ? 0 : val);
+  if ('string' == typeof val) return 's' + val;
+  if ('boolean' == typeof val) return 'b' + val;
+  if ('[object Date]' == type) return 'd' + val.getTime();
+  if ('[object RegExp]' == type) return 'r' + String(val);
+
+  if ('[object Array]' == type) {
+    return '[' + val.map(hash).join(',') + ']';
+  }
+
+  return '{' + Object.keys(val).sort().map(function (key) {
+    return JSON.stringify(key) + ':' + hash(val[key]);
+  }).join(',') + '}';
+}
+
+/*!
+ * HashIndex (name)
+ *
+ * Maps the hash of each indexed value to the ordered
+ * slots of the documents that have it.
+ *
+ * @param {String} path
+ * @api private
+ */
+
+function HashIndex (name) {
+  this.name = name;
+  this.type = 'hash';
+  this.segs = name.split('.');
+  this.map = {};
+  this.keys = {};
+}
+
+HashIndex.prototype.build = function (slots) {
+  for (var i = 0; i < slots.length; i++) {
+    if (undefined !== slots[i]) this.add(slots[i], i);
+  }
+};
+
+HashIndex.prototype.add = function (doc, slot) {
+  var vals = values(doc, this.segs)
+    , keys = []
+    , key, list;
+
+  for (var i = 0; i < vals.length; i++) {
+    key = hash(vals[i]);
+    if (~keys.indexOf(key)) continue;
+    keys.push(key);
+
+    list = this.map.hasOwnProperty(key) ? this.map[key] : (this.map[key] = []);
+    insertSorted(list, slot);
+  }
+
+  this.keys[slot] = keys;
+};
+
+HashIndex.prototype.remove = function (slot) {
+  var keys = this.keys[slot] || []
+    , list;
+
+  for (var i = 0; i < keys.length; i++) {
+    list = this.map[keys[i]];
+    list.splice(list.indexOf(slot), 1);
+    if (!list.length) delete this.map[keys[i]];
+  }
+
+  delete this.keys[slot];
+};
+
+HashIndex.prototype.equal = function (val) {
+  var key = hash(val);
+  return this.map.hasOwnProperty(key) ? this.map[key].slice() : [];
+};
+
+/*!
+ * SortedIndex (name)
+ *
+ * Keeps the numbers at a path in order, to find
+ * ranges, along with a hash index for equality. The
+ * range comparators only match values of the same type,
+ * so a range of numbers never includes other values. A
+ * document with several numbers at the path is always a
+ * candidate for a range with two bounds, as each bound
+ * may be met by a different number.
+ *
+ * @param {String} path
+ * @api private
+ */
+
+function SortedIndex (name) {
+  HashIndex.call(this, name);
+  this.type = 'sorted';
+  this.nums = [];
+  this.multi = {};
+}
+
+SortedIndex.prototype = Object.create(HashIndex.prototype);
+SortedIndex.prototype.constructor = SortedIndex;
+
+SortedIndex.prototype.build = function (slots) {
+  var vals, slot, count;
+
+  for (slot = 0; slot < slots.length; slot++) {
+    if (undefined === slots[slot]) continue;
+    HashIndex.prototype.add.call(this, slots[slot], slot);
+    vals = values(slots[slot], this.segs);
+    count = 0;
+
+    for (var i = 0; i < vals.length; i++) {
+      if (!isNumber(vals[i])) continue;
+      this.nums.push({ v: vals[i], slot: slot });
+      count++;
+    }
+
+    if (count > 1) this.multi[slot] = true;
+  }
+
+  this.nums.sort(compareEntries);
+};
+
+SortedIndex.prototype.add = function (doc, slot) {
+  var vals = values(doc, this.segs)
+    , count = 0
+    , entry;
+
+  HashIndex.prototype.add.call(this, doc, slot);
+
+  for (var i = 0; i < vals.length; i++) {
+    if (!isNumber(vals[i])) continue;
+
+    entry = { v: vals[i], slot: slot };
+    this.nums.splice(search(this.nums, entry), 0, entry);
+    count++;
+  }
+
+  if (count > 1) this.multi[slot] = true;
+};
+
+SortedIndex.prototype.remove = function (slot) {
+  var keys = this.keys[slot] || []
+    , entry, at;
+
+  for (var i = 0; i < keys.length; i++) {
+    if (keys[i].charAt(0) != 'n' || keys[i] == 'nNaN') continue;
+    entry = { v: Number(keys[i].slice(1)), slot: slot };
+    at = search(this.nums, entry);
+    while (at < this.nums.length && this.nums[at].slot === slot && this.nums[at].v === entry.v) {
+      this.nums.splice(at, 1);
+    }
+  }
+
+  delete this.multi[slot];
+  HashIndex.prototype.remove.call(this, slot);
+};
+
+SortedIndex.prototype.range = function (bounds) {
+  var lo = 0
+    , hi = this.nums.length
+    , res = [];
+
+  if (bounds.hasOwnProperty('$gt')) lo = Math.max(lo, bound(this.nums, bounds.$gt, true));
+  if (bounds.hasOwnProperty('$gte')) lo = Math.max(lo, bound(this.nums, bounds.$gte, false));
+  if (bounds.hasOwnProperty('$lt')) hi = Math.min(hi, bound(this.nums, bounds.$lt, false));
+  if (bounds.hasOwnProperty('$lte')) hi = Math.min(hi, bound(this.nums, bounds.$lte, true));
+
+  for (var i = lo; i < hi; i++) res.push(this.nums[i].slot);
+
+  if ((bounds.hasOwnProperty('$gt') || bounds.hasOwnProperty('$gte'))
+  && (bounds.hasOwnProperty('$lt') || bounds.hasOwnProperty('$lte'))) {
+    for (var slot in this.multi) res.push(Number(slot));
+  }
+
+  return unique(res.sort(function (a, b) { return a - b; }));
+};
+
+/*!
+ * Sorted list helpers
+ */
+
+function compareEntries (a, b) {
+  return compare(a.v, b.v) || a.slot - b.slot;
+}
+
+function search (list, entry) {
+  var lo = 0
+    , hi = list.length
+    , mid;
+
+  while (lo < hi) {
+    mid = (lo + hi) >>> 1;
+    if (compareEntries(list[mid], entry) < 0) lo = mid + 1;
+    else hi = mid;
+  }
+
+  return lo;
+}
+
+function bound (list, val, after) {
+  var lo = 0
+    , hi = list.length
+    , mid;
+
+  while (lo < hi) {
+    mid = (lo + hi) >>> 1;
+    if (list[mid].v < val || (after && list[mid].v === val)) lo = mid + 1;
+    else hi = mid;
+  }
+
+  return lo;
+}
+
+function insertSorted (list, slot) {
+  var i = list.length;
+  if (!i || list[i - 1] < slot) return list.push(slot);
+  while (i > 0 && list[i - 1] > slot) i--;
+  if (list[i - 1] !== slot) list.splice(i, 0, slot);
+}
+
+function unique (list) {
+  var res = [];
+
+  for (var i = 0; i < list.length; i++) {
+    if (!i || list[i] !== list[i - 1]) res.push(list[i]);
+  }
+
+  return res;
+}
+
+function isNumber (val) {
+  return 'number' == typeof val && val === val;
+}
+
+function isRegExp (val) {
+  return '[object RegExp]' == Object.prototype.toString.call(val);
+}
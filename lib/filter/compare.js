@@ -0,0 +1,226 @@
+/*!
+ * gaia-filter - compare
+ * Copyright(c) 2012 Jake Luer <jake@alogicalparadox.com>
+ * MIT Licensed
+ */
+
+/*!
+ * Type names, by sort rank
+ */
+
+var TYPES = [ null, 'null', 'number', 'string', 'object', 'array', 'boolean', 'date', 'regex', null ];
+
+/*!
+ * Primary exports
+ */
+
+module.exports = compare;
+compare.type = type;
+compare.ordered = ordered;
+
+/**
+ * ### compare (a, b[, collator])
+ *
+ * Order two values of any type, returning a negative
+ * number when `a` sorts first, a positive number when
+ * `b` sorts first and `0` when they are equal. Values of
+ * different types are ordered as follows.
+ *
+ * 1. `null` and `undefined`
+ * 2. numbers (`NaN` first)
+ * 3. strings
+ * 4. objects
+ * 5. arrays
+ * 6. booleans
+ * 7. dates
+ * 8. regular expressions
+ *
+ * Objects are compared key by key in their own order, then
+ * by value, and arrays are compared element by element. A
+ * shorter object or array sorts first when all else is equal.
+ * Strings are compared with the `compare` method of the
+ * `collator`, such as an `Intl.Collator`, when given.
+ *
+ * ```js
+ * compare(null, 0); // -1
+ * compare(42, 'a'); // -1
+ * compare([ 1, 2 ], [ 1 ]); // 1
+ * ```
+ *
+ * @param {Mixed} a
+ * @param {Mixed} b
+ * @param {Object} collator (optional)
+ * @return {Number} order
+ * @api public
+ */
+
+function compare (a, b, collator) {
+  var ta = rank(a)
+    , tb = rank(b);
+
+  if (ta !== tb) return ta < tb ? -1 : 1;
+
+  switch (ta) {
+    case 1:
+      return 0;
+    case 2:
+      return compareNumbers(a, b);
+    case 3:
+      return collator ? collator.compare(a, b) : order(a, b);
+    case 6:
+      return order(a, b);
+    case 4:
+      return compareObjects(a, b, collator);
+    case 5:
+      return compareArrays(a, b, collator);
+    case 7:
+      return compareNumbers(a.getTime(), b.getTime());
+    default:
+      return order(String(a), String(b));
+  }
+}
+
+/**
+ * ### compare.type (val)
+ *
+ * Get the name of the type a value is ordered with,
+ * one of `null` (also for `undefined`), `number`, `string`,
+ * `object`, `array`, `boolean`, `date` or `regex`. Other
+ * values, such as functions, have no type.
+ *
+ * ```js
+ * compare.type(new Date()); // 'date'
+ * compare.type('10'); // 'string'
+ * ```
+ *
+ * @param {Mixed} value
+ * @return {String} type or `null`
+ * @api public
+ */
+
+function type (val) {
+  return TYPES[rank(val)];
+}
+
+/*!
+ * Order two values for the range comparators, giving
+ * `NaN` if they are not of the same type or only one
+ * is `NaN`, so that every comparison with `0` fails.
+ *
+ * @param {Mixed} a
+ * @param {Mixed} b
+ * @param {Object} collator (optional)
+ * @return {Number} order
+ * @api private
+ */
+
+function ordered (a, b, collator) {
+  var t = type(a);
+
+  if (!t || t !== type(b)) return NaN;
+  if (t == 'number' && (a !== a) !== (b !== b)) return NaN;
+  return compare(a, b, collator);
+}
+
+/*!
+ * Get the sort rank of a value's type.
+ *
+ * @param {Mixed} value
+ * @return {Number} rank
+ * @api private
+ */
+
+function rank (val) {
+  if (null == val) return 1;
+
+  switch (typeof val) {
+    case 'number': return 2;
+    case 'string': return 3;
+    case 'boolean': return 6;
+  }
+
+  switch (Object.prototype.toString.call(val)) {
+    case '[object Array]': return 5;
+    case '[object Date]': return 7;
+    case '[object RegExp]': return 8;
+    case '[object Number]': return 9;
+    case '[object String]': return 9;
+    case '[object Boolean]': return 9;
+  }
+
+  return 'function' == typeof val ? 9 : 4;
+}
+
+/*!
+ * Order two values of the same primitive type.
+ *
+ * @param {Mixed} a
+ * @param {Mixed} b
+ * @return {Number} order
+ * @api private
+ */
+
+function order (a, b) {
+  return a < b ? -1 : (a > b ? 1 : 0);
+}
+
+/*!
+ * Order two numbers, with `NaN` first.
+ *
+ * @param {Number} a
+ * @param {Number} b
+ * @return {Number} order
+ * @api private
+ */
+
+function compareNumbers (a, b) {
+  if (a !== a || b !== b) return a !== a ? (b !== b ? 0 : -1) : 1;
+  return order(a, b);
+}
+
+/*!
+ * Order two arrays element by element.
+ *
+ * @param {Array} a
+ * @param {Array} b
+ * @param {Object} collator (optional)
+ * @return {Number} order
+ * @api private
+ */
+
+function compareArrays (a, b, collator) {
+  var len = Math.min(a.length, b.length)
+    , res;
+
+  for (var i = 0; i < len; i++) {
+    res = compare(a[i], b[i], collator);
+    if (res) return res;
+  }
+
+  return order(a.length, b.length);
+}
+
+/*!
+ * Order two objects by their keys, then values,
+ * in the order of their own enumerable keys.
+ *
+ * @param {Object} a
+ * @param {Object} b
+ * @param {Object} collator (optional)
+ * @return {Number} order
+ * @api private
+ */
+
+function compareObjects (a, b, collator) {
+  var ka = Object.keys(a)
+    , kb = Object.keys(b)
+    , len = Math.min(ka.length, kb.length)
+    , res;
+
+  for (var i = 0; i < len; i++) {
+    res = order(ka[i], kb[i]) || compare(a[ka[i]], b[kb[i]], collator);
+    if (res) return res;
+  }
+
+  return order(ka.length, kb.length);
+}
@@ -0,0 +1,403 @@
+/*!
+ * gaia-filter - compile
+ * Copyright(c) 2012 Jake Luer <jake@alogicalparadox.com>
+ * MIT Licensed
+ */
+
+/*!
+ * Constants
+ */
+
+var SLOW = {};
+
+/*!
+ * Primary exports
+ */
+
+module.exports = compile;
+
+/**
+ * ### compile (stack, runtime)
+ *
+ * Generate a single predicate function for a parsed query
+ * stack. Path lookups, built-in comparisons and logical
+ * operators are inlined. Whenever a path lands on or crosses
+ * an array, that statement is handed to the interpreter so
+ * results are always the same as `runtime.test`.
+ *
+ * The `runtime` provides the interpreter (`test`), the path
+ * presence check (`has`) and the built-in comparators that
+ * may be inlined (`builtins`).
+ *
+ * @param {Array} stack from `parseQuery`
+ * @param {Object} runtime
+ * @return {Function} predicate
+ * @api private
+ */
+
+function compile (stack, rt) {
+  var st = {
+      rt: rt
+    , consts: []
+    , getters: []
+    , vars: 0
+  };
+
+  var expr = genStack(stack, 'd', null, st)
+    , src = ''
+    , locals = [];
+
+  for (var i = 0; i < st.consts.length; i++) {
+    src += 'var k' + i + ' = K[' + i + '];\n';
+  }
+
+  src += st.getters.join('');
+
+  for (var j = 0; j < st.vars; j++) locals.push('v' + j);
+
+  src += 'return function (d) {\n'
+    + (locals.length ? '  var ' + locals.join(', ') + ';\n' : '')
+    + '  return !!(' + expr + ');\n'
+    + '};\n';
+
+  var factory = new Function('K', 'T', 'H', 'S', 'isArray', src);
+  return factory(st.consts, rt.test, rt.has, SLOW, Array.isArray);
+}
+
+/*!
+ * Generate the expression for each statement of a
+ * query stack, tested against the value `v`.
+ *
+ * @param {Array} stack
+ * @param {String} value expression
+ * @param {Object} presence context of current path
+ * @param {Object} state
+ * @return {String} expression
+ * @api private
+ */
+
+function genStack (stack, v, presence, st) {
+  var parts = []
+    , entry;
+
+  for (var i = 0; i < stack.length; i++) {
+    entry = stack[i];
+    parts.push(entry.path
+      ? genEntry(entry, v, st)
+      : genOps(entry.test, v, presence, st));
+  }
+
+  return join(parts, ' && ', 'true');
+}
+
+/*!
+ * Generate the expression for a statement with a path.
+ * The path is resolved inline. If it lands on or crosses
+ * an array the statement is tested by the interpreter.
+ *
+ * @param {Object} entry
+ * @param {String} value expression
+ * @param {Object} state
+ * @return {String} expression
+ * @api private
+ */
+
+function genEntry (entry, v, st) {
+  var name = 'v' + st.vars++
+    , getter = genGetter(entry.segments, st)
+    , presence = { parent: v, segs: konst(entry.segments, st) };
+
+  return '((' + name + ' = ' + getter + '(' + v + ')) !== S && !isArray(' + name + ')'
+    + ' ? ' + genOps(entry.test, name, presence, st)
+    + ' : T([ ' + v + ' ], ' + konst([ entry ], st) + ', false))';
+}
+
+/*!
+ * Generate a function that follows a path through
+ * objects, returning `S` if it must cross an array.
+ *
+ * @param {Array} segments
+ * @param {Object} state
+ * @return {String} function name
+ * @api private
+ */
+
+function genGetter (segs, st) {
+  var name = 'g' + st.getters.length
+    , src = 'function ' + name + ' (o) {\n';
+
+  for (var i = 0; i < segs.length; i++) {
+    src += '  if (o == null) return undefined;\n';
+    if (!/^\d+$/.test(segs[i])) src += '  if (isArray(o)) return S;\n';
+    src += '  o = o[' + JSON.stringify(segs[i]) + '];\n';
+  }
+
+  st.getters.push(src + '  return o;\n}\n');
+  return name;
+}
+
+/*!
+ * Generate the expression for a list of comparators.
+ *
+ * @param {Array} tests from `parseFilter`
+ * @param {String} value expression
+ * @param {Object} presence context of current path
+ * @param {Object} state
+ * @return {String} expression
+ * @api private
+ */
+
+function genOps (tests, v, presence, st) {
+  var parts = [];
+
+  for (var i = 0; i < tests.length; i++) {
+    parts.push(genOp(tests[i], v, presence, st));
+  }
+
+  return join(parts, ' && ', 'true');
+}
+
+/*!
+ * Generate the expression for a single comparator.
+ *
+ * @param {Object} test
+ * @param {String} value expression
+ * @param {Object} presence context of current path
+ * @param {Object} state
+ * @return {String} expression
+ * @api private
+ */
+
+function genOp (test, v, presence, st) {
+  var builtins = st.rt.builtins
+    , fn = konst(test.fn, st)
+    , subs = [];
+
+  if (test.kind == 'logical') {
+    for (var i = 0; i < test.params.length; i++) {
+      subs.push(genStack(test.params[i], v, presence, st));
+    }
+
+    if (test.fn === builtins.$and) return join(subs, ' && ', 'true');
+    if (test.fn === builtins.$or) return join(subs, ' || ', 'false');
+    if (test.fn === builtins.$nor) return '!' + join(subs, ' || ', 'false');
+    if (test.fn === builtins.$not) return '!' + subs[0];
+    return fn + '([ !!' + subs.join(', !!') + ' ])';
+  }
+
+  if (test.presence && presence) {
+    return fn + '(H(' + presence.parent + ', ' + presence.segs + ') ? true : undefined, '
+      + konst(test.params, st) + ')';
+  }
+
+  if (test.kind == 'query') {
+    return fn + '(' + v + ', ' + konst(compile(test.params, st.rt), st) + ')';
+  }
+
+  if ('match' in test) {
+    return fn + '(' + v + ', ' + konst(test.match, st) + ')';
+  }
+
+  return genValue(test, v, st) || fn + '(' + v + ', ' + konst(test.params, st) + ')';
+}
+
+/*!
+ * Inline a built-in value comparator when its operand
+ * allows, returning nothing if it must be called.
+ *
+ * @param {Object} test
+ * @param {String} value expression
+ * @param {Object} state
+ * @return {String} expression
+ * @api private
+ */
+
+function genValue (test, v, st) {
+  var builtins = st.rt.builtins
+    , params = test.params;
+
+  switch (test.fn) {
+    case builtins.$eq:
+      if (isLiteral(params)) return '(' + v + ' === ' + literal(params) + ')';
+      break;
+    case builtins.$ne:
+      if (isLiteral(params)) return '(' + v + ' !== ' + literal(params) + ')';
+      break;
+    case builtins.$gt:
+      if (isLiteral(params)) return range(v, '>', params);
+      break;
+    case builtins.$gte:
+      if (isLiteral(params)) return range(v, '>=', params);
+      break;
+    case builtins.$lt:
+      if (isLiteral(params)) return range(v, '<', params);
+      break;
+    case builtins.$lte:
+      if (isLiteral(params)) return range(v, '<=', params);
+      break;
+    case builtins.$in:
+      if (allMembers(params)) return genIn(params, v, st);
+      break;
+    case builtins.$nin:
+      if (allMembers(params)) return '!' + genIn(params, v, st);
+      break;
+    case builtins.$regex:
+      if (!params.global && !params.sticky) {
+        return '(typeof ' + v + ' == "string" && ' + konst(params, st) + '.test(' + v + '))';
+      }
+      break;
+  }
+}
+
+/*!
+ * Generate a membership test for an array of literals
+ * and regular expressions, which test strings. Short
+ * lists of literals are compared in turn, longer lists
+ * use a lookup table keyed by type and value.
+ *
+ * @param {Array} literals and regular expressions
+ * @param {String} value expression
+ * @param {Object} state
+ * @return {String} expression
+ * @api private
+ */
+
+function genIn (list, v, st) {
+  var lits = []
+    , parts = []
+    , patterns = []
+    , table = {};
+
+  for (var i = 0; i < list.length; i++) {
+    if (isLiteral(list[i])) lits.push(list[i]);
+    else patterns.push(genPattern(list[i], v, st));
+  }
+
+  if (lits.length <= 8) {
+    for (var j = 0; j < lits.length; j++) {
+      parts.push(v + ' === ' + literal(lits[j]));
+    }
+  } else {
+    for (var k = 0; k < lits.length; k++) {
+      table[typeof lits[k] + ':' + lits[k]] = true;
+    }
+
+    parts.push('((typeof ' + v + ' == "string" || typeof ' + v + ' == "number" || typeof ' + v + ' == "boolean")'
+      + ' && ' + konst(table, st) + '.hasOwnProperty(typeof ' + v + ' + ":" + ' + v + '))');
+  }
+
+  return join(parts.concat(patterns), ' || ', 'false');
+}
+
+/*!
+ * Generate the test of a regular expression in `$in`,
+ * which matches strings and equal regular expressions.
+ *
+ * @param {RegExp} pattern
+ * @param {String} value expression
+ * @param {Object} state
+ * @return {String} expression
+ * @api private
+ */
+
+function genPattern (re, v, st) {
+  return '(typeof ' + v + ' == "string" ? ' + konst(re, st) + '.test(' + v + ')'
+    + ' : Object.prototype.toString.call(' + v + ') == "[object RegExp]" && String(' + v + ') === ' + literal(String(re)) + ')';
+}
+
+/*!
+ * Add a value to the constants available to the
+ * generated code and return its name.
+ *
+ * @param {Mixed} value
+ * @param {Object} state
+ * @return {String} name
+ * @api private
+ */
+
+function konst (val, st) {
+  var i = st.consts.indexOf(val);
+  if (!~i) i = st.consts.push(val) - 1;
+  return 'k' + i;
+}
+
+/*!
+ * Inline a range comparison with a literal, which
+ * only passes for values of the same type.
+ *
+ * @param {String} value expression
+ * @param {String} operator
+ * @param {Mixed} literal
+ * @return {String} expression
+ * @api private
+ */
+
+function range (v, op, val) {
+  return '(typeof ' + v + ' == "' + typeof val + '" && ' + v + ' ' + op + ' ' + literal(val) + ')';
+}
+
+/*!
+ * Determine if a value can be written as a literal
+ * that compares the same with `===` as with `equal`.
+ *
+ * @param {Mixed} value
+ * @return {Boolean}
+ * @api private
+ */
+
+function isLiteral (val) {
+  return 'string' == typeof val
+    || 'boolean' == typeof val
+    || ('number' == typeof val && isFinite(val));
+}
+
+/*!
+ * Determine if every element of an `$in` or `$nin`
+ * list can be inlined: a literal, or a regular
+ * expression that keeps no state between tests.
+ *
+ * @param {Array} list
+ * @return {Boolean}
+ * @api private
+ */
+
+function allMembers (list) {
+  var val;
+
+  for (var i = 0; i < list.length; i++) {
+    val = list[i];
+    if (isLiteral(val)) continue;
+    if ('[object RegExp]' != Object.prototype.toString.call(val)) return false;
+    if (val.global || val.sticky) return false;
+  }
+  return true;
+}
+
+/*!
+ * Write a literal value as source.
+ *
+ * @param {String|Number|Boolean} value
+ * @return {String} source
+ * @api private
+ */
+
+function literal (val) {
+  return 'string' == typeof val
+    ? JSON.stringify(val).replace(/\u2028/g, '\\u2028').replace(/\u2029/g, '\\u2029')
+    : String(val);
+}
+
+/*!
+ * Join expressions, wrapping them in parentheses.
+ *
+ * @param {Array} parts
+ * @param {String} operator
+ * @param {String} expression when there are no parts
+ * @return {String} expression
+ * @api private
+ */
+
+function join (parts, op, empty) {
+  if (!parts.length) return empty;
+  return '(' + parts.join(op) + ')';
+}
@@ -0,0 +1,187 @@
+/*!
+ * gaia-filter - ejson
+ * Copyright(c) 2012 Jake Luer <jake@alogicalparadox.com>
+ * MIT Licensed
+ */
+
+/*!
+ * Module dependancies
+ */
+
+var errors = require('./errors')
+  , path = require('./path');
+
+/*!
+ * Local references
+ */
+
+var FilterQueryError = errors.FilterQueryError;
+
+/*!
+ * Primary exports
+ */
+
+exports.encode = encode;
+exports.decode = decode;
+
+/**
+ * ### .encode (value[, loc])
+ *
+ * Encode a value as Extended JSON, which survives
+ * `JSON.stringify`. Dates become `{ $date: iso }`,
+ * regular expressions `{ $regex, $options }`, `undefined`
+ * `{ $undefined: true }` and numbers that are not finite
+ * `{ $numberDouble: 'NaN' }`. Functions cannot be encoded.
+ *
+ * @param {Mixed} value
+ * @param {Array} location for errors (optional)
+ * @return {Mixed} encoded
+ * @api private
+ */
+
+function encode (val, loc) {
+  loc = loc || [];
+
+  var type = Object.prototype.toString.call(val)
+    , res, keys;
+
+  if (undefined === val) return { $undefined: true };
+  if ('number' == typeof val && !isFinite(val)) return { $numberDouble: String(val) };
+  if ('function' == typeof val) throw new FilterQueryError('cannot encode a function', errors.formatPath(loc));
+
+  if ('[object Date]' == type) {
+    return { $date: isNaN(val.getTime()) ? null : val.toISOString() };
+  }
+
+  if ('[object RegExp]' == type) {
+    return { $regex: val.source, $options: flags(val) };
+  }
+
+  if ('[object Array]' == type) {
+    res = [];
+    for (var i = 0; i < val.length; i++) res.push(encode(val[i], loc.concat(i)));
+    return res;
+  }
+
+  if ('[object Object]' == type && 'function' != typeof val.toJSON) {
+    res = {};
+    keys = Object.keys(val);
+    for (var k = 0; k < keys.length; k++) {
+      res[keys[k]] = encode(val[keys[k]], loc.concat(keys[k]));
+    }
+    return res;
+  }
+
+  return val;
+}
+
+/**
+ * ### .decode (value[, loc])
+ *
+ * Decode a value from Extended JSON, as written by
+ * `encode`. An object is only decoded when it has exactly
+ * the keys of one of the wrappers. Wrappers with invalid
+ * contents throw a `FilterQueryError`.
+ *
+ * @param {Mixed} value
+ * @param {Array} location for errors (optional)
+ * @return {Mixed} decoded
+ * @api private
+ */
+
+function decode (val, loc) {
+  loc = loc || [];
+
+  var type = Object.prototype.toString.call(val)
+    , res, keys;
+
+  if ('[object Array]' == type) {
+    res = [];
+    for (var i = 0; i < val.length; i++) res.push(decode(val[i], loc.concat(i)));
+    return res;
+  }
+
+  if ('[object Object]' != type) return val;
+
+  keys = Object.keys(val).sort().join(',');
+
+  switch (keys) {
+    case '$date':
+      return toDate(val.$date, loc.concat('$date'));
+    case '$options,$regex':
+    case '$regex':
+      if ('string' == typeof val.$regex) return toRegExp(val.$regex, val.$options, loc);
+      break;
+    case '$undefined':
+      if (true !== val.$undefined) {
+        throw new FilterQueryError('expected true', errors.formatPath(loc.concat('$undefined')));
+      }
+      return undefined;
+    case '$numberDouble':
+      return toNumber(val.$numberDouble, loc.concat('$numberDouble'));
+  }
+
+  res = {};
+  for (var key in val) {
+    if (path.unsafe([ key ])) {
+      throw new FilterQueryError('cannot decode key "' + key + '"', errors.formatPath(loc.concat(key)));
+    }
+    res[key] = decode(val[key], loc.concat(key));
+  }
+  return res;
+}
+
+/*!
+ * Get the flags of a regular expression.
+ *
+ * @param {RegExp} regexp
+ * @return {String} flags
+ * @api private
+ */
+
+function flags (re) {
+  if ('string' == typeof re.flags) return re.flags;
+
+  return (re.global ? 'g' : '')
+    + (re.ignoreCase ? 'i' : '')
+    + (re.multiline ? 'm' : '');
+}
+
+/*!
+ * Wrapper decoders
+ */
+
+function toDate (val, loc) {
+  var date = null === val
+    ? new Date(NaN)
+    : new Date(val);
+
+  if (('string' != typeof val && 'number' != typeof val && null !== val)
+  || (null !== val && isNaN(date.getTime()))) {
+    throw new FilterQueryError('expected an ISO date string or milliseconds', errors.formatPath(loc));
+  }
+
+  return date;
+}
+
+function toRegExp (pattern, options, loc) {
+  if (undefined !== options && 'string' != typeof options) {
+    throw new FilterQueryError('expected a string', errors.formatPath(loc.concat('$options')));
+  }
+
+  try {
+    return new RegExp(pattern, options);
+  } catch (ex) {
+    throw new FilterQueryError('invalid regular expression: ' + ex.message, errors.formatPath(loc.concat('$regex')));
+  }
+}
+
+function toNumber (val, loc) {
+  var num = Number(val);
+
+  if ('string' != typeof val || (isNaN(num) && val != 'NaN')) {
+    throw new FilterQueryError('expected a number string', errors.formatPath(loc));
+  }
+
+  return num;
+}
@@ -0,0 +1,105 @@
+/*!
+ * gaia-filter - equal
+ * Copyright(c) 2012 Jake Luer <jake@alogicalparadox.com>
+ * MIT Licensed
+ */
+
+/*!
+ * Primary exports
+ */
+
+module.exports = equal;
+
+/**
+ * ### equal (a, b[, collator])
+ *
+ * Determine if two values are structurally equal. Arrays
+ * are equal when each of their elements are equal, objects
+ * when they have the same keys with equal values, Dates when
+ * they represent the same time, and RegExps when they have the
+ * same pattern and flags. `NaN` is equal to `NaN` and `null`
+ * is equal to `undefined`. Strings are equal when the `compare`
+ * method of the `collator`, such as an `Intl.Collator`, finds
+ * no difference, if one is given.
+ *
+ * ```js
+ * equal({ tags: [ 'a', 'b' ] }, { tags: [ 'a', 'b' ] }); // true
+ * equal(new Date(2012, 0, 1), new Date(2012, 0, 1)); // true
+ * equal(null, undefined); // true
+ * ```
+ *
+ * @param {Mixed} a
+ * @param {Mixed} b
+ * @param {Object} collator (optional)
+ * @return {Boolean}
+ * @api public
+ */
+
+function equal (a, b, collator) {
+  if (a === b) return true;
+  if (null == a || null == b) return null == a && null == b;
+  if (a !== a) return b !== b;
+  if (collator && 'string' == typeof a && 'string' == typeof b) {
+    return collator.compare(a, b) === 0;
+  }
+  if ('object' != typeof a || 'object' != typeof b) return false;
+
+  var type = Object.prototype.toString.call(a);
+  if (type != Object.prototype.toString.call(b)) return false;
+
+  switch (type) {
+    case '[object Date]':
+      return a.getTime() === b.getTime()
+        || (a.getTime() !== a.getTime() && b.getTime() !== b.getTime());
+    case '[object RegExp]':
+      return String(a) === String(b);
+    case '[object Array]':
+      return arrayEqual(a, b, collator);
+    default:
+      return objectEqual(a, b, collator);
+  }
+}
+
+/*!
+ * Compare the elements of two arrays.
+ *
+ * @param {Array} a
+ * @param {Array} b
+ * @param {Object} collator (optional)
+ * @return {Boolean}
+ * @api private
+ */
+
+function arrayEqual (a, b, collator) {
+  if (a.length !== b.length) return false;
+
+  for (var i = 0; i < a.length; i++) {
+    if (!equal(a[i], b[i], collator)) return false;
+  }
+
+  return true;
+}
+
+/*!
+ * Compare the own enumerable keys and values of
+ * two objects.
+ *
+ * @param {Object} a
+ * @param {Object} b
+ * @param {Object} collator (optional)
+ * @return {Boolean}
+ * @api private
+ */
+
+function objectEqual (a, b, collator) {
+  var keys = Object.keys(a);
+
+  if (keys.length !== Object.keys(b).length) return false;
+
+  for (var i = 0; i < keys.length; i++) {
+    if (!Object.prototype.hasOwnProperty.call(b, keys[i])) return false;
+    if (!equal(a[keys[i]], b[keys[i]], collator)) return false;
+  }
+
+  return true;
+}
@@ -0,0 +1,102 @@
+/*!
+ * gaia-filter - errors
+ * Copyright(c) 2012 Jake Luer <jake@alogicalparadox.com>
+ * MIT Licensed
+ */
+
+/*!
+ * Primary exports
+ */
+
+exports.FilterQueryError = FilterQueryError;
+exports.formatPath = formatPath;
+exports.nest = nest;
+
+/**
+ * ### FilterQueryError (message, path, errors)
+ *
+ * Thrown when a query cannot be understood. The `path`
+ * property names the location of the first problem within
+ * the query (such as `age.$gtt` or `$or[1].name`) and
+ * `errors` lists every problem that was found.
+ *
+ * ```js
+ * try {
+ *   filter({ age: { $gtt: 5 } });
+ * } catch (err) {
+ *   err.should.be.instanceof(filter.FilterQueryError);
+ *   err.path.should.equal('age.$gtt');
+ * }
+ * ```
+ *
+ * @param {String} message
+ * @param {String} path
+ * @param {Array} errors (optional)
+ * @api public
+ */
+
+function FilterQueryError (message, path, errors) {
+  this.message = path
+    ? path + ': ' + message
+    : message;
+  this.path = path || '';
+  this.errors = errors || [ { path: this.path, message: message } ];
+
+  if (Error.captureStackTrace) {
+    Error.captureStackTrace(this, FilterQueryError);
+  }
+}
+
+/*!
+ * Inherit from Error
+ */
+
+FilterQueryError.prototype = Object.create(Error.prototype);
+FilterQueryError.prototype.name = 'FilterQueryError';
+FilterQueryError.prototype.constructor = FilterQueryError;
+
+/*!
+ * Given an array of keys and indexes describing a
+ * location within a query, return a readable path
+ * such as `$or[1]["a.b"].$gt`.
+ *
+ * @param {Array} loc
+ * @return {String} path
+ * @api private
+ */
+
+function formatPath (loc) {
+  var str = ''
+    , seg;
+
+  for (var i = 0; i < loc.length; i++) {
+    seg = loc[i];
+    if ('number' == typeof seg) str += '[' + seg + ']';
+    else if (/^[\w$]+$/.test(seg)) str += (str ? '.' : '') + seg;
+    else str += '[' + JSON.stringify(seg) + ']';
+  }
+
+  return str;
+}
+
+/*!
+ * Given the location of a value within a query and
+ * the problems found within that value, return the
+ * problems with paths from the start of the query.
+ *
+ * @param {Array} loc
+ * @param {Array} problems
+ * @return {Array} problems
+ * @api private
+ */
+
+function nest (loc, list) {
+  var prefix = formatPath(loc);
+
+  return list.map(function (e) {
+    var p = !e.path ? prefix
+      : !prefix ? e.path
+      : prefix + (e.path.charAt(0) == '[' ? '' : '.') + e.path;
+    return { path: p, message: e.message };
+  });
+}
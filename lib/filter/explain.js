@@ -0,0 +1,242 @@
+/*!
+ * gaia-filter - explain
+ * Copyright(c) 2012 Jake Luer <jake@alogicalparadox.com>
+ * MIT Licensed
+ */
+
+/*!
+ * Module dependancies
+ */
+
+var path = require('./path');
+
+/*!
+ * Primary exports
+ */
+
+module.exports = explain;
+explain.trace = trace;
+
+/**
+ * ### explain (stack)
+ *
+ * Describe a parsed query stack as a tree of nodes. Each
+ * node has the `op` of its comparator and, if it applies to
+ * a path, the `path`. Value comparators have their `operand`,
+ * while logical comparators and those that take a query, such
+ * as `$elemMatch`, have `children`. Statements that must all
+ * pass are grouped under an `$and` node.
+ *
+ * ```js
+ * explain(filter({ a: { b: 1 }, c: { $gt: 2 } }).stack);
+ * // { op: '$and', children: [
+ * //     { path: 'a', op: '$eq', operand: { b: 1 } }
+ * //   , { path: 'c', op: '$gt', operand: 2 } ] }
+ * ```
+ *
+ * @param {Array} stack from `parseQuery`
+ * @return {Object} tree
+ * @api private
+ */
+
+function explain (stack) {
+  var nodes = []
+    , entry;
+
+  for (var i = 0; i < stack.length; i++) {
+    entry = stack[i];
+    for (var j = 0; j < entry.test.length; j++) {
+      nodes.push(describe(entry.test[j], entry.path));
+    }
+  }
+
+  return group(nodes);
+}
+
+/**
+ * ### explain.trace (stack, doc)
+ *
+ * Test a document against a parsed query stack as the
+ * interpreter does, returning the tree from `explain` with
+ * the `values` each comparator was given and its `result`.
+ * The queries of a logical comparator that were not needed
+ * for its result are still traced but marked as `skipped`.
+ *
+ * @param {Array} stack from `parseQuery`
+ * @param {Mixed} document
+ * @return {Object} tree
+ * @api private
+ */
+
+function trace (stack, doc) {
+  return traceStack([ doc ], stack, false, null, null);
+}
+
+/*!
+ * Describe a single comparator.
+ *
+ * @param {Object} test
+ * @param {String} path (optional)
+ * @return {Object} node
+ * @api private
+ */
+
+function describe (test, name) {
+  var node = {};
+
+  if (name) node.path = name;
+  node.op = test.op;
+
+  if (test.kind == 'logical') node.children = test.params.map(explain);
+  else if (test.kind == 'query') node.children = [ explain(test.params) ];
+  else node.operand = test.params;
+
+  return node;
+}
+
+/*!
+ * Group nodes that must all pass under an `$and`
+ * node, unless there is only one.
+ *
+ * @param {Array} nodes
+ * @param {Boolean} result (optional)
+ * @return {Object} node
+ * @api private
+ */
+
+function group (nodes, result) {
+  if (nodes.length === 1) return nodes[0];
+
+  var node = { op: '$and', children: nodes };
+  if (undefined !== result) node.result = result;
+  return node;
+}
+
+/*!
+ * Trace the statements of a stack, following
+ * `testFilter`.
+ *
+ * @param {Array} values
+ * @param {Array} stack
+ * @param {Boolean} expand arrays into their elements
+ * @param {Array} values the current path was resolved from
+ * @param {Array} current path segments
+ * @return {Object} node
+ * @api private
+ */
+
+function traceStack (vals, stack, expand, parent, segs) {
+  var nodes = []
+    , pass = true
+    , entry, list;
+
+  for (var i = 0; i < stack.length; i++) {
+    entry = stack[i];
+    list = entry.path
+      ? traceTests(resolve(vals, entry.segments), entry.test, true, vals, entry.segments, entry.path)
+      : traceTests(vals, entry.test, expand, parent, segs);
+
+    for (var j = 0; j < list.length; j++) {
+      if (!list[j].result) pass = false;
+      nodes.push(list[j]);
+    }
+  }
+
+  return group(nodes, pass);
+}
+
+/*!
+ * Trace each comparator of a statement, following
+ * `_testFilter`.
+ *
+ * @param {Array} values
+ * @param {Array} tests
+ * @param {Boolean} expand arrays into their elements
+ * @param {Array} values the current path was resolved from
+ * @param {Array} current path segments
+ * @param {String} path (optional)
+ * @return {Array} nodes
+ * @api private
+ */
+
+function traceTests (vals, tests, expand, parent, segs, name) {
+  var nodes = []
+    , test, node, list, p, child, stopped, present;
+
+  for (var i = 0; i < tests.length; i++) {
+    test = tests[i];
+    node = describe(test, name);
+
+    if (test.kind == 'logical') {
+      p = [];
+      stopped = false;
+
+      for (var j = 0; j < test.params.length; j++) {
+        child = node.children[j] = traceStack(vals, test.params[j], expand, parent, segs);
+        if (stopped) {
+          child.skipped = true;
+          continue;
+        }
+        p.push(child.result);
+        if (child.result === test.circuit) stopped = true;
+      }
+
+      node.result = !!test.fn(p);
+    } else if (test.presence && segs) {
+      present = hasPath(parent, segs) ? true : undefined;
+      node.values = [ present ];
+      node.result = !!test.fn(present, test.params);
+    } else {
+      list = expand && test.branches != 'self' ? path.expand(vals) : vals;
+      node.values = list;
+      node.result = branches(test, list, 'match' in test ? test.match : test.params);
+    }
+
+    nodes.push(node);
+  }
+
+  return nodes;
+}
+
+/*!
+ * Test a comparator against each of the values,
+ * following `testBranches`.
+ *
+ * @param {Object} test
+ * @param {Array} values
+ * @param {Mixed} params
+ * @return {Boolean} result
+ * @api private
+ */
+
+function branches (test, vals, params) {
+  var every = test.branches == 'all';
+
+  for (var i = 0; i < vals.length; i++) {
+    if (!!test.fn(vals[i], params) !== every) return !every;
+  }
+
+  return every;
+}
+
+/*!
+ * Path helpers
+ */
+
+function resolve (vals, segs) {
+  var res = [];
+
+  for (var i = 0; i < vals.length; i++) {
+    res.push.apply(res, path.resolve(vals[i], segs));
+  }
+
+  return res;
+}
+
+function hasPath (vals, segs) {
+  for (var i = 0; i < vals.length; i++) {
+    if (path.has(vals[i], segs)) return true;
+  }
+
+  return false;
+}
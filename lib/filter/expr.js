@@ -0,0 +1,361 @@
+/*!
+ * gaia-filter - expr
+ * Copyright(c) 2012 Jake Luer <jake@alogicalparadox.com>
+ * MIT Licensed
+ */
+
+/*!
+ * Module dependancies
+ */
+
+var compare = require('./compare')
+  , equal = require('./equal')
+  , errors = require('./errors')
+  , path = require('./path');
+
+/*!
+ * Error constructors
+ */
+
+var FilterQueryError = errors.FilterQueryError;
+
+/*!
+ * Expression operators. Each is given its arguments
+ * and their location and returns a function of a
+ * document.
+ */
+
+var operators = {
+
+    $literal: function (val) {
+      return function () { return val; };
+    }
+
+  , $eq: comparison(function (a, b) { return equal(a, b); })
+  , $ne: comparison(function (a, b) { return !equal(a, b); })
+  , $gt: comparison(function (a, b) { return compare(a, b) > 0; })
+  , $gte: comparison(function (a, b) { return compare(a, b) >= 0; })
+  , $lt: comparison(function (a, b) { return compare(a, b) < 0; })
+  , $lte: comparison(function (a, b) { return compare(a, b) <= 0; })
+
+  , $and: function (args, loc) {
+      var fns = list(args, loc, 1);
+      return function (doc) {
+        for (var i = 0; i < fns.length; i++) {
+          if (!truthy(fns[i](doc))) return false;
+        }
+        return true;
+      };
+    }
+
+  , $or: function (args, loc) {
+      var fns = list(args, loc, 1);
+      return function (doc) {
+        for (var i = 0; i < fns.length; i++) {
+          if (truthy(fns[i](doc))) return true;
+        }
+        return false;
+      };
+    }
+
+  , $not: function (args, loc) {
+      var fn = single(args, loc);
+      return function (doc) { return !truthy(fn(doc)); };
+    }
+
+  , $add: function (args, loc) {
+      var fns = list(args, loc, 1);
+      return function (doc) {
+        var sum = 0
+          , date = null
+          , val;
+
+        for (var i = 0; i < fns.length; i++) {
+          val = fns[i](doc);
+          if (val instanceof Date && !date) date = val;
+          else if ('number' == typeof val) sum += val;
+          else return null;
+        }
+
+        return date ? new Date(date.getTime() + sum) : sum;
+      };
+    }
+
+  , $subtract: function (args, loc) {
+      var fns = list(args, loc, 2, 2);
+      return function (doc) {
+        var a = fns[0](doc)
+          , b = fns[1](doc);
+
+        if (a instanceof Date) {
+          if (b instanceof Date) return a.getTime() - b.getTime();
+          if ('number' == typeof b) return new Date(a.getTime() - b);
+          return null;
+        }
+
+        return 'number' == typeof a && 'number' == typeof b
+          ? a - b
+          : null;
+      };
+    }
+
+  , $multiply: function (args, loc) {
+      var fns = list(args, loc, 1);
+      return function (doc) {
+        var res = 1
+          , val;
+
+        for (var i = 0; i < fns.length; i++) {
+          val = fns[i](doc);
+          if ('number' != typeof val) return null;
+          res *= val;
+        }
+
+        return res;
+      };
+    }
+
+  , $divide: function (args, loc) {
+      var fns = list(args, loc, 2, 2);
+      return function (doc) {
+        var a = fns[0](doc)
+          , b = fns[1](doc);
+
+        return 'number' == typeof a && 'number' == typeof b && b !== 0
+          ? a / b
+          : null;
+      };
+    }
+
+  , $cond: function (args, loc) {
+      var fns;
+
+      if (isObject(args)) {
+        for (var key in args) {
+          if (key != 'if' && key != 'then' && key != 'else') {
+            throw new FilterQueryError('unexpected field "' + key + '"', errors.formatPath(loc.concat(key)));
+          }
+        }
+
+        if (!('if' in args) || !('then' in args) || !('else' in args)) {
+          throw new FilterQueryError('expected if, then and else', errors.formatPath(loc));
+        }
+
+        fns = [
+            expression(args['if'], loc.concat('if'))
+          , expression(args.then, loc.concat('then'))
+          , expression(args['else'], loc.concat('else'))
+        ];
+      } else {
+        fns = list(args, loc, 3, 3);
+      }
+
+      return function (doc) {
+        return truthy(fns[0](doc)) ? fns[1](doc) : fns[2](doc);
+      };
+    }
+
+  , $concat: function (args, loc) {
+      var fns = list(args, loc, 1);
+      return function (doc) {
+        var str = ''
+          , val;
+
+        for (var i = 0; i < fns.length; i++) {
+          val = fns[i](doc);
+          if ('string' != typeof val) return null;
+          str += val;
+        }
+
+        return str;
+      };
+    }
+
+  , $toLower: function (args, loc) {
+      var fn = single(args, loc);
+      return function (doc) {
+        var val = fn(doc);
+        if (null == val) return '';
+        if ('string' == typeof val || 'number' == typeof val) return String(val).toLowerCase();
+        return null;
+      };
+    }
+
+  , $size: function (args, loc) {
+      var fn = single(args, loc);
+      return function (doc) {
+        var val = fn(doc);
+        return Array.isArray(val) ? val.length : null;
+      };
+    }
+
+};
+
+/*!
+ * Primary exports
+ */
+
+module.exports = expression;
+expression.truthy = truthy;
+
+/**
+ * ### expression (expr, loc)
+ *
+ * Compile an expression into a function of a document.
+ * Strings starting with `$` are field paths, resolved as
+ * with `path.get`. An object with a single `$` key applies
+ * that operator to its arguments, `{ $literal: value }`
+ * is taken as it is, other objects are evaluated field by
+ * field and any other value is a constant. Will throw a
+ * `FilterQueryError` if the expression is malformed.
+ *
+ * ```js
+ * var total = expression({ $multiply: [ '$price', '$qty' ] }, []);
+ * total({ price: 2, qty: 3 }); // 6
+ * ```
+ *
+ * @param {Mixed} expression
+ * @param {Array} location
+ * @return {Function} evaluate
+ * @api private
+ */
+
+function expression (expr, loc) {
+  var segs, fns, keys;
+
+  if ('string' == typeof expr && expr.charAt(0) == '$') {
+    if (expr.length < 2 || expr.charAt(1) == '$') {
+      throw new FilterQueryError('expected a field path', errors.formatPath(loc));
+    }
+
+    segs = path.parse(expr.slice(1));
+    return function (doc) { return path.get(doc, segs); };
+  }
+
+  if (Array.isArray(expr)) {
+    fns = expr.map(function (e, i) { return expression(e, loc.concat(i)); });
+    return function (doc) {
+      return fns.map(function (fn) { return fn(doc); });
+    };
+  }
+
+  if (isObject(expr)) {
+    keys = Object.keys(expr);
+
+    if (keys.length === 1 && keys[0].charAt(0) == '$') {
+      if (!operators.hasOwnProperty(keys[0])) {
+        throw new FilterQueryError('unknown expression "' + keys[0] + '"', errors.formatPath(loc.concat(keys[0])));
+      }
+
+      return operators[keys[0]](expr[keys[0]], loc.concat(keys[0]));
+    }
+
+    fns = {};
+    for (var i = 0; i < keys.length; i++) {
+      if (keys[i].charAt(0) == '$') {
+        throw new FilterQueryError('unexpected operator "' + keys[i] + '"', errors.formatPath(loc.concat(keys[i])));
+      }
+      fns[keys[i]] = expression(expr[keys[i]], loc.concat(keys[i]));
+    }
+
+    return function (doc) {
+      var res = {}
+        , val;
+
+      for (var key in fns) {
+        val = fns[key](doc);
+        if (undefined !== val) res[key] = val;
+      }
+
+      return res;
+    };
+  }
+
+  return function () { return expr; };
+}
+
+/*!
+ * Determine if the result of an expression counts as
+ * true. Only `false`, `null`, `undefined`, `0` and `NaN`
+ * do not.
+ *
+ * @param {Mixed} value
+ * @return {Boolean}
+ * @api private
+ */
+
+function truthy (val) {
+  if (null == val || false === val) return false;
+  return 'number' == typeof val ? !!val : true;
+}
+
+/*!
+ * Create an operator comparing its two arguments.
+ *
+ * @param {Function} comparator
+ * @return {Function} operator
+ * @api private
+ */
+
+function comparison (fn) {
+  return function (args, loc) {
+    var fns = list(args, loc, 2, 2);
+    return function (doc) {
+      return fn(fns[0](doc), fns[1](doc));
+    };
+  };
+}
+
+/*!
+ * Compile an array of arguments, checking how many
+ * there are.
+ *
+ * @param {Array} arguments
+ * @param {Array} location
+ * @param {Number} minimum
+ * @param {Number} maximum (optional)
+ * @return {Array} functions
+ * @api private
+ */
+
+function list (args, loc, min, max) {
+  if (!Array.isArray(args)) {
+    throw new FilterQueryError('expected an array of arguments', errors.formatPath(loc));
+  } else if (args.length < min || (max && args.length > max)) {
+    throw new FilterQueryError(min === max
+      ? 'expected ' + min + ' arguments'
+      : 'expected at least ' + min + ' argument' + (min === 1 ? '' : 's'), errors.formatPath(loc));
+  }
+
+  return args.map(function (arg, i) {
+    return expression(arg, loc.concat(i));
+  });
+}
+
+/*!
+ * Compile a single argument, which may also be
+ * given in an array of one.
+ *
+ * @param {Mixed} argument
+ * @param {Array} location
+ * @return {Function} evaluate
+ * @api private
+ */
+
+function single (args, loc) {
+  return Array.isArray(args)
+    ? list(args, loc, 1, 1)[0]
+    : expression(args, loc);
+}
+
+/*!
+ * Determine if a value is a plain object.
+ *
+ * @param {Mixed} value
+ * @return {Boolean}
+ * @api private
+ */
+
+function isObject (val) {
+  return '[object Object]' == Object.prototype.toString.call(val);
+}
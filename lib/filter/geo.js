@@ -0,0 +1,662 @@
+/*!
+ * gaia-filter - geo
+ * Copyright(c) 2012 Jake Luer <jake@alogicalparadox.com>
+ * MIT Licensed
+ */
+
+/*!
+ * Module dependancies
+ */
+
+var errors = require('./errors');
+
+/*!
+ * Error constructors
+ */
+
+var FilterQueryError = errors.FilterQueryError;
+
+/*!
+ * Radius of the earth in meters, for distances
+ * between GeoJSON points.
+ */
+
+var EARTH = 6378100;
+
+/*!
+ * Shape operators of `$geoWithin`
+ */
+
+var SHAPES = [ '$box', '$polygon', '$center', '$centerSphere', '$geometry' ];
+
+/*!
+ * Primary exports
+ */
+
+exports.within = within;
+exports.intersects = intersects;
+exports.near = near;
+
+/**
+ * ### .within (spec)
+ *
+ * Parse the operand of `$geoWithin` into a region with a
+ * `test(val)` method. The region is a `$box` of its lower
+ * left and upper right corners, a `$polygon` of its points,
+ * a `$center` and radius, a `$centerSphere` and radius in
+ * radians, or the GeoJSON `Polygon` or `MultiPolygon` of
+ * `$geometry`. Will throw a `FilterQueryError` if the
+ * operand is malformed. A region is returned as it is.
+ *
+ * @param {Object|Region} specification
+ * @return {Region} region
+ * @api private
+ */
+
+function within (spec) {
+  var name, val, shape;
+
+  if (spec instanceof Region) return spec;
+
+  name = options(spec, SHAPES, 'expected one of ' + SHAPES.join(', '));
+  if (name.length != 1) {
+    throw new FilterQueryError('expected one of ' + SHAPES.join(', '), '');
+  }
+
+  name = name[0];
+  val = spec[name];
+
+  if (name == '$box') {
+    if (!Array.isArray(val) || val.length != 2 || !position(val[0]) || !position(val[1])) {
+      throw new FilterQueryError('expected two corners', name);
+    }
+
+    return new Region(function (p) {
+      return p[0] >= Math.min(val[0][0], val[1][0]) && p[0] <= Math.max(val[0][0], val[1][0])
+        && p[1] >= Math.min(val[0][1], val[1][1]) && p[1] <= Math.max(val[0][1], val[1][1]);
+    });
+  }
+
+  if (name == '$center' || name == '$centerSphere') {
+    if (!Array.isArray(val) || val.length != 2 || !position(val[0])
+    || 'number' != typeof val[1] || !(val[1] >= 0)) {
+      throw new FilterQueryError('expected a center and a radius', name);
+    }
+
+    return new Region(function (p) {
+      return (name == '$center' ? flat(p, val[0]) : sphere(p, val[0])) <= val[1];
+    });
+  }
+
+  if (name == '$polygon') {
+    if (!Array.isArray(val) || val.length < 3 || !val.every(position)) {
+      throw new FilterQueryError('expected at least three points', name);
+    }
+
+    shape = { points: [], lines: [], polygons: [ [ val.concat([ val[0] ]) ] ] };
+  } else {
+    shape = geometry(val);
+    if (!shape || !shape.polygons.length || shape.points.length || shape.lines.length) {
+      throw new FilterQueryError('expected a GeoJSON Polygon or MultiPolygon', name);
+    }
+  }
+
+  return new Region(function (p) {
+    return inPolygons(shape.polygons, p);
+  }, shape);
+}
+
+/**
+ * ### .intersects (spec)
+ *
+ * Parse the operand of `$geoIntersects`, a GeoJSON
+ * geometry as `$geometry`, into a region with a
+ * `test(val)` method.
+ *
+ * @param {Object|Region} specification
+ * @return {Region} region
+ * @api private
+ */
+
+function intersects (spec) {
+  var shape;
+
+  if (spec instanceof Region) return spec;
+  if (!options(spec, [ '$geometry' ], 'expected $geometry').length) {
+    throw new FilterQueryError('expected $geometry', '');
+  }
+
+  shape = geometry(spec.$geometry);
+  if (!shape) throw new FilterQueryError('expected a GeoJSON geometry', '$geometry');
+
+  return new Region(null, shape, true);
+}
+
+/**
+ * ### .near (spec, spherical)
+ *
+ * Parse the operand of `$near` or `$nearSphere` into a
+ * point with `distance(val)` and `test(val)` methods. The
+ * operand is a GeoJSON `Point` as `$geometry`, optionally
+ * with `$maxDistance` and `$minDistance` in meters, or a
+ * legacy `[ x, y ]` point. Distances from a legacy point,
+ * alone or as `$geometry`, are in its units, or in radians
+ * when `spherical`.
+ *
+ * @param {Object|Array|Near} specification
+ * @param {Boolean} spherical
+ * @return {Near} point
+ * @api private
+ */
+
+function near (spec, spherical) {
+  var max = Infinity
+    , min = 0
+    , legacy = spherical ? 1 : 0
+    , keys, shape;
+
+  if (spec instanceof Near) return spec;
+  if (Array.isArray(spec)) {
+    if (!position(spec)) throw new FilterQueryError('expected a point', '');
+    return new Near(spec, legacy, max, min);
+  }
+
+  keys = options(spec, [ '$geometry', '$maxDistance', '$minDistance' ], 'expected $geometry or a point');
+  if (keys.indexOf('$geometry') == -1) {
+    throw new FilterQueryError('expected $geometry or a point', '');
+  }
+
+  shape = geometry(spec.$geometry);
+  if (!isPoint(shape)) {
+    throw new FilterQueryError('expected a GeoJSON Point', '$geometry');
+  }
+
+  if (undefined !== spec.$maxDistance) max = distance(spec.$maxDistance, '$maxDistance');
+  if (undefined !== spec.$minDistance) min = distance(spec.$minDistance, '$minDistance');
+
+  return new Near(shape.points[0], Array.isArray(spec.$geometry) ? legacy : EARTH, max, min);
+}
+
+/*!
+ * A region of the plane. Values are within the region
+ * when each of their points pass `contains`, and none of
+ * their edges cross the edges of its `shape`. With
+ * `touch`, values need only intersect the shape.
+ *
+ * @param {Function} contains a point (optional)
+ * @param {Object} shape (optional)
+ * @param {Boolean} touch
+ * @api private
+ */
+
+function Region (contains, shape, touch) {
+  this.contains = contains;
+  this.shape = shape || null;
+  this.touch = !!touch;
+}
+
+/*!
+ * Test a value against the region.
+ *
+ * @param {Mixed} value
+ * @return {Boolean}
+ * @api private
+ */
+
+Region.prototype.test = function (val) {
+  var shape = geometry(val)
+    , points;
+
+  if (!shape) return false;
+  if (this.touch) return meet(shape, this.shape);
+
+  points = vertices(shape);
+  for (var i = 0; i < points.length; i++) {
+    if (!this.contains(points[i])) return false;
+  }
+
+  return !this.shape || !cross(segments(shape), segments(this.shape));
+};
+
+/*!
+ * A point to measure distances from. A `scale` of `0`
+ * measures flat distances and otherwise the distance
+ * on a sphere of that radius.
+ *
+ * @param {Array} point
+ * @param {Number} scale
+ * @param {Number} maximum distance
+ * @param {Number} minimum distance
+ * @api private
+ */
+
+function Near (point, scale, max, min) {
+  this.point = point;
+  this.scale = scale;
+  this.max = max;
+  this.min = min;
+}
+
+/*!
+ * Get the distance to a point, or `null` if the value
+ * is not a point.
+ *
+ * @param {Mixed} value
+ * @return {Number} distance
+ * @api private
+ */
+
+Near.prototype.distance = function (val) {
+  var shape = geometry(val);
+
+  if (!isPoint(shape)) return null;
+  return this.scale
+    ? sphere(shape.points[0], this.point) * this.scale
+    : flat(shape.points[0], this.point);
+};
+
+/*!
+ * Test that a value is a point within the distances.
+ *
+ * @param {Mixed} value
+ * @return {Boolean}
+ * @api private
+ */
+
+Near.prototype.test = function (val) {
+  var d = this.distance(val);
+  return null !== d && d <= this.max && d >= this.min;
+};
+
+/*!
+ * Parse a GeoJSON geometry, or a legacy `[ x, y ]`
+ * point, into its points, lines and polygons, each
+ * polygon being a list of closed rings. Returns `null`
+ * for anything else.
+ *
+ * @param {Mixed} value
+ * @return {Object} `{ points, lines, polygons }`
+ * @api private
+ */
+
+function geometry (val) {
+  var shape = { points: [], lines: [], polygons: [] }
+    , c;
+
+  if (position(val)) {
+    shape.points.push(val);
+    return shape;
+  }
+
+  if (!val || 'object' != typeof val || !Array.isArray(val.coordinates)) return null;
+  c = val.coordinates;
+
+  switch (val.type) {
+    case 'Point':
+      if (!coordinate(c)) return null;
+      shape.points.push(c);
+      break;
+    case 'MultiPoint':
+      if (!c.every(coordinate)) return null;
+      shape.points = c;
+      break;
+    case 'LineString':
+      if (!line(c)) return null;
+      shape.lines.push(c);
+      break;
+    case 'MultiLineString':
+      if (!c.every(line)) return null;
+      shape.lines = c;
+      break;
+    case 'Polygon':
+      if (!polygon(c)) return null;
+      shape.polygons.push(c);
+      break;
+    case 'MultiPolygon':
+      if (!c.every(polygon)) return null;
+      shape.polygons = c;
+      break;
+    default:
+      return null;
+  }
+
+  return shape;
+}
+
+/*!
+ * Determine if two shapes share a point, if an edge of
+ * one crosses or touches an edge of the other, or if
+ * one has a point inside a polygon of the other.
+ *
+ * @param {Object} shape
+ * @param {Object} shape
+ * @return {Boolean}
+ * @api private
+ */
+
+function meet (a, b) {
+  var va = vertices(a)
+    , vb = vertices(b)
+    , sa = segments(a)
+    , sb = segments(b)
+    , i, j;
+
+  for (i = 0; i < a.points.length; i++) {
+    for (j = 0; j < b.points.length; j++) {
+      if (same(a.points[i], b.points[j])) return true;
+    }
+  }
+
+  for (i = 0; i < sa.length; i++) {
+    for (j = 0; j < sb.length; j++) {
+      if (touches(sa[i][0], sa[i][1], sb[j][0], sb[j][1])) return true;
+    }
+  }
+
+  for (i = 0; i < a.points.length; i++) {
+    if (onSegments(sb, a.points[i])) return true;
+  }
+
+  for (i = 0; i < b.points.length; i++) {
+    if (onSegments(sa, b.points[i])) return true;
+  }
+
+  for (i = 0; i < va.length; i++) {
+    if (inPolygons(b.polygons, va[i])) return true;
+  }
+
+  for (i = 0; i < vb.length; i++) {
+    if (inPolygons(a.polygons, vb[i])) return true;
+  }
+
+  return false;
+}
+
+/*!
+ * Get every point of a shape.
+ *
+ * @param {Object} shape
+ * @return {Array} points
+ * @api private
+ */
+
+function vertices (shape) {
+  var res = shape.points.slice();
+
+  shape.lines.forEach(function (l) { res.push.apply(res, l); });
+  shape.polygons.forEach(function (rings) {
+    rings.forEach(function (r) { res.push.apply(res, r); });
+  });
+
+  return res;
+}
+
+/*!
+ * Get the edges of the lines and rings of a shape.
+ *
+ * @param {Object} shape
+ * @return {Array} `[ a, b ]` segments
+ * @api private
+ */
+
+function segments (shape) {
+  var res = [];
+
+  function add (l) {
+    for (var i = 1; i < l.length; i++) res.push([ l[i - 1], l[i] ]);
+  }
+
+  shape.lines.forEach(add);
+  shape.polygons.forEach(function (rings) { rings.forEach(add); });
+  return res;
+}
+
+/*!
+ * Determine if a point is inside, or on the edge
+ * of, any of the polygons, outside of their holes.
+ *
+ * @param {Array} polygons of rings
+ * @param {Array} point
+ * @return {Boolean}
+ * @api private
+ */
+
+function inPolygons (polygons, p) {
+  for (var i = 0; i < polygons.length; i++) {
+    if (inPolygon(polygons[i], p)) return true;
+  }
+
+  return false;
+}
+
+function inPolygon (rings, p) {
+  if (!inRing(rings[0], p)) return false;
+
+  for (var i = 1; i < rings.length; i++) {
+    if (inRing(rings[i], p) && !onRing(rings[i], p)) return false;
+  }
+
+  return true;
+}
+
+/*!
+ * Determine if a point is inside, or on the edge of,
+ * a closed ring by casting a ray to its right.
+ *
+ * @param {Array} ring
+ * @param {Array} point
+ * @return {Boolean}
+ * @api private
+ */
+
+function inRing (ring, p) {
+  var inside = false
+    , a, b;
+
+  for (var i = 1; i < ring.length; i++) {
+    a = ring[i - 1];
+    b = ring[i];
+
+    if (onSegment(a, b, p)) return true;
+    if ((a[1] > p[1]) != (b[1] > p[1])
+    && p[0] < (b[0] - a[0]) * (p[1] - a[1]) / (b[1] - a[1]) + a[0]) {
+      inside = !inside;
+    }
+  }
+
+  return inside;
+}
+
+/*!
+ * Determine if any two segments properly cross, each
+ * passing through the inside of the other.
+ *
+ * @param {Array} segments
+ * @param {Array} segments
+ * @return {Boolean}
+ * @api private
+ */
+
+function cross (sa, sb) {
+  var a, b;
+
+  for (var i = 0; i < sa.length; i++) {
+    for (var j = 0; j < sb.length; j++) {
+      a = sa[i];
+      b = sb[j];
+      if (turn(a[0], a[1], b[0]) * turn(a[0], a[1], b[1]) < 0
+      && turn(b[0], b[1], a[0]) * turn(b[0], b[1], a[1]) < 0) return true;
+    }
+  }
+
+  return false;
+}
+
+/*!
+ * Determine if the segments `ab` and `cd` share a point.
+ *
+ * @param {Array} a
+ * @param {Array} b
+ * @param {Array} c
+ * @param {Array} d
+ * @return {Boolean}
+ * @api private
+ */
+
+function touches (a, b, c, d) {
+  var d1 = turn(a, b, c)
+    , d2 = turn(a, b, d)
+    , d3 = turn(c, d, a)
+    , d4 = turn(c, d, b);
+
+  if (d1 * d2 < 0 && d3 * d4 < 0) return true;
+  return onSegment(a, b, c) || onSegment(a, b, d)
+    || onSegment(c, d, a) || onSegment(c, d, b);
+}
+
+function onRing (ring, p) {
+  for (var i = 1; i < ring.length; i++) {
+    if (onSegment(ring[i - 1], ring[i], p)) return true;
+  }
+
+  return false;
+}
+
+function onSegments (list, p) {
+  for (var i = 0; i < list.length; i++) {
+    if (onSegment(list[i][0], list[i][1], p)) return true;
+  }
+
+  return false;
+}
+
+function onSegment (a, b, p) {
+  return turn(a, b, p) === 0
+    && p[0] >= Math.min(a[0], b[0]) && p[0] <= Math.max(a[0], b[0])
+    && p[1] >= Math.min(a[1], b[1]) && p[1] <= Math.max(a[1], b[1]);
+}
+
+/*!
+ * Get the direction of the turn from `ab` to `bc`:
+ * positive to the left, negative to the right and
+ * `0` when the points are in line.
+ *
+ * @param {Array} a
+ * @param {Array} b
+ * @param {Array} c
+ * @return {Number}
+ * @api private
+ */
+
+function turn (a, b, c) {
+  var res = (b[0] - a[0]) * (c[1] - a[1]) - (b[1] - a[1]) * (c[0] - a[0]);
+  return res > 0 ? 1 : res < 0 ? -1 : 0;
+}
+
+/*!
+ * Get the flat distance between two points, and the
+ * distance in radians between two points of longitude
+ * and latitude, along the surface of a sphere.
+ *
+ * @param {Array} point
+ * @param {Array} point
+ * @return {Number} distance
+ * @api private
+ */
+
+function flat (a, b) {
+  var dx = a[0] - b[0]
+    , dy = a[1] - b[1];
+
+  return Math.sqrt(dx * dx + dy * dy);
+}
+
+function sphere (a, b) {
+  var rad = Math.PI / 180
+    , dlat = (b[1] - a[1]) * rad
+    , dlng = (b[0] - a[0]) * rad
+    , h = Math.pow(Math.sin(dlat / 2), 2)
+      + Math.cos(a[1] * rad) * Math.cos(b[1] * rad) * Math.pow(Math.sin(dlng / 2), 2);
+
+  return 2 * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/*!
+ * Validate that an operand is an object with only
+ * the keys allowed, returning its keys.
+ *
+ * @param {Object} operand
+ * @param {Array} keys allowed
+ * @param {String} message when not an object
+ * @return {Array} keys
+ * @api private
+ */
+
+function options (spec, allowed, msg) {
+  var keys;
+
+  if (!isObject(spec)) throw new FilterQueryError(msg, '');
+  keys = Object.keys(spec);
+
+  for (var i = 0; i < keys.length; i++) {
+    if (allowed.indexOf(keys[i]) == -1) {
+      throw new FilterQueryError('unknown option "' + keys[i] + '"', errors.formatPath([ keys[i] ]));
+    }
+  }
+
+  return keys;
+}
+
+/*!
+ * Validate a distance.
+ *
+ * @param {Number} distance
+ * @param {String} name of option
+ * @return {Number} distance
+ * @api private
+ */
+
+function distance (val, name) {
+  if ('number' != typeof val || !(val >= 0)) {
+    throw new FilterQueryError('expected a non-negative number', name);
+  }
+  return val;
+}
+
+/*!
+ * Helpers
+ */
+
+function position (val) {
+  return coordinate(val) && val.length == 2;
+}
+
+function coordinate (val) {
+  return Array.isArray(val) && val.length >= 2
+    && 'number' == typeof val[0] && isFinite(val[0])
+    && 'number' == typeof val[1] && isFinite(val[1]);
+}
+
+function line (val) {
+  return Array.isArray(val) && val.length >= 2 && val.every(coordinate);
+}
+
+function polygon (val) {
+  return Array.isArray(val) && val.length >= 1 && val.every(function (ring) {
+    return Array.isArray(ring) && ring.length >= 4 && ring.every(coordinate)
+      && same(ring[0], ring[ring.length - 1]);
+  });
+}
+
+function isPoint (shape) {
+  return !!shape && shape.points.length == 1
+    && !shape.lines.length && !shape.polygons.length;
+}
+
+function same (a, b) {
+  return a[0] === b[0] && a[1] === b[1];
+}
+
+function isObject (val) {
+  return '[object Object]' == Object.prototype.toString.call(val);
+}
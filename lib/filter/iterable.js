@@ -0,0 +1,167 @@
+/*!
+ * gaia-filter - iterable
+ * Copyright(c) 2012 Jake Luer <jake@alogicalparadox.com>
+ * MIT Licensed
+ */
+
+/*!
+ * Primary exports
+ */
+
+module.exports = iterate;
+
+/**
+ * ### iterate (iterable, sieve)
+ *
+ * Lazily filter an iterable or async iterable through
+ * a sieve, which calls back with each value to emit and
+ * is `done` once its limit is reached. Returns an iterator,
+ * or an async iterator for an async iterable. Once the sieve
+ * is done, or the iterator is ended early, the source is
+ * closed with its `return` method.
+ *
+ * @param {Iterable} iterable or async iterable
+ * @param {Object} sieve
+ * @return {Iterator} iterator
+ * @api private
+ */
+
+function iterate (iterable, sieve) {
+  var hasSymbol = 'function' == typeof Symbol
+    , async = hasSymbol && Symbol.asyncIterator
+    , sync = hasSymbol && Symbol.iterator;
+
+  if (null != iterable && async && 'function' == typeof iterable[async]) {
+    return asyncIterator(iterable[async](), sieve);
+  }
+
+  if (null != iterable && sync && 'function' == typeof iterable[sync]) {
+    return syncIterator(iterable[sync](), sieve);
+  }
+
+  throw new TypeError('expected an iterable or async iterable');
+}
+
+/*!
+ * Create an iterator that pulls from a source
+ * until a value is emitted by the sieve.
+ *
+ * @param {Iterator} source
+ * @param {Object} sieve
+ * @return {Iterator} iterator
+ * @api private
+ */
+
+function syncIterator (source, sieve) {
+  var finished = false
+    , it = {};
+
+  function close () {
+    if (finished) return;
+    finished = true;
+    if ('function' == typeof source.return) source.return();
+  }
+
+  it.next = function () {
+    var out = []
+      , step;
+
+    while (!finished) {
+      if (sieve.done) {
+        close();
+        break;
+      }
+
+      step = source.next();
+      if (step.done) {
+        finished = true;
+        break;
+      }
+
+      sieve.take(step.value, function (val) { out.push(val); });
+
+      if (out.length) {
+        if (sieve.done) close();
+        return { value: out[0], done: false };
+      }
+    }
+
+    return { value: undefined, done: true };
+  };
+
+  it.return = function (val) {
+    close();
+    return { value: val, done: true };
+  };
+
+  it[Symbol.iterator] = function () {
+    return this;
+  };
+
+  return it;
+}
+
+/*!
+ * Create an async iterator that pulls from a source
+ * until a value is emitted by the sieve.
+ *
+ * @param {AsyncIterator} source
+ * @param {Object} sieve
+ * @return {AsyncIterator} iterator
+ * @api private
+ */
+
+function asyncIterator (source, sieve) {
+  var finished = false
+    , it = {};
+
+  function close () {
+    if (finished) return Promise.resolve();
+    finished = true;
+    return Promise.resolve('function' == typeof source.return ? source.return() : null);
+  }
+
+  function end () {
+    return { value: undefined, done: true };
+  }
+
+  it.next = function () {
+    if (finished) return Promise.resolve(end());
+    if (sieve.done) return close().then(end);
+
+    // Each step settles the one outer promise rather than
+    // returning the next, so that skipping many values in
+    // a row does not build a chain of pending promises.
+    return new Promise(function (resolve, reject) {
+      function pull () {
+        Promise.resolve(source.next()).then(function (step) {
+          var out = [];
+
+          if (step.done) {
+            finished = true;
+            return resolve(end());
+          }
+
+          sieve.take(step.value, function (val) { out.push(val); });
+          if (!out.length) return pull();
+
+          resolve(sieve.done
+            ? close().then(function () { return { value: out[0], done: false }; })
+            : { value: out[0], done: false });
+        }).then(null, reject);
+      }
+
+      pull();
+    });
+  };
+
+  it.return = function (val) {
+    return close().then(function () { return { value: val, done: true }; });
+  };
+
+  it[Symbol.asyncIterator] = function () {
+    return this;
+  };
+
+  return it;
+}
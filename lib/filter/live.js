@@ -0,0 +1,318 @@
+/*!
+ * gaia-filter - live
+ * Copyright(c) 2012 Jake Luer <jake@alogicalparadox.com>
+ * MIT Licensed
+ */
+
+/*!
+ * Module dependancies
+ */
+
+var sort = require('./sort');
+
+/*!
+ * Source events
+ */
+
+var EVENTS = [ 'insert', 'update', 'remove' ];
+
+/*!
+ * Primary exports
+ */
+
+module.exports = LiveView;
+
+/**
+ * ### LiveView (filter, source[, options])
+ *
+ * Keep the results of a filter up to date with a source
+ * of `insert`, `update` and `remove` events, testing only
+ * the document that changed. Documents are tracked by
+ * reference and the view emits `added`, `removed` and
+ * `changed` with the document and its index in `results`,
+ * which `changed` follows with the index it had before.
+ *
+ * @param {Filter} filter
+ * @param {Object} source with `on`
+ * @param {Object} options (optional)
+ * @api public
+ */
+
+function LiveView (filter, source, opts) {
+  if (!(this instanceof LiveView)) return new LiveView(filter, source, opts);
+
+  if (!source || 'function' != typeof source.on) {
+    throw new TypeError('expected a source with an on method');
+  }
+
+  opts = opts || {};
+
+  var self = this
+    , docs = opts.docs || ('function' == typeof source.toArray ? source.toArray() : []);
+
+  this.filter = filter;
+  this.source = source;
+  this.order = opts.sort ? sort.comparator(opts.sort, null, filter.collator, sort.meta(filter)) : null;
+  this.results = [];
+  this.keys = [];
+  this.slots = 'function' == typeof Map ? new Map() : null;
+  this.serial = 0;
+  this.listeners = {};
+  this.handlers = {
+      insert: function (doc) { self.insert(doc); }
+    , update: function (doc, prev) { self.update(doc, prev); }
+    , remove: function (doc) { self.remove(doc); }
+  };
+
+  for (var i = 0; i < docs.length; i++) {
+    if (filter.test(docs[i])) place(this, docs[i]);
+  }
+
+  for (var e = 0; e < EVENTS.length; e++) {
+    source.on(EVENTS[e], this.handlers[EVENTS[e]]);
+  }
+}
+
+/**
+ * ### .on (event, fn)
+ *
+ * Listen for `added`, `removed` or `changed`.
+ *
+ * @param {String} event
+ * @param {Function} listener
+ * @return {this} for chaining
+ * @api public
+ */
+
+LiveView.prototype.on = function (ev, fn) {
+  (this.listeners[ev] = this.listeners[ev] || []).push(fn);
+  return this;
+};
+
+/**
+ * ### .off (event, fn)
+ *
+ * Stop listening for an event.
+ *
+ * @param {String} event
+ * @param {Function} listener
+ * @return {this} for chaining
+ * @api public
+ */
+
+LiveView.prototype.off = function (ev, fn) {
+  var list = this.listeners[ev] || []
+    , i = list.indexOf(fn);
+  if (i != -1) list.splice(i, 1);
+  return this;
+};
+
+/**
+ * ### .insert (doc)
+ *
+ * Handle a document added to the source.
+ *
+ * @param {Object} document
+ * @api public
+ */
+
+LiveView.prototype.insert = function (doc) {
+  if (!this.filter.test(doc)) return;
+  emit(this, 'added', doc, place(this, doc));
+};
+
+/**
+ * ### .update (doc[, previous])
+ *
+ * Handle a document changed in the source, either
+ * in place or by replacing a `previous` document.
+ *
+ * @param {Object} document
+ * @param {Object} previous document (optional)
+ * @api public
+ */
+
+LiveView.prototype.update = function (doc, prev) {
+  var from = locate(this, undefined === prev ? doc : prev)
+    , pass = this.filter.test(doc)
+    , old;
+
+  if (from == -1) {
+    if (pass) emit(this, 'added', doc, place(this, doc));
+    return;
+  }
+
+  old = this.results[from];
+
+  if (pass && !this.order) {
+    this.results[from] = doc;
+    if (this.slots && old !== doc) {
+      this.slots.delete(old);
+      this.slots.set(doc, this.keys[from]);
+    }
+    emit(this, 'changed', doc, from, from);
+    return;
+  }
+
+  take(this, from);
+
+  if (pass) emit(this, 'changed', doc, place(this, doc), from);
+  else emit(this, 'removed', old, from);
+};
+
+/**
+ * ### .remove (doc)
+ *
+ * Handle a document removed from the source.
+ *
+ * @param {Object} document
+ * @api public
+ */
+
+LiveView.prototype.remove = function (doc) {
+  var from = locate(this, doc);
+  if (from == -1) return;
+
+  take(this, from);
+  emit(this, 'removed', doc, from);
+};
+
+/**
+ * ### .destroy ()
+ *
+ * Stop listening to the source.
+ *
+ * @api public
+ */
+
+LiveView.prototype.destroy = function () {
+  var off = this.source.off || this.source.removeListener;
+
+  if ('function' == typeof off) {
+    for (var e = 0; e < EVENTS.length; e++) {
+      off.call(this.source, EVENTS[e], this.handlers[EVENTS[e]]);
+    }
+  }
+
+  this.listeners = {};
+};
+
+/*!
+ * Add a document to the results, after those it
+ * sorts equal to, returning its index.
+ *
+ * @param {LiveView} view
+ * @param {Object} document
+ * @return {Number} index
+ * @api private
+ */
+
+function place (view, doc) {
+  var order = view.order
+    , lo = 0
+    , hi = view.results.length
+    , vals, mid;
+
+  if (!order) {
+    vals = view.serial++;
+    view.results.push(doc);
+    view.keys.push(vals);
+    if (view.slots) view.slots.set(doc, vals);
+    return hi;
+  }
+
+  vals = order.keys(doc);
+
+  while (lo < hi) {
+    mid = (lo + hi) >>> 1;
+    if (order.compare(view.keys[mid], vals) > 0) hi = mid;
+    else lo = mid + 1;
+  }
+
+  view.results.splice(lo, 0, doc);
+  view.keys.splice(lo, 0, vals);
+  if (view.slots) view.slots.set(doc, vals);
+  return lo;
+}
+
+/*!
+ * Find the index of a document in the results. The
+ * sort key it was placed with is kept by reference, so
+ * that its index is found with a binary search on the
+ * keys, which are insertion numbers when unsorted. Without
+ * `Map` the results are searched one by one.
+ *
+ * @param {LiveView} view
+ * @param {Object} document
+ * @return {Number} index or `-1`
+ * @api private
+ */
+
+function locate (view, doc) {
+  var keys = view.keys
+    , lo = 0
+    , hi = keys.length
+    , vals, mid;
+
+  if (!view.slots) return view.results.indexOf(doc);
+  if (!view.slots.has(doc)) return -1;
+
+  vals = view.slots.get(doc);
+
+  while (lo < hi) {
+    mid = (lo + hi) >>> 1;
+    if (compare(view, keys[mid], vals) < 0) lo = mid + 1;
+    else hi = mid;
+  }
+
+  for (; lo < keys.length && !compare(view, keys[lo], vals); lo++) {
+    if (view.results[lo] === doc) return lo;
+  }
+
+  return -1;
+}
+
+/*!
+ * Remove the document at an index from the results.
+ *
+ * @param {LiveView} view
+ * @param {Number} index
+ * @api private
+ */
+
+function take (view, i) {
+  if (view.slots) view.slots.delete(view.results[i]);
+  view.results.splice(i, 1);
+  view.keys.splice(i, 1);
+}
+
+/*!
+ * Compare two sort keys of a view's results.
+ *
+ * @param {LiveView} view
+ * @param {Mixed} keys
+ * @param {Mixed} keys
+ * @return {Number} order
+ * @api private
+ */
+
+function compare (view, a, b) {
+  return view.order ? view.order.compare(a, b) : a - b;
+}
+
+/*!
+ * Call the listeners for an event.
+ *
+ * @param {LiveView} view
+ * @param {String} event
+ * @api private
+ */
+
+function emit (view, ev) {
+  var list = (view.listeners[ev] || []).slice()
+    , args = Array.prototype.slice.call(arguments, 2);
+
+  for (var i = 0; i < list.length; i++) {
+    list[i].apply(view, args);
+  }
+}
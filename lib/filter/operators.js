@@ -0,0 +1,186 @@
+/*!
+ * gaia-filter - operators
+ * Copyright(c) 2012 Jake Luer <jake@alogicalparadox.com>
+ * MIT Licensed
+ */
+
+/*!
+ * Constants
+ */
+
+var KINDS = {
+    value: true
+  , logical: true
+  , query: true
+};
+
+var BRANCHES = {
+    any: true
+  , all: true
+  , self: true
+};
+
+var DEFAULT_VALIDATORS = {
+    value: null
+  , logical: expectQueries
+  , query: expectQuery
+};
+
+/*!
+ * Primary exports
+ */
+
+module.exports = Operators;
+
+/*!
+ * Operand validators, exposed for the built-in
+ * comparator definitions.
+ */
+
+Operators.expectArray = expectArray;
+Operators.expectQueries = expectQueries;
+Operators.expectQuery = expectQuery;
+
+/*!
+ * Operators (comparators, meta)
+ *
+ * A set of operators that a query may be composed of.
+ * `comparators` maps an operator name to its function
+ * and `meta` maps the same name to its definition
+ * (`kind`, `branches`, `circuit`, `cost`, `validate` and
+ * `prepare`).
+ *
+ * Sets are extended with `.extend()` so that a child
+ * set can add operators without changing its parent.
+ *
+ * @param {Object} comparators
+ * @param {Object} meta
+ * @api private
+ */
+
+function Operators (comparators, meta) {
+  this.comparators = comparators || {};
+  this.meta = meta || {};
+}
+
+/*!
+ * .define (name, fn, opts)
+ *
+ * Add or replace an operator in this set. Will throw
+ * if the definition is malformed.
+ *
+ * @param {String} name starting with `$`
+ * @param {Function} comparator
+ * @param {Object} options (`kind`, `branches`, `circuit`, `cost`, `validate`, `prepare`)
+ * @api private
+ */
+
+Operators.prototype.define = function (name, fn, opts) {
+  opts = opts || {};
+  var kind = opts.kind || 'value'
+    , branches = opts.branches || 'any';
+
+  if ('string' != typeof name || !/^\$\w+$/.test(name)) {
+    throw new TypeError('operator name must start with "$": ' + name);
+  } else if ('function' != typeof fn) {
+    throw new TypeError('operator ' + name + ' must be a function');
+  } else if (!KINDS[kind]) {
+    throw new TypeError('operator ' + name + ' has unknown kind "' + kind + '"');
+  } else if (!BRANCHES[branches]) {
+    throw new TypeError('operator ' + name + ' has unknown branches "' + branches + '"');
+  } else if (undefined !== opts.circuit && 'boolean' != typeof opts.circuit) {
+    throw new TypeError('operator ' + name + ' circuit must be a boolean');
+  } else if (undefined !== opts.cost && !(opts.cost >= 0)) {
+    throw new TypeError('operator ' + name + ' cost must be a non-negative number');
+  } else if (opts.validate && 'function' != typeof opts.validate) {
+    throw new TypeError('operator ' + name + ' validate must be a function');
+  } else if (opts.prepare && 'function' != typeof opts.prepare) {
+    throw new TypeError('operator ' + name + ' prepare must be a function');
+  } else if (opts.prepare && kind != 'value') {
+    throw new TypeError('operator ' + name + ' can only prepare a value operand');
+  }
+
+  this.comparators[name] = fn;
+  this.meta[name] = {
+      kind: kind
+    , branches: branches
+    , circuit: opts.circuit
+    , cost: opts.cost || 1
+    , validate: opts.validate || null
+    , prepare: opts.prepare || null
+  };
+};
+
+/*!
+ * .lookup (name)
+ *
+ * Get the full definition of an operator, or `null` if
+ * it is not part of this set. Comparators added directly
+ * to `comparators` without a definition are assumed to be
+ * logical if they accept a single argument.
+ *
+ * @param {String} name
+ * @return {Object} definition
+ * @api private
+ */
+
+Operators.prototype.lookup = function (name) {
+  var fn = this.comparators[name]
+    , meta = this.meta[name]
+    , kind;
+
+  if ('function' != typeof fn) return null;
+  kind = meta ? meta.kind : (fn.length === 1 ? 'logical' : 'value');
+
+  return {
+      name: name
+    , fn: fn
+    , kind: kind
+    , branches: meta ? meta.branches : 'any'
+    , presence: meta ? !!meta.presence : false
+    , circuit: meta ? meta.circuit : undefined
+    , cost: meta && meta.cost ? meta.cost : 1
+    , validate: meta && meta.validate
+        ? meta.validate
+        : DEFAULT_VALIDATORS[kind]
+    , prepare: meta && meta.prepare || null
+  };
+};
+
+/*!
+ * .extend ()
+ *
+ * Create a child set that inherits every operator in
+ * this set.
+ *
+ * @return {Operators} child
+ * @api private
+ */
+
+Operators.prototype.extend = function () {
+  return new Operators(
+      Object.create(this.comparators)
+    , Object.create(this.meta)
+  );
+};
+
+/*!
+ * Operand validators. Each returns a description of
+ * the problem, if any, with the operand given.
+ */
+
+function expectArray (params) {
+  if (!Array.isArray(params)) return 'expected an array';
+}
+
+function expectQuery (params) {
+  if ('[object Object]' != Object.prototype.toString.call(params)) {
+    return 'expected a query object';
+  }
+}
+
+function expectQueries (params) {
+  if (!Array.isArray(params) || !params.length) {
+    return 'expected a non-empty array of queries';
+  }
+}
@@ -0,0 +1,271 @@
+/*!
+ * gaia-filter - path
+ * Copyright(c) 2012 Jake Luer <jake@alogicalparadox.com>
+ * MIT Licensed
+ */
+
+/*!
+ * Primary exports
+ */
+
+exports.parse = parse;
+exports.resolve = resolve;
+exports.get = get;
+exports.expand = expand;
+exports.has = has;
+exports.unsafe = unsafe;
+
+/**
+ * ### .parse (path)
+ *
+ * Split a string path into its segments. Both dotted
+ * (`d.0.e`) and bracketed (`d[0].e`) indexes are
+ * accepted.
+ *
+ * ```js
+ * path.parse('d[1].e'); // [ 'd', '1', 'e' ]
+ * ```
+ *
+ * @param {String} path
+ * @return {Array} segments
+ * @api public
+ */
+
+function parse (path) {
+  return path.replace(/\[(\d+)\]/g, '.$1').split('.');
+}
+
+/**
+ * ### .resolve (obj, segments)
+ *
+ * Get every value found at a path. Whenever a segment
+ * lands on an array, and is not a numeric index, the
+ * remainder of the path is resolved against each of
+ * the array's elements. A path that cannot be followed
+ * resolves to `undefined`.
+ *
+ * ```js
+ * var obj = { d: [ { e: 'world' }, { e: 'galaxy' } ] };
+ * path.resolve(obj, [ 'd', 'e' ]); // [ 'world', 'galaxy' ]
+ * path.resolve(obj, [ 'd', '1', 'e' ]); // [ 'galaxy' ]
+ * ```
+ *
+ * @param {Object} object
+ * @param {Array} segments from `.parse`
+ * @return {Array} values
+ * @api public
+ */
+
+function resolve (obj, segs) {
+  var vals = [ obj ]
+    , next, seg, val;
+
+  for (var i = 0; i < segs.length; i++) {
+    seg = segs[i];
+    next = [];
+
+    for (var j = 0; j < vals.length; j++) {
+      val = vals[j];
+
+      if (null == val) {
+        next.push(undefined);
+      } else if (Array.isArray(val) && !isIndex(seg)) {
+        for (var k = 0; k < val.length; k++) {
+          if (null != val[k] && 'object' == typeof val[k]) {
+            next.push(val[k][seg]);
+          }
+        }
+      } else {
+        next.push(val[seg]);
+      }
+    }
+
+    if (!next.length) next.push(undefined);
+    vals = next;
+  }
+
+  return vals;
+}
+
+/**
+ * ### .get (obj, segments)
+ *
+ * Get the value at a path as a single value. Whenever a
+ * segment lands on an array, and is not a numeric index,
+ * the remainder of the path is followed into each element
+ * and the values found are returned as an array. Elements
+ * where the path cannot be followed are left out.
+ *
+ * ```js
+ * var obj = { a: { b: 1 }, d: [ { e: 'world' }, { f: 1 }, { e: 'galaxy' } ] };
+ * path.get(obj, [ 'a', 'b' ]); // 1
+ * path.get(obj, [ 'd', 'e' ]); // [ 'world', 'galaxy' ]
+ * ```
+ *
+ * @param {Object} object
+ * @param {Array} segments from `.parse`
+ * @return {Mixed} value
+ * @api public
+ */
+
+function get (obj, segs) {
+  var val = obj
+    , res, el;
+
+  for (var i = 0; i < segs.length; i++) {
+    if (null == val) return undefined;
+
+    if (Array.isArray(val) && !isIndex(segs[i])) {
+      res = [];
+
+      for (var j = 0; j < val.length; j++) {
+        if (null == val[j] || 'object' != typeof val[j]) continue;
+        el = get(val[j], segs.slice(i));
+        if (undefined !== el) res.push(el);
+      }
+
+      return res;
+    }
+
+    val = val[segs[i]];
+  }
+
+  return val;
+}
+
+/**
+ * ### .expand (values)
+ *
+ * Given values from `.resolve`, add the elements of
+ * any values that are arrays so that conditions may
+ * be tested against each element as well as against
+ * the array itself.
+ *
+ * ```js
+ * path.expand([ [ 'a', 'b' ] ]); // [ [ 'a', 'b' ], 'a', 'b' ]
+ * ```
+ *
+ * @param {Array} values
+ * @return {Array} values
+ * @api public
+ */
+
+function expand (vals) {
+  var res = null;
+
+  for (var i = 0; i < vals.length; i++) {
+    if (!Array.isArray(vals[i])) continue;
+    if (!res) res = vals.slice();
+    res.push.apply(res, vals[i]);
+  }
+
+  return res || vals;
+}
+
+/**
+ * ### .has (obj, segments)
+ *
+ * Determine if a path is present, meaning every segment
+ * is an own property, even when the final value is
+ * `undefined`, `null` or falsey. As with `.resolve`,
+ * arrays along the path are searched element by element
+ * and the path is present if it is present for any of them.
+ *
+ * ```js
+ * var obj = { count: 0, d: [ { e: 'world' }, {} ] };
+ * path.has(obj, [ 'count' ]); // true
+ * path.has(obj, [ 'd', 'e' ]); // true
+ * path.has(obj, [ 'd', '1', 'e' ]); // false
+ * ```
+ *
+ * @param {Object} object
+ * @param {Array} segments from `.parse`
+ * @return {Boolean} present
+ * @api public
+ */
+
+function has (obj, segs) {
+  var vals = [ obj ]
+    , next, seg, val, el;
+
+  for (var i = 0; i < segs.length; i++) {
+    seg = segs[i];
+    next = [];
+
+    for (var j = 0; j < vals.length; j++) {
+      val = vals[j];
+
+      if (null == val || 'object' != typeof val) {
+        continue;
+      } else if (Array.isArray(val) && !isIndex(seg)) {
+        for (var k = 0; k < val.length; k++) {
+          el = val[k];
+          if (null != el && 'object' == typeof el && hasOwn(el, seg)) {
+            next.push(el[seg]);
+          }
+        }
+      } else if (hasOwn(val, seg)) {
+        next.push(val[seg]);
+      }
+    }
+
+    if (!next.length) return false;
+    vals = next;
+  }
+
+  return true;
+}
+
+/**
+ * ### .unsafe (segments)
+ *
+ * Find the first segment that would reach an object's
+ * prototype when written to, `__proto__`, `constructor`
+ * or `prototype`, so that writers may refuse the path.
+ *
+ * ```js
+ * path.unsafe(path.parse('a.__proto__.b')); // '__proto__'
+ * path.unsafe(path.parse('a.b')); // undefined
+ * ```
+ *
+ * @param {Array} segments from `.parse`
+ * @return {String} segment
+ * @api public
+ */
+
+function unsafe (segs) {
+  for (var i = 0; i < segs.length; i++) {
+    if (~UNSAFE.indexOf(segs[i])) return segs[i];
+  }
+}
+
+/*!
+ * Segments refused by `.unsafe`.
+ */
+
+var UNSAFE = [ '__proto__', 'constructor', 'prototype' ];
+
+/*!
+ * Determine if an object has its own property.
+ *
+ * @param {Object} object
+ * @param {String} key
+ * @return {Boolean}
+ * @api private
+ */
+
+function hasOwn (obj, key) {
+  return Object.prototype.hasOwnProperty.call(obj, key);
+}
+
+/*!
+ * Determine if a path segment is an array index.
+ *
+ * @param {String} segment
+ * @return {Boolean}
+ * @api private
+ */
+
+function isIndex (seg) {
+  return /^\d+$/.test(seg);
+}
@@ -0,0 +1,276 @@
+/*!
+ * gaia-filter - projection
+ * Copyright(c) 2012 Jake Luer <jake@alogicalparadox.com>
+ * MIT Licensed
+ */
+
+/*!
+ * Module dependancies
+ */
+
+var errors = require('./errors')
+  , path = require('./path');
+
+/*!
+ * Error constructors
+ */
+
+var FilterQueryError = errors.FilterQueryError;
+
+/*!
+ * Primary exports
+ */
+
+module.exports = projection;
+
+/**
+ * ### projection (spec, matcher[, location])
+ *
+ * Create a function that returns a copy of a document
+ * with only the fields described by a MongoDB style
+ * projection.
+ *
+ * - `{ 'a.b': 1, d: 1 }` includes only the listed paths.
+ * - `{ 'a.b': 0 }` includes everything except the listed paths.
+ * - `{ d: { $slice: 2 } }` includes the first two elements of an
+ *   array. Negative numbers count from the end and `[ skip, limit ]`
+ *   is also accepted.
+ * - `{ d: { $elemMatch: { e: 'galaxy' } } }` includes only the first
+ *   element of an array that matches the query.
+ *
+ * Inclusion and exclusion cannot be mixed, though `$slice`
+ * may be used with either. Objects along a projected path are
+ * copies but included values are not cloned. The `matcher`
+ * is called with each `$elemMatch` query and should return
+ * a function that tests an element against it. Errors are
+ * reported at `projection`, or at the `location` given.
+ *
+ * @param {Object} projection
+ * @param {Function} matcher
+ * @param {Array} location for errors (optional)
+ * @return {Function} project
+ * @api private
+ */
+
+function projection (spec, matcher, at) {
+  var tree = {}
+    , mode = null
+    , key, val, loc, inc;
+
+  at = at || [ 'projection' ];
+
+  if ('[object Object]' != Object.prototype.toString.call(spec)) {
+    throw new FilterQueryError('expected a projection object', errors.formatPath(at));
+  }
+
+  for (key in spec) {
+    val = spec[key];
+    loc = errors.formatPath(at.concat(key));
+
+    if (1 === val || true === val) {
+      inc = true;
+      val = true;
+    } else if (0 === val || false === val) {
+      inc = false;
+      val = false;
+    } else {
+      val = parseOperator(val, matcher, loc);
+      inc = val.elemMatch ? true : null;
+    }
+
+    if (null !== inc && null !== mode && inc !== mode) {
+      throw new FilterQueryError('cannot mix inclusion and exclusion', loc);
+    }
+
+    if (null !== inc) mode = inc;
+    insert(tree, path.parse(key), val, loc);
+  }
+
+  return false === mode || null === mode
+    ? function (doc) { return exclude(doc, tree); }
+    : function (doc) { return include(doc, tree); };
+}
+
+/*!
+ * Parse a projection operator into a leaf definition.
+ *
+ * @param {Object} operator
+ * @param {Function} matcher
+ * @param {String} location for errors
+ * @return {Object} leaf
+ * @api private
+ */
+
+function parseOperator (val, matcher, loc) {
+  var keys = 'object' == typeof val && null !== val ? Object.keys(val) : []
+    , slice;
+
+  if (keys.length !== 1) {
+    throw new FilterQueryError('expected 1, 0, $slice or $elemMatch', loc);
+  }
+
+  if (keys[0] == '$slice') {
+    slice = val.$slice;
+    if (isInteger(slice)) {
+      return slice < 0 ? { slice: [ slice, -slice ] } : { slice: [ 0, slice ] };
+    } else if (Array.isArray(slice) && slice.length === 2
+    && isInteger(slice[0]) && isInteger(slice[1]) && slice[1] > 0) {
+      return { slice: slice };
+    }
+    throw new FilterQueryError('expected an integer or [ skip, limit ]', loc + '.$slice');
+  }
+
+  if (keys[0] == '$elemMatch') {
+    if ('[object Object]' != Object.prototype.toString.call(val.$elemMatch)) {
+      throw new FilterQueryError('expected a query object', loc + '.$elemMatch');
+    }
+    return { elemMatch: matcher(val.$elemMatch) };
+  }
+
+  throw new FilterQueryError('unknown projection operator "' + keys[0] + '"', loc);
+}
+
+/*!
+ * Add a leaf to the projection tree, checking that
+ * it does not collide with another path or name a
+ * prototype key.
+ *
+ * @param {Object} tree
+ * @param {Array} segments
+ * @param {Mixed} leaf
+ * @param {String} location for errors
+ * @api private
+ */
+
+function insert (tree, segs, leaf, loc) {
+  var node = tree
+    , seg = path.unsafe(segs);
+
+  if (seg) throw new FilterQueryError('cannot project field "' + seg + '"', loc);
+
+  for (var i = 0; i < segs.length - 1; i++) {
+    seg = segs[i];
+    if (!node.hasOwnProperty(seg)) node[seg] = { children: {} };
+    else if (!node[seg].children) throw new FilterQueryError('path collision', loc);
+    node = node[seg].children;
+  }
+
+  seg = segs[segs.length - 1];
+  if (node.hasOwnProperty(seg)) throw new FilterQueryError('path collision', loc);
+  node[seg] = 'boolean' == typeof leaf ? { keep: leaf } : leaf;
+}
+
+/*!
+ * Copy only the included fields of a value. Arrays are
+ * projected element by element, dropping elements that
+ * are not objects.
+ *
+ * @param {Mixed} value
+ * @param {Object} tree
+ * @return {Mixed} projected value or `undefined`
+ * @api private
+ */
+
+function include (val, tree) {
+  var res, node, sub;
+
+  if (Array.isArray(val)) {
+    res = [];
+    for (var i = 0; i < val.length; i++) {
+      sub = include(val[i], tree);
+      if (undefined !== sub) res.push(sub);
+    }
+    return res;
+  }
+
+  if (null == val || 'object' != typeof val) return undefined;
+  res = {};
+
+  for (var key in tree) {
+    if (!Object.prototype.hasOwnProperty.call(val, key)) continue;
+    node = tree[key];
+    sub = node.children ? include(val[key], node.children) : leaf(val[key], node);
+    if (undefined !== sub) res[key] = sub;
+  }
+
+  return res;
+}
+
+/*!
+ * Copy all but the excluded fields of a value. Arrays
+ * are projected element by element.
+ *
+ * @param {Mixed} value
+ * @param {Object} tree
+ * @return {Mixed} projected value
+ * @api private
+ */
+
+function exclude (val, tree) {
+  var res, node;
+
+  if (Array.isArray(val)) {
+    res = [];
+    for (var i = 0; i < val.length; i++) res.push(exclude(val[i], tree));
+    return res;
+  }
+
+  if (null == val || 'object' != typeof val
+  || '[object Object]' != Object.prototype.toString.call(val)) {
+    return val;
+  }
+
+  res = {};
+
+  for (var key in val) {
+    if (!Object.prototype.hasOwnProperty.call(val, key)) continue;
+    node = tree.hasOwnProperty(key) ? tree[key] : null;
+
+    if (!node) res[key] = val[key];
+    else if (node.children) res[key] = exclude(val[key], node.children);
+    else if (false !== node.keep) res[key] = leaf(val[key], node);
+  }
+
+  return res;
+}
+
+/*!
+ * Apply a leaf of the projection tree to a value.
+ *
+ * @param {Mixed} value
+ * @param {Object} leaf
+ * @return {Mixed} projected value or `undefined`
+ * @api private
+ */
+
+function leaf (val, node) {
+  if (node.slice) {
+    if (!Array.isArray(val)) return val;
+    var skip = node.slice[0] < 0
+      ? Math.max(val.length + node.slice[0], 0)
+      : node.slice[0];
+    return val.slice(skip, skip + node.slice[1]);
+  }
+
+  if (node.elemMatch) {
+    if (!Array.isArray(val)) return undefined;
+    for (var i = 0; i < val.length; i++) {
+      if (node.elemMatch(val[i])) return [ val[i] ];
+    }
+    return undefined;
+  }
+
+  return val;
+}
+
+/*!
+ * Determine if a value is an integer.
+ *
+ * @param {Mixed} value
+ * @return {Boolean}
+ * @api private
+ */
+
+function isInteger (val) {
+  return 'number' == typeof val && isFinite(val) && val % 1 === 0;
+}
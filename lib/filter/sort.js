@@ -0,0 +1,220 @@
+/*!
+ * gaia-filter - sort
+ * Copyright(c) 2012 Jake Luer <jake@alogicalparadox.com>
+ * MIT Licensed
+ */
+
+/*!
+ * Module dependancies
+ */
+
+var compare = require('./compare')
+  , errors = require('./errors')
+  , path = require('./path');
+
+/*!
+ * Error constructors
+ */
+
+var FilterQueryError = errors.FilterQueryError;
+
+/*!
+ * Primary exports
+ */
+
+exports.sorter = sorter;
+exports.comparator = comparator;
+exports.key = key;
+exports.meta = meta;
+
+/**
+ * ### .sorter (spec[, location[, collator[, meta]]])
+ *
+ * Create a function that stably sorts a list of documents
+ * by a MongoDB style sort specification, such as
+ * `{ 'a.b': -1, c: 1 }`, returning the positions of the
+ * documents in sorted order. Keys are compared in turn using
+ * `compare`. When a path resolves to several values, or to an
+ * array, the smallest is used for an ascending key and the
+ * largest for a descending key. Strings are compared with
+ * the `collator`, if given. A key of `{ $meta: name }` sorts
+ * by the `value` function of `meta[name]`, in its `dir`, as
+ * `meta` gives for a filter. Errors are reported at `sort`,
+ * or at the `location` given.
+ *
+ * ```js
+ * sort.sorter({ n: -1 })([ { n: 1 }, { n: 3 }, { n: 2 } ]); // [ 1, 2, 0 ]
+ * ```
+ *
+ * @param {Object} specification
+ * @param {Array} location for errors (optional)
+ * @param {Object} collator (optional)
+ * @param {Object} meta values (optional)
+ * @return {Function} sorter
+ * @api private
+ */
+
+function sorter (spec, at, collator, meta) {
+  var order = comparator(spec, at, collator, meta);
+
+  return function (list) {
+    var rows = []
+      , res = [];
+
+    for (var i = 0; i < list.length; i++) {
+      rows.push({ i: i, vals: order.keys(list[i]) });
+    }
+
+    rows.sort(function (a, b) {
+      // not all engines sort stably
+      return order.compare(a.vals, b.vals) || a.i - b.i;
+    });
+
+    for (var j = 0; j < rows.length; j++) res.push(rows[j].i);
+    return res;
+  };
+}
+
+/**
+ * ### .comparator (spec[, location[, collator[, meta]]])
+ *
+ * Create the pair of functions a sort is made of, for
+ * keeping documents in order as they change: `keys`
+ * gets the values a document is sorted by and `compare`
+ * orders two lists of those values.
+ *
+ * @param {Object} specification
+ * @param {Array} location for errors (optional)
+ * @param {Object} collator (optional)
+ * @param {Object} meta values (optional)
+ * @return {Object} `{ keys, compare }`
+ * @api private
+ */
+
+function comparator (spec, at, collator, meta) {
+  var keys = parse(spec, at || [ 'sort' ], meta || {});
+
+  return {
+      keys: function (doc) {
+        var vals = [];
+        for (var k = 0; k < keys.length; k++) {
+          vals.push(keys[k].value
+            ? keys[k].value(doc)
+            : key(doc, keys[k].segs, keys[k].dir, collator));
+        }
+        return vals;
+      }
+    , compare: function (a, b) {
+        var res;
+        for (var k = 0; k < keys.length; k++) {
+          res = compare(a[k], b[k], collator);
+          if (res) return res * keys[k].dir;
+        }
+        return 0;
+      }
+  };
+}
+
+/**
+ * ### .key (doc, segments, direction[, collator])
+ *
+ * Get the value a document is sorted by for a path:
+ * the smallest of its values when ascending and the
+ * largest when descending.
+ *
+ * @param {Object} document
+ * @param {Array} segments from `path.parse`
+ * @param {Number} direction `1` or `-1`
+ * @param {Object} collator (optional)
+ * @return {Mixed} value
+ * @api private
+ */
+
+function key (doc, segs, dir, collator) {
+  var vals = path.resolve(doc, segs)
+    , found = false
+    , res, val;
+
+  for (var i = 0; i < vals.length; i++) {
+    val = vals[i];
+
+    if (Array.isArray(val)) {
+      for (var j = 0; j < val.length; j++) {
+        if (!found || compare(val[j], res, collator) * dir < 0) res = val[j];
+        found = true;
+      }
+    } else {
+      if (!found || compare(val, res, collator) * dir < 0) res = val;
+      found = true;
+    }
+  }
+
+  return res;
+}
+
+/**
+ * ### .meta (filter)
+ *
+ * Get the values a filter may sort documents by with
+ * `$meta`: the `textScore` of its `$text` searches,
+ * highest first, and the `geoNearDistance` from the
+ * point of its `$near`, nearest first.
+ *
+ * @param {Filter} filter
+ * @return {Object} `{ value, dir }` by name
+ * @api private
+ */
+
+function meta (filter) {
+  return {
+      textScore: {
+          value: function (doc) { return filter.score(doc); }
+        , dir: -1
+      }
+    , geoNearDistance: {
+          value: function (doc) { return filter.distance(doc); }
+        , dir: 1
+      }
+  };
+}
+
+/*!
+ * Validate a sort specification and parse each of
+ * its paths.
+ *
+ * @param {Object} specification
+ * @param {Array} location for errors
+ * @param {Object} meta values
+ * @return {Array} keys
+ * @api private
+ */
+
+function parse (spec, at, meta) {
+  var keys = []
+    , loc, dir;
+
+  if ('[object Object]' != Object.prototype.toString.call(spec)) {
+    throw new FilterQueryError('expected a sort object', errors.formatPath(at));
+  }
+
+  for (var name in spec) {
+    loc = errors.formatPath(at.concat(name));
+    dir = spec[name];
+
+    if (dir && 'object' == typeof dir && 'string' == typeof dir.$meta) {
+      if (!Object.prototype.hasOwnProperty.call(meta, dir.$meta)) {
+        throw new FilterQueryError('unknown $meta "' + dir.$meta + '"', loc);
+      }
+      keys.push(meta[dir.$meta]);
+      continue;
+    }
+
+    if (1 !== dir && -1 !== dir) {
+      throw new FilterQueryError('expected 1 or -1', loc);
+    }
+
+    keys.push({ segs: path.parse(name), dir: dir });
+  }
+
+  return keys;
+}
@@ -0,0 +1,489 @@
+/*!
+ * gaia-filter - sql
+ * Copyright(c) 2012 Jake Luer <jake@alogicalparadox.com>
+ * MIT Licensed
+ */
+
+/*!
+ * Module dependancies
+ */
+
+var errors = require('./errors');
+
+/*!
+ * Local references
+ */
+
+var FilterQueryError = errors.FilterQueryError
+  , hasOwn = Object.prototype.hasOwnProperty;
+
+/*!
+ * Dialects
+ */
+
+var dialects = {
+
+    sqlite: {
+        placeholder: function () {
+          return '?';
+        }
+      , json: function (column, segs, operands, loc) {
+          return 'json_extract(' + column + ', ' + sqlitePath(segs, loc) + ')';
+        }
+      , typed: function (column, segs, val, cond, loc) {
+          var types = { number: "('integer', 'real')", string: "('text')", boolean: "('true', 'false')" };
+          return '(json_type(' + column + ', ' + sqlitePath(segs, loc) + ') IN '
+            + types[jsonType(val)] + ' AND ' + cond + ')';
+        }
+      , value: function (val) {
+          if ('boolean' == typeof val) return val ? 1 : 0;
+          if (val instanceof Date) return val.toISOString();
+          return val;
+        }
+      , regex: function (expr, re, st, loc) {
+          throw new FilterQueryError('$regex is not supported by sqlite', errors.formatPath(loc));
+        }
+    }
+
+  , postgres: {
+        placeholder: function (n) {
+          return '$' + n;
+        }
+      , json: function (column, segs, operands, loc) {
+          var cast = castFor(operands, loc)
+            , expr = column + ' #>> ' + postgresPath(segs);
+
+          return cast ? '(' + expr + ')::' + cast : '(' + expr + ')';
+        }
+      , typed: function (column, segs, val, cond, loc) {
+          return '(CASE WHEN json_typeof((' + column + ' #> ' + postgresPath(segs) + ')::json) = '
+            + string(jsonType(val)) + ' THEN ' + cond + ' END)';
+        }
+      , value: function (val) {
+          return val;
+        }
+      , regex: function (expr, re, st, loc) {
+          var flags = (re.ignoreCase ? 'i' : '')
+            + (re.multiline ? 'm' : '')
+            + (re.global ? 'g' : '')
+            + (re.sticky ? 'y' : '')
+            + (re.unicode ? 'u' : '')
+            + (re.dotAll ? 's' : '');
+
+          if (flags.replace('i', '')) {
+            throw new FilterQueryError('unsupported flags "' + flags + '" for postgres', errors.formatPath(loc));
+          }
+
+          return expr + (re.ignoreCase ? ' ~* ' : ' ~ ') + bind(re.source, st, loc);
+        }
+    }
+
+};
+
+/*!
+ * Primary exports
+ */
+
+module.exports = toSQL;
+
+/**
+ * ### toSQL (stack, builtins, options)
+ *
+ * Translate a parsed query stack into a SQL `WHERE`
+ * clause with bound parameters. Only the `builtins`, the
+ * original comparators, can be translated. The options are
+ * the `dialect` (`sqlite` or `postgres`) and a `columnMap`
+ * from paths to column names. The first segment of a path
+ * without a column is the column and the rest is a path
+ * into its JSON.
+ *
+ * @param {Array} stack from `parseQuery`
+ * @param {Object} builtins
+ * @param {Object} options
+ * @return {Object} `{ where, params }`
+ * @api private
+ */
+
+function toSQL (stack, builtins, opts) {
+  opts = opts || {};
+
+  if ('string' != typeof opts.dialect || !hasOwn.call(dialects, opts.dialect)) {
+    throw new FilterQueryError('expected "sqlite" or "postgres"', 'dialect');
+  }
+
+  var st = {
+      dialect: dialects[opts.dialect]
+    , builtins: builtins
+    , columns: opts.columnMap || {}
+    , params: []
+  };
+
+  for (var key in st.columns) {
+    if ('string' != typeof st.columns[key] || !st.columns[key]) {
+      throw new FilterQueryError('expected a column name', errors.formatPath([ 'columnMap', key ]));
+    }
+  }
+
+  var parts = genStack(stack, [], st);
+
+  return {
+      where: parts.length ? parts.join(' AND ') : '1 = 1'
+    , params: st.params
+  };
+}
+
+/*!
+ * Generate the conditions for each statement of a
+ * query stack, relative to the path segments.
+ *
+ * @param {Array} stack
+ * @param {Array} path segments
+ * @param {Object} state
+ * @return {Array} conditions
+ * @api private
+ */
+
+function genStack (stack, segs, st) {
+  var parts = []
+    , entry, at;
+
+  for (var i = 0; i < stack.length; i++) {
+    entry = stack[i];
+    at = entry.path ? segs.concat(entry.segments) : segs;
+
+    for (var j = 0; j < entry.test.length; j++) {
+      parts.push(genOp(entry.test[j], at, st));
+    }
+  }
+
+  return parts;
+}
+
+/*!
+ * Generate the condition for a single comparator.
+ *
+ * @param {Object} test
+ * @param {Array} path segments
+ * @param {Object} state
+ * @return {String} condition
+ * @api private
+ */
+
+function genOp (test, segs, st) {
+  var builtins = st.builtins
+    , loc = segs.concat(test.op)
+    , params = test.params
+    , subs = [];
+
+  if (test.kind == 'logical') {
+    for (var i = 0; i < params.length; i++) {
+      subs.push(join(genStack(params[i], segs, st), ' AND ', '1 = 1'));
+    }
+
+    if (test.fn === builtins.$and) return join(subs, ' AND ', '1 = 1');
+    if (test.fn === builtins.$or) return join(subs, ' OR ', '1 = 0');
+    if (test.fn === builtins.$nor) return negate(join(subs, ' OR ', '1 = 0'));
+    if (test.fn === builtins.$not) return negate(subs[0]);
+    return unsupported(test, loc);
+  }
+
+  switch (test.fn) {
+    case builtins.$eq:
+      return isNull(params)
+        ? target(segs, [], st, loc) + ' IS NULL'
+        : target(segs, [ params ], st, loc) + ' = ' + bind(params, st, loc);
+    case builtins.$ne:
+      return isNull(params)
+        ? target(segs, [], st, loc) + ' IS NOT NULL'
+        : ne(target(segs, [ params ], st, loc), bind(params, st, loc));
+    case builtins.$gt:
+      return range(segs, params, ' > ', st, loc);
+    case builtins.$gte:
+      return range(segs, params, ' >= ', st, loc);
+    case builtins.$lt:
+      return range(segs, params, ' < ', st, loc);
+    case builtins.$lte:
+      return range(segs, params, ' <= ', st, loc);
+    case builtins.$in:
+      return genIn(params, false, segs, st, loc);
+    case builtins.$nin:
+      return genIn(params, true, segs, st, loc);
+    case builtins.$exists:
+      return target(segs, [], st, loc) + (params ? ' IS NOT NULL' : ' IS NULL');
+    case builtins.$regex:
+      return st.dialect.regex(target(segs, [ '' ], st, loc), params, st, loc);
+  }
+
+  return unsupported(test, loc);
+}
+
+/*!
+ * Generate the condition for `$in` or `$nin`. A
+ * `null` in the list matches missing values.
+ *
+ * @param {Array} list
+ * @param {Boolean} negate
+ * @param {Array} path segments
+ * @param {Object} state
+ * @param {Array} location
+ * @return {String} condition
+ * @api private
+ */
+
+function genIn (list, not, segs, st, loc) {
+  var vals = []
+    , nulls = false
+    , binds = []
+    , expr;
+
+  for (var i = 0; i < list.length; i++) {
+    if (isNull(list[i])) nulls = true;
+    else vals.push(list[i]);
+  }
+
+  expr = target(segs, vals, st, loc);
+  for (var j = 0; j < vals.length; j++) {
+    binds.push(bind(vals[j], st, loc.concat(j)));
+  }
+
+  if (!vals.length) {
+    if (nulls) return expr + (not ? ' IS NOT NULL' : ' IS NULL');
+    return not ? '1 = 1' : '1 = 0';
+  }
+
+  var cond = expr + (not ? ' NOT IN (' : ' IN (') + binds.join(', ') + ')';
+
+  if (not) {
+    return nulls
+      ? '(' + cond + ' AND ' + expr + ' IS NOT NULL)'
+      : '(' + cond + ' OR ' + expr + ' IS NULL)';
+  }
+
+  return nulls
+    ? '(' + cond + ' OR ' + expr + ' IS NULL)'
+    : cond;
+}
+
+/*!
+ * Generate the condition for a range comparator. As
+ * in memory, a value in JSON only matches a bound of
+ * the same type, so its JSON type is checked first.
+ * Columns are left to their declared types.
+ *
+ * @param {Array} path segments
+ * @param {Mixed} bound
+ * @param {String} operator
+ * @param {Object} state
+ * @param {Array} location
+ * @return {String} condition
+ * @api private
+ */
+
+function range (segs, val, op, st, loc) {
+  var ref = reference(segs, st, loc)
+    , cond = access(ref.column, ref.rest, [ val ], st, loc) + op + bind(val, st, loc);
+
+  return ref.rest.length
+    ? st.dialect.typed(ref.column, ref.rest, val, cond, loc)
+    : cond;
+}
+
+/*!
+ * Get the expression for the value at a path,
+ * given the operands it will be compared with.
+ *
+ * @param {Array} path segments
+ * @param {Array} operands
+ * @param {Object} state
+ * @param {Array} location
+ * @return {String} expression
+ * @api private
+ */
+
+function target (segs, operands, st, loc) {
+  var ref = reference(segs, st, loc);
+  return access(ref.column, ref.rest, operands, st, loc);
+}
+
+/*!
+ * Split a path into the column it reads and the
+ * path into that column's JSON.
+ *
+ * @param {Array} path segments
+ * @param {Object} state
+ * @param {Array} location
+ * @return {Object} `{ column, rest }`
+ * @api private
+ */
+
+function reference (segs, st, loc) {
+  if (!segs.length) {
+    throw new FilterQueryError('expected a path', errors.formatPath(loc));
+  }
+
+  for (var i = segs.length; i > 0; i--) {
+    var key = segs.slice(0, i).join('.');
+    if (hasOwn.call(st.columns, key)) {
+      return { column: column(st.columns[key]), rest: segs.slice(i) };
+    }
+  }
+
+  return { column: quote(segs[0]), rest: segs.slice(1) };
+}
+
+function access (col, rest, operands, st, loc) {
+  return rest.length
+    ? st.dialect.json(col, rest, operands, loc)
+    : col;
+}
+
+/*!
+ * Bind a parameter, returning its placeholder.
+ *
+ * @param {Mixed} value
+ * @param {Object} state
+ * @param {Array} location
+ * @return {String} placeholder
+ * @api private
+ */
+
+function bind (val, st, loc) {
+  var ok = 'string' == typeof val
+    || 'boolean' == typeof val
+    || ('number' == typeof val && isFinite(val))
+    || (val instanceof Date && !isNaN(val.getTime()));
+
+  if (!ok) {
+    throw new FilterQueryError('cannot translate the operand to SQL', errors.formatPath(loc));
+  }
+
+  st.params.push(st.dialect.value(val));
+  return st.dialect.placeholder(st.params.length);
+}
+
+/*!
+ * Get the postgres cast for a JSON value compared
+ * with the operands, which must share a type.
+ *
+ * @param {Array} operands
+ * @param {Array} location
+ * @return {String} type
+ * @api private
+ */
+
+function castFor (operands, loc) {
+  var casts = []
+    , val, cast;
+
+  for (var i = 0; i < operands.length; i++) {
+    val = operands[i];
+    if ('number' == typeof val) cast = 'numeric';
+    else if ('boolean' == typeof val) cast = 'boolean';
+    else if (val instanceof Date) cast = 'timestamptz';
+    else cast = '';
+    if (casts.indexOf(cast) == -1) casts.push(cast);
+  }
+
+  if (casts.length > 1) {
+    throw new FilterQueryError('cannot compare a JSON value with mixed types', errors.formatPath(loc));
+  }
+
+  return casts[0];
+}
+
+/*!
+ * Get the JSON type holding an operand, which is
+ * a string for dates.
+ *
+ * @param {Mixed} operand
+ * @return {String} type
+ * @api private
+ */
+
+function jsonType (val) {
+  if ('number' == typeof val) return 'number';
+  if ('boolean' == typeof val) return 'boolean';
+  return 'string';
+}
+
+/*!
+ * Get the quoted JSON path of sqlite for segments.
+ *
+ * @param {Array} path segments
+ * @param {Array} location
+ * @return {String} path
+ * @api private
+ */
+
+function sqlitePath (segs, loc) {
+  var str = '$'
+    , seg;
+
+  for (var i = 0; i < segs.length; i++) {
+    seg = segs[i];
+    if (/^\d+$/.test(seg)) str += '[' + seg + ']';
+    else if (/^[A-Za-z_]\w*$/.test(seg)) str += '.' + seg;
+    else if (seg.indexOf('"') == -1) str += '."' + seg + '"';
+    else throw new FilterQueryError('cannot use a key with quotes in a JSON path', errors.formatPath(loc));
+  }
+
+  return string(str);
+}
+
+/*!
+ * Get the quoted text array path of postgres for segments.
+ *
+ * @param {Array} path segments
+ * @return {String} path
+ * @api private
+ */
+
+function postgresPath (segs) {
+  var list = [];
+
+  for (var i = 0; i < segs.length; i++) {
+    list.push(/^[\w-]+$/.test(segs[i])
+      ? segs[i]
+      : '"' + segs[i].replace(/(["\\])/g, '\\$1') + '"');
+  }
+
+  return string('{' + list.join(',') + '}');
+}
+
+/*!
+ * SQL helpers
+ */
+
+function join (parts, sep, empty) {
+  if (!parts.length) return empty;
+  if (parts.length == 1) return parts[0];
+  return '(' + parts.join(sep) + ')';
+}
+
+function negate (cond) {
+  return 'NOT COALESCE(' + cond + ', FALSE)';
+}
+
+function ne (expr, param) {
+  return '(' + expr + ' <> ' + param + ' OR ' + expr + ' IS NULL)';
+}
+
+function quote (name) {
+  return '"' + String(name).replace(/"/g, '""') + '"';
+}
+
+function column (name) {
+  return name.split('.').map(quote).join('.');
+}
+
+function string (str) {
+  return "'" + str.replace(/'/g, "''") + "'";
+}
+
+function isNull (val) {
+  return null === val || undefined === val;
+}
+
+function unsupported (test, loc) {
+  throw new FilterQueryError('cannot translate ' + test.op + ' to SQL', errors.formatPath(loc));
+}
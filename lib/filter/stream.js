@@ -0,0 +1,132 @@
+/*!
+ * gaia-filter - stream
+ * Copyright(c) 2012 Jake Luer <jake@alogicalparadox.com>
+ * MIT Licensed
+ */
+
+/*!
+ * Module dependancies
+ */
+
+var StringDecoder = require('string_decoder').StringDecoder
+  , Transform = require('stream').Transform;
+
+/*!
+ * Primary exports
+ */
+
+exports.filter = filter;
+exports.ndjson = ndjson;
+
+/**
+ * ### .filter (sieve[, destroy])
+ *
+ * Create a Transform stream in object mode that writes
+ * each value emitted by a sieve. Once the sieve is done
+ * the readable side ends and the streams piped into it
+ * are unpiped, and destroyed if `destroy` is set. Anything
+ * written after is ignored without being tested.
+ *
+ * @param {Object} sieve
+ * @param {Boolean} destroy sources (optional)
+ * @return {Transform} stream
+ * @api private
+ */
+
+function filter (sieve, destroy) {
+  var sources = []
+    , stream;
+
+  function stop () {
+    var list = sources.splice(0, sources.length);
+
+    stream.push(null);
+    for (var i = 0; i < list.length; i++) {
+      list[i].unpipe(stream);
+      if (destroy) list[i].destroy();
+    }
+  }
+
+  stream = new Transform({
+      objectMode: true
+    , transform: function (doc, enc, cb) {
+        if (!sieve.done) {
+          sieve.take(doc, function (val) { stream.push(val); });
+          if (sieve.done) stop();
+        }
+        cb();
+      }
+  });
+
+  stream.on('pipe', function (src) {
+    if (sieve.done) {
+      src.unpipe(stream);
+      if (destroy) src.destroy();
+      return;
+    }
+    sources.push(src);
+  });
+
+  stream.on('unpipe', function (src) {
+    var i = sources.indexOf(src);
+    if (~i) sources.splice(i, 1);
+  });
+
+  return stream;
+}
+
+/**
+ * ### .ndjson ()
+ *
+ * Create a Transform stream that parses newline delimited
+ * JSON into objects. Blank lines and lines of `null` are
+ * skipped. A line that cannot be parsed emits a `SyntaxError`
+ * with its line number.
+ *
+ * @return {Transform} stream
+ * @api private
+ */
+
+function ndjson () {
+  var decoder = new StringDecoder('utf8')
+    , buffer = ''
+    , line = 0
+    , stream;
+
+  function parse (lines) {
+    var text, val;
+
+    for (var i = 0; i < lines.length; i++) {
+      line++;
+      text = lines[i].trim();
+      if (!text) continue;
+
+      try {
+        val = JSON.parse(text);
+      } catch (err) {
+        return new SyntaxError('line ' + line + ': ' + err.message);
+      }
+
+      if (null !== val) stream.push(val);
+    }
+  }
+
+  stream = new Transform({
+      readableObjectMode: true
+    , transform: function (chunk, enc, cb) {
+        var lines;
+
+        buffer += 'string' == typeof chunk ? chunk : decoder.write(chunk);
+        lines = buffer.split('\n');
+        buffer = lines.pop();
+        cb(parse(lines));
+      }
+    , flush: function (cb) {
+        var rest = buffer + decoder.end();
+        buffer = '';
+        cb(parse([ rest ]));
+      }
+  });
+
+  return stream;
+}
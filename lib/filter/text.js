@@ -0,0 +1,586 @@
+/*!
+ * gaia-filter - text
+ * Copyright(c) 2012 Jake Luer <jake@alogicalparadox.com>
+ * MIT Licensed
+ */
+
+/*!
+ * Module dependancies
+ */
+
+var errors = require('./errors')
+  , path = require('./path');
+
+/*!
+ * Error constructors
+ */
+
+var FilterQueryError = errors.FilterQueryError;
+
+/*!
+ * Words, and the terms and quoted phrases of a search.
+ */
+
+var WORD = /[a-z0-9\u00c0-\u024f]+/g
+  , QUOTE = /['\u2019]/g
+  , PART = /(-?)"([^"]*)"?|(\S+)/g;
+
+/*!
+ * English words that are not searched for.
+ */
+
+var STOP = words(
+    'a about above after again against all am an and any are as at be because been '
+  + 'before being below between both but by can did do does doing down during each '
+  + 'few for from further had has have having he her here hers herself him himself '
+  + 'his how i if in into is it its itself just me more most my myself no nor not now '
+  + 'of off on once only or other our ours ourselves out over own same she should so '
+  + 'some such than that the their theirs them themselves then there these they this '
+  + 'those through to too under until up very was we were what when where which while '
+  + 'who whom why will with you your yours yourself yourselves'
+);
+
+/*!
+ * Languages, with how each reduces a word to the
+ * term it is searched by and the words it skips.
+ */
+
+var LANGUAGES = {
+    english: { stem: stem, stop: STOP }
+  , none: { stem: function (word) { return word; }, stop: {} }
+};
+
+/*!
+ * Options of `$text`
+ */
+
+var OPTIONS = [ '$search', '$fields', '$language' ];
+
+/*!
+ * Porter stemmer rules
+ */
+
+var C = '[^aeiou][^aeiouy]*'
+  , V = '[aeiouy][aeiou]*'
+  , MGR0 = new RegExp('^(' + C + ')?' + V + C)
+  , MEQ1 = new RegExp('^(' + C + ')?' + V + C + '(' + V + ')?$')
+  , MGR1 = new RegExp('^(' + C + ')?' + V + C + V + C)
+  , VOWEL = /^([^aeiou][^aeiouy]*)?[aeiouy]/
+  , CVC = /^[^aeiou][^aeiouy]*[aeiouy][^aeiouwxy]$/
+  , STEP2 = /^(.+?)(ational|tional|enci|anci|izer|bli|alli|entli|eli|ousli|ization|ation|ator|alism|iveness|fulness|ousness|aliti|iviti|biliti|logi)$/
+  , STEP3 = /^(.+?)(icate|ative|alize|iciti|ical|ful|ness)$/
+  , STEP4 = /^(.+?)(al|ance|ence|er|ic|able|ible|ant|ement|ment|ent|ou|ism|ate|iti|ous|ive|ize)$/;
+
+var SUFFIX2 = {
+    ational: 'ate', tional: 'tion', enci: 'ence', anci: 'ance', izer: 'ize'
+  , bli: 'ble', alli: 'al', entli: 'ent', eli: 'e', ousli: 'ous'
+  , ization: 'ize', ation: 'ate', ator: 'ate', alism: 'al', iveness: 'ive'
+  , fulness: 'ful', ousness: 'ous', aliti: 'al', iviti: 'ive', biliti: 'ble'
+  , logi: 'log'
+};
+
+var SUFFIX3 = {
+    icate: 'ic', ative: '', alize: 'al', iciti: 'ic', ical: 'ic'
+  , ful: '', ness: ''
+};
+
+/*!
+ * Primary exports
+ */
+
+exports.search = search;
+exports.stem = stem;
+exports.TextIndex = TextIndex;
+
+/**
+ * ### .search (spec)
+ *
+ * Parse the operand of `$text` into a search with a
+ * `score(doc)` method, which returns `0` for documents
+ * that do not match. Will throw a `FilterQueryError`
+ * if the operand is malformed. A search is returned as
+ * it is.
+ *
+ * @param {Object|Search} specification
+ * @return {Search} search
+ * @api private
+ */
+
+function search (spec) {
+  if (spec instanceof Search) return spec;
+
+  if (!isObject(spec)) {
+    throw new FilterQueryError('expected an object with $search', '');
+  }
+
+  for (var key in spec) {
+    if (OPTIONS.indexOf(key) == -1) {
+      throw new FilterQueryError('unknown option "' + key + '"', errors.formatPath([ key ]));
+    }
+  }
+
+  if ('string' != typeof spec.$search) {
+    throw new FilterQueryError('expected a string', '$search');
+  }
+
+  return new Search(spec.$search, fields(spec.$fields, '$fields'), language(spec.$language, '$language'));
+}
+
+/*!
+ * A parsed search. Terms are stemmed and do not include
+ * stop words, while phrases are lists of stemmed words.
+ *
+ * @param {String} search
+ * @param {Array} fields or `null` for every string
+ * @param {Object} language
+ * @api private
+ */
+
+function Search (str, fields, lang) {
+  var terms = []
+    , negated = []
+    , phrases = []
+    , without = []
+    , m, list;
+
+  this.fields = fields;
+  this.language = lang;
+
+  PART.lastIndex = 0;
+  while ((m = PART.exec(str))) {
+    if (undefined !== m[2]) {
+      list = analyze(m[2], lang);
+      if (list.length) (m[1] ? without : phrases).push(list);
+    } else if (m[3].charAt(0) == '-') {
+      push(negated, analyze(m[3].slice(1), lang, true));
+    } else {
+      push(terms, analyze(m[3], lang, true));
+    }
+  }
+
+  this.terms = terms;
+  this.negated = negated;
+  this.phrases = phrases;
+  this.without = without;
+}
+
+/**
+ * ### .score (doc)
+ *
+ * Score a document against the search. A document matches
+ * when it has any of the terms, or only the phrases if
+ * there are any, and none of the negated terms or phrases.
+ * Each field adds its weight times the share of its words
+ * that are search terms or within a phrase, so that shorter
+ * fields and more frequent terms score higher.
+ *
+ * @param {Object} document
+ * @return {Number} score, or `0` when not matching
+ * @api private
+ */
+
+Search.prototype.score = function (doc) {
+  var texts = strings(doc, this.fields)
+    , found = this.phrases.map(function () { return false; })
+    , any = false
+    , score = 0
+    , words, hits, i, j;
+
+  for (i = 0; i < texts.length; i++) {
+    words = analyze(texts[i].text, this.language);
+    hits = 0;
+
+    for (j = 0; j < this.without.length; j++) {
+      if (within(words, this.without[j]) != -1) return 0;
+    }
+
+    for (j = 0; j < words.length; j++) {
+      if (this.negated.indexOf(words[j]) != -1) return 0;
+      if (this.terms.indexOf(words[j]) != -1) {
+        hits++;
+        any = true;
+      }
+    }
+
+    for (j = 0; j < this.phrases.length; j++) {
+      if (within(words, this.phrases[j]) != -1) {
+        hits += this.phrases[j].length;
+        found[j] = true;
+      }
+    }
+
+    if (hits) score += texts[i].weight * hits / words.length;
+  }
+
+  if (found.indexOf(false) != -1) return 0;
+  return any || this.phrases.length ? score : 0;
+};
+
+/**
+ * ### TextIndex (data[, options])
+ *
+ * An inverted index of the words in an array, from
+ * each stemmed word to the indexes of the data points
+ * it is found in. The `fields` and `language` options
+ * are as `$fields` and `$language` of `$text`.
+ *
+ * @param {Array} data
+ * @param {Object} options (optional)
+ * @api public
+ */
+
+function TextIndex (data, opts) {
+  if (!(this instanceof TextIndex)) return new TextIndex(data, opts);
+
+  if (!Array.isArray(data)) {
+    throw new FilterQueryError('expected an array', 'data');
+  }
+
+  opts = opts || {};
+  this.data = data;
+  this.fields = fields(opts.fields, 'fields');
+  this.language = language(opts.language, 'language');
+  this.words = {};
+
+  for (var i = 0; i < data.length; i++) {
+    this.add(data[i], i);
+  }
+}
+
+/*!
+ * Index the words of a data point.
+ *
+ * @param {Object} data point
+ * @param {Number} index
+ * @api private
+ */
+
+TextIndex.prototype.add = function (doc, n) {
+  var texts = strings(doc, this.fields)
+    , words, list;
+
+  for (var i = 0; i < texts.length; i++) {
+    words = analyze(texts[i].text, this.language);
+
+    for (var j = 0; j < words.length; j++) {
+      list = hasOwn(this.words, words[j])
+        ? this.words[words[j]]
+        : (this.words[words[j]] = []);
+      if (list[list.length - 1] !== n) list.push(n);
+    }
+  }
+};
+
+/*!
+ * Get the indexes of the data points that may match
+ * a search, in order, or `null` if the index was built
+ * with other fields or another language.
+ *
+ * @param {Search} search
+ * @return {Array} indexes
+ * @api private
+ */
+
+TextIndex.prototype.candidates = function (s) {
+  var self = this
+    , res = null;
+
+  if (s.language !== this.language || !sameFields(s.fields, this.fields)) return null;
+
+  function postings (word) {
+    return hasOwn(self.words, word) ? self.words[word] : [];
+  }
+
+  for (var i = 0; i < s.phrases.length; i++) {
+    for (var j = 0; j < s.phrases[i].length; j++) {
+      res = res ? intersect(res, postings(s.phrases[i][j])) : postings(s.phrases[i][j]);
+    }
+  }
+
+  if (res) return res;
+
+  res = [];
+  for (var t = 0; t < s.terms.length; t++) {
+    res = union(res, postings(s.terms[t]));
+  }
+
+  return res;
+};
+
+/**
+ * ### stem (word)
+ *
+ * Reduce an English word to its stem with the Porter
+ * stemming algorithm, so that `running` and `runs` are
+ * both `run`.
+ *
+ * @param {String} lower case word
+ * @return {String} stem
+ * @api private
+ */
+
+function stem (w) {
+  var first, m;
+
+  if (w.length < 3) return w;
+
+  // a leading y is a consonant
+  first = w.charAt(0);
+  if (first == 'y') w = 'Y' + w.slice(1);
+
+  // step 1a: plurals
+  if ((m = /^(.+?)(ss|i)es$/.exec(w))) w = m[1] + m[2];
+  else if ((m = /^(.+?)([^s])s$/.exec(w))) w = m[1] + m[2];
+
+  // step 1b: past tense and gerunds
+  if ((m = /^(.+?)eed$/.exec(w))) {
+    if (MGR0.test(m[1])) w = w.slice(0, -1);
+  } else if ((m = /^(.+?)(ed|ing)$/.exec(w)) && VOWEL.test(m[1])) {
+    w = m[1];
+    if (/(at|bl|iz)$/.test(w)) w += 'e';
+    else if (/([^aeiouylsz])\1$/.test(w)) w = w.slice(0, -1);
+    else if (CVC.test(w)) w += 'e';
+  }
+
+  // step 1c: y to i
+  if ((m = /^(.+?)y$/.exec(w)) && VOWEL.test(m[1])) w = m[1] + 'i';
+
+  // steps 2 and 3: double and single suffixes
+  if ((m = STEP2.exec(w)) && MGR0.test(m[1])) w = m[1] + SUFFIX2[m[2]];
+  if ((m = STEP3.exec(w)) && MGR0.test(m[1])) w = m[1] + SUFFIX3[m[2]];
+
+  // step 4: remaining suffixes
+  if ((m = STEP4.exec(w))) {
+    if (MGR1.test(m[1])) w = m[1];
+  } else if ((m = /^(.+?)(s|t)(ion)$/.exec(w)) && MGR1.test(m[1] + m[2])) {
+    w = m[1] + m[2];
+  }
+
+  // step 5: final e and double l
+  if ((m = /^(.+?)e$/.exec(w))) {
+    if (MGR1.test(m[1]) || (MEQ1.test(m[1]) && !CVC.test(m[1]))) w = m[1];
+  }
+  if (/ll$/.test(w) && MGR1.test(w)) w = w.slice(0, -1);
+
+  return first == 'y' ? 'y' + w.slice(1) : w;
+}
+
+/*!
+ * Split a string into lower case words and stem them,
+ * skipping stop words when searching for terms.
+ *
+ * @param {String} text
+ * @param {Object} language
+ * @param {Boolean} skip stop words
+ * @return {Array} stems
+ * @api private
+ */
+
+function analyze (str, lang, terms) {
+  var list = str.toLowerCase().replace(QUOTE, '').match(WORD) || []
+    , res = [];
+
+  for (var i = 0; i < list.length; i++) {
+    if (terms && hasOwn(lang.stop, list[i])) continue;
+    res.push(lang.stem(list[i]));
+  }
+
+  return res;
+}
+
+/*!
+ * Get the strings of a document to search, with the
+ * weight of their field. Strings within arrays and
+ * objects at a field are included.
+ *
+ * @param {Object} document
+ * @param {Array} fields or `null` for every string
+ * @return {Array} `{ text, weight }`
+ * @api private
+ */
+
+function strings (doc, list) {
+  var res = [];
+
+  function collect (val, weight) {
+    if ('string' == typeof val) {
+      res.push({ text: val, weight: weight });
+    } else if (Array.isArray(val)) {
+      for (var i = 0; i < val.length; i++) collect(val[i], weight);
+    } else if (isObject(val)) {
+      for (var key in val) collect(val[key], weight);
+    }
+  }
+
+  if (!list) {
+    collect(doc, 1);
+  } else {
+    for (var i = 0; i < list.length; i++) {
+      collect(path.resolve(doc, list[i].segs), list[i].weight);
+    }
+  }
+
+  return res;
+}
+
+/*!
+ * Validate the fields to search, as an array of
+ * paths or an object of paths and weights.
+ *
+ * @param {Array|Object} fields
+ * @param {String} name of option
+ * @return {Array} `{ name, segs, weight }` or `null`
+ * @api private
+ */
+
+function fields (spec, name) {
+  var res = [];
+
+  if (undefined === spec) return null;
+
+  if (Array.isArray(spec)) {
+    for (var i = 0; i < spec.length; i++) {
+      if ('string' != typeof spec[i] || !spec[i]) {
+        throw new FilterQueryError('expected a path', errors.formatPath([ name, i ]));
+      }
+      res.push({ name: spec[i], segs: path.parse(spec[i]), weight: 1 });
+    }
+  } else if (isObject(spec)) {
+    for (var key in spec) {
+      if ('number' != typeof spec[key] || !(spec[key] > 0)) {
+        throw new FilterQueryError('expected a positive weight', errors.formatPath([ name, key ]));
+      }
+      res.push({ name: key, segs: path.parse(key), weight: spec[key] });
+    }
+  } else {
+    throw new FilterQueryError('expected an array of paths or an object of weights', name);
+  }
+
+  if (!res.length) {
+    throw new FilterQueryError('expected at least one field', name);
+  }
+
+  return res;
+}
+
+/*!
+ * Validate the language of a search.
+ *
+ * @param {String} language (default `english`)
+ * @param {String} name of option
+ * @return {Object} language
+ * @api private
+ */
+
+function language (val, name) {
+  if (undefined === val) return LANGUAGES.english;
+  if ('string' != typeof val || !hasOwn(LANGUAGES, val)) {
+    throw new FilterQueryError('expected "english" or "none"', name);
+  }
+  return LANGUAGES[val];
+}
+
+/*!
+ * Determine if two lists of fields are the same.
+ *
+ * @param {Array} fields or `null`
+ * @param {Array} fields or `null`
+ * @return {Boolean}
+ * @api private
+ */
+
+function sameFields (a, b) {
+  if (!a || !b) return a === b;
+  if (a.length != b.length) return false;
+
+  for (var i = 0; i < a.length; i++) {
+    if (a[i].name !== b[i].name || a[i].weight !== b[i].weight) return false;
+  }
+
+  return true;
+}
+
+/*!
+ * Find a list of words within another, returning
+ * where it starts or `-1`.
+ *
+ * @param {Array} words
+ * @param {Array} phrase
+ * @return {Number} index
+ * @api private
+ */
+
+function within (words, phrase) {
+  outer:
+  for (var i = 0; i + phrase.length <= words.length; i++) {
+    for (var j = 0; j < phrase.length; j++) {
+      if (words[i + j] !== phrase[j]) continue outer;
+    }
+    return i;
+  }
+
+  return -1;
+}
+
+/*!
+ * Intersect and unite ascending lists of indexes.
+ *
+ * @param {Array} a
+ * @param {Array} b
+ * @return {Array} ascending
+ * @api private
+ */
+
+function intersect (a, b) {
+  var res = []
+    , i = 0
+    , j = 0;
+
+  while (i < a.length && j < b.length) {
+    if (a[i] < b[j]) i++;
+    else if (a[i] > b[j]) j++;
+    else { res.push(a[i]); i++; j++; }
+  }
+
+  return res;
+}
+
+function union (a, b) {
+  var res = []
+    , i = 0
+    , j = 0;
+
+  while (i < a.length || j < b.length) {
+    if (j >= b.length || a[i] < b[j]) res.push(a[i++]);
+    else if (i >= a.length || a[i] > b[j]) res.push(b[j++]);
+    else { res.push(a[i]); i++; j++; }
+  }
+
+  return res;
+}
+
+/*!
+ * Helpers
+ */
+
+function words (str) {
+  var res = {}
+    , list = str.split(' ');
+
+  for (var i = 0; i < list.length; i++) res[list[i]] = true;
+  return res;
+}
+
+function push (list, items) {
+  for (var i = 0; i < items.length; i++) {
+    if (list.indexOf(items[i]) == -1) list.push(items[i]);
+  }
+}
+
+function isObject (val) {
+  return '[object Object]' == Object.prototype.toString.call(val);
+}
+
+function hasOwn (obj, key) {
+  return Object.prototype.hasOwnProperty.call(obj, key);
+}
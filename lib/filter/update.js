@@ -0,0 +1,754 @@
+/*!
+ * gaia-filter - update
+ * Copyright(c) 2012 Jake Luer <jake@alogicalparadox.com>
+ * MIT Licensed
+ */
+
+/*!
+ * Module dependancies
+ */
+
+var compare = require('./compare')
+  , equal = require('./equal')
+  , errors = require('./errors')
+  , path = require('./path')
+  , sort = require('./sort');
+
+/*!
+ * Error constructors
+ */
+
+var FilterQueryError = errors.FilterQueryError;
+
+/*!
+ * Primary exports
+ */
+
+module.exports = update;
+update.seed = seed;
+update.commit = commit;
+
+/**
+ * ### update (spec, query, matcher)
+ *
+ * Create a function that applies MongoDB style update
+ * operators to a copy of a document, returning the copy
+ * if it was modified or `null`, so that an operator that
+ * fails leaves the document as it was. The copy is written
+ * back with `update.commit`. The `query` that selected the
+ * document is used to find the element updated by the
+ * positional `$` operator, and `matcher` is called with a
+ * query to get a function that tests a value against it.
+ *
+ * @param {Object} update specification
+ * @param {Object} query
+ * @param {Function} matcher
+ * @return {Function} apply
+ * @api private
+ */
+
+function update (spec, query, matcher) {
+  var ops = parse(spec, matcher)
+    , positional = {}
+    , pos, prefix;
+
+  for (var i = 0; i < ops.length; i++) {
+    pos = ops[i].segs.indexOf('$');
+    if (!~pos) continue;
+
+    prefix = ops[i].segs.slice(0, pos).join('.');
+    if (!positional[prefix]) {
+      positional[prefix] = positionMatcher(query, prefix, matcher, ops[i].loc);
+    }
+  }
+
+  return function (doc, inserting) {
+    var copy = clone(doc)
+      , modified = false
+      , op, segs;
+
+    for (var i = 0; i < ops.length; i++) {
+      op = ops[i];
+      segs = resolvePositional(copy, op, positional, inserting);
+      if (operators[op.op](copy, segs, op)) modified = true;
+    }
+
+    return modified ? copy : null;
+  };
+}
+
+/**
+ * ### update.commit (doc, copy)
+ *
+ * Write an updated copy back to its document in place.
+ * Objects present in both are committed in turn, and other
+ * values are only replaced when they differ, so that the
+ * parts of a document left alone keep their identity.
+ *
+ * @param {Object} document
+ * @param {Object} updated copy
+ * @return {Object} document
+ * @api private
+ */
+
+function commit (doc, copy) {
+  var key;
+
+  for (key in doc) {
+    if (doc.hasOwnProperty(key) && !copy.hasOwnProperty(key)) delete doc[key];
+  }
+
+  for (key in copy) {
+    if (!copy.hasOwnProperty(key)) continue;
+
+    if (doc.hasOwnProperty(key) && isObject(doc[key]) && isObject(copy[key])) {
+      commit(doc[key], copy[key]);
+    } else if (!doc.hasOwnProperty(key) || !equal(doc[key], copy[key])) {
+      doc[key] = copy[key];
+    }
+  }
+
+  return doc;
+}
+
+/**
+ * ### update.seed (query)
+ *
+ * Create the document inserted by an upsert from the
+ * equality conditions of a query, including those of
+ * its `$and` queries.
+ *
+ * ```js
+ * update.seed({ 'a.b': 1, c: { $eq: 2 }, d: { $gt: 3 } });
+ * // { a: { b: 1 }, c: 2 }
+ * ```
+ *
+ * @param {Object} query
+ * @return {Object} document
+ * @api private
+ */
+
+function seed (query, doc) {
+  var val, op;
+
+  doc = doc || {};
+
+  for (var key in query) {
+    val = query[key];
+
+    if (key == '$and' && Array.isArray(val)) {
+      for (var i = 0; i < val.length; i++) seed(val[i], doc);
+      continue;
+    }
+
+    if (key.charAt(0) == '$' || isRegExp(val)) continue;
+    if (isOperators(val)) {
+      if (!val.hasOwnProperty('$eq')) continue;
+      val = val.$eq;
+    }
+
+    op = { op: '$set', loc: errors.formatPath([ key ]) };
+    put(walk(doc, guard(path.parse(key), op.loc), true, op), clone(val));
+  }
+
+  return doc;
+}
+
+/*!
+ * Update operators. Each is called with the document,
+ * the path segments and the parsed operation, and
+ * returns `true` if it modified the document.
+ */
+
+var operators = {
+
+    $set: function (doc, segs, op) {
+      var ref = walk(doc, segs, true, op);
+      if (has(ref) && equal(get(ref), op.value)) return false;
+      put(ref, clone(op.value));
+      return true;
+    }
+
+  , $unset: function (doc, segs, op) {
+      var ref = walk(doc, segs, false, op);
+      if (!ref || !has(ref)) return false;
+      if (Array.isArray(ref.parent)) ref.parent[ref.key] = null;
+      else delete ref.parent[ref.key];
+      return true;
+    }
+
+  , $inc: function (doc, segs, op) {
+      var ref = walk(doc, segs, true, op)
+        , cur = number(ref, op);
+      if (undefined !== cur && op.value === 0) return false;
+      put(ref, undefined === cur ? op.value : cur + op.value);
+      return true;
+    }
+
+  , $mul: function (doc, segs, op) {
+      var ref = walk(doc, segs, true, op)
+        , cur = number(ref, op);
+      if (undefined !== cur && op.value === 1) return false;
+      put(ref, undefined === cur ? 0 : cur * op.value);
+      return true;
+    }
+
+  , $min: function (doc, segs, op) {
+      var ref = walk(doc, segs, true, op);
+      if (has(ref) && compare(op.value, get(ref)) >= 0) return false;
+      put(ref, clone(op.value));
+      return true;
+    }
+
+  , $max: function (doc, segs, op) {
+      var ref = walk(doc, segs, true, op);
+      if (has(ref) && compare(op.value, get(ref)) <= 0) return false;
+      put(ref, clone(op.value));
+      return true;
+    }
+
+  , $push: function (doc, segs, op) {
+      var ref = walk(doc, segs, true, op)
+        , list = array(ref, op)
+        , before = list.slice()
+        , at = op.position;
+
+      if (undefined === at || at > list.length) at = list.length;
+      else if (at < 0) at = Math.max(list.length + at, 0);
+
+      for (var i = 0; i < op.each.length; i++) {
+        list.splice(at + i, 0, clone(op.each[i]));
+      }
+
+      if (op.sort) {
+        var order = op.sort(list);
+        list = order.map(function (n) { return list[n]; });
+      }
+
+      if (undefined !== op.slice) {
+        list = op.slice < 0 ? list.slice(op.slice) : list.slice(0, op.slice);
+      }
+
+      put(ref, list);
+      return !equal(before, list);
+    }
+
+  , $addToSet: function (doc, segs, op) {
+      var ref = walk(doc, segs, true, op)
+        , list = array(ref, op)
+        , added = !has(ref);
+
+      for (var i = 0; i < op.each.length; i++) {
+        if (contains(list, op.each[i])) continue;
+        list.push(clone(op.each[i]));
+        added = true;
+      }
+
+      put(ref, list);
+      return added;
+    }
+
+  , $pull: function (doc, segs, op) {
+      var ref = walk(doc, segs, false, op)
+        , list = ref && has(ref) ? get(ref) : null
+        , res = [];
+
+      if (!Array.isArray(list)) return false;
+
+      for (var i = 0; i < list.length; i++) {
+        if (!op.test(list[i])) res.push(list[i]);
+      }
+
+      if (res.length === list.length) return false;
+      put(ref, res);
+      return true;
+    }
+
+  , $rename: function (doc, segs, op) {
+      var from = walk(doc, segs, false, op)
+        , to, val;
+
+      if (!from || !has(from)) return false;
+      val = get(from);
+      to = walk(doc, op.to, true, op);
+      delete from.parent[from.key];
+      put(to, val);
+      return true;
+    }
+
+};
+
+/*!
+ * Parse and validate an update specification into
+ * a list of operations.
+ *
+ * @param {Object} specification
+ * @param {Function} matcher
+ * @return {Array} operations
+ * @api private
+ */
+
+function parse (spec, matcher) {
+  var ops = []
+    , paths = []
+    , keys, op, loc;
+
+  if (!isObject(spec) || !(keys = Object.keys(spec)).length) {
+    throw new FilterQueryError('expected an object of update operators', 'update');
+  }
+
+  for (var i = 0; i < keys.length; i++) {
+    op = keys[i];
+
+    if (!operators.hasOwnProperty(op)) {
+      throw new FilterQueryError('unknown update operator "' + op + '"', op);
+    }
+
+    if (!isObject(spec[op])) {
+      throw new FilterQueryError('expected an object of paths', op);
+    }
+
+    for (var name in spec[op]) {
+      loc = errors.formatPath([ op, name ]);
+      ops.push(parseOperation(op, name, spec[op][name], matcher, loc));
+      paths.push({ name: name, loc: loc });
+      if (op == '$rename') paths.push({ name: spec[op][name], loc: loc });
+    }
+  }
+
+  conflicts(paths);
+  return ops;
+}
+
+/*!
+ * Parse and validate a single operation.
+ *
+ * @param {String} operator
+ * @param {String} path
+ * @param {Mixed} value
+ * @param {Function} matcher
+ * @param {String} location for errors
+ * @return {Object} operation
+ * @api private
+ */
+
+function parseOperation (op, name, val, matcher, loc) {
+  var res = { op: op, segs: path.parse(name), value: val, loc: loc };
+
+  if (!name || name.charAt(0) == '$') {
+    throw new FilterQueryError('expected a field path', loc);
+  }
+
+  guard(res.segs, loc);
+
+  switch (op) {
+    case '$inc':
+    case '$mul':
+      if ('number' != typeof val) throw new FilterQueryError('expected a number', loc);
+      break;
+    case '$rename':
+      if ('string' != typeof val || !val || val == name || val.charAt(0) == '$') {
+        throw new FilterQueryError('expected a different field path', loc);
+      }
+      if (~res.segs.indexOf('$') || ~val.split('.').indexOf('$')) {
+        throw new FilterQueryError('cannot rename with the positional operator', loc);
+      }
+      res.to = guard(path.parse(val), loc);
+      break;
+    case '$push':
+      parseEach(res, val, loc, [ '$each', '$position', '$slice', '$sort' ]);
+      break;
+    case '$addToSet':
+      parseEach(res, val, loc, [ '$each' ]);
+      break;
+    case '$pull':
+      res.test = isObject(val)
+        ? matcher(val)
+        : function (el) { return isRegExp(val) ? 'string' == typeof el && val.test(el) : equal(el, val); };
+      break;
+  }
+
+  return res;
+}
+
+/*!
+ * Refuse a path that would write to a prototype.
+ *
+ * @param {Array} segments
+ * @param {String} location for errors
+ * @return {Array} segments
+ * @api private
+ */
+
+function guard (segs, loc) {
+  var seg = path.unsafe(segs);
+
+  if (seg) throw new FilterQueryError('cannot update field "' + seg + '"', loc);
+  return segs;
+}
+
+/*!
+ * Parse the value of `$push` or `$addToSet`, which is
+ * either a single value or an object of modifiers
+ * starting with `$each`.
+ *
+ * @param {Object} operation
+ * @param {Mixed} value
+ * @param {String} location for errors
+ * @param {Array} modifiers allowed
+ * @api private
+ */
+
+function parseEach (res, val, loc, allowed) {
+  if (!isObject(val) || !val.hasOwnProperty('$each')) {
+    res.each = [ val ];
+    return;
+  }
+
+  for (var key in val) {
+    if (!~allowed.indexOf(key)) {
+      throw new FilterQueryError('unknown modifier "' + key + '"', loc + '.' + key);
+    }
+  }
+
+  if (!Array.isArray(val.$each)) {
+    throw new FilterQueryError('expected an array', loc + '.$each');
+  }
+
+  res.each = val.$each;
+
+  if (val.hasOwnProperty('$position')) {
+    if (!isInteger(val.$position)) throw new FilterQueryError('expected an integer', loc + '.$position');
+    res.position = val.$position;
+  }
+
+  if (val.hasOwnProperty('$slice')) {
+    if (!isInteger(val.$slice)) throw new FilterQueryError('expected an integer', loc + '.$slice');
+    res.slice = val.$slice;
+  }
+
+  if (val.hasOwnProperty('$sort')) {
+    if (1 === val.$sort || -1 === val.$sort) {
+      res.sort = valueSorter(val.$sort);
+    } else {
+      try {
+        res.sort = sort.sorter(val.$sort);
+      } catch (err) {
+        throw new FilterQueryError('expected 1, -1 or an object of paths', loc + '.$sort');
+      }
+    }
+  }
+}
+
+/*!
+ * Create a function that sorts a list of values, as
+ * `sort.sorter` does for documents.
+ *
+ * @param {Number} direction
+ * @return {Function} sorter
+ * @api private
+ */
+
+function valueSorter (dir) {
+  var fn = sort.sorter({ v: dir });
+
+  return function (list) {
+    return fn(list.map(function (v) { return { v: v }; }));
+  };
+}
+
+/*!
+ * Ensure no two operations update the same path, or
+ * a path and one of its parents.
+ *
+ * @param {Array} paths
+ * @api private
+ */
+
+function conflicts (paths) {
+  var a, b;
+
+  for (var i = 0; i < paths.length; i++) {
+    for (var j = 0; j < i; j++) {
+      a = paths[i].name;
+      b = paths[j].name;
+
+      if (a === b || a.indexOf(b + '.') === 0 || b.indexOf(a + '.') === 0) {
+        throw new FilterQueryError('conflicts with "' + b + '"', paths[i].loc);
+      }
+    }
+  }
+}
+
+/*!
+ * Build a function that finds the index of the first
+ * element of the array at `prefix` that matches every
+ * condition the query places on it, for the positional
+ * `$` operator.
+ *
+ * @param {Object} query
+ * @param {String} prefix
+ * @param {Function} matcher
+ * @param {String} location for errors
+ * @return {Function} position
+ * @api private
+ */
+
+function positionMatcher (query, prefix, matcher, loc) {
+  var conds = []
+    , test;
+
+  collect(query, prefix, conds);
+
+  if (!conds.length) {
+    throw new FilterQueryError('the positional operator requires a query on "' + prefix + '"', loc);
+  }
+
+  test = matcher({ $and: conds });
+
+  return function (list) {
+    for (var i = 0; i < list.length; i++) {
+      if (test({ el: [ list[i] ] })) return i;
+    }
+    return -1;
+  };
+}
+
+/*!
+ * Collect the conditions of a query, and of its `$and`
+ * queries, that apply to a path or its children,
+ * rewritten to apply to the path `el`.
+ *
+ * @param {Object} query
+ * @param {String} prefix
+ * @param {Array} conditions
+ * @api private
+ */
+
+function collect (query, prefix, conds) {
+  var cond;
+
+  for (var key in query) {
+    if (key == '$and' && Array.isArray(query[key])) {
+      for (var i = 0; i < query[key].length; i++) collect(query[key][i], prefix, conds);
+    } else if (key == prefix || key.indexOf(prefix + '.') === 0) {
+      cond = {};
+      cond['el' + key.slice(prefix.length)] = query[key];
+      conds.push(cond);
+    }
+  }
+}
+
+/*!
+ * Replace the positional `$` segment of an operation
+ * with the index of the matched element.
+ *
+ * @param {Object} document
+ * @param {Object} operation
+ * @param {Object} position matchers by prefix
+ * @param {Boolean} inserting
+ * @return {Array} segments
+ * @api private
+ */
+
+function resolvePositional (doc, op, positional, inserting) {
+  var pos = op.segs.indexOf('$')
+    , segs = op.segs
+    , list, i;
+
+  if (!~pos) return segs;
+
+  if (inserting) {
+    throw new FilterQueryError('cannot use the positional operator when inserting', op.loc);
+  }
+
+  list = path.resolve(doc, segs.slice(0, pos))[0];
+  i = Array.isArray(list) ? positional[segs.slice(0, pos).join('.')](list) : -1;
+
+  if (!~i) {
+    throw new FilterQueryError('the positional operator did not find a matching element', op.loc);
+  }
+
+  segs = segs.slice();
+  segs[pos] = String(i);
+  return segs;
+}
+
+/*!
+ * Follow a path to the object holding its last segment,
+ * optionally creating objects along the way. Returns
+ * a reference `{ parent, key }` or `null`.
+ *
+ * @param {Object} document
+ * @param {Array} segments
+ * @param {Boolean} create
+ * @param {Object} operation for errors
+ * @return {Object} reference
+ * @api private
+ */
+
+function walk (doc, segs, create, op) {
+  var obj = doc
+    , seg, next;
+
+  for (var i = 0; i < segs.length; i++) {
+    seg = segs[i];
+
+    if (null == obj || 'object' != typeof obj) {
+      if (!create) return null;
+      throw new FilterQueryError('cannot create field "' + seg + '" in ' + typeName(obj), op.loc);
+    }
+
+    if (Array.isArray(obj) && !/^\d+$/.test(seg)) {
+      if (!create) return null;
+      throw new FilterQueryError('cannot create field "' + seg + '" in an array', op.loc);
+    }
+
+    if (i === segs.length - 1) break;
+
+    next = obj[seg];
+    if (undefined === next && create) {
+      if (Array.isArray(obj)) pad(obj, seg);
+      next = obj[seg] = {};
+    }
+
+    obj = next;
+  }
+
+  if (create && Array.isArray(obj)) pad(obj, seg);
+  return { parent: obj, key: seg };
+}
+
+/*!
+ * Fill an array with `null` up to an index.
+ *
+ * @param {Array} list
+ * @param {String} index
+ * @api private
+ */
+
+function pad (list, index) {
+  while (list.length < Number(index)) list.push(null);
+}
+
+/*!
+ * Reference helpers
+ */
+
+function has (ref) {
+  return Object.prototype.hasOwnProperty.call(ref.parent, ref.key);
+}
+
+function get (ref) {
+  return ref.parent[ref.key];
+}
+
+function put (ref, val) {
+  ref.parent[ref.key] = val;
+}
+
+/*!
+ * Get the current number at a reference for `$inc`
+ * and `$mul`, or `undefined` if there is none.
+ *
+ * @param {Object} reference
+ * @param {Object} operation for errors
+ * @return {Number} current value
+ * @api private
+ */
+
+function number (ref, op) {
+  var cur = has(ref) ? get(ref) : undefined;
+
+  if (undefined !== cur && 'number' != typeof cur) {
+    throw new FilterQueryError('cannot apply ' + op.op + ' to ' + typeName(cur), op.loc);
+  }
+
+  return cur;
+}
+
+/*!
+ * Get the current array at a reference for `$push`
+ * and `$addToSet`, or a new array if there is none.
+ *
+ * @param {Object} reference
+ * @param {Object} operation for errors
+ * @return {Array} current value
+ * @api private
+ */
+
+function array (ref, op) {
+  var cur = has(ref) ? get(ref) : undefined;
+
+  if (undefined === cur) return [];
+  if (!Array.isArray(cur)) {
+    throw new FilterQueryError('cannot apply ' + op.op + ' to ' + typeName(cur), op.loc);
+  }
+
+  return cur;
+}
+
+/*!
+ * Deep copy plain objects, arrays and dates so that
+ * documents do not share values with the update.
+ *
+ * @param {Mixed} value
+ * @return {Mixed} copy
+ * @api private
+ */
+
+function clone (val) {
+  var res;
+
+  if (Array.isArray(val)) return val.map(clone);
+  if (val instanceof Date) return new Date(val.getTime());
+  if (!isObject(val)) return val;
+
+  res = {};
+  for (var key in val) {
+    if (val.hasOwnProperty(key)) res[key] = clone(val[key]);
+  }
+
+  return res;
+}
+
+/*!
+ * Type helpers
+ */
+
+function contains (list, val) {
+  for (var i = 0; i < list.length; i++) {
+    if (equal(list[i], val)) return true;
+  }
+
+  return false;
+}
+
+function isObject (val) {
+  return '[object Object]' == Object.prototype.toString.call(val);
+}
+
+function isOperators (val) {
+  var keys = isObject(val) ? Object.keys(val) : [];
+  if (!keys.length) return false;
+
+  for (var i = 0; i < keys.length; i++) {
+    if (keys[i].charAt(0) != '$') return false;
+  }
+
+  return true;
+}
+
+function isRegExp (val) {
+  return '[object RegExp]' == Object.prototype.toString.call(val);
+}
+
+function isInteger (val) {
+  return 'number' == typeof val && isFinite(val) && val % 1 === 0;
+}
+
+function typeName (val) {
+  if (null === val) return 'null';
+  if (Array.isArray(val)) return 'an array';
+  return 'a ' + typeof val;
+}
@@ -0,0 +1,171 @@
+describe('aggregate', function () {
+  var orders = [
+      { id: 1, status: 'shipped', customer: { name: 'ann' }, total: 30
+      , items: [ { sku: 'x', qty: 1 }, { sku: 'y', qty: 2 } ] }
+    , { id: 2, status: 'pending', customer: { name: 'bob' }, total: 10
+      , items: [ { sku: 'x', qty: 5 } ] }
+    , { id: 3, status: 'shipped', customer: { name: 'ann' }, total: 20
+      , items: [] }
+    , { id: 4, status: 'shipped', customer: { name: 'cat' } }
+  ];
+
+  function ids (docs) {
+    return docs.map(function (d) { return d.id; });
+  }
+
+  it('should $match with a query', function () {
+    ids(filter.aggregate(orders, [ { $match: { status: 'shipped', total: { $gt: 25 } } } ]))
+      .should.deep.equal([ 1 ]);
+    var res = filter.aggregate(orders, []);
+    res.should.deep.equal(orders);
+    res.should.not.equal(orders);
+  });
+
+  it('should $sort, $skip and $limit', function () {
+    ids(filter.aggregate(orders, [ { $sort: { total: -1 } }, { $skip: 1 }, { $limit: 2 } ]))
+      .should.deep.equal([ 3, 2 ]);
+  });
+
+  it('should $project fields and expressions', function () {
+    filter.aggregate(orders.slice(0, 2), [
+      { $project: { id: 1, name: '$customer.name', skus: '$items.sku', a: { b: { $literal: '$x' } }, one: 1 } }
+    ]).should.deep.equal([
+        { id: 1, name: 'ann', skus: [ 'x', 'y' ], a: { b: '$x' } }
+      , { id: 2, name: 'bob', skus: [ 'x' ], a: { b: '$x' } }
+    ]);
+
+    filter.aggregate(orders.slice(0, 1), [ { $project: { items: 0, customer: { name: 0 } } } ])
+      .should.deep.equal([ { id: 1, status: 'shipped', customer: {}, total: 30 } ]);
+
+    filter.aggregate(orders.slice(3), [ { $project: { total: '$total', c: { n: '$customer.name' } } } ])
+      .should.deep.equal([ { c: { n: 'cat' } } ]);
+  });
+
+  it('should $unwind arrays', function () {
+    filter.aggregate(orders, [ { $unwind: '$items' }, { $project: { id: 1, sku: '$items.sku' } } ])
+      .should.deep.equal([ { id: 1, sku: 'x' }, { id: 1, sku: 'y' }, { id: 2, sku: 'x' } ]);
+
+    var res = filter.aggregate(orders, [
+      { $unwind: { path: '$items', includeArrayIndex: 'i', preserveNullAndEmptyArrays: true } }
+    ]);
+
+    res.map(function (d) { return [ d.id, d.i ]; })
+      .should.deep.equal([ [ 1, 0 ], [ 1, 1 ], [ 2, 0 ], [ 3, null ], [ 4, null ] ]);
+    res[0].items.should.deep.equal({ sku: 'x', qty: 1 });
+    res.should.not.have.nested.property('[3].items');
+    orders[0].items.should.have.length(2);
+  });
+
+  it('should not $unwind through arrays', function () {
+    var docs = [
+        { id: 1, a: [ { b: [ 1, 2 ] }, { b: [ 3 ] } ] }
+      , { id: 2, a: { b: [ 4 ] } }
+    ];
+
+    filter.aggregate(docs, [ { $unwind: '$a.b' } ])
+      .should.deep.equal([ { id: 2, a: { b: 4 } } ]);
+    filter.aggregate(docs, [ { $unwind: { path: '$a.b', preserveNullAndEmptyArrays: true } } ])
+      .should.deep.equal([ docs[0], { id: 2, a: { b: 4 } } ]);
+    filter.aggregate(docs, [ { $unwind: '$a.0.b' } ]).should.deep.equal([]);
+  });
+
+  it('should $group with accumulators', function () {
+    filter.aggregate(orders, [
+        { $group: {
+            _id: '$customer.name'
+          , total: { $sum: '$total' }
+          , n: { $sum: 1 }
+          , count: { $count: {} }
+          , avg: { $avg: '$total' }
+          , min: { $min: '$total' }
+          , max: { $max: '$total' }
+          , ids: { $push: '$id' }
+          , first: { $first: '$total' }
+          , last: { $last: '$total' }
+        } }
+    ]).should.deep.equal([
+        { _id: 'ann', total: 50, n: 2, count: 2, avg: 25, min: 20, max: 30, ids: [ 1, 3 ], first: 30, last: 20 }
+      , { _id: 'bob', total: 10, n: 1, count: 1, avg: 10, min: 10, max: 10, ids: [ 2 ], first: 10, last: 10 }
+      , { _id: 'cat', total: 0, n: 1, count: 1, avg: null, min: null, max: null, ids: [ 4 ], first: null, last: null }
+    ]);
+  });
+
+  it('should $group by compound and null keys', function () {
+    filter.aggregate(orders, [
+        { $group: { _id: { s: '$status', c: '$customer.name' }, n: { $sum: 1 } } }
+    ]).should.deep.equal([
+        { _id: { s: 'shipped', c: 'ann' }, n: 2 }
+      , { _id: { s: 'pending', c: 'bob' }, n: 1 }
+      , { _id: { s: 'shipped', c: 'cat' }, n: 1 }
+    ]);
+
+    filter.aggregate(orders, [ { $group: { _id: null, sum: { $sum: '$total' } } } ])
+      .should.deep.equal([ { _id: null, sum: 60 } ]);
+  });
+
+  it('should run a full pipeline', function () {
+    filter.aggregate(orders, [
+        { $match: { status: 'shipped' } }
+      , { $unwind: '$items' }
+      , { $group: { _id: '$items.sku', qty: { $sum: '$items.qty' } } }
+      , { $sort: { qty: -1 } }
+    ]).should.deep.equal([ { _id: 'y', qty: 2 }, { _id: 'x', qty: 1 } ]);
+  });
+
+  it('should $count data points', function () {
+    filter.aggregate(orders, [ { $match: { status: 'shipped' } }, { $count: 'shipped' } ])
+      .should.deep.equal([ { shipped: 3 } ]);
+    filter.aggregate(orders, [ { $match: { status: 'lost' } }, { $count: 'n' } ])
+      .should.deep.equal([]);
+  });
+
+  it('should use the operators of a dialect', function () {
+    var dialect = filter.create({
+      operators: { $odd: function (a) { return a % 2 === 1; } }
+    });
+
+    ids(dialect.aggregate(orders, [ { $match: { id: { $odd: true } } } ]))
+      .should.deep.equal([ 1, 3 ]);
+  });
+
+  it('should reject invalid pipelines', function () {
+    function invalid (pipeline, path) {
+      var err;
+      try { filter.aggregate(orders, pipeline); }
+      catch (e) { err = e; }
+      should.exist(err);
+      err.should.be.instanceof(filter.FilterQueryError);
+      err.path.should.equal(path);
+    }
+
+    invalid({}, 'pipeline');
+    invalid([ { $match: {}, $sort: { a: 1 } } ], 'pipeline[0]');
+    invalid([ { $match: {} }, { $out: 'x' } ], 'pipeline[1].$out');
+    invalid([ { $match: { a: { $gtt: 1 } } } ], 'pipeline[0].$match.a.$gtt');
+    invalid([ { $sort: { a: 2 } } ], 'pipeline[0].$sort.a');
+    invalid([ { $limit: 0 } ], 'pipeline[0].$limit');
+    invalid([ { $group: { total: { $sum: 1 } } } ], 'pipeline[0].$group');
+    invalid([ { $group: { _id: null, total: { $median: 1 } } } ], 'pipeline[0].$group.total');
+    invalid([ { $project: { a: 1, b: 0 } } ], 'pipeline[0].$project.b');
+    invalid([ { $project: { a: 0, b: '$c' } } ], 'pipeline[0].$project');
+    invalid([ { $project: { b: '$' } } ], 'pipeline[0].$project.b');
+    invalid([ { $unwind: 'items' } ], 'pipeline[0].$unwind');
+    invalid([ { $count: '$n' } ], 'pipeline[0].$count');
+  });
+
+  it('should not write to prototypes', function () {
+    function invalid (pipeline, path) {
+      (function () {
+        filter.aggregate(orders, pipeline);
+      }).should.throw(filter.FilterQueryError, path + ': cannot set field');
+    }
+
+    invalid([ { $project: { '__proto__.z': '$id' } } ], 'pipeline[0].$project["__proto__.z"]');
+    invalid([ { $project: { a: { constructor: { prototype: '$id' } } } } ], 'pipeline[0].$project["a.constructor.prototype"]');
+    invalid([ { $group: JSON.parse('{ "_id": null, "__proto__": { "$sum": 1 } }') } ], 'pipeline[0].$group.__proto__');
+    invalid([ { $unwind: { path: '$items', includeArrayIndex: '__proto__' } } ], 'pipeline[0].$unwind.includeArrayIndex');
+    invalid([ { $count: 'constructor' } ], 'pipeline[0].$count');
+
+    should.not.exist(({}).z);
+  });
+});
@@ -0,0 +1,232 @@
+describe('algebra', function () {
+  var data = [
+      { a: 1, b: 'x' }
+    , { a: 6, b: 'y', c: [ 1, 2 ] }
+    , { a: 8, c: [ 3 ] }
+    , { a: [ 1, 2 ], b: 'x' }
+    , { b: null }
+  ];
+
+  describe('filter.and / filter.or', function () {
+    it('should combine filters and queries', function () {
+      var q = filter.and(filter({ a: { $gt: 5 } }), { b: 'y' });
+      q.query.should.deep.equal({ $and: [ { a: { $gt: 5 } }, { b: 'y' } ] });
+      q.subset(data).should.deep.equal([ data[1] ]);
+
+      q = filter.or(filter({ a: 8 }), { b: 'y' });
+      q.query.should.deep.equal({ $or: [ { a: 8 }, { b: 'y' } ] });
+      q.subset(data).should.deep.equal([ data[1], data[2] ]);
+    });
+
+    it('should use the operators of a dialect', function () {
+      var dialect = filter.create({
+        operators: { $odd: function (a, b) { return (a % 2 == 1) === b; } }
+      });
+
+      dialect.and(dialect({ a: { $odd: true } }), { b: 'x' }).subset(data)
+        .should.deep.equal([ data[0], data[3] ]);
+      (function () { filter.and({ a: { $odd: true } }); })
+        .should.throw(filter.FilterQueryError);
+    });
+
+    it('should keep the options of the filters', function () {
+      var over = filter({ $where: function () { return this.a > 5; } }, { where: true })
+        , q = filter.and(over, filter({ b: 'y' }, { where: true }));
+
+      q.where.should.be.true;
+      q.subset(data).should.deep.equal([ data[1] ]);
+      filter.or(over, { b: null }).subset(data).should.deep.equal([ data[1], data[2], data[4] ]);
+
+      (function () { filter.and(over, filter({ b: 'y' })); })
+        .should.throw(filter.FilterQueryError, '$and[1]: cannot combine filters with different options');
+      (function () { filter.or(filter.create()({ b: 'y' })); })
+        .should.throw(filter.FilterQueryError, '$or[0]: cannot combine filters with different options');
+    });
+  });
+
+  describe('.not()', function () {
+    it('should negate a filter', function () {
+      var q = filter({ a: { $gt: 5 } });
+      q.not().query.should.deep.equal({ $nor: [ { a: { $gt: 5 } } ] });
+      q.not().pass(data).should.deep.equal(q.pass(data).map(function (p) { return !p; }));
+    });
+  });
+
+  describe('.simplify()', function () {
+    function simple (query, opts) {
+      return filter(query).simplify(opts).query;
+    }
+
+    it('should flatten logical comparators', function () {
+      simple({ $and: [ { $and: [ { a: 1 } ] }, { $and: [ { b: 2 }, { $and: [ { c: 3 } ] } ] } ] })
+        .should.deep.equal({ a: { $eq: 1 }, b: { $eq: 2 }, c: { $eq: 3 } });
+      simple({ $or: [ { a: 1 }, { $or: [ { b: 2 }, { $or: [ { c: 3 } ] } ] } ] })
+        .should.deep.equal({ $or: [ { a: { $eq: 1 } }, { b: { $eq: 2 } }, { c: { $eq: 3 } } ] });
+      simple({ a: { $or: [ { $gt: 5 }, { $lt: 0 } ] } })
+        .should.deep.equal({ $or: [ { a: { $gt: 5 } }, { a: { $lt: 0 } } ] });
+      simple({ $nor: [ { $nor: [ { a: 1 }, { b: 2 } ] } ], c: { $not: { $not: { $gt: 3 } } } })
+        .should.deep.equal({ $or: [ { a: { $eq: 1 } }, { b: { $eq: 2 } } ], c: { $gt: 3 } });
+      simple({ $or: [ { a: 1 }, { a: 1 } ], b: { $in: [ 1 ] }, $and: [ { b: { $in: [ 1 ] } } ] })
+        .should.deep.equal({ a: { $eq: 1 }, b: { $in: [ 1 ] } });
+      simple({}).should.deep.equal({});
+    });
+
+    it('should merge range bounds on the same path', function () {
+      simple({ $and: [ { a: { $gt: 5 } }, { a: { $gt: 7 } }, { a: { $gte: 7 } } ] })
+        .should.deep.equal({ a: { $gt: 7 } });
+      simple({ $and: [ { a: { $lt: 5, $lte: 3 } }, { a: { $lt: 3 } }, { a: { $gte: 'b', $gt: 'a' } } ] })
+        .should.deep.equal({ a: { $lt: 3, $gte: 'b' } });
+      simple({ $and: [ { a: { $gt: new Date(5) } }, { a: { $gt: new Date(1) } } ] })
+        .should.deep.equal({ a: { $gt: new Date(5) } });
+      simple({ a: 6, $and: [ { a: { $gt: 5 } }, { a: { $lt: 7 } } ] })
+        .should.deep.equal({ a: { $eq: 6 } });
+      simple({ $and: [ { 'd[0].e': { $gt: 1 } }, { 'd.0.e': { $gt: 2 } } ] })
+        .should.deep.equal({ 'd.0.e': { $gt: 2 } });
+    });
+
+    it('should replace contradictions with a query that never matches', function () {
+      var never = { $nor: [ {} ] };
+
+      simple({ a: { $eq: 1, $ne: 1 } }).should.deep.equal(never);
+      simple({ a: 2, $and: [ { a: { $nin: [ 1, 2 ] } } ] }).should.deep.equal(never);
+      simple({ a: { $exists: false }, $and: [ { a: 1 } ] }).should.deep.equal(never);
+      simple({ a: { $exists: false }, $and: [ { a: { $exists: true } } ] }).should.deep.equal(never);
+      simple({ a: { $exists: false, $gt: 1 } }).should.deep.equal(never);
+      simple({ a: { $in: [] } }).should.deep.equal(never);
+      simple({ $or: [ { a: { $in: [] } }, { b: 1, $and: [ { b: { $ne: 1 } } ] } ] }).should.deep.equal(never);
+      simple({ $nor: [ { a: { $in: [] } } ], b: 1 }).should.deep.equal({ b: { $eq: 1 } });
+      simple({ $nor: [ {} ] }).should.deep.equal(never);
+      filter(never).subset(data).should.deep.equal([]);
+    });
+
+    it('should only assume single values with arrays set to false', function () {
+      var never = { $nor: [ {} ] };
+
+      [
+          { $and: [ { a: 1 }, { a: 2 } ] }
+        , { a: { $gt: 5, $lt: 3 } }
+        , { a: { $gt: 5, $lte: 5 } }
+        , { a: 3, $and: [ { a: { $gt: 5 } } ] }
+        , { a: 3, $and: [ { a: { $in: [ 1, 2 ] } } ] }
+        , { a: { $gt: 5, $lt: 'z' } }
+        , { a: 'x', $and: [ { a: { $gt: 5 } } ] }
+      ].forEach(function (query) {
+        simple(query, { arrays: false }).should.deep.equal(never);
+        simple(query).should.not.deep.equal(never);
+      });
+
+      simple({ a: 'x', $and: [ { a: { $nin: [ /x/ ] } } ] }).should.deep.equal(never);
+      simple({ a: 'x', $and: [ { a: { $in: [ /x/ ] } } ] }, { arrays: false }).should.not.deep.equal(never);
+      simple({ a: { $gte: 5, $lte: 5 } }, { arrays: false }).should.deep.equal({ a: { $gte: 5, $lte: 5 } });
+      filter({ $and: [ { a: 1 }, { a: 2 } ] }).simplify().subset(data).should.deep.equal([ data[3] ]);
+      (function () { filter({}).simplify({ arrays: 'no' }); })
+        .should.throw(filter.FilterQueryError, /^arrays: /);
+    });
+
+    it('should keep comparators that are not built in', function () {
+      var dialect = filter.create({
+        operators: {
+            $gt: function (a, b) { return a < b; }
+          , $any: { fn: function (a) { return a.some(Boolean); }, kind: 'logical' }
+        }
+      });
+
+      var q = dialect({ $and: [ { a: { $gt: 5 } }, { a: { $gt: 7 } } ], $any: [ { b: 1 }, { $and: [ { c: 2 } ] } ] })
+        , s = q.simplify();
+
+      s.query.should.deep.equal({
+          a: { $gt: 5 }
+        , $and: [ { a: { $gt: 7 } } ]
+        , $any: [ { b: { $eq: 1 } }, { c: { $eq: 2 } } ]
+      });
+      s.operators.should.equal(q.operators);
+    });
+
+    it('should never change the results', function () {
+      var values = [ undefined, null, 0, 1, 2, 3, 'a', 'b', [ 1, 3 ], [ 'a' ], [] ]
+        , docs = []
+        , ops = [ '$eq', '$ne', '$gt', '$gte', '$lt', '$lte', '$in', '$nin', '$exists' ]
+        , seed = 7;
+
+      function random (n) {
+        seed = (seed * 16807) % 2147483647;
+        return seed % n;
+      }
+
+      function pick (list) {
+        return list[random(list.length)];
+      }
+
+      function operand (op) {
+        if (op == '$exists') return !!random(2);
+        if (op == '$in' || op == '$nin') return [ pick([ 1, 2, 3, 'a', null ]), pick([ 1, 2, 'b' ]) ].slice(random(3));
+        return pick([ 0, 1, 2, 3, 'a', 'b', null ]);
+      }
+
+      function query (depth) {
+        var q = {}
+          , cond = {};
+
+        if (depth < 2 && random(3) === 0) {
+          q[pick([ '$and', '$or', '$nor' ])] = [ query(depth + 1), query(depth + 1) ];
+          if (random(2)) return q;
+        }
+
+        for (var i = random(3); i >= 0; i--) {
+          var op = pick(ops);
+          if (random(4) === 0) cond.$not = {}, cond.$not[op] = operand(op);
+          else cond[op] = operand(op);
+        }
+
+        q[pick([ 'x', 'y' ])] = cond;
+        return q;
+      }
+
+      for (var i = 0; i < 60; i++) {
+        var doc = {};
+        if (random(4)) doc.x = pick(values);
+        if (random(4)) doc.y = pick(values);
+        docs.push(doc);
+      }
+
+      for (var j = 0; j < 300; j++) {
+        var q = filter({ $and: [ query(0), query(0) ] })
+          , s = q.simplify();
+        s.pass(docs).should.deep.equal(q.pass(docs), JSON.stringify(q.query));
+        s.equals(q).should.be.true;
+      }
+    });
+  });
+
+  describe('.equals()', function () {
+    it('should compare normalized conditions', function () {
+      var q = filter({ a: 1, b: { $gt: 2 } });
+
+      q.equals({ $and: [ { b: { $gt: 2 } }, { a: { $eq: 1 } } ] }).should.be.true;
+      q.equals(filter({ b: { $gt: 1 }, $and: [ { b: { $gt: 2 } }, { a: 1 } ] })).should.be.true;
+      q.equals({ a: 1, b: { $gte: 2 } }).should.be.false;
+      q.equals({ a: 1 }).should.be.false;
+
+      filter({ $or: [ { a: 1 }, { b: /x/i } ] }).equals({ $or: [ { b: /x/i }, { a: 1 } ] }).should.be.true;
+      filter({ $or: [ { a: 1 }, { b: /x/i } ] }).equals({ $or: [ { b: /x/ }, { a: 1 } ] }).should.be.false;
+      filter({ a: { $not: { $gt: 1 } } }).equals({ $nor: [ { a: { $gt: 1 } } ] }).should.be.true;
+      filter({ a: { x: 1, y: 2 } }).equals({ a: { $eq: { y: 2, x: 1 } } }).should.be.true;
+      filter({ d: { $elemMatch: { e: 1, f: 2 } } }).equals({ d: { $elemMatch: { f: 2, e: 1 } } }).should.be.true;
+      filter({ at: new Date(5) }).equals({ at: new Date(5) }).should.be.true;
+      filter({ at: new Date(5) }).equals({ at: new Date(6) }).should.be.false;
+    });
+
+    it('should compare the operators of dialects', function () {
+      var lt = filter.create().operator('$gt', function (a, b) { return a < b; })
+        , same = filter.create({ operators: { $odd: function (a) { return a % 2; } } });
+
+      filter({ a: { $gt: 1 } }).equals(lt({ a: { $gt: 1 } })).should.be.false;
+      lt({ a: { $gt: 1 } }).equals(filter({ a: { $gt: 1 } })).should.be.false;
+      filter({ a: { $not: { $gt: 1 } } }).equals(lt({ a: { $not: { $gt: 1 } } })).should.be.false;
+      filter({ d: { $elemMatch: { a: { $gt: 1 } } } }).equals(lt({ d: { $elemMatch: { a: { $gt: 1 } } } }))
+        .should.be.false;
+      filter({ a: { $gt: 1 } }).equals(same({ a: { $gt: 1 } })).should.be.true;
+      lt({ a: { $gt: 1 } }).equals({ a: { $gt: 1 } }).should.be.true;
+    });
+  });
+});
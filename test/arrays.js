@@ -0,0 +1,70 @@
+describe('array traversal', function () {
+  var dataComplex = [
+      { a: { b: 100 }
+      , c: 'testC'
+      , d:
+        [ { e: 'world' } ]
+     }
+   , { a: { b: 50 }
+     , c: 'testC'
+     , d:
+       [ { e: 'universe' }
+       , { e: 'galaxy' } ]
+     }
+  ];
+
+  it('should test each element when a path crosses an array', function () {
+    filter({ 'd.e': 'galaxy' }).index(dataComplex).should.deep.equal([ 1 ]);
+    filter({ 'd.e': 'world' }).index(dataComplex).should.deep.equal([ 0 ]);
+    filter({ 'd.e': { $in: [ 'world', 'galaxy' ] } }).index(dataComplex)
+      .should.deep.equal([ 0, 1 ]);
+  });
+
+  it('should index into arrays with numeric segments', function () {
+    filter({ 'd.1.e': 'galaxy' }).index(dataComplex).should.deep.equal([ 1 ]);
+    filter({ 'd[1].e': 'galaxy' }).index(dataComplex).should.deep.equal([ 1 ]);
+    filter({ 'd[0].e': 'galaxy' }).index(dataComplex).should.deep.equal([]);
+  });
+
+  it('should test each element when a path lands on an array', function () {
+    var q = filter({ tags: 'a' });
+    q.test({ tags: [ 'b', 'a' ] }).should.be.true;
+    q.test({ tags: [ 'b', 'c' ] }).should.be.false;
+    q.test({ tags: 'a' }).should.be.true;
+
+    filter({ scores: { $gt: 80 } }).test({ scores: [ 70, 90 ] }).should.be.true;
+    filter({ names: /^fo/ }).test({ names: [ 'bar', 'foo' ] }).should.be.true;
+  });
+
+  it('should follow nested arrays of documents', function () {
+    var doc = { orders: [ { items: [ { sku: 'x1' } ] }, { items: [ { sku: 'y2' } ] } ] };
+    filter({ 'orders.items.sku': 'y2' }).test(doc).should.be.true;
+    filter({ 'orders.items.sku': 'z3' }).test(doc).should.be.false;
+  });
+
+  it('should require every element to pass negated comparators', function () {
+    filter({ tags: { $ne: 'a' } }).test({ tags: [ 'b', 'a' ] }).should.be.false;
+    filter({ tags: { $ne: 'a' } }).test({ tags: [ 'b', 'c' ] }).should.be.true;
+    filter({ tags: { $nin: [ 'a' ] } }).test({ tags: [ 'b', 'a' ] }).should.be.false;
+    filter({ tags: { $not: { $eq: 'a' } } }).test({ tags: [ 'b', 'a' ] }).should.be.false;
+  });
+
+  it('should test the array itself for $size and $elemMatch', function () {
+    filter({ tags: { $size: 3 } }).test({ tags: [ 'abc' ] }).should.be.false;
+    filter({ tags: { $size: 1 } }).test({ tags: [ 'abc' ] }).should.be.true;
+    filter({ tags: { $size: 3 } }).test({ tags: 'abc' }).should.be.false;
+    filter({ tags: { $size: 1 } }).test({ tags: { length: 1, 0: 'abc' } }).should.be.false;
+    filter({ d: { $elemMatch: { e: 'galaxy' } } }).index(dataComplex)
+      .should.deep.equal([ 1 ]);
+  });
+
+  it('should not expand arrays tested without a path', function () {
+    filter({ $lt: 10 }).test([ 1, 20 ]).should.be.false;
+  });
+
+  it('should allow each condition to match a different element', function () {
+    var q = filter({ scores: { $gt: 80, $lt: 60 } });
+    q.test({ scores: [ 50, 90 ] }).should.be.true;
+    q.test({ scores: [ 70 ] }).should.be.false;
+  });
+});
@@ -0,0 +1,107 @@
+describe('builder', function () {
+  var data = [
+      { a: { b: 100 }, c: 'x', d: [ { e: 1 }, { e: 5 } ] }
+    , { a: { b: 50 }, c: 'y', d: [ { e: 2 } ] }
+    , { a: { b: 80 }, c: 'z', loc: { x: 1 } }
+    , { a: { b: 120 }, c: 'x', loc: { x: 2 }, n: 7 }
+  ];
+
+  it('should build a plain query and its filter', function () {
+    var b = filter.where('a.b').gt(75).lt(125)
+          .or(function (q) { return q.where('c').in([ 'x', 'y' ]); }
+            , function (q) { q.where('d').exists(false); })
+      , q = b.build();
+
+    b.toQuery().should.deep.equal({
+        'a.b': { $gt: 75, $lt: 125 }
+      , $or: [ { c: { $in: [ 'x', 'y' ] } }, { d: { $exists: false } } ]
+    });
+
+    q.should.be.instanceof(filter);
+    q.query.should.deep.equal(b.toQuery());
+    q.subset(data).should.deep.equal([ data[0], data[2], data[3] ]);
+    b.build({ compile: true }).compiled.should.be.a('function');
+  });
+
+  it('should use explicit operators', function () {
+    filter.where('loc').eq({ x: 1 }).toQuery().should.deep.equal({ loc: { $eq: { x: 1 } } });
+    filter.where('loc').eq({ $gt: 1 }).toQuery().should.deep.equal({ loc: { $eq: { $gt: 1 } } });
+    filter.where('loc').eq({ x: 1 }).build().subset(data).should.deep.equal([ data[2] ]);
+  });
+
+  it('should support each operator', function () {
+    filter.where('a.b').gte(50).lte(100).ne(80).where('c').nin([ 'z' ]).toQuery()
+      .should.deep.equal({ 'a.b': { $gte: 50, $lte: 100, $ne: 80 }, c: { $nin: [ 'z' ] } });
+
+    filter.where('d').size(1).all([ { e: 2 } ]).where('n').mod(2, 1).exists().toQuery()
+      .should.deep.equal({ d: { $size: 1, $all: [ { e: 2 } ] }, n: { $mod: [ 2, 1 ], $exists: true } });
+
+    filter.where('c').regex('X', 'i').where('a.b').not().gt(90).toQuery()
+      .should.deep.equal({ c: { $regex: 'X', $options: 'i' }, 'a.b': { $not: { $gt: 90 } } });
+    filter.where('c').not().regex(/y|z/).build().subset(data).should.deep.equal([ data[0], data[3] ]);
+
+    filter.where('d').elemMatch(function (q) { return q.where('e').gt(3); }).toQuery()
+      .should.deep.equal({ d: { $elemMatch: { e: { $gt: 3 } } } });
+    filter.where('d').elemMatch(filter.where('e').lt(2)).build().subset(data)
+      .should.deep.equal([ data[0] ]);
+
+    filter.where().nor({ c: 'x' }, { c: 'y' }).and([ { n: 7 } ]).toQuery()
+      .should.deep.equal({ $nor: [ { c: 'x' }, { c: 'y' } ], $and: [ { n: 7 } ] });
+  });
+
+  it('should keep conditions that overlap in an $and', function () {
+    var b = filter.where('a.b').gt(60).gt(90).not().lt(0).not().lt(1)
+      .and({ c: 'x' }).and({ n: 7 })
+      .or({ c: 'x' }).or({ n: 7 });
+
+    b.toQuery().should.deep.equal({
+        'a.b': { $gt: 60, $not: { $lt: 0 } }
+      , $and: [
+            { c: 'x' }
+          , { 'a.b': { $gt: 90 } }
+          , { 'a.b': { $not: { $lt: 1 } } }
+          , { n: 7 }
+          , { $or: [ { n: 7 } ] }
+        ]
+      , $or: [ { c: 'x' } ]
+    });
+
+    b.build().subset(data).should.deep.equal([ data[3] ]);
+  });
+
+  it('should use the operators of a dialect', function () {
+    var dialect = filter.create({
+      operators: { $odd: function (a, b) { return (a % 2 == 1) === b; } }
+    });
+
+    dialect.where('n').op('$odd', true).build().subset(data).should.deep.equal([ data[3] ]);
+    (function () { filter.where('n').op('$odd', true); })
+      .should.throw(filter.FilterQueryError, /n\.\$odd/);
+  });
+
+  it('should throw as soon as a condition is invalid', function () {
+    function error (fn) {
+      try {
+        fn();
+      } catch (ex) {
+        ex.should.be.instanceof(filter.FilterQueryError);
+        return ex;
+      }
+      throw new Error('expected an error');
+    }
+
+    error(function () { filter.where('a').in(5); }).path.should.equal('a.$in');
+    error(function () { filter.where('a').mod(0, 1); }).message.should.match(/divisor cannot be zero/);
+    error(function () { filter.where('a').regex('(', 'i'); }).path.should.equal('a.$regex');
+    error(function () { filter.where('a').regex('x', 'q'); }).path.should.equal('a.$regex');
+    error(function () { filter.where().gt(1); }).message.should.match(/call where\(\) first/);
+    error(function () { filter.where('$or'); }).path.should.equal('where');
+    error(function () { filter.where(5); }).path.should.equal('where');
+    error(function () { filter.where('a').not().or({ b: 1 }); }).path.should.equal('or');
+    error(function () { filter.where().not(); }).path.should.equal('not');
+    error(function () { filter.where().or({ b: { $gtt: 1 } }); }).path.should.equal('$or[0].b.$gtt');
+    error(function () {
+      filter.where().and(function (q) { q.where('b').all('x'); });
+    }).path.should.equal('b.$all');
+  });
+});
@@ -0,0 +1,137 @@
+describe('collation', function () {
+  var people = [
+      { name: 'José', city: 'Zürich', tags: [ 'Rouge', 'bleu' ] }
+    , { name: 'jose', city: 'zurich', tags: [ 'vert' ] }
+    , { name: 'JOSE', city: 'Paris', tags: [] }
+    , { name: 'Ana', city: 'paris', tags: [ 'rouge' ] }
+    , { name: 'ángel', city: 'Bern', tags: [ 'Bleu' ] }
+  ];
+
+  function names (docs) {
+    return docs.map(function (d) { return d.name; });
+  }
+
+  before(function () {
+    if ('undefined' == typeof Intl) this.skip();
+  });
+
+  it('should ignore case and accents at strength 1', function () {
+    var opts = { collation: { locale: 'fr', strength: 1 } };
+    filter({ name: 'jose' }, opts).index(people).should.deep.equal([ 0, 1, 2 ]);
+    filter({ city: 'zurich' }, opts).index(people).should.deep.equal([ 0, 1 ]);
+    filter({ name: 'jose' }).index(people).should.deep.equal([ 1 ]);
+  });
+
+  it('should only ignore case at strength 2', function () {
+    var opts = { collation: { locale: 'fr', strength: 2 } };
+    filter({ name: 'jose' }, opts).index(people).should.deep.equal([ 1, 2 ]);
+    filter({ name: 'josé' }, opts).index(people).should.deep.equal([ 0 ]);
+  });
+
+  it('should consider case with caseLevel', function () {
+    var opts = { collation: { locale: 'fr', strength: 1, caseLevel: true } };
+    filter({ name: 'jose' }, opts).index(people).should.include(1).and.not.include(2);
+  });
+
+  it('should apply to $ne, $in, $nin and $all', function () {
+    var opts = { collation: { locale: 'fr', strength: 1 } };
+    filter({ name: { $ne: 'JOSÉ' } }, opts).index(people).should.deep.equal([ 3, 4 ]);
+    filter({ city: { $in: [ 'PARIS', 'bern' ] } }, opts).index(people).should.deep.equal([ 2, 3, 4 ]);
+    filter({ city: { $nin: [ 'PARIS', 'bern' ] } }, opts).index(people).should.deep.equal([ 0, 1 ]);
+    filter({ tags: { $all: [ 'rouge', 'BLEU' ] } }, opts).index(people).should.deep.equal([ 0 ]);
+    filter({ tags: 'ROUGE' }, opts).index(people).should.deep.equal([ 0, 3 ]);
+  });
+
+  it('should apply to range comparators', function () {
+    var opts = { collation: { locale: 'fr', strength: 1 } };
+    filter({ name: { $lt: 'b' } }, opts).index(people).should.deep.equal([ 3, 4 ]);
+    filter({ name: { $lt: 'b' } }).index(people).should.deep.equal([ 0, 2, 3 ]);
+    filter({ name: { $gte: 'JOSE', $lte: 'jose' } }, opts).index(people).should.deep.equal([ 0, 1, 2 ]);
+  });
+
+  it('should apply within logical and query comparators', function () {
+    var opts = { collation: { locale: 'fr', strength: 1 } }
+      , docs = [ { list: [ { n: 'Élan' } ] }, { list: [ { n: 'x' } ] } ];
+
+    filter({ list: { $elemMatch: { n: 'elan' } } }, opts).index(docs).should.deep.equal([ 0 ]);
+    filter({ $or: [ { name: 'ANA' }, { city: 'BERN' } ] }, opts).index(people).should.deep.equal([ 3, 4 ]);
+    filter({ name: { $not: { $eq: 'jose' } } }, opts).index(people).should.deep.equal([ 3, 4 ]);
+  });
+
+  it('should sort with the collation', function () {
+    var opts = { collation: { locale: 'fr' } };
+    names(filter({}, opts).subset(people, { sort: { name: 1 } }))
+      .should.deep.equal([ 'Ana', 'ángel', 'jose', 'JOSE', 'José' ]);
+    names(filter({}).subset(people, { sort: { name: 1 } }))
+      .should.deep.equal([ 'Ana', 'JOSE', 'José', 'jose', 'ángel' ]);
+
+    filter({}, { collation: { locale: 'en', numericOrdering: true } })
+      .subset([ { v: 'item10' }, { v: 'item9' } ], { sort: { v: 1 } })
+      .should.deep.equal([ { v: 'item9' }, { v: 'item10' } ]);
+  });
+
+  it('should give the same results when compiled', function () {
+    var opts = { collation: { locale: 'fr', strength: 1 } }
+      , query = { name: 'jose', city: { $in: [ 'ZURICH', 'paris' ] } };
+
+    opts.compile = true;
+    filter(query, opts).index(people).should.deep.equal([ 0, 1, 2 ]);
+  });
+
+  it('should not use exact indexes of a collection', function () {
+    var c = new filter.Collection(people).createIndex('name')
+      , q = filter({ name: 'jose' }, { collation: { locale: 'fr', strength: 1 } });
+
+    names(c.find(q)).should.deep.equal([ 'José', 'jose', 'JOSE' ]);
+    c.plan(q).candidates.should.equal(5);
+  });
+
+  it('should keep the collation for derived filters', function () {
+    var q = filter({ name: 'jose' }, { collation: { locale: 'fr', strength: 1 } });
+    q.not().index(people).should.deep.equal([ 3, 4 ]);
+    q.simplify().index(people).should.deep.equal([ 0, 1, 2 ]);
+    q.equals({ name: 'jose' }).should.be.true;
+    q.equals(filter({ name: 'jose' })).should.be.false;
+  });
+
+  it('should keep the collation when combined', function () {
+    var opts = { collation: { locale: 'fr', strength: 1 } }
+      , q = filter({ name: 'jose' }, opts);
+
+    filter.and(q).test({ name: 'José' }).should.be.true;
+    filter.or(q, filter({ city: 'bern' }, opts)).index(people).should.deep.equal([ 0, 1, 2, 4 ]);
+    (function () { filter.and(q, filter({ city: 'bern' })); })
+      .should.throw(filter.FilterQueryError, /different options/);
+  });
+
+  it('should compare by code unit for the simple locale', function () {
+    var q = filter({ name: 'jose' }, { collation: { locale: 'simple' } });
+    should.equal(q.collator, null);
+    q.index(people).should.deep.equal([ 1 ]);
+  });
+
+  it('should reject invalid collations', function () {
+    function error (collation) {
+      try {
+        filter({}, { collation: collation });
+      } catch (ex) {
+        ex.should.be.instanceof(filter.FilterQueryError);
+        return ex;
+      }
+      throw new Error('expected an error');
+    }
+
+    error('fr').path.should.equal('collation');
+    error({ strength: 1 }).path.should.equal('collation');
+    error({ locale: 'fr', strength: 0 }).path.should.equal('collation.strength');
+    error({ locale: 'fr', caseFirst: 'up' }).path.should.equal('collation.caseFirst');
+    error({ locale: 'fr', backwards: true }).message.should.equal('collation.backwards: unknown collation option');
+    error({ locale: 'not a locale' }).path.should.equal('collation.locale');
+  });
+
+  it('should not translate to SQL', function () {
+    (function () {
+      filter({ name: 'jose' }, { collation: { locale: 'fr' } }).toSQL({ dialect: 'sqlite' });
+    }).should.throw(filter.FilterQueryError, 'collation: cannot translate a collation to SQL');
+  });
+});
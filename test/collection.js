@@ -0,0 +1,159 @@
+describe('Collection', function () {
+  function people () {
+    return [
+        { name: 'ann', age: 30, city: 'paris', tags: [ 'a', 'b' ] }
+      , { name: 'bob', age: 40, city: 'rome', tags: [ 'b' ] }
+      , { name: 'cat', age: '50', city: 'paris' }
+      , { name: 'dan', age: 20, address: { city: 'oslo' } }
+      , { name: 'eve', age: null, city: 'rome', tags: [] }
+    ];
+  }
+
+  function names (docs) {
+    return docs.map(function (d) { return d.name; });
+  }
+
+  it('should find documents as subset does', function () {
+    var c = new filter.Collection(people());
+    names(c.find({ city: 'paris' })).should.deep.equal([ 'ann', 'cat' ]);
+    names(c.find({}, { sort: { name: -1 }, limit: 2 })).should.deep.equal([ 'eve', 'dan' ]);
+    c.find({ city: 'rome' }, { projection: { name: 1 } }).should.deep.equal([ { name: 'bob' }, { name: 'eve' } ]);
+    c.count({ age: { $gte: 30 } }).should.equal(2);
+    c.length.should.equal(5);
+  });
+
+  it('should use hash indexes for $eq and $in', function () {
+    var c = new filter.Collection(people()).createIndex('city').createIndex('tags');
+
+    c.plan({ city: 'rome' }).should.deep.equal({ indexes: [ 'city' ], candidates: 2 });
+    c.plan({ city: { $in: [ 'rome', 'oslo' ] } }).candidates.should.equal(2);
+    c.plan({ tags: 'b' }).candidates.should.equal(2);
+    c.plan({ tags: [ 'b' ] }).candidates.should.equal(1);
+    c.plan({ city: null }).candidates.should.equal(1);
+    c.plan({ name: 'ann' }).should.deep.equal({ indexes: [], candidates: 5 });
+
+    names(c.find({ tags: 'b', city: 'paris' })).should.deep.equal([ 'ann' ]);
+    c.plan({ city: { $in: [ /^r/, 'oslo' ] } }).should.deep.equal({ indexes: [], candidates: 5 });
+    names(c.find({ city: { $in: [ /^r/, 'oslo' ] } })).should.deep.equal([ 'bob', 'eve' ]);
+  });
+
+  it('should use sorted indexes for ranges', function () {
+    var c = new filter.Collection(people()).createIndex('age', { type: 'sorted' });
+
+    c.plan({ age: { $gt: 30 } }).candidates.should.equal(1);
+    c.plan({ age: { $gte: 30, $lt: 35 } }).should.deep.equal({ indexes: [ 'age' ], candidates: 1 });
+    names(c.find({ age: { $gt: 30 } })).should.deep.equal([ 'bob' ]);
+    names(c.find({ age: { $lte: 30 } })).should.deep.equal([ 'ann', 'dan' ]);
+    names(c.find({ age: 20 })).should.deep.equal([ 'dan' ]);
+  });
+
+  it('should plan nested paths and logical queries', function () {
+    var c = new filter.Collection(people())
+      .createIndex('address.city')
+      .createIndex('name');
+
+    c.plan({ 'address.city': 'oslo' }).should.deep.equal({ indexes: [ 'address.city' ], candidates: 1 });
+    c.plan({ $or: [ { name: 'ann' }, { name: 'bob' } ] }).should.deep.equal({ indexes: [ 'name' ], candidates: 2 });
+    c.plan({ $or: [ { name: 'ann' }, { age: 40 } ] }).candidates.should.equal(5);
+    c.plan({ $and: [ { age: 40 }, { name: { $in: [ 'ann', 'bob', 'cat' ] } } ] }).candidates.should.equal(3);
+    c.plan({ 'address.city': 'oslo', name: { $in: [ 'ann', 'dan' ] } })
+      .should.deep.equal({ indexes: [ 'address.city', 'name' ], candidates: 1 });
+    c.plan({ name: { $ne: 'ann' } }).candidates.should.equal(5);
+  });
+
+  it('should keep indexes up to date', function () {
+    var c = new filter.Collection(people())
+      .createIndex('city')
+      .createIndex('age', { type: 'sorted' });
+
+    c.update({ name: 'ann' }, { $set: { city: 'rome' }, $inc: { age: 50 } }).modified.should.equal(1);
+    names(c.find({ city: 'rome' })).should.deep.equal([ 'ann', 'bob', 'eve' ]);
+    names(c.find({ age: { $gt: 60 } })).should.deep.equal([ 'ann' ]);
+
+    c.remove({ city: 'rome' }).should.equal(3);
+    c.length.should.equal(2);
+    c.plan({ city: 'rome' }).candidates.should.equal(0);
+    names(c.find({ age: { $gt: 0 } })).should.deep.equal([ 'dan' ]);
+
+    c.update({ name: 'fay' }, { $set: { city: 'rome', age: 1 } }, { upsert: true }).upserted
+      .should.deep.equal({ name: 'fay', city: 'rome', age: 1 });
+    names(c.find({ city: 'rome' })).should.deep.equal([ 'fay' ]);
+    names(c.toArray()).should.deep.equal([ 'cat', 'dan', 'fay' ]);
+  });
+
+  it('should always give the same results as subset', function () {
+    var cities = [ 'paris', 'rome', 'oslo', null ]
+      , docs = []
+      , seed = 7
+      , c, q, i;
+
+    function rand (n) {
+      seed = (seed * 16807) % 2147483647;
+      return seed % n;
+    }
+
+    function value () {
+      switch (rand(5)) {
+        case 0: return String(rand(10));
+        case 1: return [ rand(10), rand(10) ];
+        case 2: return null;
+        default: return rand(10);
+      }
+    }
+
+    for (i = 0; i < 200; i++) {
+      docs.push({ i: i, n: value(), city: cities[rand(4)], d: [ { e: rand(3) } ] });
+    }
+
+    c = new filter.Collection(docs)
+      .createIndex('n', { type: 'sorted' })
+      .createIndex('city')
+      .createIndex('d.e');
+
+    var queries = [];
+    for (i = 0; i < 100; i++) {
+      queries.push({ n: { $gt: rand(10) } });
+      queries.push({ n: { $lte: rand(10), $gte: rand(10) } });
+      queries.push({ n: value() });
+      queries.push({ n: { $in: [ value(), value() ] }, city: cities[rand(4)] });
+      queries.push({ $or: [ { 'd.e': rand(3) }, { city: cities[rand(4)] } ] });
+    }
+
+    for (i = 0; i < queries.length; i++) {
+      q = filter(queries[i]);
+      c.find(q).should.deep.equal(q.subset(docs));
+      if (i % 10 === 0) c.remove({ i: rand(200) });
+      if (i % 10 === 5) c.update({ i: rand(200) }, { $set: { n: value() } });
+      docs = c.toArray();
+    }
+  });
+
+  it('should use the operators of a dialect', function () {
+    var dialect = filter.create({
+        operators: { $odd: function (a) { return a % 2 === 1; } }
+      })
+      , c = new dialect.Collection([ { n: 1 }, { n: 2 }, { n: 3 } ]);
+
+    c.count({ n: { $odd: true } }).should.equal(2);
+    c.should.be.instanceof(dialect.Collection);
+  });
+
+  it('should reject invalid indexes', function () {
+    var c = new filter.Collection();
+    (function () { c.createIndex('a', { type: 'tree' }); }).should.throw(filter.FilterQueryError);
+    (function () { c.insert(42); }).should.throw(TypeError);
+  });
+
+  it('should reject a text index in find', function () {
+    var docs = people()
+      , c = new filter.Collection(docs)
+      , index = new filter.TextIndex(docs, { fields: [ 'name' ] })
+      , err;
+
+    try { c.find({ $text: { $search: 'ann' } }, { textIndex: index }); }
+    catch (e) { err = e; }
+    err.should.be.instanceof(filter.FilterQueryError);
+    err.path.should.equal('textIndex');
+    names(c.find({ $text: { $search: 'ann' } })).should.deep.equal([ 'ann' ]);
+  });
+});
@@ -23,6 +23,32 @@ describe('comparators', function () {
     comparator.$lte(1,0).should.be.false;
   });
 
+  it('range comparators should only compare values of the same type', function () {
+    comparator.$gt('10', 9).should.be.false;
+    comparator.$lt(9, '10').should.be.false;
+    comparator.$gte(null, 0).should.be.false;
+    comparator.$lte(null, 0).should.be.false;
+    comparator.$gte(null, null).should.be.true;
+    comparator.$gt('b', 'a').should.be.true;
+    comparator.$gt(new Date(2), new Date(1)).should.be.true;
+    comparator.$gte(new Date(1), new Date(1)).should.be.true;
+    comparator.$lt(new Date(1), 2).should.be.false;
+    comparator.$lt(NaN, 1).should.be.false;
+    comparator.$gt(1, NaN).should.be.false;
+    comparator.$gte(NaN, NaN).should.be.true;
+  });
+
+  it('$type should work', function () {
+    comparator.$type(1, 'number').should.be.true;
+    comparator.$type('1', 'number').should.be.false;
+    comparator.$type(null, 'null').should.be.true;
+    comparator.$type(undefined, 'null').should.be.false;
+    comparator.$type([], 'array').should.be.true;
+    comparator.$type({}, 'object').should.be.true;
+    comparator.$type(new Date(), [ 'string', 'date' ]).should.be.true;
+    comparator.$type(/a/, [ 'string', 'date' ]).should.be.false;
+  });
+
   it('$all should work', function () {
     comparator.$all([1,2],[1,2]).should.be.true;
     comparator.$all([1], [1,2]).should.be.false;
@@ -38,6 +64,9 @@ describe('comparators', function () {
     comparator.$exists(b.c, false).should.be.false;
     comparator.$exists(b.a, false).should.be.true;
     comparator.$exists('hi', true).should.be.true;
+    comparator.$exists(0, true).should.be.true;
+    comparator.$exists(null, true).should.be.true;
+    comparator.$exists(false, false).should.be.false;
   });
 
   it('$mod should work', function () {
@@ -54,18 +83,41 @@ describe('comparators', function () {
   it('$in should work', function () {
     comparator.$in(1,[0,1,2]).should.be.true;
     comparator.$in(4,[0,1,2]).should.be.false;
+    comparator.$in('foo',[/^f/,1]).should.be.true;
+    comparator.$in('bar',[/^f/,1]).should.be.false;
+    comparator.$in(/^f/,[/^f/]).should.be.true;
+    comparator.$in(1,[/1/]).should.be.false;
   });
 
   it('$nin should work', function () {
     comparator.$nin(1,[0,1,2]).should.be.false;
     comparator.$nin(4,[0,1,2]).should.be.true;
+    comparator.$nin('foo',[/^f/]).should.be.false;
+    comparator.$nin('bar',[/^f/]).should.be.true;
   });
 
   it('$size should work', function () {
     comparator.$size([0,1,2], 3).should.be.true;
-    comparator.$size('foo', 3).should.be.true;
+    comparator.$size('foo', 3).should.be.false;
     comparator.$size({ a: 1}, 1).should.be.false;
-    comparator.$size({ length: 3}, 3).should.be.true;
+    comparator.$size({ length: 3}, 3).should.be.false;
+    comparator.$size([], 0).should.be.true;
+    comparator.$size(null, 0).should.be.false;
+  });
+
+  it('$regex should work', function () {
+    comparator.$regex('foobar', /^foo/).should.be.true;
+    comparator.$regex('FOObar', /^foo/i).should.be.true;
+    comparator.$regex('barfoo', /^foo/).should.be.false;
+    comparator.$regex('foobar', '^foo').should.be.true;
+    comparator.$regex(42, /42/).should.be.false;
+  });
+
+  it('$elemMatch should work', function () {
+    function big (n) { return n > 2; }
+    comparator.$elemMatch([ 1, 2, 3 ], big).should.be.true;
+    comparator.$elemMatch([ 1, 2 ], big).should.be.false;
+    comparator.$elemMatch(3, big).should.be.false;
   });
 
   it('$or should work', function () {
@@ -94,4 +146,9 @@ describe('comparators', function () {
     comparator.$and([ t1, t2 ]).should.be.true;
     comparator.$and([ t1, t3 ]).should.be.false;
   });
+
+  it('$not should work', function () {
+    comparator.$not([ false ]).should.be.true;
+    comparator.$not([ true ]).should.be.false;
+  });
 });
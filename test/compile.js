@@ -0,0 +1,103 @@
+describe('compile', function () {
+  var docs = [
+      { a: { b: 100 }, c: 'testC', d: [ { e: 'world' } ] }
+    , { a: { b: 50 }, c: 'testC', d: [ { e: 'universe' }, { e: 'galaxy' } ] }
+    , { a: { b: '50' }, c: 'other', tags: [ 'x', 'y' ], n: 0 }
+    , { a: [ { b: 60 }, { b: 10 } ], c: null, tags: 'x', n: NaN }
+    , { a: null, tags: [], loc: { x: 1 }, at: new Date(2012, 10, 18) }
+    , { c: 'testC', name: 'Foobar', scores: [ 70, 82, 90 ] }
+    , { name: /^foo/i }
+    , {}
+    , 42
+    , null
+  ];
+
+  var queries = [
+      { 'a.b': { $gt: 25, $lt: 75 } }
+    , { 'a.b': { $and: [ { $gt: 75 }, { $lt: 125 } ] } }
+    , { 'a.b': 50, c: 'testC' }
+    , { 'a.b': '50' }
+    , { 'd.e': 'galaxy' }
+    , { 'd[0].e': { $eq: 'universe' } }
+    , { 'd.1.e': { $in: [ 'galaxy', 'world' ] } }
+    , { c: { $in: [ 'a', 'b', 'c', 'd', 'e', 'f', 'g', 'h', 'testC' ] } }
+    , { c: { $nin: [ 'a', 'b', 'c', 'd', 'e', 'f', 'g', 'h', 'testC' ] } }
+    , { c: { $ne: 'testC' } }
+    , { c: null }
+    , { tags: 'x' }
+    , { tags: { $ne: 'x' } }
+    , { tags: { $nin: [ 'y' ] } }
+    , { tags: { $size: 0 } }
+    , { tags: { $all: [ 'x' ] } }
+    , { tags: [ 'x', 'y' ] }
+    , { n: { $exists: true } }
+    , { 'a.b': { $exists: false } }
+    , { n: NaN }
+    , { n: { $mod: [ 2, 0 ] } }
+    , { loc: { x: 1 } }
+    , { at: new Date(2012, 10, 18) }
+    , { name: /^foo/i }
+    , { name: { $not: /^foo/i } }
+    , { name: { $regex: 'bar$', $options: 'i' } }
+    , { name: { $in: [ /^foo/i, 'x' ] } }
+    , { name: { $nin: [ 'x', /bar$/ ] } }
+    , { name: { $in: [ /^foo/gi ] } }
+    , { c: { $in: [ 'a', 'b', 'c', 'd', 'e', 'f', 'g', 'h', 'i', /^test/ ] } }
+    , { scores: { $elemMatch: { $gte: 80, $lt: 85 } } }
+    , { d: { $elemMatch: { e: 'world' } } }
+    , { $or: [ { c: 'testC' }, { tags: 'x' } ] }
+    , { $nor: [ { c: 'testC' }, { tags: 'x' } ] }
+    , { $and: [ { c: 'testC' }, { 'a.b': { $lt: 75 } } ] }
+    , { a: { $or: [ { b: 50 }, { b: 60 } ] } }
+    , { a: { $not: { $exists: true } } }
+    , { $gt: 40 }
+    , { $exists: true }
+  ];
+
+  it('should return a function', function () {
+    var q = filter({ c: 'testC' })
+      , fn = q.compile();
+
+    fn.should.be.a('function');
+    fn({ c: 'testC' }).should.be.true;
+    fn({ c: 'testD' }).should.be.false;
+    q.compile().should.equal(fn);
+  });
+
+  it('should give the same results as the interpreter', function () {
+    for (var i = 0; i < queries.length; i++) {
+      var interpreted = filter(queries[i])
+        , compiled = filter(queries[i], { compile: true });
+
+      compiled.pass(docs).should.deep.equal(interpreted.pass(docs), JSON.stringify(queries[i]));
+    }
+  });
+
+  it('should be used by subset, pass and index', function () {
+    var q = filter({ c: 'testC', 'a.b': { $lt: 75 } });
+    q.compile();
+    q.subset(docs).should.deep.equal([ docs[1] ]);
+    q.index(docs).should.deep.equal([ 1 ]);
+    q.pass(docs.slice(0, 2)).should.deep.equal([ false, true ]);
+    q.test(docs[1]).should.be.true;
+  });
+
+  it('should call custom operators', function () {
+    var dialect = filter.create({
+      operators: {
+          $startsWith: function (a, b) { return 'string' == typeof a && a.indexOf(b) === 0; }
+        , $xor: {
+              kind: 'logical'
+            , fn: function (res) { return (res[0] ? 1 : 0) + (res[1] ? 1 : 0) === 1; }
+          }
+      }
+    });
+
+    var query = { $xor: [ { c: { $startsWith: 'test' } }, { tags: 'x' } ] }
+      , interpreted = dialect(query)
+      , compiled = dialect(query, { compile: true });
+
+    compiled.pass(docs).should.deep.equal(interpreted.pass(docs));
+    compiled.index(docs).should.deep.equal([ 0, 1, 2, 3, 5 ]);
+  });
+});
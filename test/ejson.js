@@ -0,0 +1,90 @@
+describe('ejson', function () {
+  it('should encode values JSON cannot hold', function () {
+    var q = filter({
+        at: { $gte: new Date(0), $lt: new Date('2020-01-01T00:00:00Z') }
+      , name: /^a.b/im
+      , tags: { $in: [ 'x', undefined, null ] }
+      , n: { $lt: Infinity, $ne: NaN }
+      , d: { $elemMatch: { e: { $exists: true } } }
+    });
+
+    q.toJSON().should.deep.equal({
+        at: { $gte: { $date: '1970-01-01T00:00:00.000Z' }, $lt: { $date: '2020-01-01T00:00:00.000Z' } }
+      , name: { $regex: '^a.b', $options: 'im' }
+      , tags: { $in: [ 'x', { $undefined: true }, null ] }
+      , n: { $lt: { $numberDouble: 'Infinity' }, $ne: { $numberDouble: 'NaN' } }
+      , d: { $elemMatch: { e: { $exists: true } } }
+    });
+
+    JSON.parse(JSON.stringify(q)).should.deep.equal(q.toJSON());
+  });
+
+  it('should rehydrate the same filter', function () {
+    var query = {
+          at: { $gt: new Date(1000) }
+        , name: { $in: [ /^a/i, 'bob' ] }
+        , n: { $gt: -Infinity }
+        , x: undefined
+        , $or: [ { tags: 'x' }, { tags: { $not: /^y/ } } ]
+      }
+      , q = filter(query)
+      , r = filter.fromJSON(JSON.stringify(q))
+      , data = [
+            { at: new Date(2000), name: 'bob', n: 1, tags: [ 'x' ] }
+          , { at: new Date(500), name: 'Alice', n: 1, tags: [ 'x' ] }
+          , { at: new Date(2000), name: 'carol', n: 1, tags: [ 'y' ] }
+          , { at: new Date(2000), name: 'bob', n: 2, x: 1, tags: [ 'z' ] }
+          , { at: new Date(2000), name: 'bob', n: 3, tags: [ 'z' ] }
+        ];
+
+    r.should.be.instanceof(filter);
+    r.query.should.deep.equal(query);
+    r.pass(data).should.deep.equal(q.pass(data));
+    r.pass(data).should.deep.equal([ true, false, false, false, true ]);
+    filter.fromJSON(q.toJSON()).query.should.deep.equal(query);
+  });
+
+  it('should decode $regex with query operators alike', function () {
+    filter.fromJSON({ a: { $regex: 'x', $options: 'i' } }).test({ a: 'X' }).should.be.true;
+    filter.fromJSON({ a: { $regex: 'x', $ne: 'y' } }).query.should.deep.equal({ a: { $regex: 'x', $ne: 'y' } });
+  });
+
+  it('should accept options and use the operators of a dialect', function () {
+    var dialect = filter.create({
+      operators: { $startsWith: function (a, b) { return a.indexOf(b) === 0; } }
+    });
+
+    var q = dialect.fromJSON('{"a":{"$startsWith":"he"}}', { compile: true });
+    q.test({ a: 'hello' }).should.be.true;
+    q.compiled.should.be.a('function');
+
+    (function () { filter.fromJSON('{"a":{"$startsWith":"he"}}'); })
+      .should.throw(filter.FilterQueryError, /a\.\$startsWith/);
+  });
+
+  it('should reject invalid input', function () {
+    function error (json) {
+      try {
+        filter.fromJSON(json);
+      } catch (ex) {
+        ex.should.be.instanceof(filter.FilterQueryError);
+        return ex;
+      }
+      throw new Error('expected an error');
+    }
+
+    error('{"a":').message.should.match(/^invalid JSON/);
+    error({ $or: [ { a: { $date: 'soon' } } ] }).path.should.equal('$or[0].a.$date');
+    error({ a: { $date: {} } }).path.should.equal('a.$date');
+    error({ a: { $in: [ { $regex: '(' } ] } }).path.should.equal('a.$in[0].$regex');
+    error({ a: { $regex: 'x', $options: 1 } }).path.should.equal('a.$options');
+    error({ a: { $undefined: false } }).path.should.equal('a.$undefined');
+    error({ a: { $numberDouble: 'lots' } }).path.should.equal('a.$numberDouble');
+    error({ a: { $code: 'x' } }).path.should.equal('a.$code');
+    error('{"__proto__":{"a":1}}').message.should.equal('__proto__: cannot decode key "__proto__"');
+    error('{"b":{"$elemMatch":{"constructor":{"prototype":1}}}}').path.should.equal('b.$elemMatch.constructor');
+
+    (function () { filter({ a: { $in: [ function () {} ] } }).toJSON(); })
+      .should.throw(filter.FilterQueryError, /^a\.\$in\[0\]: cannot encode a function/);
+  });
+});
@@ -0,0 +1,90 @@
+describe('equality', function () {
+  describe('filter.equal(a, b)', function () {
+    var equal = filter.equal;
+
+    it('should compare primitives', function () {
+      equal(1, 1).should.be.true;
+      equal('a', 'a').should.be.true;
+      equal(1, '1').should.be.false;
+      equal(true, 1).should.be.false;
+    });
+
+    it('should treat NaN as equal to NaN', function () {
+      equal(NaN, NaN).should.be.true;
+      equal(NaN, 0).should.be.false;
+    });
+
+    it('should treat null as equal to undefined', function () {
+      equal(null, undefined).should.be.true;
+      equal(null, null).should.be.true;
+      equal(null, 0).should.be.false;
+      equal(undefined, '').should.be.false;
+    });
+
+    it('should compare arrays', function () {
+      equal([ 'a', 'b' ], [ 'a', 'b' ]).should.be.true;
+      equal([ 'a', 'b' ], [ 'b', 'a' ]).should.be.false;
+      equal([ 'a' ], [ 'a', 'b' ]).should.be.false;
+      equal([ [ 1 ], { a: 2 } ], [ [ 1 ], { a: 2 } ]).should.be.true;
+      equal([], {}).should.be.false;
+    });
+
+    it('should compare objects', function () {
+      equal({ x: 1, y: { z: 2 } }, { y: { z: 2 }, x: 1 }).should.be.true;
+      equal({ x: 1 }, { x: 1, y: 2 }).should.be.false;
+      equal({ x: 1, y: 2 }, { x: 1, z: 2 }).should.be.false;
+    });
+
+    it('should compare dates by time', function () {
+      equal(new Date(2012, 10, 18), new Date(2012, 10, 18)).should.be.true;
+      equal(new Date(2012, 10, 18), new Date(2012, 10, 19)).should.be.false;
+      equal(new Date(2012, 10, 18), new Date(2012, 10, 18).getTime()).should.be.false;
+    });
+
+    it('should compare regular expressions by pattern and flags', function () {
+      equal(/^a/i, /^a/i).should.be.true;
+      equal(/^a/i, /^a/).should.be.false;
+    });
+  });
+
+  describe('comparators', function () {
+    it('$eq should match structurally equal values', function () {
+      filter({ tags: [ 'a', 'b' ] }).test({ tags: [ 'a', 'b' ] }).should.be.true;
+      filter({ tags: [ 'a', 'b' ] }).test({ tags: [ 'b', 'a' ] }).should.be.false;
+      filter({ loc: { x: 1 } }).test({ loc: { x: 1 } }).should.be.true;
+      filter({ loc: { x: 1 } }).test({ loc: { x: 2 } }).should.be.false;
+      filter({ at: new Date(2012, 10, 18) }).test({ at: new Date(2012, 10, 18) }).should.be.true;
+      filter({ a: { $eq: { b: 1 } } }).test({ a: { b: 1 } }).should.be.true;
+    });
+
+    it('$eq should match null against missing values', function () {
+      var q = filter({ a: null });
+      q.test({ a: null }).should.be.true;
+      q.test({}).should.be.true;
+      q.test({ a: 0 }).should.be.false;
+    });
+
+    it('$ne should use structural equality', function () {
+      filter({ loc: { $ne: { x: 1 } } }).test({ loc: { x: 1 } }).should.be.false;
+      filter({ loc: { $ne: { x: 1 } } }).test({ loc: { x: 2 } }).should.be.true;
+    });
+
+    it('$in and $nin should use structural equality', function () {
+      filter({ loc: { $in: [ { x: 1 }, { x: 2 } ] } }).test({ loc: { x: 2 } }).should.be.true;
+      filter({ loc: { $nin: [ { x: 1 }, { x: 2 } ] } }).test({ loc: { x: 2 } }).should.be.false;
+      filter.comparators.$in(NaN, [ NaN ]).should.be.true;
+    });
+
+    it('$all should use structural equality', function () {
+      filter({ pts: { $all: [ [ 1, 2 ], { x: 3 } ] } })
+        .test({ pts: [ { x: 3 }, [ 1, 2 ], 4 ] }).should.be.true;
+      filter.comparators.$all('a', [ 'a' ]).should.be.true;
+      filter.comparators.$all('ab', [ 'a' ]).should.be.false;
+    });
+
+    it('should match values after a JSON round-trip', function () {
+      var doc = JSON.parse(JSON.stringify({ loc: { x: 1, y: [ 2, 3 ] } }));
+      filter({ loc: { x: 1, y: [ 2, 3 ] } }).test(doc).should.be.true;
+    });
+  });
+});
@@ -0,0 +1,122 @@
+describe('evaluation', function () {
+  var calls, dialect;
+
+  beforeEach(function () {
+    calls = [];
+    dialect = filter.create({
+      operators: {
+          $spy: function (a, b) {
+            calls.push(b);
+            return a === b;
+          }
+        , $slow: {
+              cost: 10
+            , fn: function (a, b) {
+                calls.push('slow');
+                return a === b;
+              }
+          }
+        , $any: {
+              kind: 'logical'
+            , fn: function (res) {
+                calls.push(res.length);
+                return res.indexOf(true) !== -1;
+              }
+          }
+        , $anyCircuit: {
+              kind: 'logical'
+            , circuit: true
+            , fn: function (res) {
+                calls.push(res.length);
+                return res.indexOf(true) !== -1;
+              }
+          }
+      }
+    });
+  });
+
+  describe('short-circuit', function () {
+    it('should stop $or at the first passing query', function () {
+      dialect({ $or: [ { a: { $spy: 1 } }, { a: { $spy: 2 } } ] })
+        .test({ a: 1 }).should.be.true;
+      calls.should.deep.equal([ 1 ]);
+    });
+
+    it('should stop $and at the first failing query', function () {
+      dialect({ $and: [ { a: { $spy: 1 } }, { a: { $spy: 2 } } ] })
+        .test({ a: 2 }).should.be.false;
+      calls.should.deep.equal([ 1 ]);
+    });
+
+    it('should stop $nor at the first passing query', function () {
+      dialect({ $nor: [ { a: { $spy: 1 } }, { a: { $spy: 2 } } ] })
+        .test({ a: 1 }).should.be.false;
+      calls.should.deep.equal([ 1 ]);
+    });
+
+    it('should stop at the first failing statement', function () {
+      dialect({ a: { $spy: 1 }, b: { $spy: 2 }, c: { $spy: 3, $gt: 1 } })
+        .test({ a: 2, b: 2, c: 3 }).should.be.false;
+      calls.should.deep.equal([ 1 ]);
+    });
+
+    it('should stop at the first failing comparator', function () {
+      dialect({ a: { $spy: 1, $gt: 5 } }).test({ a: 2 }).should.be.false;
+      calls.should.deep.equal([ 1 ]);
+    });
+
+    it('should evaluate every query of logical comparators without a circuit', function () {
+      dialect({ $any: [ { a: 1 }, { a: 2 }, { a: 3 } ] }).test({ a: 1 }).should.be.true;
+      calls.should.deep.equal([ 3 ]);
+    });
+
+    it('should stop logical comparators at their circuit', function () {
+      dialect({ $anyCircuit: [ { a: 1 }, { a: 2 }, { a: 3 } ] }).test({ a: 2 }).should.be.true;
+      calls.should.deep.equal([ 2 ]);
+    });
+  });
+
+  describe('reorder option', function () {
+    it('should test cheaper statements first', function () {
+      var query = { a: { $slow: 1 }, b: 1 };
+
+      dialect(query).test({ a: 1, b: 2 }).should.be.false;
+      calls.should.deep.equal([ 'slow' ]);
+
+      calls = [];
+      dialect(query, { reorder: true }).test({ a: 1, b: 2 }).should.be.false;
+      calls.should.deep.equal([]);
+    });
+
+    it('should test cheaper queries of $or first', function () {
+      var q = dialect({ $or: [ { 'a.b.c': { $slow: 1 } }, { d: 1 } ] }, { reorder: true });
+      q.test({ d: 1 }).should.be.true;
+      calls.should.deep.equal([]);
+    });
+
+    it('should put regular expressions after equality', function () {
+      var q = filter({ name: /^foo/, 'a.b.c': { $in: [ 1, 2 ] }, c: 'testC' }, { reorder: true });
+      q.stack.map(function (entry) { return entry.path; })
+        .should.deep.equal([ 'c', 'a.b.c', 'name' ]);
+    });
+
+    it('should not reorder logical comparators without a circuit', function () {
+      var q = dialect({ $any: [ { a: { $slow: 1 } }, { b: 1 } ] }, { reorder: true });
+      q.stack[0].test[0].params[0][0].path.should.equal('a');
+    });
+
+    it('should give the same results', function () {
+      var data = [
+          { name: 'foo', a: { b: { c: 1 } }, c: 'testC' }
+        , { name: 'bar', a: { b: { c: 2 } }, c: 'testC' }
+        , { name: 'foo', a: { b: { c: 3 } }, c: 'testC' }
+        , { name: 'foo', a: { b: { c: 2 } }, c: 'testD' }
+      ];
+
+      var query = { $or: [ { name: /^f/, c: 'testD' }, { 'a.b.c': { $in: [ 1, 2 ] }, c: 'testC' } ] };
+      filter(query, { reorder: true }).index(data).should.deep.equal([ 0, 1, 3 ]);
+      filter(query, { reorder: true, compile: true }).index(data).should.deep.equal([ 0, 1, 3 ]);
+      filter(query).index(data).should.deep.equal([ 0, 1, 3 ]);
+    });
+  });
+});
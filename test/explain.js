@@ -0,0 +1,88 @@
+describe('explain', function () {
+  it('should make implicit comparators explicit', function () {
+    filter({ a: { b: 1 }, c: { $gt: 2, $lt: 5 }, d: /x/ }).explain().should.deep.equal({
+        op: '$and'
+      , children: [
+            { path: 'a', op: '$eq', operand: { b: 1 } }
+          , { path: 'c', op: '$gt', operand: 2 }
+          , { path: 'c', op: '$lt', operand: 5 }
+          , { path: 'd', op: '$regex', operand: /x/ }
+        ]
+    });
+
+    filter({ a: 1 }).explain().should.deep.equal({ path: 'a', op: '$eq', operand: 1 });
+    filter({}).explain().should.deep.equal({ op: '$and', children: [] });
+  });
+
+  it('should describe logical and query comparators', function () {
+    filter({ $or: [ { a: 1 }, { b: { $not: { $gt: 2 } } } ], d: { $elemMatch: { e: 'x', f: 1 } } })
+      .explain().should.deep.equal({
+          op: '$and'
+        , children: [
+              { op: '$or', children: [
+                  { path: 'a', op: '$eq', operand: 1 }
+                , { path: 'b', op: '$not', children: [ { op: '$gt', operand: 2 } ] }
+              ] }
+            , { path: 'd', op: '$elemMatch', children: [
+                  { op: '$and', children: [
+                      { path: 'e', op: '$eq', operand: 'x' }
+                    , { path: 'f', op: '$eq', operand: 1 }
+                  ] }
+              ] }
+          ]
+      });
+  });
+
+  it('should trace the values and result of each comparator', function () {
+    var doc = { a: { b: 100 }, c: 'testC', d: [ { e: 'world' }, { e: 'galaxy' } ] };
+
+    filter({ 'a.b': { $lt: 50 }, 'd.e': 'galaxy' }).explain(doc).should.deep.equal({
+        op: '$and'
+      , result: false
+      , children: [
+            { path: 'a.b', op: '$lt', operand: 50, values: [ 100 ], result: false }
+          , { path: 'd.e', op: '$eq', operand: 'galaxy', values: [ 'world', 'galaxy' ], result: true }
+        ]
+    });
+
+    filter({ d: { $size: 2 }, x: { $exists: false } }).explain(doc).children.should.deep.equal([
+        { path: 'd', op: '$size', operand: 2, values: [ doc.d ], result: true }
+      , { path: 'x', op: '$exists', operand: false, values: [ undefined ], result: true }
+    ]);
+  });
+
+  it('should mark queries skipped by a short circuit', function () {
+    var res = filter({ $or: [ { c: 'testC' }, { c: 'other' } ] }).explain({ c: 'testC' });
+    res.result.should.be.true;
+    res.children[0].result.should.be.true;
+    should.not.exist(res.children[0].skipped);
+    res.children[1].skipped.should.be.true;
+    res.children[1].result.should.be.false;
+  });
+
+  it('should give the same result as test', function () {
+    var docs = [
+          { a: [ 1, 5 ], b: { c: [ { d: 2 } ] } }
+        , { a: 3, b: null }
+        , { a: [], b: { c: { d: [ 2, 3 ] } } }
+        , {}
+      ]
+      , queries = [
+          { a: { $gt: 2, $lt: 4 } }
+        , { a: { $ne: 5 } }
+        , { 'b.c.d': 2 }
+        , { b: { $exists: true }, 'b.c': { $exists: false } }
+        , { $nor: [ { a: 1 }, { a: { $size: 0 } } ] }
+        , { a: { $not: { $in: [ 1, 3 ] } } }
+        , { 'b.c': { $elemMatch: { d: { $gte: 2 } } } }
+        , { $and: [ { a: { $all: [ 1 ] } }, { $or: [ { b: null }, { 'b.c.d': 3 } ] } ] }
+      ];
+
+    for (var i = 0; i < queries.length; i++) {
+      var q = filter(queries[i], { reorder: true });
+      for (var j = 0; j < docs.length; j++) {
+        q.explain(docs[j]).result.should.equal(q.test(docs[j]), JSON.stringify(queries[i]));
+      }
+    }
+  });
+});
@@ -0,0 +1,173 @@
+describe('expressions', function () {
+  var data = [
+      { name: 'Ann', spent: 120, budget: 100, price: 10, qty: 3, member: true, tags: [ 'a', 'b' ] }
+    , { name: 'Bob', spent: 80, budget: 100, price: 4, qty: 2, member: false, tags: [] }
+    , { name: 'cy', spent: 50, budget: 50, price: 12, qty: 1, limits: { max: 40 } }
+  ];
+
+  it('should compare two fields of a document', function () {
+    filter({ $expr: { $gt: [ '$spent', '$budget' ] } })
+      .subset(data).should.deep.equal([ data[0] ]);
+    filter({ $expr: { $gte: [ '$spent', '$budget' ] } })
+      .subset(data).should.deep.equal([ data[0], data[2] ]);
+    filter({ $expr: { $eq: [ '$spent', '$budget' ] } })
+      .subset(data).should.deep.equal([ data[2] ]);
+    filter({ $expr: { $ne: [ '$spent', '$budget' ] } })
+      .subset(data).should.deep.equal([ data[0], data[1] ]);
+  });
+
+  it('should resolve dotted paths', function () {
+    filter({ $expr: { $gt: [ '$limits.max', 30 ] } })
+      .subset(data).should.deep.equal([ data[2] ]);
+  });
+
+  it('should apply to the value at a path', function () {
+    filter({ limits: { $expr: { $gt: [ '$max', 30 ] } } })
+      .subset(data).should.deep.equal([ data[2] ]);
+  });
+
+  it('should compute with arithmetic', function () {
+    filter({ $expr: { $gt: [ { $multiply: [ '$price', '$qty' ] }, 10 ] } })
+      .subset(data).should.deep.equal([ data[0], data[2] ]);
+    filter({ $expr: { $eq: [ { $add: [ '$price', '$qty', 1 ] }, 14 ] } })
+      .subset(data).should.deep.equal([ data[0], data[2] ]);
+    filter({ $expr: { $lt: [ { $subtract: [ '$budget', '$spent' ] }, 0 ] } })
+      .subset(data).should.deep.equal([ data[0] ]);
+    filter({ $expr: { $eq: [ { $divide: [ '$spent', '$budget' ] }, 0.8 ] } })
+      .subset(data).should.deep.equal([ data[1] ]);
+  });
+
+  it('should result in null for missing or mistyped arguments', function () {
+    var aggregate = function (expr) {
+      return filter.aggregate([ { x: 'a', y: 0, d: new Date(1000) } ], [
+        { $project: { v: expr } }
+      ])[0].v;
+    };
+
+    should.equal(aggregate({ $add: [ '$x', 1 ] }), null);
+    should.equal(aggregate({ $multiply: [ '$missing', 2 ] }), null);
+    should.equal(aggregate({ $divide: [ 1, '$y' ] }), null);
+    should.equal(aggregate({ $concat: [ '$x', '$missing' ] }), null);
+    should.equal(aggregate({ $size: '$x' }), null);
+    aggregate({ $add: [ '$d', 500 ] }).should.deep.equal(new Date(1500));
+    aggregate({ $subtract: [ '$d', { $literal: new Date(400) } ] }).should.equal(600);
+  });
+
+  it('should choose a value with $cond', function () {
+    var total = { $multiply: [ '$price', '$qty', { $cond: [ '$member', 0.5, 1 ] } ] };
+
+    filter({ $expr: { $lte: [ total, 15 ] } })
+      .subset(data).should.deep.equal([ data[0], data[1], data[2] ]);
+    filter({ $expr: { $lt: [ total, 12 ] } })
+      .subset(data).should.deep.equal([ data[1] ]);
+    filter({ $expr: { $cond: { if: '$member', then: true, else: { $gt: [ '$price', 10 ] } } } })
+      .subset(data).should.deep.equal([ data[0], data[2] ]);
+  });
+
+  it('should combine conditions with $and, $or and $not', function () {
+    filter({ $expr: { $and: [ { $gte: [ '$spent', '$budget' ] }, { $not: '$member' } ] } })
+      .subset(data).should.deep.equal([ data[2] ]);
+    filter({ $expr: { $or: [ '$member', { $lt: [ '$spent', 60 ] } ] } })
+      .subset(data).should.deep.equal([ data[0], data[2] ]);
+  });
+
+  it('should work with strings and arrays', function () {
+    filter({ $expr: { $eq: [ { $toLower: '$name' }, 'bob' ] } })
+      .subset(data).should.deep.equal([ data[1] ]);
+    filter({ $expr: { $eq: [ { $concat: [ '$name', '-', { $toLower: '$name' } ] }, 'cy-cy' ] } })
+      .subset(data).should.deep.equal([ data[2] ]);
+    filter({ $expr: { $gt: [ { $size: '$tags' }, 0 ] } })
+      .subset(data).should.deep.equal([ data[0] ]);
+  });
+
+  it('should treat only false, null, 0 and NaN as not true', function () {
+    var doc = { z: 0, e: '', n: null, o: {} };
+    filter({ $expr: '$z' }).test(doc).should.be.false;
+    filter({ $expr: '$n' }).test(doc).should.be.false;
+    filter({ $expr: '$missing' }).test(doc).should.be.false;
+    filter({ $expr: '$e' }).test(doc).should.be.true;
+    filter({ $expr: '$o' }).test(doc).should.be.true;
+  });
+
+  it('should give the same results when compiled', function () {
+    var query = { budget: 100, $expr: { $gt: [ { $multiply: [ '$price', '$qty' ] }, '$qty' ] } };
+    filter(query, { compile: true }).subset(data)
+      .should.deep.equal(filter(query).subset(data));
+    filter(query, { compile: true }).subset(data).should.deep.equal([ data[0], data[1] ]);
+  });
+
+  it('should be usable in aggregate expressions', function () {
+    filter.aggregate(data, [
+        { $project: { name: { $toLower: '$name' }, total: { $multiply: [ '$price', '$qty' ] } } }
+    ]).should.deep.equal([
+        { name: 'ann', total: 30 }
+      , { name: 'bob', total: 8 }
+      , { name: 'cy', total: 12 }
+    ]);
+  });
+
+  it('should report malformed expressions with their path', function () {
+    filter.validate({ a: 1, $expr: { $gt: [ '$a' ] } }).should.deep.equal([
+      { path: '$expr.$gt', message: 'expected 2 arguments' }
+    ]);
+    filter.validate({ $or: [ { $expr: { $add: [ 1, { $pow: 2 } ] } } ] }).should.deep.equal([
+      { path: '$or[0].$expr.$add[1].$pow', message: 'unknown expression "$pow"' }
+    ]);
+    filter.validate({ $expr: { $cond: { if: 1, then: 2 } } }).should.deep.equal([
+      { path: '$expr.$cond', message: 'expected if, then and else' }
+    ]);
+    filter.validate({ $expr: '$$a' }).should.deep.equal([
+      { path: '$expr', message: 'expected a field path' }
+    ]);
+  });
+
+  describe('$where', function () {
+    function over () {
+      return this.spent > this.budget;
+    }
+
+    it('should require the where option', function () {
+      (function () {
+        filter({ $where: over });
+      }).should.throw(filter.FilterQueryError, '$where: only allowed with the where option');
+      filter.validate({ $where: over })[0].path.should.equal('$where');
+    });
+
+    it('should call the function with the document', function () {
+      filter({ $where: over }, { where: true })
+        .subset(data).should.deep.equal([ data[0] ]);
+      filter({ $where: function (doc) { return doc === this && doc.member === false; } }, { where: true })
+        .subset(data).should.deep.equal([ data[1] ]);
+      filter({ $where: over }, { where: true, compile: true })
+        .subset(data).should.deep.equal([ data[0] ]);
+    });
+
+    it('should keep the option for derived filters', function () {
+      var q = filter({ $where: over }, { where: true });
+      q.not().subset(data).should.deep.equal([ data[1], data[2] ]);
+      q.simplify().subset(data).should.deep.equal([ data[0] ]);
+    });
+
+    it('should accept the where option when validating and building', function () {
+      filter.validate({ $where: over }, { where: true }).should.deep.equal([]);
+      filter.validate({ a: { $elemMatch: { $where: over } } })[0].path.should.equal('a.$elemMatch.$where');
+
+      (function () {
+        filter.where().and({ $where: over });
+      }).should.throw(filter.FilterQueryError, 'only allowed with the where option');
+
+      filter.where(null, { where: true }).and({ $where: over }).build()
+        .subset(data).should.deep.equal([ data[0] ]);
+      filter.where('tags', { where: true }).size(0)
+        .or(function (q) { return q.and({ $where: over }); }, { member: false })
+        .build({ compile: true })
+        .subset(data).should.deep.equal([ data[1] ]);
+    });
+
+    it('should expect a function', function () {
+      (function () {
+        filter({ $where: 'this.a > 1' }, { where: true });
+      }).should.throw(filter.FilterQueryError, 'expected a function');
+    });
+  });
+});
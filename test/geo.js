@@ -0,0 +1,220 @@
+describe('geospatial', function () {
+  function point (lng, lat) {
+    return { type: 'Point', coordinates: [ lng, lat ] };
+  }
+
+  function polygon () {
+    return { type: 'Polygon', coordinates: [].slice.call(arguments) };
+  }
+
+  var vehicles = [
+      { id: 'a', at: point(2.3522, 48.8566) }
+    , { id: 'b', at: point(2.2945, 48.8584) }
+    , { id: 'c', at: point(4.8357, 45.764) }
+    , { id: 'd', at: [ 2.33, 48.87 ] }
+    , { id: 'e', at: 'garage' }
+    , { id: 'f' }
+  ];
+
+  function ids (docs) {
+    return docs.map(function (d) { return d.id; });
+  }
+
+  describe('$geoWithin', function () {
+    it('should match points within a $box', function () {
+      ids(filter({ at: { $geoWithin: { $box: [ [ 2, 48 ], [ 3, 49 ] ] } } }).subset(vehicles))
+        .should.deep.equal([ 'a', 'b', 'd' ]);
+      ids(filter({ at: { $geoWithin: { $box: [ [ 2.3, 48 ], [ 2.3522, 49 ] ] } } }).subset(vehicles))
+        .should.deep.equal([ 'a', 'd' ]);
+    });
+
+    it('should match points within a $polygon', function () {
+      var triangle = [ [ 0, 0 ], [ 10, 0 ], [ 0, 10 ] ];
+      filter({ p: { $geoWithin: { $polygon: triangle } } })
+        .pass([ { p: [ 1, 1 ] }, { p: [ 5, 5 ] }, { p: [ 6, 6 ] }, { p: [ 0, 3 ] } ])
+        .should.deep.equal([ true, true, false, true ]);
+    });
+
+    it('should match points within a $center or $centerSphere', function () {
+      filter({ p: { $geoWithin: { $center: [ [ 0, 0 ], 5 ] } } })
+        .pass([ { p: [ 3, 4 ] }, { p: [ 4, 4 ] } ])
+        .should.deep.equal([ true, false ]);
+
+      ids(filter({ at: { $geoWithin: { $centerSphere: [ [ 2.3, 48.86 ], 5 / 6378.1 ] } } }).subset(vehicles))
+        .should.deep.equal([ 'a', 'b', 'd' ]);
+      ids(filter({ at: { $geoWithin: { $centerSphere: [ [ 2.3, 48.86 ], 1 / 6378.1 ] } } }).subset(vehicles))
+        .should.deep.equal([ 'b' ]);
+    });
+
+    it('should match geometries within a GeoJSON polygon', function () {
+      var square = polygon([ [ 0, 0 ], [ 10, 0 ], [ 10, 10 ], [ 0, 10 ], [ 0, 0 ] ])
+        , holed = polygon(square.coordinates[0], [ [ 4, 4 ], [ 6, 4 ], [ 6, 6 ], [ 4, 6 ], [ 4, 4 ] ])
+        , docs = [
+              { g: point(1, 1) }
+            , { g: point(5, 5) }
+            , { g: { type: 'LineString', coordinates: [ [ 1, 1 ], [ 9, 2 ] ] } }
+            , { g: { type: 'LineString', coordinates: [ [ 1, 1 ], [ 12, 2 ] ] } }
+            , { g: polygon([ [ 1, 1 ], [ 2, 1 ], [ 2, 2 ], [ 1, 1 ] ]) }
+            , { g: { type: 'LineString', coordinates: [ [ 3, 5 ], [ 7, 5 ] ] } }
+          ];
+
+      filter({ g: { $geoWithin: { $geometry: square } } }).index(docs)
+        .should.deep.equal([ 0, 1, 2, 4, 5 ]);
+      filter({ g: { $geoWithin: { $geometry: holed } } }).index(docs)
+        .should.deep.equal([ 0, 2, 4 ]);
+      filter({ g: { $geoWithin: { $geometry: {
+          type: 'MultiPolygon'
+        , coordinates: [ holed.coordinates, [ [ [ 4.5, 4.5 ], [ 5.5, 4.5 ], [ 5.5, 5.5 ], [ 4.5, 4.5 ] ] ] ]
+      } } } }).index(docs).should.deep.equal([ 0, 1, 2, 4 ]);
+    });
+
+    it('should match any point of an array', function () {
+      filter({ stops: { $geoWithin: { $box: [ [ 0, 0 ], [ 1, 1 ] ] } } })
+        .pass([ { stops: [ point(5, 5), point(0.5, 0.5) ] }, { stops: [ point(5, 5) ] } ])
+        .should.deep.equal([ true, false ]);
+    });
+  });
+
+  describe('$geoIntersects', function () {
+    var square = polygon([ [ 0, 0 ], [ 4, 0 ], [ 4, 4 ], [ 0, 4 ], [ 0, 0 ] ])
+      , routes = [
+            { r: { type: 'LineString', coordinates: [ [ -1, 2 ], [ 5, 2 ] ] } }
+          , { r: { type: 'LineString', coordinates: [ [ 1, 1 ], [ 2, 2 ] ] } }
+          , { r: { type: 'LineString', coordinates: [ [ 5, 5 ], [ 6, 6 ] ] } }
+          , { r: point(4, 2) }
+          , { r: polygon([ [ -1, -1 ], [ 9, -1 ], [ 9, 9 ], [ -1, 9 ], [ -1, -1 ] ]) }
+          , { r: { type: 'MultiPoint', coordinates: [ [ 8, 8 ], [ 0, 0 ] ] } }
+        ];
+
+    it('should match geometries sharing a point', function () {
+      filter({ r: { $geoIntersects: { $geometry: square } } }).index(routes)
+        .should.deep.equal([ 0, 1, 3, 4, 5 ]);
+      filter({ r: { $geoIntersects: { $geometry: {
+          type: 'LineString'
+        , coordinates: [ [ 2, -3 ], [ 2, 1 ] ]
+      } } } }).index(routes).should.deep.equal([ 4 ]);
+      filter({ r: { $geoIntersects: { $geometry: point(1.5, 1.5) } } }).index(routes)
+        .should.deep.equal([ 1, 4 ]);
+    });
+  });
+
+  describe('$near', function () {
+    var center = point(2.3, 48.86);
+
+    it('should match points within the distances in meters', function () {
+      ids(filter({ at: { $near: { $geometry: center, $maxDistance: 5000 } } }).subset(vehicles))
+        .should.deep.equal([ 'b', 'd', 'a' ]);
+      ids(filter({ at: { $near: { $geometry: center, $minDistance: 1000, $maxDistance: 5000 } } }).subset(vehicles))
+        .should.deep.equal([ 'd', 'a' ]);
+    });
+
+    it('should order results by distance', function () {
+      ids(filter({ at: { $near: { $geometry: center } } }).subset(vehicles))
+        .should.deep.equal([ 'b', 'd', 'a', 'c' ]);
+      ids(filter({ at: { $near: { $geometry: center } } }).subset(vehicles, { skip: 1, limit: 2 }))
+        .should.deep.equal([ 'd', 'a' ]);
+      ids(filter({ at: { $near: { $geometry: center } } }).subset(vehicles, { sort: { id: -1 } }))
+        .should.deep.equal([ 'd', 'c', 'b', 'a' ]);
+      ids(filter({ $and: [ { at: { $near: { $geometry: center } } } ] }).subset(vehicles))
+        .should.deep.equal([ 'b', 'd', 'a', 'c' ]);
+    });
+
+    it('should measure flat distances from a legacy point', function () {
+      var docs = [ { id: 1, p: [ 3, 4 ] }, { id: 2, p: [ 1, 1 ] }, { id: 3, p: point(0, 2) } ]
+        , q = filter({ p: { $near: [ 0, 0 ] } });
+
+      q.index(docs).should.deep.equal([ 1, 2, 0 ]);
+      q.distance(docs[0]).should.equal(5);
+      should.equal(q.distance({ p: 'x' }), null);
+      should.equal(filter({ p: 1 }).distance(docs[0]), null);
+    });
+
+    it('should limit legacy distances beside the point', function () {
+      var docs = [ { p: [ 1, 1 ] }, { p: [ 3, 4 ] }, { p: [ 0, 0.5 ] } ]
+        , q = filter({ p: { $near: [ 0, 0 ], $maxDistance: 2 } });
+
+      q.index(docs).should.deep.equal([ 2, 0 ]);
+      filter({ p: { $near: [ 0, 0 ], $minDistance: 1, $maxDistance: 5 } }).index(docs)
+        .should.deep.equal([ 0, 1 ]);
+      q.simplify().index(docs).should.deep.equal([ 2, 0 ]);
+      filter(q.query, { compile: true }).index(docs).should.deep.equal([ 2, 0 ]);
+    });
+
+    it('should use the nearest point of an array', function () {
+      var q = filter({ stops: { $near: [ 0, 0 ] } });
+      q.distance({ stops: [ [ 3, 4 ], [ 0, 1 ] ] }).should.equal(1);
+      q.index([ { stops: [ [ 9, 9 ] ] }, { stops: [ [ 3, 4 ], [ 0, 1 ] ] } ])
+        .should.deep.equal([ 1, 0 ]);
+    });
+
+    it('should sort by distance with $meta', function () {
+      var q = filter({ at: { $near: { $geometry: center } } });
+      ids(q.subset(vehicles, { sort: { distance: { $meta: 'geoNearDistance' } }, limit: 1 }))
+        .should.deep.equal([ 'b' ]);
+    });
+
+    it('should give the same results when compiled', function () {
+      var query = { at: { $near: { $geometry: center, $maxDistance: 5000 } }, id: { $ne: 'b' } };
+      ids(filter(query, { compile: true }).subset(vehicles)).should.deep.equal([ 'd', 'a' ]);
+    });
+
+    it('should order the results of a collection', function () {
+      var c = new filter.Collection(vehicles).createIndex('id');
+      ids(c.find({ at: { $near: { $geometry: center } }, id: { $in: [ 'a', 'b', 'c' ] } }))
+        .should.deep.equal([ 'b', 'a', 'c' ]);
+    });
+  });
+
+  describe('$nearSphere', function () {
+    it('should measure distances in radians from a legacy point', function () {
+      var q = filter({ at: { $nearSphere: [ 2.3, 48.86 ] } });
+
+      ids(q.subset(vehicles)).should.deep.equal([ 'b', 'd', 'a', 'c' ]);
+      (q.distance(vehicles[2]) * 6378.1).should.be.within(390, 400);
+    });
+
+    it('should limit legacy distances in radians', function () {
+      ids(filter({ at: { $nearSphere: [ 2.3, 48.86 ], $maxDistance: 5 / 6378.1 } }).subset(vehicles))
+        .should.deep.equal([ 'b', 'd', 'a' ]);
+    });
+
+    it('should measure distances in meters from a GeoJSON point', function () {
+      var q = filter({ at: { $nearSphere: { $geometry: point(0, 0), $maxDistance: 112000 } } });
+      q.pass([ { at: point(1, 0) }, { at: point(0, 1.1) } ]).should.deep.equal([ true, false ]);
+    });
+  });
+
+  it('should report malformed operands with their path', function () {
+    filter.validate({ at: { $geoWithin: { $box: [ [ 0, 0 ] ] } } }).should.deep.equal([
+      { path: 'at.$geoWithin.$box', message: 'expected two corners' }
+    ]);
+    filter.validate({ at: { $geoWithin: { $box: [ [ 0, 0 ], [ 1, 1 ] ], $center: [ [ 0, 0 ], 1 ] } } })[0]
+      .path.should.equal('at.$geoWithin');
+    filter.validate({ at: { $geoWithin: { $geometry: point(0, 0) } } }).should.deep.equal([
+      { path: 'at.$geoWithin.$geometry', message: 'expected a GeoJSON Polygon or MultiPolygon' }
+    ]);
+    filter.validate({ at: { $geoWithin: { $geometry: polygon([ [ 0, 0 ], [ 1, 0 ], [ 1, 1 ] ]) } } })[0]
+      .path.should.equal('at.$geoWithin.$geometry');
+    filter.validate({ at: { $geoIntersects: { $geometry: { type: 'Circle' } } } }).should.deep.equal([
+      { path: 'at.$geoIntersects.$geometry', message: 'expected a GeoJSON geometry' }
+    ]);
+    filter.validate({ at: { $near: { $geometry: point(0, 0), $maxDistance: 'far' } } }).should.deep.equal([
+      { path: 'at.$near.$maxDistance', message: 'expected a non-negative number' }
+    ]);
+    filter.validate({ at: { $near: { $maxDistance: 5 } } }).should.deep.equal([
+      { path: 'at.$near', message: 'expected $geometry or a point' }
+    ]);
+    filter.validate({ at: { $near: [ 0, 0 ], $maxDistance: -1 } }).should.deep.equal([
+      { path: 'at.$maxDistance', message: 'expected a non-negative number' }
+    ]);
+    filter.validate({ at: { $near: { $geometry: point(0, 0) }, $minDistance: 1 } }).should.deep.equal([
+      { path: 'at.$minDistance', message: '$minDistance requires $near or $nearSphere with a legacy point' }
+    ]);
+    filter.validate({ at: { $nearSphere: [ 1, 2, 3 ] } }).should.deep.equal([
+      { path: 'at.$nearSphere', message: 'expected a point' }
+    ]);
+    filter.validate({ at: { $near: { $geometry: point(0, 0), $spherical: true } } }).should.deep.equal([
+      { path: 'at.$near.$spherical', message: 'unknown option "$spherical"' }
+    ]);
+  });
+});
@@ -26,4 +26,188 @@ describe('input', function () {
       q.test([0,1,2,3]).should.be.false;
     });
   });
+
+  describe('$not', function () {
+    it('should negate an operator expression', function () {
+      var q = filter({ tags: { $not: { $in: [ 'x', 'y' ] } } });
+      q.test({ tags: 'z' }).should.be.true;
+      q.test({ tags: 'x' }).should.be.false;
+    });
+
+    it('should negate a regular expression', function () {
+      var q = filter({ name: { $not: /^foo/i } });
+      q.test({ name: 'bar' }).should.be.true;
+      q.test({ name: 'Foobar' }).should.be.false;
+    });
+
+    it('should require an operator expression', function () {
+      filter.validate({ a: { $not: { b: 1 } } })[0].path.should.equal('a.$not');
+      filter.validate({ a: { $not: 1 } })[0].path.should.equal('a.$not');
+    });
+  });
+
+  describe('$regex', function () {
+    it('should accept a pattern with $options', function () {
+      var q = filter({ name: { $regex: '^foo', $options: 'i' } });
+      q.test({ name: 'FOObar' }).should.be.true;
+      q.test({ name: 'barfoo' }).should.be.false;
+      q.test({ name: 42 }).should.be.false;
+    });
+
+    it('should accept a regular expression', function () {
+      var q = filter({ name: { $regex: /^foo/i } });
+      q.test({ name: 'FOObar' }).should.be.true;
+    });
+
+    it('should assume $regex for regular expression values', function () {
+      var q = filter({ name: /^foo/i, c: 'testC' });
+      q.test({ name: 'Foo', c: 'testC' }).should.be.true;
+      q.test({ name: 'bar', c: 'testC' }).should.be.false;
+    });
+
+    it('should combine with other comparators', function () {
+      var q = filter({ name: { $regex: 'o', $ne: 'foo' } });
+      q.test({ name: 'bob' }).should.be.true;
+      q.test({ name: 'foo' }).should.be.false;
+    });
+
+    it('should report invalid patterns and options', function () {
+      filter.validate({ a: { $regex: '(' } })[0].path.should.equal('a.$regex');
+      filter.validate({ a: { $regex: 'a', $options: 'g' } })[0].path.should.equal('a.$regex');
+      filter.validate({ a: { $regex: 1 } })[0].path.should.equal('a.$regex');
+      filter.validate({ a: { $options: 'i' } })[0].path.should.equal('a.$options');
+    });
+  });
+
+  describe('$elemMatch', function () {
+    var data = [
+        { d: [ { e: 'world', count: 2 }, { e: 'galaxy', count: 5 } ] }
+      , { d: [ { e: 'world', count: 5 } ] }
+      , { d: { e: 'world', count: 5 } }
+    ];
+
+    it('should match one element against a subquery', function () {
+      var q = filter({ d: { $elemMatch: { e: 'world', count: { $gt: 3 } } } });
+      q.index(data).should.deep.equal([ 1 ]);
+    });
+
+    it('should match one element against an operator expression', function () {
+      var q = filter({ scores: { $elemMatch: { $gte: 80, $lt: 85 } } });
+      q.test({ scores: [ 70, 82, 90 ] }).should.be.true;
+      q.test({ scores: [ 70, 90 ] }).should.be.false;
+    });
+
+    it('should require a query object', function () {
+      filter.validate({ d: { $elemMatch: [ 1 ] } })[0].path.should.equal('d.$elemMatch');
+      filter.validate({ d: { $elemMatch: { e: { $gtt: 1 } } } })[0].path
+        .should.equal('d.$elemMatch.e.$gtt');
+    });
+  });
+
+  describe('$exists', function () {
+    it('should test that the path is present', function () {
+      var q = filter({ count: { $exists: true } });
+      q.test({ count: 0 }).should.be.true;
+      q.test({ count: '' }).should.be.true;
+      q.test({ count: false }).should.be.true;
+      q.test({ count: null }).should.be.true;
+      q.test({ count: undefined }).should.be.true;
+      q.test({}).should.be.false;
+    });
+
+    it('should test that the path is absent', function () {
+      var q = filter({ count: { $exists: false } });
+      q.test({ count: 0 }).should.be.false;
+      q.test({ other: 1 }).should.be.true;
+    });
+
+    it('should follow nested objects', function () {
+      var q = filter({ 'a.b': { $exists: true } });
+      q.test({ a: { b: 0 } }).should.be.true;
+      q.test({ a: { c: 0 } }).should.be.false;
+      q.test({ a: 1 }).should.be.false;
+      q.test({}).should.be.false;
+    });
+
+    it('should follow arrays', function () {
+      var q = filter({ 'd.e': { $exists: true } })
+        , n = filter({ 'd.e': { $exists: false } });
+
+      q.test({ d: [ {}, { e: 0 } ] }).should.be.true;
+      q.test({ d: [ {}, { f: 0 } ] }).should.be.false;
+      n.test({ d: [ {}, { e: 0 } ] }).should.be.false;
+      n.test({ d: [ {}, { f: 0 } ] }).should.be.true;
+      filter({ 'd.1.e': { $exists: true } }).test({ d: [ { e: 1 }, {} ] }).should.be.false;
+    });
+
+    it('should work within other operators', function () {
+      filter({ a: { $not: { $exists: true } } }).test({ b: 1 }).should.be.true;
+      filter({ d: { $elemMatch: { e: { $exists: true } } } }).test({ d: [ 1, { e: null } ] })
+        .should.be.true;
+    });
+  });
+
+  describe('$size', function () {
+    it('should compare lengths exactly', function () {
+      var q = filter({ tags: { $size: 0 } });
+      q.test({ tags: [] }).should.be.true;
+      q.test({ tags: [ 'a' ] }).should.be.false;
+      q.test({}).should.be.false;
+      filter({ tags: { $size: 2 } }).test({ tags: [ 'a', 'b' ] }).should.be.true;
+    });
+
+    it('should require a non-negative integer', function () {
+      filter.validate({ tags: { $size: -1 } })[0].path.should.equal('tags.$size');
+      filter.validate({ tags: { $size: 1.5 } })[0].path.should.equal('tags.$size');
+    });
+  });
+
+  describe('$type', function () {
+    var data = [
+        { v: 1 }, { v: '1' }, { v: null }, {}, { v: [ 'a', 2 ] }
+      , { v: { x: 1 } }, { v: true }, { v: new Date(0) }, { v: /a/ }
+    ];
+
+    it('should match values of the type', function () {
+      filter({ v: { $type: 'string' } }).index(data).should.deep.equal([ 1, 4 ]);
+      filter({ v: { $type: 'number' } }).index(data).should.deep.equal([ 0, 4 ]);
+      filter({ v: { $type: 'null' } }).index(data).should.deep.equal([ 2 ]);
+      filter({ v: { $type: 'array' } }).index(data).should.deep.equal([ 4 ]);
+      filter({ v: { $type: [ 'object', 'boolean', 'date', 'regex' ] } }).index(data)
+        .should.deep.equal([ 5, 6, 7, 8 ]);
+      filter({ v: { $not: { $type: 'number' } } }).index(data).should.deep.equal([ 1, 2, 3, 5, 6, 7, 8 ]);
+    });
+
+    it('should require known types', function () {
+      filter.validate({ v: { $type: 'int' } }).should.deep.equal([
+        { path: 'v.$type', message: 'unknown type "int"' }
+      ]);
+      filter.validate({ v: { $type: [] } })[0].path.should.equal('v.$type');
+      filter.validate({ v: { $type: 1 } })[0].path.should.equal('v.$type');
+    });
+  });
+
+  describe('range comparators', function () {
+    var data = [
+        { v: 10 }, { v: '10' }, { v: null }, {}, { v: 'b' }
+      , { v: new Date(1000) }, { v: new Date(3000) }, { v: [ '9', 20 ] }
+    ];
+
+    it('should only match values of the same type', function () {
+      var queries = [
+          [ { v: { $gt: 9 } }, [ 0, 7 ] ]
+        , [ { v: { $gte: 0 } }, [ 0, 7 ] ]
+        , [ { v: { $lt: 100 } }, [ 0, 7 ] ]
+        , [ { v: { $gt: '1' } }, [ 1, 4, 7 ] ]
+        , [ { v: { $gte: null } }, [ 2, 3 ] ]
+        , [ { v: { $gt: new Date(2000) } }, [ 6 ] ]
+        , [ { v: { $lte: new Date(2000) } }, [ 5 ] ]
+      ];
+
+      queries.forEach(function (pair) {
+        filter(pair[0]).index(data).should.deep.equal(pair[1]);
+        filter(pair[0], { compile: true }).index(data).should.deep.equal(pair[1]);
+      });
+    });
+  });
 });
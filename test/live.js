@@ -0,0 +1,189 @@
+describe('LiveView', function () {
+  function source (docs) {
+    var listeners = {};
+    return {
+        docs: docs || []
+      , on: function (ev, fn) { (listeners[ev] = listeners[ev] || []).push(fn); }
+      , off: function (ev, fn) { listeners[ev].splice(listeners[ev].indexOf(fn), 1); }
+      , count: function (ev) { return (listeners[ev] || []).length; }
+      , toArray: function () { return this.docs.slice(); }
+      , emit: function (ev, doc, prev) {
+          if (ev == 'insert') this.docs.push(doc);
+          if (ev == 'remove') this.docs.splice(this.docs.indexOf(doc), 1);
+          if (ev == 'update' && prev) this.docs[this.docs.indexOf(prev)] = doc;
+          (listeners[ev] || []).forEach(function (fn) { fn(doc, prev); });
+        }
+    };
+  }
+
+  function record (view) {
+    var log = [];
+    [ 'added', 'removed', 'changed' ].forEach(function (ev) {
+      view.on(ev, function (doc) {
+        log.push([ ev, doc.id ].concat([].slice.call(arguments, 1)));
+      });
+    });
+    return log;
+  }
+
+  it('should start with the passing documents of the source', function () {
+    var src = source([ { id: 1, n: 5 }, { id: 2, n: 1 }, { id: 3, n: 7 } ])
+      , view = new filter.LiveView(filter({ n: { $gt: 2 } }), src);
+
+    view.results.should.deep.equal([ src.docs[0], src.docs[2] ]);
+    filter.LiveView(filter({}), { on: function () {} }, { docs: src.docs }).results
+      .should.have.length(3);
+  });
+
+  it('should emit deltas for each change', function () {
+    var a = { id: 1, n: 5 }
+      , b = { id: 2, n: 1 }
+      , src = source([ a, b ])
+      , view = new filter.LiveView(filter({ n: { $gt: 2 } }), src)
+      , log = record(view)
+      , c = { id: 3, n: 9 };
+
+    src.emit('insert', c);
+    src.emit('insert', { id: 4, n: 0 });
+    b.n = 3;
+    src.emit('update', b);
+    a.n = 6;
+    src.emit('update', a);
+    c.n = 0;
+    src.emit('update', c);
+    src.emit('update', { id: 1, n: 0 }, a);
+    src.emit('remove', b);
+    src.emit('remove', c);
+
+    log.should.deep.equal([
+        [ 'added', 3, 1 ]
+      , [ 'added', 2, 2 ]
+      , [ 'changed', 1, 0, 0 ]
+      , [ 'removed', 3, 1 ]
+      , [ 'removed', 1, 0 ]
+      , [ 'removed', 2, 0 ]
+    ]);
+
+    view.results.should.deep.equal([]);
+  });
+
+  it('should test only the document that changed', function () {
+    var tested = 0
+      , dialect = filter.create({ operators: { $spy: function () { tested++; return true; } } })
+      , src = source([ { id: 1 }, { id: 2 }, { id: 3 } ])
+      , view = new filter.LiveView(dialect({ id: { $spy: true } }), src);
+
+    tested.should.equal(3);
+    src.emit('insert', { id: 4 });
+    src.emit('update', src.docs[0]);
+    src.emit('remove', src.docs[1]);
+    tested.should.equal(5);
+    view.results.should.have.length(3);
+  });
+
+  it('should keep the results sorted', function () {
+    var src = source([ { id: 1, n: 5 }, { id: 2, n: 1 }, { id: 3, n: 5 } ])
+      , view = new filter.LiveView(filter({}), src, { sort: { n: -1 } })
+      , log = record(view);
+
+    view.results.map(function (d) { return d.id; }).should.deep.equal([ 1, 3, 2 ]);
+
+    src.emit('insert', { id: 4, n: 5 });
+    src.docs[1].n = 9;
+    src.emit('update', src.docs[1]);
+    src.emit('update', { id: 5, n: 0 }, src.docs[0]);
+
+    view.results.map(function (d) { return d.id; }).should.deep.equal([ 2, 3, 4, 5 ]);
+    log.should.deep.equal([
+        [ 'added', 4, 2 ]
+      , [ 'changed', 2, 0, 3 ]
+      , [ 'changed', 5, 3, 1 ]
+    ]);
+
+    (function () { filter.LiveView(filter({}), src, { sort: { n: 2 } }); })
+      .should.throw(filter.FilterQueryError, /^sort\.n: /);
+  });
+
+  it('should give the same results as subset', function () {
+    var src = source([])
+      , q = filter({ $or: [ { n: { $gte: 4 } }, { tag: 'x' } ] })
+      , sorted = new filter.LiveView(q, src, { sort: { n: 1, id: -1 } })
+      , plain = new filter.LiveView(q, src)
+      , seed = 3
+      , id = 0;
+
+    function random (n) {
+      seed = (seed * 16807) % 2147483647;
+      return seed % n;
+    }
+
+    function doc () {
+      return { id: id++, n: random(8), tag: random(2) ? 'x' : 'y' };
+    }
+
+    function ids (list) {
+      return list.map(function (d) { return d.id; });
+    }
+
+    for (var i = 0; i < 400; i++) {
+      var op = src.docs.length ? random(4) : 0
+        , target = src.docs[random(src.docs.length)];
+
+      if (op === 0) src.emit('insert', doc());
+      else if (op == 1) src.emit('remove', target);
+      else if (op == 2) src.emit('update', doc(), target);
+      else {
+        target.n = random(8);
+        src.emit('update', target);
+      }
+
+      ids(sorted.results).should.deep.equal(ids(q.subset(src.docs, { sort: { n: 1, id: -1 } })));
+      ids(plain.results).sort().should.deep.equal(ids(q.subset(src.docs)).sort());
+    }
+  });
+
+  it('should find changed documents by their sort key', function () {
+    var docs = []
+      , src, sorted, plain, log;
+
+    if ('function' != typeof Map) this.skip();
+
+    for (var i = 0; i < 30; i++) docs.push({ id: i, n: i % 3 });
+    src = source(docs.slice());
+    sorted = new filter.LiveView(filter({}), src, { sort: { n: 1 } });
+    plain = new filter.LiveView(filter({}), src);
+    log = record(sorted);
+
+    sorted.results.indexOf = plain.results.indexOf = function () {
+      throw new Error('expected a lookup by key');
+    };
+
+    docs[4].n = 9;
+    src.emit('update', docs[4]);
+    src.emit('remove', docs[7]);
+    src.emit('update', { id: 30, n: 0 }, docs[9]);
+    src.emit('remove', { id: 31 });
+
+    log.should.deep.equal([
+        [ 'changed', 4, 29, 11 ]
+      , [ 'removed', 7, 11 ]
+      , [ 'changed', 30, 9, 3 ]
+    ]);
+    plain.results.map(function (d) { return d.id; }).slice(0, 10)
+      .should.deep.equal([ 0, 1, 2, 3, 4, 5, 6, 8, 30, 10 ]);
+  });
+
+  it('should stop listening when destroyed', function () {
+    var src = source([])
+      , view = new filter.LiveView(filter({}), src)
+      , log = record(view);
+
+    src.count('insert').should.equal(1);
+    view.destroy();
+    src.count('insert').should.equal(0);
+    view.insert({ id: 1 });
+    log.should.have.length(0);
+
+    (function () { filter.LiveView(filter({}), {}); }).should.throw(TypeError);
+  });
+});
@@ -0,0 +1,135 @@
+describe('operators', function () {
+  function startsWith (a, b) {
+    return 'string' == typeof a && a.indexOf(b) === 0;
+  }
+
+  function xor (res) {
+    var count = 0;
+    for (var i = 0; i < res.length; i++) if (res[i]) count++;
+    return count === 1;
+  }
+
+  describe('filter.operator(name, fn, opts)', function () {
+    after(function () {
+      delete filter.comparators.$startsWith;
+      delete filter.comparators.$xor;
+    });
+
+    it('should register a value operator', function () {
+      filter.operator('$startsWith', startsWith, {
+        validate: function (params) {
+          if ('string' != typeof params) return 'expected a string';
+        }
+      }).should.equal(filter);
+
+      var q = filter({ name: { $startsWith: 'he' } });
+      q.test({ name: 'hello' }).should.be.true;
+      q.test({ name: 'world' }).should.be.false;
+      filter.comparators.$startsWith('hello', 'he').should.be.true;
+    });
+
+    it('should use the validator when parsing', function () {
+      filter.validate({ name: { $startsWith: 1 } }).should.deep.equal([
+        { path: 'name.$startsWith', message: 'expected a string' }
+      ]);
+    });
+
+    it('should prepare the operand once', function () {
+      var dialect = filter.create()
+        , calls = 0;
+
+      dialect.operator('$matches', function (a, re) {
+        return re.test(a);
+      }, {
+          prepare: function (params) {
+            calls++;
+            if ('string' != typeof params) throw new filter.FilterQueryError('expected a string', '[0]');
+            return new RegExp(params);
+          }
+      });
+
+      var q = dialect({ name: { $matches: '^he' } });
+      q.subset([ { name: 'hello' }, { name: 'world' } ]).should.deep.equal([ { name: 'hello' } ]);
+      calls.should.equal(1);
+      dialect.validate({ name: { $matches: 1 } }).should.deep.equal([
+        { path: 'name.$matches[0]', message: 'expected a string' }
+      ]);
+    });
+
+    it('should register a logical operator that traverses subqueries', function () {
+      filter.operator('$xor', xor, { kind: 'logical' });
+
+      var q = filter({ $xor: [ { a: 1 }, { b: { $startsWith: 'he' } } ] });
+      q.test({ a: 1, b: 'world' }).should.be.true;
+      q.test({ a: 2, b: 'hello' }).should.be.true;
+      q.test({ a: 1, b: 'hello' }).should.be.false;
+      q.test({ a: 2, b: 'world' }).should.be.false;
+    });
+
+    it('should validate logical operands by default', function () {
+      filter.operator('$xor', xor, { kind: 'logical' });
+      filter.validate({ $xor: { a: 1 } })[0].path.should.equal('$xor');
+    });
+
+    it('should reject malformed definitions', function () {
+      (function () {
+        filter.operator('startsWith', startsWith);
+      }).should.throw(TypeError);
+
+      (function () {
+        filter.operator('$startsWith', 'nope');
+      }).should.throw(TypeError);
+
+      (function () {
+        filter.operator('$startsWith', startsWith, { kind: 'other' });
+      }).should.throw(TypeError);
+    });
+
+    it('should support comparators added directly', function () {
+      filter.comparators.$startsWith = startsWith;
+      filter({ name: { $startsWith: 'he' } }).test({ name: 'hello' }).should.be.true;
+    });
+  });
+
+  describe('filter.create(opts)', function () {
+    it('should create a filter with its own operators', function () {
+      var dialect = filter.create({
+        operators: {
+            $startsWith: startsWith
+          , $xor: { fn: xor, kind: 'logical' }
+        }
+      });
+
+      var q = dialect({ $xor: [ { a: 1 }, { b: { $startsWith: 'he' } } ] });
+      q.should.be.instanceof(filter);
+      q.test({ a: 1, b: 'world' }).should.be.true;
+      q.test({ a: 1, b: 'hello' }).should.be.false;
+      dialect({ a: { $gt: 1 } }).test({ a: 2 }).should.be.true;
+      dialect.comparators.$startsWith.should.equal(startsWith);
+    });
+
+    it('should not share operators with the global set', function () {
+      var dialect = filter.create();
+      dialect.operator('$startsWith', startsWith).should.equal(dialect);
+
+      should.not.exist(filter.comparators.$startsWith);
+      filter.validate({ a: { $startsWith: 'a' } })[0].message
+        .should.equal('unknown operator "$startsWith"');
+      dialect.validate({ a: { $startsWith: 'a' } }).should.deep.equal([]);
+
+      (function () {
+        filter({ a: { $startsWith: 'a' } });
+      }).should.throw(filter.FilterQueryError);
+    });
+
+    it('should allow dialects to be extended', function () {
+      var base = filter.create({ operators: { $startsWith: startsWith } })
+        , child = base.create({ operators: { $xor: { fn: xor, kind: 'logical' } } });
+
+      child({ $xor: [ { a: { $startsWith: 'x' } }, { b: 1 } ] })
+        .test({ a: 'xy', b: 2 }).should.be.true;
+      base.validate({ $xor: [ { a: 1 } ] })[0].message
+        .should.equal('unknown operator "$xor"');
+    });
+  });
+});
@@ -0,0 +1,104 @@
+describe('projection', function () {
+  var data = [
+      { a: { b: 100, c: 1 }
+      , c: 'testC'
+      , d: [ { e: 'world', f: 1 } ]
+     }
+   , { a: { b: 50, c: 2 }
+     , c: 'testC'
+     , d: [ { e: 'universe', f: 2 }
+          , { e: 'galaxy', f: 3 } ]
+     }
+  ];
+
+  function project (projection) {
+    return filter({}).subset(data, { projection: projection });
+  }
+
+  it('should include only the listed paths', function () {
+    project({ c: 1, 'a.b': 1 }).should.deep.equal([
+        { a: { b: 100 }, c: 'testC' }
+      , { a: { b: 50 }, c: 'testC' }
+    ]);
+  });
+
+  it('should include paths into arrays of documents', function () {
+    project({ 'd.e': true }).should.deep.equal([
+        { d: [ { e: 'world' } ] }
+      , { d: [ { e: 'universe' }, { e: 'galaxy' } ] }
+    ]);
+  });
+
+  it('should exclude the listed paths', function () {
+    project({ 'a.c': 0, d: false, 'x.y': 0 }).should.deep.equal([
+        { a: { b: 100 }, c: 'testC' }
+      , { a: { b: 50 }, c: 'testC' }
+    ]);
+
+    project({ 'd.f': 0 })[1].d.should.deep.equal([ { e: 'universe' }, { e: 'galaxy' } ]);
+  });
+
+  it('should not modify the original data', function () {
+    project({ 'a.c': 0 });
+    project({ 'a.b': 1 });
+    data[0].a.should.deep.equal({ b: 100, c: 1 });
+  });
+
+  it('should only project matching data', function () {
+    filter({ 'a.b': 50 }).subset(data, { projection: { c: 1 } })
+      .should.deep.equal([ { c: 'testC' } ]);
+  });
+
+  it('should slice arrays with $slice', function () {
+    var doc = [ { n: [ 1, 2, 3, 4, 5 ], m: 'x' } ];
+
+    function slice (s) {
+      return filter({}).subset(doc, { projection: { n: { $slice: s } } })[0];
+    }
+
+    slice(2).should.deep.equal({ n: [ 1, 2 ], m: 'x' });
+    slice(-2).should.deep.equal({ n: [ 4, 5 ], m: 'x' });
+    slice(-9).n.should.deep.equal([ 1, 2, 3, 4, 5 ]);
+    slice([ 1, 2 ]).n.should.deep.equal([ 2, 3 ]);
+    slice([ -2, 1 ]).n.should.deep.equal([ 4 ]);
+
+    filter({}).subset(doc, { projection: { n: { $slice: 1 }, m: 1 } })
+      .should.deep.equal([ { n: [ 1 ], m: 'x' } ]);
+    filter({}).subset(doc, { projection: { n: { $slice: 1 }, m: 0 } })
+      .should.deep.equal([ { n: [ 1 ] } ]);
+  });
+
+  it('should keep the first matching element with $elemMatch', function () {
+    project({ d: { $elemMatch: { f: { $gt: 1 } } } }).should.deep.equal([
+        {}
+      , { d: [ { e: 'universe', f: 2 } ] }
+    ]);
+
+    filter({}).subset([ { n: [ 1, 5, 9 ] } ], { projection: { n: { $elemMatch: { $gt: 4 } } } })
+      .should.deep.equal([ { n: [ 5 ] } ]);
+  });
+
+  it('should reject invalid projections', function () {
+    function invalid (projection, path) {
+      var err;
+      try { project(projection); }
+      catch (e) { err = e; }
+      should.exist(err);
+      err.should.be.instanceof(filter.FilterQueryError);
+      err.path.should.equal(path);
+    }
+
+    invalid({ a: 1, c: 0 }, 'projection.c');
+    invalid({ d: { $elemMatch: { e: 'x' } }, c: 0 }, 'projection.c');
+    invalid({ a: 1, 'a.b': 1 }, 'projection["a.b"]');
+    invalid({ 'a.b': 1, a: 1 }, 'projection.a');
+    invalid({ a: 2 }, 'projection.a');
+    invalid({ d: { $slice: 'x' } }, 'projection.d.$slice');
+    invalid({ d: { $slice: [ 1, 0 ] } }, 'projection.d.$slice');
+    invalid({ d: { $elemMatch: 'x' } }, 'projection.d.$elemMatch');
+    invalid({ d: { $first: 1 } }, 'projection.d');
+    invalid([], 'projection');
+    invalid(JSON.parse('{"__proto__":1}'), 'projection.__proto__');
+    invalid({ 'a.constructor.prototype': 0 }, 'projection["a.constructor.prototype"]');
+  });
+});
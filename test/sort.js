@@ -0,0 +1,125 @@
+describe('sorting', function () {
+  describe('filter.compare(a, b)', function () {
+    var compare = filter.compare;
+
+    it('should order values of different types', function () {
+      var list = [
+          /a/
+        , new Date(0)
+        , true
+        , [ 1 ]
+        , { a: 1 }
+        , 'a'
+        , 1
+        , NaN
+        , null
+      ];
+
+      list.slice().reverse().sort(compare).should.deep.equal(list.slice().reverse());
+      compare(null, undefined).should.equal(0);
+      compare(null, 0).should.be.below(0);
+      compare(1, 'a').should.be.below(0);
+      compare('a', {}).should.be.below(0);
+      compare({}, []).should.be.below(0);
+      compare([], false).should.be.below(0);
+      compare(true, new Date(0)).should.be.below(0);
+      compare(new Date(0), /a/).should.be.below(0);
+    });
+
+    it('should order values of the same type', function () {
+      compare(NaN, -Infinity).should.be.below(0);
+      compare(2, 10).should.be.below(0);
+      compare('10', '2').should.be.below(0);
+      compare(false, true).should.be.below(0);
+      compare(new Date(1), new Date(0)).should.be.above(0);
+      compare([ 1, 2 ], [ 1, 3 ]).should.be.below(0);
+      compare([ 1 ], [ 1, 0 ]).should.be.below(0);
+      compare({ a: 1 }, { a: 2 }).should.be.below(0);
+      compare({ a: 9 }, { b: 1 }).should.be.below(0);
+      compare({ a: [ 1 ] }, { a: [ 1 ] }).should.equal(0);
+    });
+  });
+
+  describe('sort, skip and limit', function () {
+    var data = [
+        { a: { b: 2 }, c: 'x', n: 0 }
+      , { a: { b: 1 }, c: 'y', n: 1 }
+      , { a: { b: 2 }, c: 'w', n: 2 }
+      , { a: { b: 3 }, c: 'x', n: 3 }
+      , { c: 'z', n: 4 }
+    ];
+
+    function order (opts) {
+      return filter({}).subset(data, opts).map(function (d) { return d.n; });
+    }
+
+    it('should sort by dotted paths', function () {
+      order({ sort: { 'a.b': 1 } }).should.deep.equal([ 4, 1, 0, 2, 3 ]);
+      order({ sort: { 'a.b': -1 } }).should.deep.equal([ 3, 0, 2, 1, 4 ]);
+    });
+
+    it('should sort by several keys', function () {
+      order({ sort: { 'a.b': -1, c: 1 } }).should.deep.equal([ 3, 2, 0, 1, 4 ]);
+      order({ sort: { c: 1, n: -1 } }).should.deep.equal([ 2, 3, 0, 1, 4 ]);
+    });
+
+    it('should keep the original order of equal keys', function () {
+      var list = [];
+      for (var i = 0; i < 50; i++) list.push({ k: i % 3, i: i });
+
+      var res = filter({}).subset(list, { sort: { k: 1 } });
+      for (var j = 1; j < res.length; j++) {
+        if (res[j].k === res[j - 1].k) res[j].i.should.be.above(res[j - 1].i);
+      }
+    });
+
+    it('should sort arrays by their smallest or largest element', function () {
+      var list = [ { t: [ 5, 1 ] }, { t: [ 3 ] }, { t: [ 2, 4 ] } ];
+      filter({}).index(list, { sort: { t: 1 } }).should.deep.equal([ 0, 2, 1 ]);
+      filter({}).index(list, { sort: { t: -1 } }).should.deep.equal([ 0, 2, 1 ]);
+      filter({}).index([ { t: [ { u: 2 } ] }, { t: [ { u: 1 } ] } ], { sort: { 't.u': 1 } })
+        .should.deep.equal([ 1, 0 ]);
+    });
+
+    it('should skip and limit results', function () {
+      order({ skip: 1, limit: 2 }).should.deep.equal([ 1, 2 ]);
+      order({ skip: 4 }).should.deep.equal([ 4 ]);
+      order({ limit: 0 }).should.deep.equal([ 0, 1, 2, 3, 4 ]);
+      order({ sort: { n: -1 }, skip: 1, limit: 2 }).should.deep.equal([ 3, 2 ]);
+      filter({ c: 'x' }).index(data, { sort: { 'a.b': -1 }, limit: 1 })
+        .should.deep.equal([ 3 ]);
+    });
+
+    it('should stop testing once the limit is reached', function () {
+      var tested = 0
+        , q = filter({ $spy: 1 }, { operators: { $spy: function (a, b) {
+            tested++;
+            return true;
+          } } });
+
+      q.index(data, { skip: 1, limit: 2 }).should.deep.equal([ 1, 2 ]);
+      tested.should.equal(3);
+    });
+
+    it('should apply projections after sorting', function () {
+      filter({}).subset(data, { sort: { 'a.b': -1 }, limit: 2, projection: { c: 1 } })
+        .should.deep.equal([ { c: 'x' }, { c: 'x' } ]);
+    });
+
+    it('should reject invalid options', function () {
+      function invalid (opts, path) {
+        var err;
+        try { filter({}).subset(data, opts); }
+        catch (e) { err = e; }
+        should.exist(err);
+        err.should.be.instanceof(filter.FilterQueryError);
+        err.path.should.equal(path);
+      }
+
+      invalid({ sort: { a: 2 } }, 'sort.a');
+      invalid({ sort: [ 'a' ] }, 'sort');
+      invalid({ skip: -1 }, 'skip');
+      invalid({ limit: 1.5 }, 'limit');
+    });
+  });
+});
@@ -0,0 +1,172 @@
+var initSqlJs = require('sql.js');
+
+var docs = [
+    { id: 1, name: 'alice', age: 31, role: 'admin', meta: { vip: true, score: 7, tags: [ 'x', 'y' ] } }
+  , { id: 2, name: 'bob', age: 24, role: 'user', meta: { vip: false, score: 2, tags: [ 'y' ] } }
+  , { id: 3, name: 'carol', age: 45, role: 'owner', meta: { score: 1, nested: { deep: 'y' } } }
+  , { id: 4, name: 'dave', age: 19, meta: { vip: true, tags: [] } }
+  , { id: 5, name: 'erin', role: 'user', meta: { score: 9, nested: { deep: 'z' } } }
+  , { id: 6, name: 'frank', age: 38, role: 'admin', meta: {} }
+  , { id: 7, name: 'gus', age: 52, meta: { vip: 'yes', score: '8' } }
+];
+
+describe('toSQL', function () {
+  var db;
+
+  before(function () {
+    return initSqlJs().then(function (SQL) {
+      db = new SQL.Database();
+      db.run('CREATE TABLE docs (id INTEGER, name TEXT, age INTEGER, role TEXT, meta TEXT)');
+      docs.forEach(function (doc) {
+        db.run('INSERT INTO docs VALUES (?, ?, ?, ?, ?)', [
+            doc.id
+          , doc.name
+          , undefined === doc.age ? null : doc.age
+          , doc.role || null
+          , JSON.stringify(doc.meta)
+        ]);
+      });
+    });
+  });
+
+  after(function () {
+    db.close();
+  });
+
+  function select (q, opts) {
+    var sql = q.toSQL(opts || { dialect: 'sqlite' })
+      , res = db.exec('SELECT id FROM docs WHERE ' + sql.where + ' ORDER BY id', sql.params);
+    return res.length ? res[0].values.map(function (row) { return row[0]; }) : [];
+  }
+
+  function ids (q) {
+    return q.subset(docs).map(function (doc) { return doc.id; });
+  }
+
+  it('should select the same documents as subset', function () {
+    [
+        {}
+      , { age: { $gte: 30 } }
+      , { age: { $gt: 20, $lte: 40 }, role: 'admin' }
+      , { name: { $gte: 'c' } }
+      , { role: { $in: [ 'admin', 'owner' ] } }
+      , { role: { $in: [ 'owner', null ] } }
+      , { role: { $in: [] } }
+      , { role: { $nin: [ 'admin' ] } }
+      , { role: { $nin: [ 'admin', null ] } }
+      , { role: { $nin: [] } }
+      , { role: { $ne: 'admin' } }
+      , { role: null }
+      , { role: { $ne: null } }
+      , { role: { $exists: false } }
+      , { age: { $exists: true } }
+      , { age: { $not: { $gt: 30 } } }
+      , { age: { $and: [ { $gt: 20 }, { $lt: 40 } ] } }
+      , { age: { $or: [ { $lt: 20 }, { $gt: 40 } ] } }
+      , { $or: [ { 'meta.vip': true }, { age: { $lt: 25 } } ] }
+      , { $nor: [ { role: 'admin' }, { 'meta.score': { $gt: 5 } } ] }
+      , { $and: [ { age: { $gte: 20 } }, { $or: [ { role: 'user' }, { 'meta.score': 1 } ] } ] }
+      , { 'meta.vip': false }
+      , { 'meta.vip': { $exists: false } }
+      , { 'meta.score': { $in: [ 1, 2, null ] } }
+      , { 'meta.tags.0': 'x' }
+      , { 'meta.tags[0]': 'y' }
+      , { 'meta.nested.deep': { $ne: 'y' } }
+      , { 'meta.score': { $gt: 5 } }
+      , { 'meta.score': { $lt: 'z' } }
+      , { 'meta.score': { $not: { $lte: 2 } } }
+      , { 'meta.vip': { $gte: false } }
+    ].forEach(function (query) {
+      var q = filter(query);
+      select(q).should.deep.equal(ids(q), JSON.stringify(query));
+    });
+  });
+
+  it('should bind parameters in order', function () {
+    filter({ age: { $gte: 18 }, $or: [ { role: { $in: [ 'admin', 'owner' ] } }, { 'meta.vip': true } ] })
+      .toSQL({ dialect: 'sqlite' })
+      .should.deep.equal({
+          where: '"age" >= ? AND ("role" IN (?, ?) OR json_extract("meta", \'$.vip\') = ?)'
+        , params: [ 18, 'admin', 'owner', 1 ]
+      });
+
+    filter({ at: { $lt: new Date(0) } }).toSQL({ dialect: 'sqlite' }).params
+      .should.deep.equal([ '1970-01-01T00:00:00.000Z' ]);
+  });
+
+  it('should map paths to columns', function () {
+    var opts = { dialect: 'sqlite', columnMap: { who: 'docs.name', info: 'meta', 'info.nested': 'meta' } }
+      , q = filter({ who: 'carol', 'info.score': 1 });
+
+    q.toSQL(opts).where.should.equal('"docs"."name" = ? AND json_extract("meta", \'$.score\') = ?');
+    filter({ 'info.nested.deep': 'z' }).toSQL(opts).where
+      .should.equal('json_extract("meta", \'$.deep\') = ?');
+    select(q, opts).should.deep.equal([ 3 ]);
+    filter({ 'a.b c.0': 1, 'x"y': 2 }).toSQL({ dialect: 'sqlite' }).where
+      .should.equal('json_extract("a", \'$."b c"[0]\') = ? AND "x""y" = ?');
+  });
+
+  it('should translate for postgres', function () {
+    filter({
+        age: { $gte: 18, $not: { $in: [ 1, null ] } }
+      , 'meta.tags.0': /^a/i
+      , 'meta.at': { $lt: new Date(0) }
+      , "meta.it's": 'x'
+      , $nor: [ { 'meta.vip': { $nin: [ true ] } }, { name: /b/ } ]
+    }).toSQL({ dialect: 'postgres' }).should.deep.equal({
+        where: '"age" >= $1'
+          + ' AND NOT COALESCE(("age" IN ($2) OR "age" IS NULL), FALSE)'
+          + ' AND ("meta" #>> \'{tags,0}\') ~* $3'
+          + ' AND (CASE WHEN json_typeof(("meta" #> \'{at}\')::json) = \'string\''
+          + ' THEN ("meta" #>> \'{at}\')::timestamptz < $4 END)'
+          + ' AND ("meta" #>> \'{"it\'\'s"}\') = $5'
+          + ' AND NOT COALESCE(((("meta" #>> \'{vip}\')::boolean NOT IN ($6) OR ("meta" #>> \'{vip}\')::boolean IS NULL) OR "name" ~ $7), FALSE)'
+      , params: [ 18, 1, '^a', new Date(0), 'x', true, 'b' ]
+    });
+  });
+
+  it('should only compare JSON values with bounds of their type', function () {
+    filter({ 'meta.score': { $gt: 5 } }).toSQL({ dialect: 'sqlite' }).where
+      .should.equal('(json_type("meta", \'$.score\') IN (\'integer\', \'real\')'
+        + ' AND json_extract("meta", \'$.score\') > ?)');
+    filter({ 'meta.score': { $lt: 'z' } }).toSQL({ dialect: 'postgres' }).where
+      .should.equal('(CASE WHEN json_typeof(("meta" #> \'{score}\')::json) = \'string\''
+        + ' THEN ("meta" #>> \'{score}\') < $1 END)');
+    filter({ age: { $gt: 5 } }).toSQL({ dialect: 'sqlite' }).where.should.equal('"age" > ?');
+    select(filter({ 'meta.score': { $gt: 5 } })).should.deep.equal([ 1, 5 ]);
+  });
+
+  it('should throw for what cannot be translated', function () {
+    function error (query, opts) {
+      try {
+        filter(query).toSQL(opts || { dialect: 'sqlite' });
+      } catch (ex) {
+        ex.should.be.instanceof(filter.FilterQueryError);
+        return ex;
+      }
+      throw new Error('expected an error');
+    }
+
+    error({ a: 1 }, {}).path.should.equal('dialect');
+    error({ a: 1 }, { dialect: 'mysql' }).path.should.equal('dialect');
+    error({ a: 1 }, { dialect: 'sqlite', columnMap: { a: 5 } }).path.should.equal('columnMap.a');
+    error({ tags: { $all: [ 'x' ] } }).message.should.equal('tags.$all: cannot translate $all to SQL');
+    error({ $or: [ { d: { $elemMatch: { e: 1 } } } ] }).path.should.equal('d.$elemMatch');
+    error({ a: { $size: 1 } }).path.should.equal('a.$size');
+    error({ a: /x/ }).message.should.match(/not supported by sqlite/);
+    error({ a: /x/m }, { dialect: 'postgres' }).message.should.match(/unsupported flags "m"/);
+    error({ a: { b: 1 } }).message.should.match(/^a\.\$eq: cannot translate the operand/);
+    error({ a: { $gt: null } }).path.should.equal('a.$gt');
+    error({ a: { $in: [ 1, [ 2 ] ] } }).path.should.equal('a.$in[1]');
+    error({ 'a.b': { $in: [ 1, 'x' ] } }, { dialect: 'postgres' }).message.should.match(/mixed types/);
+
+    var dialect = filter.create({
+      operators: { $gt: function (a, b) { return a > b; }, $odd: function (a) { return a % 2; } }
+    });
+
+    (function () { dialect({ a: { $gt: 1 } }).toSQL({ dialect: 'sqlite' }); })
+      .should.throw(filter.FilterQueryError, /cannot translate \$gt/);
+    (function () { dialect({ a: { $odd: true } }).toSQL({ dialect: 'sqlite' }); })
+      .should.throw(filter.FilterQueryError, /cannot translate \$odd/);
+  });
+});
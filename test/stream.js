@@ -0,0 +1,288 @@
+var Readable = require('stream').Readable;
+
+function source (docs, log) {
+  var it = {}
+    , i = 0;
+
+  it.next = function () {
+    log.pulled++;
+    return i < docs.length
+      ? { value: docs[i++], done: false }
+      : { value: undefined, done: true };
+  };
+
+  it.return = function () {
+    log.closed++;
+    return { done: true };
+  };
+
+  return it;
+}
+
+function iterable (docs, log) {
+  var res = {};
+  res[Symbol.iterator] = function () { return source(docs, log); };
+  return res;
+}
+
+function asyncIterable (docs, log) {
+  var res = {};
+  res[Symbol.asyncIterator] = function () {
+    var it = source(docs, log);
+    return {
+        next: function () { return Promise.resolve(it.next()); }
+      , return: function () { return Promise.resolve(it.return()); }
+    };
+  };
+  return res;
+}
+
+function collect (it) {
+  var res = [];
+  return (function pull () {
+    return it.next().then(function (step) {
+      if (step.done) return res;
+      res.push(step.value);
+      return pull();
+    });
+  })();
+}
+
+function read (stream, cb) {
+  var res = [];
+  stream.on('data', function (doc) { res.push(doc); });
+  stream.on('error', cb);
+  stream.on('end', function () { cb(null, res); });
+}
+
+var docs = [
+    { a: 1, b: 'x' }
+  , { a: 2, b: 'y' }
+  , { a: 3, b: 'x' }
+  , { a: 4, b: 'x' }
+  , { a: 5, b: 'y' }
+];
+
+describe('filterIterable', function () {
+  it('should lazily iterate the passing data points', function () {
+    var log = { pulled: 0, closed: 0 }
+      , it = filter({ b: 'x' }).filterIterable(iterable(docs, log));
+
+    log.pulled.should.equal(0);
+    it.next().should.deep.equal({ value: docs[0], done: false });
+    log.pulled.should.equal(1);
+    it.next().should.deep.equal({ value: docs[2], done: false });
+    log.pulled.should.equal(3);
+    it.next().value.should.equal(docs[3]);
+    it.next().should.deep.equal({ value: undefined, done: true });
+    it.next().done.should.be.true;
+    log.closed.should.equal(0);
+  });
+
+  it('should accept arrays and be iterable itself', function () {
+    var it = filter({ a: { $gt: 2 } }).filterIterable(docs);
+    it[Symbol.iterator]().should.equal(it);
+    Array.from(it).should.deep.equal(docs.slice(2));
+  });
+
+  it('should apply skip, limit and projection', function () {
+    var log = { pulled: 0, closed: 0 }
+      , it = filter({ b: 'x' }).filterIterable(iterable(docs, log), {
+            skip: 1
+          , limit: 1
+          , projection: { a: 1 }
+        });
+
+    Array.from(it).should.deep.equal([ { a: 3 } ]);
+    log.pulled.should.equal(3);
+    log.closed.should.equal(1);
+  });
+
+  it('should close the source when ended early', function () {
+    var log = { pulled: 0, closed: 0 }
+      , it = filter({}).filterIterable(iterable(docs, log));
+
+    it.next();
+    it.return(7).should.deep.equal({ value: 7, done: true });
+    it.next().done.should.be.true;
+    log.pulled.should.equal(1);
+    log.closed.should.equal(1);
+  });
+
+  it('should iterate async iterables', function () {
+    var log = { pulled: 0, closed: 0 }
+      , it = filter({ b: 'x' }).filterIterable(asyncIterable(docs, log), { limit: 2 });
+
+    it[Symbol.asyncIterator]().should.equal(it);
+
+    return collect(it).then(function (res) {
+      res.should.deep.equal([ docs[0], docs[2] ]);
+      log.pulled.should.equal(3);
+      log.closed.should.equal(1);
+    });
+  });
+
+  it('should reject when the async source fails', function () {
+    var src = {};
+
+    src[Symbol.asyncIterator] = function () {
+      var n = 0;
+      return {
+        next: function () {
+          return ++n > 3
+            ? Promise.reject(new Error('gone'))
+            : Promise.resolve({ value: { a: n }, done: false });
+        }
+      };
+    };
+
+    return filter({ a: 0 }).filterIterable(src).next().then(function () {
+      throw new Error('expected a rejection');
+    }, function (err) {
+      err.message.should.equal('gone');
+    });
+  });
+
+  it('should iterate readable streams', function () {
+    return collect(filter({ a: { $lte: 2 } }).filterIterable(Readable.from(docs)))
+      .then(function (res) {
+        res.should.deep.equal(docs.slice(0, 2));
+      });
+  });
+
+  it('should reject invalid input', function () {
+    var q = filter({});
+    (function () { q.filterIterable(5); }).should.throw(TypeError);
+    (function () { q.filterIterable(docs, { limit: -1 }); })
+      .should.throw(filter.FilterQueryError);
+    (function () { q.filterIterable(docs, { sort: { a: 1 } }); })
+      .should.throw(filter.FilterQueryError, /cannot sort/);
+  });
+});
+
+describe('stream', function () {
+  it('should pass through matching data points', function (done) {
+    read(Readable.from(docs).pipe(filter({ b: 'y' }).stream()), function (err, res) {
+      if (err) return done(err);
+      res.should.deep.equal([ docs[1], docs[4] ]);
+      done();
+    });
+  });
+
+  it('should end once the limit is reached', function (done) {
+    var tested = 0
+      , dialect = filter.create({
+          operators: { $spy: function () { tested++; return true; } }
+        })
+      , stream = dialect({ a: { $spy: true } }).stream({ skip: 1, limit: 2, projection: { b: 1 } });
+    read(stream, function (err, res) {
+      if (err) return done(err);
+      res.should.deep.equal([ { b: 'y' }, { b: 'x' } ]);
+      tested.should.equal(3);
+      done();
+    });
+
+    docs.forEach(function (doc) { stream.write(doc); });
+    stream.end();
+  });
+
+  function counter (log) {
+    var n = 0;
+    return new Readable({
+        objectMode: true
+      , highWaterMark: 1
+      , read: function () {
+          log.reads++;
+          this.push(n < 1000 ? { a: n++ } : null);
+        }
+    });
+  }
+
+  it('should stop reading the source once the limit is reached', function (done) {
+    var log = { reads: 0 }
+      , input = counter(log);
+
+    read(input.pipe(filter({}).stream({ limit: 2 })), function (err, res) {
+      if (err) return done(err);
+      res.should.deep.equal([ { a: 0 }, { a: 1 } ]);
+      setImmediate(function () {
+        input.destroyed.should.be.false;
+        log.reads.should.be.below(50);
+        input.pipe(filter({}).stream({ limit: 1 })).once('data', function (doc) {
+          doc.a.should.be.above(1);
+          done();
+        });
+      });
+    });
+  });
+
+  it('should destroy the source with the destroy option', function (done) {
+    var log = { reads: 0 }
+      , input = counter(log);
+
+    read(input.pipe(filter({}).stream({ limit: 2, destroy: true })), function (err, res) {
+      if (err) return done(err);
+      res.should.deep.equal([ { a: 0 }, { a: 1 } ]);
+      input.destroyed.should.be.true;
+      setImmediate(function () {
+        log.reads.should.be.below(50);
+        done();
+      });
+    });
+  });
+});
+
+describe('ndjson', function () {
+  it('should parse lines into objects', function (done) {
+    var input = Readable.from([
+        Buffer.from('{"a":1}\n{"a"')
+      , Buffer.from(':2}\r\n\n  \nnull\n{"a":"é"')
+      , Buffer.from('}')
+    ]);
+
+    read(input.pipe(filter.ndjson()), function (err, res) {
+      if (err) return done(err);
+      res.should.deep.equal([ { a: 1 }, { a: 2 }, { a: 'é' } ]);
+      done();
+    });
+  });
+
+  it('should split multi-byte characters across chunks', function (done) {
+    var buf = Buffer.from('{"a":"é"}\n')
+      , stream = filter.ndjson();
+
+    read(stream, function (err, res) {
+      if (err) return done(err);
+      res.should.deep.equal([ { a: 'é' } ]);
+      done();
+    });
+
+    stream.write(buf.slice(0, 7));
+    stream.end(buf.slice(7));
+  });
+
+  it('should error with the line of invalid JSON', function (done) {
+    var stream = filter.ndjson();
+
+    stream.on('data', function () {});
+    stream.on('error', function (err) {
+      err.should.be.instanceof(SyntaxError);
+      err.message.should.match(/^line 3: /);
+      done();
+    });
+
+    stream.end('{"a":1}\n\n{a:2}\n');
+  });
+
+  it('should pipe into a filter stream', function (done) {
+    var input = Readable.from(docs.map(function (doc) {
+      return JSON.stringify(doc) + '\n';
+    }).join(''));
+
+    read(input.pipe(filter.ndjson()).pipe(filter({ a: { $gte: 4 } }).stream()), function (err, res) {
+      if (err) return done(err);
+      res.should.deep.equal(docs.slice(3));
+      done();
+    });
+  });
+});
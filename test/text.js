@@ -0,0 +1,184 @@
+describe('text search', function () {
+  var products = [
+      { title: 'Trail runner', description: 'Red running shoes for the trail', tags: [ 'shoe' ] }
+    , { title: 'Winter sweater', description: 'A red wool sweater', tags: [ 'wool' ] }
+    , { title: 'Road racer', description: 'Blue running shoe', tags: [ 'red' ] }
+    , { title: 'Red slipper', description: 'The shoe is soft', tags: [] }
+    , { title: 'Sun hat', description: 'Keeps the sun off' }
+  ];
+
+  function search (str, opts) {
+    var spec = { $search: str };
+    for (var key in opts) spec[key] = opts[key];
+    return filter({ $text: spec });
+  }
+
+  it('should match any of the words', function () {
+    search('red').index(products).should.deep.equal([ 0, 1, 2, 3 ]);
+    search('hat sweater').index(products).should.deep.equal([ 1, 4 ]);
+    search('boots').index(products).should.deep.equal([]);
+  });
+
+  it('should ignore case, punctuation and stop words', function () {
+    search('RED, Wool!').index(products).should.deep.equal([ 0, 1, 2, 3 ]);
+    search('the').index(products).should.deep.equal([]);
+    search('').index(products).should.deep.equal([]);
+  });
+
+  it('should stem english words', function () {
+    search('shoe').index(products).should.deep.equal([ 0, 2, 3 ]);
+    search('runs').index(products).should.deep.equal([ 0, 2 ]);
+    search('keeping').index(products).should.deep.equal([ 4 ]);
+    filter.validate({ $text: { $search: 'x', $language: 'french' } })
+      .should.deep.equal([ { path: '$text.$language', message: 'expected "english" or "none"' } ]);
+    search('shoe', { $language: 'none', $fields: [ 'description' ] }).index(products).should.deep.equal([ 2, 3 ]);
+    search('the', { $language: 'none' }).index(products).should.deep.equal([ 0, 3, 4 ]);
+  });
+
+  it('should exclude negated words', function () {
+    search('red -wool').index(products).should.deep.equal([ 0, 2, 3 ]);
+    search('-wool').index(products).should.deep.equal([]);
+  });
+
+  it('should require quoted phrases', function () {
+    search('"running shoe"').index(products).should.deep.equal([ 0, 2 ]);
+    search('red "running shoe"').index(products).should.deep.equal([ 0, 2 ]);
+    search('"shoe running"').index(products).should.deep.equal([]);
+    search('"running shoe" "for the trail"').index(products).should.deep.equal([ 0 ]);
+    search('shoe -"is soft"').index(products).should.deep.equal([ 0, 2 ]);
+    search('red -wool "running shoe"').index(products).should.deep.equal([ 0, 2 ]);
+  });
+
+  it('should only search the given fields', function () {
+    search('red', { $fields: [ 'title', 'description' ] }).index(products).should.deep.equal([ 0, 1, 3 ]);
+    search('red', { $fields: [ 'tags' ] }).index(products).should.deep.equal([ 2 ]);
+    search('red', { $fields: { title: 2 } }).index(products).should.deep.equal([ 3 ]);
+  });
+
+  it('should search the value at a path', function () {
+    filter({ description: { $text: { $search: 'red' } } })
+      .index(products).should.deep.equal([ 0, 1 ]);
+    filter({ tags: { $text: { $search: 'shoe' } }, title: /trail/i })
+      .index(products).should.deep.equal([ 0 ]);
+  });
+
+  it('should score by relevance', function () {
+    var q = search('red shoe');
+
+    q.score({ title: 'red shoe' }).should.equal(1);
+    q.score({ title: 'red running shoe' }).should.equal(2 / 3);
+    q.score({ title: 'red shoe', tags: [ 'red' ] }).should.equal(2);
+    q.score({ title: 'blue hat' }).should.equal(0);
+    search('-wool red').score(products[1]).should.equal(0);
+    search('red', { $fields: { title: 4, description: 1 } }).score(products[3]).should.equal(2);
+    filter({ a: 1 }).score(products[0]).should.equal(0);
+  });
+
+  it('should sort by the score', function () {
+    var q = search('red shoe', { $fields: { title: 3, description: 1 } });
+
+    q.subset(products, { sort: { score: { $meta: 'textScore' } } }).map(function (p) {
+      return p.title;
+    }).should.deep.equal([ 'Red slipper', 'Trail runner', 'Road racer', 'Winter sweater' ]);
+
+    q.index(products, { sort: { score: { $meta: 'textScore' }, title: 1 }, limit: 2 })
+      .should.deep.equal([ 3, 2 ]);
+
+    (function () {
+      q.index(products, { sort: { score: { $meta: 'searchScore' } } });
+    }).should.throw(filter.FilterQueryError, 'sort.score: unknown $meta "searchScore"');
+  });
+
+  it('should sort a live view by the score', function () {
+    var q = search('red shoe')
+      , view = new filter.LiveView(q, { on: function () {} }, {
+            docs: products
+          , sort: { score: { $meta: 'textScore' } }
+        });
+
+    view.results.should.deep.equal([ products[0], products[2], products[3], products[1] ]);
+  });
+
+  it('should give the same results when compiled', function () {
+    var query = { $text: { $search: 'red -wool "running shoe"' }, 'tags.0': { $exists: true } };
+    filter(query, { compile: true }).index(products).should.deep.equal([ 0, 2 ]);
+    filter(query).index(products).should.deep.equal([ 0, 2 ]);
+  });
+
+  it('should be negated as other comparators', function () {
+    search('shoe').not().index(products).should.deep.equal([ 1, 4 ]);
+    filter({ $nor: [ { $text: { $search: 'red' } } ] }).index(products).should.deep.equal([ 4 ]);
+  });
+
+  it('should report malformed searches with their path', function () {
+    filter.validate({ $text: 'red' }).should.deep.equal([
+      { path: '$text', message: 'expected an object with $search' }
+    ]);
+    filter.validate({ $text: { $search: 1 } }).should.deep.equal([
+      { path: '$text.$search', message: 'expected a string' }
+    ]);
+    filter.validate({ $text: { $search: 'a', $caseSensitive: true } }).should.deep.equal([
+      { path: '$text.$caseSensitive', message: 'unknown option "$caseSensitive"' }
+    ]);
+    filter.validate({ $text: { $search: 'a', $fields: [ 'a', 1 ] } }).should.deep.equal([
+      { path: '$text.$fields[1]', message: 'expected a path' }
+    ]);
+    filter.validate({ $text: { $search: 'a', $fields: { a: -1 } } }).should.deep.equal([
+      { path: '$text.$fields.a', message: 'expected a positive weight' }
+    ]);
+  });
+
+  describe('TextIndex', function () {
+    it('should only test data points with the words', function () {
+      var index = new filter.TextIndex(products)
+        , tested = 0
+        , q = search('hat sweater');
+
+      q.index(products, { textIndex: index }).should.deep.equal([ 1, 4 ]);
+      index.candidates(q.stack[0].test[0].match).should.deep.equal([ 1, 4 ]);
+
+      filter({ $text: { $search: 'sun' }, $where: function () { return ++tested; } }, { where: true })
+        .index(products, { textIndex: index }).should.deep.equal([ 4 ]);
+      tested.should.equal(1);
+    });
+
+    it('should give the same results as a scan', function () {
+      var index = new filter.TextIndex(products)
+        , queries = [
+              { $text: { $search: 'red -wool' } }
+            , { $text: { $search: '"running shoe"' }, title: /road/i }
+            , { $text: { $search: 'shoe "for the trail"' } }
+            , { $text: { $search: '-wool' } }
+            , { $or: [ { $text: { $search: 'hat' } }, { title: /racer/i } ] }
+          ];
+
+      queries.forEach(function (query) {
+        filter(query).index(products, { textIndex: index, sort: { s: { $meta: 'textScore' } } })
+          .should.deep.equal(filter(query).index(products, { sort: { s: { $meta: 'textScore' } } }));
+      });
+    });
+
+    it('should only be used for the same fields and language', function () {
+      var index = new filter.TextIndex(products, { fields: [ 'title' ] });
+
+      search('red', { $fields: [ 'title' ] }).index(products, { textIndex: index })
+        .should.deep.equal([ 3 ]);
+      search('red').index(products, { textIndex: index })
+        .should.deep.equal([ 0, 1, 2, 3 ]);
+      search('red', { $fields: [ 'title' ], $language: 'none' }).index(products, { textIndex: index })
+        .should.deep.equal([ 3 ]);
+    });
+
+    it('should expect an index of the same data', function () {
+      (function () {
+        search('red').index(products, { textIndex: new filter.TextIndex(products.slice()) });
+      }).should.throw(filter.FilterQueryError, 'textIndex: expected an index of the same data');
+      (function () {
+        search('red').index(products, { textIndex: {} });
+      }).should.throw(filter.FilterQueryError, 'textIndex: expected a filter.TextIndex');
+      (function () {
+        filter.TextIndex(products, { language: 'latin' });
+      }).should.throw(filter.FilterQueryError, 'language: expected "english" or "none"');
+    });
+  });
+});
@@ -0,0 +1,209 @@
+describe('update', function () {
+  function people () {
+    return [
+        { name: 'ann', age: 30, tags: [ 'a' ], grades: [ 80, 85, 90 ] }
+      , { name: 'bob', age: 40, tags: [], grades: [ 70, 95 ] }
+      , { name: 'cat', age: 50, address: { city: 'x' } }
+    ];
+  }
+
+  it('should update the first match unless multi', function () {
+    var data = people();
+    filter({ age: { $gte: 40 } }).update(data, { $set: { seen: true } })
+      .should.deep.equal({ matched: 1, modified: 1, upserted: null });
+    data[1].seen.should.be.true;
+    should.not.exist(data[2].seen);
+
+    filter({ age: { $gte: 30 } }).update(data, { $set: { seen: true } }, { multi: true })
+      .should.deep.equal({ matched: 3, modified: 2, upserted: null });
+  });
+
+  it('should $set and $unset dotted paths', function () {
+    var data = people();
+    filter({ name: 'cat' }).update(data, { $set: { 'address.zip': 1, 'a.b.c': 2 }, $unset: { age: '' } });
+    data[2].should.deep.equal({ name: 'cat', address: { city: 'x', zip: 1 }, a: { b: { c: 2 } } });
+
+    filter({ name: 'ann' }).update(data, { $set: { 'grades.4': 1 }, $unset: { 'tags.0': 1 } });
+    data[0].grades.should.deep.equal([ 80, 85, 90, null, 1 ]);
+    data[0].tags.should.deep.equal([ null ]);
+
+    filter({ name: 'ann' }).update(data, { $unset: { nope: 1 } }).modified.should.equal(0);
+  });
+
+  it('should not share values with the update', function () {
+    var data = people()
+      , val = { deep: [ 1 ] };
+    filter({}).update(data, { $set: { v: val } }, { multi: true });
+    data[0].v.should.deep.equal(val);
+    data[0].v.should.not.equal(val);
+    data[0].v.should.not.equal(data[1].v);
+  });
+
+  it('should $inc and $mul numbers', function () {
+    var data = people();
+    filter({ name: 'ann' }).update(data, { $inc: { age: 2, visits: 1 }, $mul: { score: 3 } });
+    data[0].age.should.equal(32);
+    data[0].visits.should.equal(1);
+    data[0].score.should.equal(0);
+
+    filter({ name: 'ann' }).update(data, { $mul: { age: 0.5 } });
+    data[0].age.should.equal(16);
+  });
+
+  it('should $min and $max values', function () {
+    var data = people();
+    filter({ name: 'ann' }).update(data, { $min: { age: 20 }, $max: { low: 5 } }).modified.should.equal(1);
+    data[0].age.should.equal(20);
+    data[0].low.should.equal(5);
+    filter({ name: 'ann' }).update(data, { $min: { age: 25 }, $max: { low: 1 } }).modified.should.equal(0);
+  });
+
+  it('should $push values with modifiers', function () {
+    var data = people();
+    filter({ name: 'ann' }).update(data, { $push: { tags: 'b', list: 1 } });
+    data[0].tags.should.deep.equal([ 'a', 'b' ]);
+    data[0].list.should.deep.equal([ 1 ]);
+
+    filter({ name: 'ann' }).update(data, { $push: { tags: { $each: [ 'x', 'y' ], $position: 0 } } });
+    data[0].tags.should.deep.equal([ 'x', 'y', 'a', 'b' ]);
+
+    filter({ name: 'ann' }).update(data, { $push: { grades: { $each: [ 60, 99 ], $sort: -1, $slice: 3 } } });
+    data[0].grades.should.deep.equal([ 99, 90, 85 ]);
+
+    filter({ name: 'bob' }).update(data, { $push: { kids: { $each: [ { n: 2 }, { n: 1 } ], $sort: { n: 1 }, $slice: -1 } } });
+    data[1].kids.should.deep.equal([ { n: 2 } ]);
+  });
+
+  it('should $addToSet values not already present', function () {
+    var data = people();
+    filter({ name: 'ann' }).update(data, { $addToSet: { tags: 'a' } }).modified.should.equal(0);
+    filter({ name: 'ann' }).update(data, { $addToSet: { tags: { $each: [ 'a', 'b', 'b' ] } } }).modified.should.equal(1);
+    data[0].tags.should.deep.equal([ 'a', 'b' ]);
+  });
+
+  it('should $pull elements matching a query', function () {
+    var data = people();
+    filter({ name: 'ann' }).update(data, { $pull: { grades: { $lt: 85 }, tags: 'a' } });
+    data[0].grades.should.deep.equal([ 85, 90 ]);
+    data[0].tags.should.deep.equal([]);
+
+    data[1].kids = [ { n: 1, k: 'x' }, { n: 2, k: 'y' }, { n: 3, k: 'x' } ];
+    filter({ name: 'bob' }).update(data, { $pull: { kids: { k: 'x', n: { $gt: 1 } } } });
+    data[1].kids.should.deep.equal([ { n: 1, k: 'x' }, { n: 2, k: 'y' } ]);
+
+    filter({ name: 'cat' }).update(data, { $pull: { tags: 'a' } }).modified.should.equal(0);
+  });
+
+  it('should $pull with the options of the filter', function () {
+    var data = [ { a: [ 1, 5, 9 ], names: [ 'José', 'Ana' ] } ];
+
+    filter({}, { where: true }).update(data, { $pull: { a: { $where: function () { return this > 4; } } } });
+    data[0].a.should.deep.equal([ 1 ]);
+
+    if ('undefined' == typeof Intl) return;
+    filter({}, { collation: { locale: 'fr', strength: 1 } })
+      .update(data, { $pull: { names: { $in: [ 'jose' ] } } });
+    data[0].names.should.deep.equal([ 'Ana' ]);
+  });
+
+  it('should $rename fields', function () {
+    var data = people();
+    filter({ name: 'cat' }).update(data, { $rename: { 'address.city': 'city', nope: 'other' } });
+    data[2].should.deep.equal({ name: 'cat', age: 50, address: {}, city: 'x' });
+  });
+
+  it('should update the element matched with the positional operator', function () {
+    var data = people();
+    filter({ grades: { $gte: 85 } }).update(data, { $set: { 'grades.$': 0 } }, { multi: true });
+    data[0].grades.should.deep.equal([ 80, 0, 90 ]);
+    data[1].grades.should.deep.equal([ 70, 0 ]);
+
+    data[0].kids = [ { n: 1, k: 'x' }, { n: 2, k: 'y' } ];
+    filter({ name: 'ann', 'kids.k': 'y' }).update(data, { $inc: { 'kids.$.n': 10 } });
+    data[0].kids[1].n.should.equal(12);
+
+    filter({ kids: { $elemMatch: { n: 1 } } }).update(data, { $set: { 'kids.$.k': 'z' } });
+    data[0].kids[0].k.should.equal('z');
+  });
+
+  it('should upsert when nothing matched', function () {
+    var data = people()
+      , res = filter({ name: 'dan', 'a.b': { $eq: 1 }, age: { $gt: 5 } })
+          .update(data, { $inc: { age: 1 } }, { upsert: true });
+
+    res.matched.should.equal(0);
+    res.upserted.should.deep.equal({ name: 'dan', a: { b: 1 }, age: 1 });
+    data.should.have.length(4);
+    data[3].should.equal(res.upserted);
+
+    filter({ name: 'dan' }).update(data, { $inc: { age: 1 } }, { upsert: true })
+      .should.deep.equal({ matched: 1, modified: 1, upserted: null });
+  });
+
+  it('should reject invalid updates', function () {
+    function invalid (query, spec, path) {
+      var data = people()
+        , err;
+      try { filter(query).update(data, spec, { multi: true }); }
+      catch (e) { err = e; }
+      should.exist(err);
+      err.should.be.instanceof(filter.FilterQueryError);
+      err.path.should.equal(path);
+    }
+
+    invalid({}, { name: 'x' }, 'name');
+    invalid({}, {}, 'update');
+    invalid({}, { $inc: { age: '1' } }, '$inc.age');
+    invalid({}, { $set: { a: 1 }, $inc: { 'a.b': 1 } }, '$inc["a.b"]');
+    invalid({}, { $rename: { age: 'age' } }, '$rename.age');
+    invalid({}, { $push: { tags: { $each: 1 } } }, '$push.tags.$each');
+    invalid({}, { $set: { 'grades.$': 1 } }, '$set["grades.$"]');
+    invalid({}, { $inc: { name: 1 } }, '$inc.name');
+    invalid({}, { $push: { name: 1 } }, '$push.name');
+    invalid({}, { $set: { 'name.first': 1 } }, '$set["name.first"]');
+    invalid({ name: 'ann' }, { $set: { 'tags.x': 1 } }, '$set["tags.x"]');
+  });
+
+  it('should leave every data point as it was when an operator fails', function () {
+    var data = people()
+      , before = JSON.stringify(data)
+      , address = data[2].address;
+
+    data[1].age = 'forty';
+
+    (function () {
+      filter({}).update(data, { $set: { seen: true }, $inc: { age: 1 } }, { multi: true });
+    }).should.throw(filter.FilterQueryError, '$inc.age: cannot apply $inc to a string');
+
+    data[1].age = 40;
+    JSON.stringify(data).should.equal(before);
+
+    filter({ name: 'cat' }).update(data, { $set: { 'address.zip': 1, seen: true } });
+    data[2].address.should.equal(address);
+    address.should.deep.equal({ city: 'x', zip: 1 });
+  });
+
+  it('should not write to prototypes', function () {
+    var paths = [ '__proto__.polluted', 'a.__proto__.polluted', 'constructor.prototype.polluted' ];
+
+    paths.forEach(function (name) {
+      var spec = { $set: {} };
+      spec.$set[name] = 'yes';
+
+      (function () {
+        filter({}).update(people(), spec, { multi: true });
+      }).should.throw(filter.FilterQueryError, 'cannot update field');
+    });
+
+    (function () {
+      filter({}).update(people(), { $rename: { name: '__proto__.polluted' } });
+    }).should.throw(filter.FilterQueryError, '$rename.name: cannot update field "__proto__"');
+
+    (function () {
+      filter(JSON.parse('{ "__proto__": { "polluted": "yes" } }'))
+        .update([], { $set: { a: 1 } }, { upsert: true });
+    }).should.throw(filter.FilterQueryError, '__proto__: cannot update field "__proto__"');
+
+    should.not.exist(({}).polluted);
+  });
+});
@@ -0,0 +1,78 @@
+describe('validation', function () {
+  describe('filter.validate(query)', function () {
+    it('should return an empty array for valid queries', function () {
+      filter.validate({ 'a.b': { $gt: 25, $lt: 75 }, c: 'testC' }).should.deep.equal([]);
+      filter.validate({ $or: [ { hello: true }, { universe: { $in: [ 1 ] } } ] }).should.deep.equal([]);
+    });
+
+    it('should report unknown operators', function () {
+      filter.validate({ age: { $gtt: 5 } }).should.deep.equal([
+        { path: 'age.$gtt', message: 'unknown operator "$gtt"' }
+      ]);
+    });
+
+    it('should report wrong operand types', function () {
+      filter.validate({ tags: { $in: 'a' } })[0].path.should.equal('tags.$in');
+      filter.validate({ tags: { $nin: 1 } })[0].path.should.equal('tags.$nin');
+      filter.validate({ tags: { $all: {} } })[0].path.should.equal('tags.$all');
+      filter.validate({ n: { $mod: 2 } })[0].path.should.equal('n.$mod');
+      filter.validate({ n: { $mod: [ 2 ] } })[0].path.should.equal('n.$mod');
+      filter.validate({ n: { $mod: [ 0, 1 ] } })[0].path.should.equal('n.$mod');
+      filter.validate({ n: { $size: '3' } })[0].path.should.equal('n.$size');
+      filter.validate({ $and: { a: 1 } })[0].path.should.equal('$and');
+      filter.validate({ $or: [] })[0].path.should.equal('$or');
+      filter.validate({ a: { $not: {} } }).should.deep.equal([
+        { path: 'a.$not', message: 'expected an operator expression' }
+      ]);
+    });
+
+    it('should report bad nesting', function () {
+      filter.validate({ a: { $gt: 1, b: 2 } }).should.deep.equal([
+        { path: 'a.b', message: 'unexpected field "b" in operator expression' }
+      ]);
+      filter.validate({ $or: [ { a: 1 }, 'b' ] }).should.deep.equal([
+        { path: '$or[1]', message: 'expected a query object' }
+      ]);
+      filter.validate([ 1 ])[0].message.should.equal('expected a query object');
+    });
+
+    it('should report every problem with its path', function () {
+      var problems = filter.validate({
+          $or: [ { 'a.b': { $gtt: 1 } }, { c: { $in: 2 } } ]
+        , d: { $nin: [] }
+      });
+
+      problems.should.deep.equal([
+          { path: '$or[0]["a.b"].$gtt', message: 'unknown operator "$gtt"' }
+        , { path: '$or[1].c.$in', message: 'expected an array' }
+      ]);
+    });
+  });
+
+  describe('filter(query)', function () {
+    it('should throw a FilterQueryError for invalid queries', function () {
+      var err;
+
+      try {
+        filter({ age: { $gtt: 5 }, tags: { $in: 'a' } });
+      } catch (e) {
+        err = e;
+      }
+
+      should.exist(err);
+      err.should.be.instanceof(filter.FilterQueryError);
+      err.should.be.instanceof(Error);
+      err.name.should.equal('FilterQueryError');
+      err.path.should.equal('age.$gtt');
+      err.message.should.equal('age.$gtt: unknown operator "$gtt"');
+      err.errors.should.have.length(2);
+    });
+
+    it('should not throw for valid queries', function () {
+      (function () {
+        filter({ $lt: 10, $gt: 5 });
+        filter({ test: 'hello', world: { $in: [ 'universe' ] } });
+      }).should.not.throw();
+    });
+  });
+});